@@ -0,0 +1,53 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const envFlag = (name, defaultValue) => {
+  const value = process.env[name];
+  return value === undefined ? defaultValue : value === 'true';
+};
+
+/**
+ * Password policy, configured through the environment
+ */
+export const passwordPolicy = {
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
+  maxLength: 128,
+  requireUppercase: envFlag('PASSWORD_REQUIRE_UPPERCASE', true),
+  requireLowercase: envFlag('PASSWORD_REQUIRE_LOWERCASE', true),
+  requireNumber: envFlag('PASSWORD_REQUIRE_NUMBER', true),
+  requireSymbol: envFlag('PASSWORD_REQUIRE_SYMBOL', false),
+  rejectCommon: envFlag('PASSWORD_REJECT_COMMON', true),
+  // Previous passwords that cannot be used again (0 turns the check off)
+  historySize: parseInt(process.env.PASSWORD_HISTORY_SIZE ?? 5)
+};
+
+const commonPasswordsFile = path.join(path.dirname(fileURLToPath(import.meta.url)), 'common-passwords.txt');
+
+// Loaded once on first use
+let commonPasswords = null;
+
+const loadCommonPasswords = () => {
+  const lines = fs.readFileSync(commonPasswordsFile, 'utf8').split(/\r?\n/);
+
+  return new Set(lines
+    .map(line => line.trim().toLowerCase())
+    .filter(line => line && !line.startsWith('#')));
+};
+
+/**
+ * Check a password against the shipped list of common and breached passwords
+ * Also matches once trailing digits and symbols are removed ("Password123!").
+ * @param {string} password - Password to check
+ * @returns {boolean} True if the password is too common
+ */
+export const isCommonPassword = (password) => {
+  if (!commonPasswords) {
+    commonPasswords = loadCommonPasswords();
+  }
+
+  const lower = password.toLowerCase();
+  const base = lower.replace(/[^a-z]+$/, '');
+
+  return commonPasswords.has(lower) || (base.length > 0 && commonPasswords.has(base));
+};
@@ -0,0 +1,488 @@
+import User from '../models/User.js';
+import Post from '../models/Post.js';
+import Comment from '../models/Comment.js';
+import Connection from '../models/Connection.js';
+import Follow from '../models/Follow.js';
+import Lesson from '../models/Lesson.js';
+import Review from '../models/Review.js';
+import VerificationApplication from '../models/VerificationApplication.js';
+import Report from '../models/Report.js';
+import AuditLog from '../models/AuditLog.js';
+import Revision from '../models/Revision.js';
+import Session from '../models/Session.js';
+import Setting from '../models/Setting.js';
+import { AppError, catchAsync } from '../middleware/errorHandler.js';
+import { escapeRegex } from '../utils/helpers.js';
+import { updateMentions } from '../utils/mentions.js';
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditLog:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "60f7b3b3b3b3b3b3b3b3b3b3"
+ *         actor:
+ *           type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             fullName:
+ *               type: string
+ *               example: "Site Admin"
+ *         action:
+ *           type: string
+ *           example: "user.suspend"
+ *         targetType:
+ *           type: string
+ *           enum: [user, post, comment, verification, review, system]
+ *         targetId:
+ *           type: string
+ *         details:
+ *           type: object
+ *           example: { reason: "Spam" }
+ *         ip:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// Build the pagination block of a list response
+const paginate = (page, limit, total) => ({
+  currentPage: page,
+  totalPages: Math.ceil(total / limit),
+  totalItems: total,
+  hasNext: page < Math.ceil(total / limit),
+  hasPrev: page > 1
+});
+
+// Find a user other than the acting admin
+const findOtherUser = async (userId, admin) => {
+  if (userId === admin._id.toString()) {
+    throw new AppError('You cannot change your own account from the admin console', 400);
+  }
+
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  return user;
+};
+
+// Search users
+export const searchUsers = catchAsync(async (req, res, next) => {
+  const { q, role, isActive, isVerified } = req.query;
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const query = {};
+  if (q) {
+    const pattern = new RegExp(escapeRegex(q), 'i');
+    query.$or = [{ fullName: pattern }, { email: pattern }];
+  }
+  if (role) query.role = role;
+  if (isActive !== undefined) query.isActive = isActive === 'true';
+  if (isVerified !== undefined) query.isVerified = isVerified === 'true';
+
+  const [users, total] = await Promise.all([
+    User.find(query)
+      .select('-password')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    User.countDocuments(query)
+  ]);
+
+  await AuditLog.record(req, 'user.search', 'system', null, { q, role, isActive, isVerified, page });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      users,
+      pagination: paginate(page, limit, total)
+    }
+  });
+});
+
+// Suspend a user
+export const suspendUser = catchAsync(async (req, res, next) => {
+  const user = await findOtherUser(req.params.id, req.user);
+
+  if (!user.isActive) {
+    return next(new AppError('User is already inactive', 400));
+  }
+
+  await user.suspend(req.user._id, req.body.reason);
+
+  await AuditLog.record(req, 'user.suspend', 'user', user._id, { reason: req.body.reason });
+
+  res.status(200).json({
+    success: true,
+    message: 'User suspended successfully',
+    data: user.getPublicProfile()
+  });
+});
+
+// Reactivate a suspended user
+export const reactivateUser = catchAsync(async (req, res, next) => {
+  const user = await findOtherUser(req.params.id, req.user);
+
+  // Accounts closed by their owner are not suspensions and cannot be reactivated here
+  if (user.isActive || !user.suspension || !user.suspension.suspendedAt) {
+    return next(new AppError('User is not suspended', 400));
+  }
+
+  const previousSuspension = user.toObject().suspension;
+  user.isActive = true;
+  user.suspension = undefined;
+  await user.save();
+
+  await AuditLog.record(req, 'user.reactivate', 'user', user._id, { previousSuspension });
+
+  res.status(200).json({
+    success: true,
+    message: 'User reactivated successfully',
+    data: user.getPublicProfile()
+  });
+});
+
+// Change a user's role
+export const changeUserRole = catchAsync(async (req, res, next) => {
+  const user = await findOtherUser(req.params.id, req.user);
+  const { role } = req.body;
+
+  if (user.role === role) {
+    return next(new AppError(`User already has the ${role} role`, 400));
+  }
+
+  const previousRole = user.role;
+  const wasVerified = user.isVerified;
+  user.role = role;
+  // Verification was granted for the previous role; a new Imaam applies again
+  user.isVerified = false;
+  await user.save();
+
+  await AuditLog.record(req, 'user.role_change', 'user', user._id, {
+    from: previousRole,
+    to: role,
+    verificationRevoked: wasVerified
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'User role updated successfully',
+    data: user.getPublicProfile()
+  });
+});
+
+// Feature or unfeature a post
+export const featurePost = catchAsync(async (req, res, next) => {
+  const { isFeatured } = req.body;
+
+  const post = await Post.findByIdAndUpdate(req.params.id, { isFeatured }, { new: true });
+  if (!post) {
+    return next(new AppError('Post not found', 404));
+  }
+
+  await AuditLog.record(req, isFeatured ? 'post.feature' : 'post.unfeature', 'post', post._id);
+
+  res.status(200).json({
+    success: true,
+    message: isFeatured ? 'Post featured successfully' : 'Post unfeatured successfully',
+    data: post
+  });
+});
+
+// Pin or unpin a post
+export const pinPost = catchAsync(async (req, res, next) => {
+  const { isPinned } = req.body;
+
+  const post = await Post.findByIdAndUpdate(req.params.id, { isPinned }, { new: true });
+  if (!post) {
+    return next(new AppError('Post not found', 404));
+  }
+
+  await AuditLog.record(req, isPinned ? 'post.pin' : 'post.unpin', 'post', post._id);
+
+  res.status(200).json({
+    success: true,
+    message: isPinned ? 'Post pinned successfully' : 'Post unpinned successfully',
+    data: post
+  });
+});
+
+// Hide a comment
+export const hideComment = catchAsync(async (req, res, next) => {
+  const comment = await Comment.findOneAndUpdate(
+    { _id: req.params.id, status: 'published' },
+    { status: 'hidden' },
+    { new: true }
+  );
+
+  if (!comment) {
+    return next(new AppError('Published comment not found', 404));
+  }
+
+  await AuditLog.record(req, 'comment.hide', 'comment', comment._id, { reason: req.body.reason, post: comment.post });
+
+  res.status(200).json({
+    success: true,
+    message: 'Comment hidden successfully',
+    data: comment
+  });
+});
+
+// Restore a hidden comment
+export const unhideComment = catchAsync(async (req, res, next) => {
+  const comment = await Comment.findOneAndUpdate(
+    { _id: req.params.id, status: 'hidden' },
+    { status: 'published' },
+    { new: true }
+  );
+
+  if (!comment) {
+    return next(new AppError('Hidden comment not found', 404));
+  }
+
+  await AuditLog.record(req, 'comment.unhide', 'comment', comment._id, { post: comment.post });
+
+  res.status(200).json({
+    success: true,
+    message: 'Comment restored successfully',
+    data: comment
+  });
+});
+
+// Make an older version the current content of a post or comment
+// The restore is itself recorded as a new revision, so no history is lost.
+const restoreRevision = async (req, targetType, doc) => {
+  const version = parseInt(req.params.version);
+  const revision = await Revision.findOne({ targetType, target: doc._id, version });
+  if (!revision) {
+    throw new AppError('Revision not found', 404);
+  }
+  if (revision.content === doc.content) {
+    throw new AppError('This revision is already the current content', 400);
+  }
+
+  const previousContent = doc.content;
+  doc.content = revision.content;
+  doc.isEdited = true;
+  doc.editedAt = new Date();
+  await updateMentions(doc);
+  await doc.save();
+
+  const restored = await Revision.record(targetType, doc, previousContent, {
+    editor: req.user._id,
+    restoredFrom: version
+  });
+
+  await AuditLog.record(req, `${targetType}.revision_restore`, targetType, doc._id, {
+    version,
+    newVersion: restored.version
+  });
+
+  return doc;
+};
+
+// Restore an older version of a post
+export const restorePostRevision = catchAsync(async (req, res, next) => {
+  const post = await Post.findById(req.params.id);
+  if (!post) {
+    return next(new AppError('Post not found', 404));
+  }
+
+  await restoreRevision(req, 'post', post);
+
+  res.status(200).json({
+    success: true,
+    message: 'Post revision restored successfully',
+    data: post
+  });
+});
+
+// Restore an older version of a comment
+export const restoreCommentRevision = catchAsync(async (req, res, next) => {
+  const comment = await Comment.findById(req.params.id);
+  if (!comment) {
+    return next(new AppError('Comment not found', 404));
+  }
+
+  await restoreRevision(req, 'comment', comment);
+
+  res.status(200).json({
+    success: true,
+    message: 'Comment revision restored successfully',
+    data: comment
+  });
+});
+
+// Platform statistics
+export const getStats = catchAsync(async (req, res, next) => {
+  const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+
+  // Turn [{ _id: key, count }] into { key: count }
+  const toCounts = (results) => results.reduce((counts, result) => {
+    counts[result._id] = result.count;
+    return counts;
+  }, {});
+
+  const [
+    usersByRole,
+    totalUsers,
+    suspendedUsers,
+    newUsers,
+    verifiedImaam,
+    postsByStatus,
+    featuredPosts,
+    commentsByStatus,
+    acceptedConnections,
+    follows,
+    upcomingLessons,
+    reviews,
+    pendingVerifications,
+    pendingReports
+  ] = await Promise.all([
+    User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }]),
+    User.countDocuments(),
+    User.countDocuments({ isActive: false, 'suspension.suspendedAt': { $ne: null } }),
+    User.countDocuments({ createdAt: { $gte: weekAgo } }),
+    User.countDocuments({ role: 'imaam', isVerified: true, isActive: true }),
+    Post.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+    Post.countDocuments({ isFeatured: true }),
+    Comment.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+    Connection.countDocuments({ status: 'accepted' }),
+    Follow.countDocuments(),
+    Lesson.countDocuments({ status: 'scheduled', startTime: { $gt: new Date() } }),
+    Review.countDocuments({ status: 'published' }),
+    VerificationApplication.countDocuments({ status: 'pending' }),
+    Report.countDocuments({ status: 'pending' })
+  ]);
+
+  await AuditLog.record(req, 'stats.view');
+
+  res.status(200).json({
+    success: true,
+    data: {
+      users: {
+        total: totalUsers,
+        byRole: toCounts(usersByRole),
+        suspended: suspendedUsers,
+        newThisWeek: newUsers,
+        verifiedImaam
+      },
+      posts: {
+        byStatus: toCounts(postsByStatus),
+        featured: featuredPosts
+      },
+      comments: {
+        byStatus: toCounts(commentsByStatus)
+      },
+      connections: acceptedConnections,
+      follows,
+      upcomingLessons,
+      reviews,
+      pendingVerifications,
+      pendingReports
+    }
+  });
+});
+
+// Get audit log entries
+export const getAuditLogs = catchAsync(async (req, res, next) => {
+  const { actor, action, targetType, targetId } = req.query;
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+
+  const filter = {};
+  if (actor) filter.actor = actor;
+  if (action) filter.action = action;
+  if (targetType) filter.targetType = targetType;
+  if (targetId) filter.targetId = targetId;
+
+  const [logs, total] = await Promise.all([
+    AuditLog.getLogs(filter, page, limit),
+    AuditLog.countDocuments(filter)
+  ]);
+
+  await AuditLog.record(req, 'audit.view', 'system', null, { filter, page });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      logs,
+      pagination: paginate(page, limit, total)
+    }
+  });
+});
+
+// Get the roles that must use two-factor authentication
+export const getTwoFactorPolicy = catchAsync(async (req, res, next) => {
+  const roles = await Setting.getTwoFactorRequiredRoles();
+
+  const enrolled = await User.aggregate([
+    { $match: { isActive: true } },
+    {
+      $group: {
+        _id: '$role',
+        total: { $sum: 1 },
+        enabled: { $sum: { $cond: ['$twoFactor.enabled', 1, 0] } }
+      }
+    }
+  ]);
+
+  await AuditLog.record(req, 'settings.two_factor_view', 'system', null, { requiredRoles: roles });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      requiredRoles: roles,
+      enrollment: enrolled.reduce((counts, result) => {
+        counts[result._id] = { total: result.total, enabled: result.enabled };
+        return counts;
+      }, {})
+    }
+  });
+});
+
+// Set the roles that must use two-factor authentication
+export const updateTwoFactorPolicy = catchAsync(async (req, res, next) => {
+  const { roles } = req.body;
+
+  // Requiring it for admins without having it would lock the acting admin out
+  if (roles.includes(req.user.role) && !req.user.twoFactor.enabled) {
+    return next(new AppError('Enable two-factor authentication on your own account first', 400));
+  }
+
+  const previousRoles = await Setting.getTwoFactorRequiredRoles();
+  await Setting.setValue('twoFactorRequiredRoles', roles, req.user._id);
+
+  // Sign out users of newly required roles until they set it up
+  const addedRoles = roles.filter(role => !previousRoles.includes(role));
+  let revokedSessions = 0;
+  if (addedRoles.length > 0) {
+    const users = await User.find({ role: { $in: addedRoles }, 'twoFactor.enabled': { $ne: true } }).distinct('_id');
+    revokedSessions = await Session.revoke({ user: { $in: users } }, 'two_factor_required');
+  }
+
+  await AuditLog.record(req, 'settings.two_factor', 'system', null, {
+    from: previousRoles,
+    to: roles,
+    revokedSessions
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor policy updated successfully',
+    data: {
+      requiredRoles: roles,
+      revokedSessions
+    }
+  });
+});
@@ -1,7 +1,28 @@
-import User from '../models/User.js';
-import { generateToken, generateRefreshToken, verifyRefreshToken } from '../middleware/auth.js';
+import jwt from 'jsonwebtoken';
+import User, { MINOR_AGE } from '../models/User.js';
+import Session from '../models/Session.js';
+import Setting from '../models/Setting.js';
+import LoginEvent from '../models/LoginEvent.js';
+import Notification from '../models/Notification.js';
+import {
+  generateToken,
+  generateRefreshToken,
+  verifyRefreshToken,
+  generateChallengeToken,
+  verifyChallengeToken
+} from '../middleware/auth.js';
 import { AppError, catchAsync } from '../middleware/errorHandler.js';
 import crypto from 'crypto';
+import { hashToken, truncate, getAge } from '../utils/helpers.js';
+import { generateSecret, getProvisioningUri } from '../utils/totp.js';
+import {
+  sendWelcomeEmail,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendAccountLockedEmail
+} from '../utils/email.js';
+
+const PASSWORD_REUSED_MESSAGE = 'Password was used recently, please choose a different one';
 
 /**
  * @swagger
@@ -16,13 +37,17 @@ import crypto from 'crypto';
  *         fullName:
  *           type: string
  *           example: "Ahmed Hassan"
+ *         handle:
+ *           type: string
+ *           description: Unique handle the user is @mentioned by
+ *           example: "ahmedhassan"
  *         email:
  *           type: string
  *           format: email
  *           example: "ahmed@example.com"
  *         role:
  *           type: string
- *           enum: [student, imaam, admin]
+ *           enum: [student, imaam, guardian, admin]
  *           example: "student"
  *         islamicProfile:
  *           type: string
@@ -35,21 +60,215 @@ import crypto from 'crypto';
  *           example: "https://example.com/profile.jpg"
  *         isVerified:
  *           type: boolean
+ *           description: Imaam verified by an admin
  *           example: false
+ *         isEmailVerified:
+ *           type: boolean
+ *           example: true
  *         isActive:
  *           type: boolean
  *           example: true
+ *         connectionsCount:
+ *           type: number
+ *           description: Accepted mutual connections
+ *           example: 3
+ *         followersCount:
+ *           type: number
+ *           example: 42
+ *         followingCount:
+ *           type: number
+ *           example: 17
  *         createdAt:
  *           type: string
  *           format: date-time
  *         updatedAt:
  *           type: string
  *           format: date-time
+ *     Session:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "60f7b3b3b3b3b3b3b3b3b3b3"
+ *         userAgent:
+ *           type: string
+ *           example: "Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X)"
+ *         ip:
+ *           type: string
+ *           example: "203.0.113.7"
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         current:
+ *           type: boolean
+ *           description: Whether this is the session making the request
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     LoginEvent:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "60f7b3b3b3b3b3b3b3b3b3b3"
+ *         success:
+ *           type: boolean
+ *         failureReason:
+ *           type: string
+ *           enum: [invalid_password, invalid_two_factor_code, account_locked, account_inactive]
+ *         ip:
+ *           type: string
+ *           example: "203.0.113.7"
+ *         userAgent:
+ *           type: string
+ *         newDevice:
+ *           type: boolean
+ *           description: First successful sign-in from this browser or app
+ *         session:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
  */
 
+// When a refresh token stops being accepted
+const refreshTokenExpiry = (refreshToken) => new Date(jwt.decode(refreshToken).exp * 1000);
+
+// Start a session for a device and issue its tokens
+const startSession = async (user, req) => {
+  const session = new Session({
+    user: user._id,
+    userAgent: req.get('User-Agent'),
+    ip: req.ip
+  });
+
+  const token = generateToken(user._id, session._id);
+  const refreshToken = generateRefreshToken(user._id, session._id);
+
+  session.refreshTokenHash = hashToken(refreshToken);
+  session.expiresAt = refreshTokenExpiry(refreshToken);
+  await session.save();
+
+  // A new session is a successful sign-in
+  await user.resetLoginSecurity();
+  const event = await LoginEvent.recordSuccess(user, req, session._id);
+  if (event.newDevice) {
+    await Notification.createNotification({
+      recipient: user._id,
+      type: 'security_alert',
+      title: 'New sign-in to your account',
+      message: `Your account was signed in from a new device (${truncate(event.userAgent || 'unknown device', 80)}, IP ${event.ip}). If this wasn't you, reset your password and sign out all sessions.`,
+      relatedEntity: session._id,
+      relatedEntityType: 'session',
+      actionData: {
+        sessionId: session._id,
+        ip: event.ip,
+        userAgent: event.userAgent
+      }
+    });
+  }
+
+  return { token, refreshToken };
+};
+
+// Message for a sign-in attempt on a locked account
+const lockedMessage = (lockedUntil) =>
+  `Account is locked after too many failed sign-in attempts. Try again after ${lockedUntil.toISOString()} or use the unlock link sent to your email.`;
+
+// Record a failed sign-in and lock the account when it reaches the limit
+// Returns the AppError to send
+const failLogin = async (user, req, reason, message) => {
+  await LoginEvent.recordFailure(user, req, reason);
+  const lock = await user.recordFailedLogin();
+
+  if (!lock) {
+    return new AppError(message, 401);
+  }
+
+  try {
+    await sendAccountLockedEmail(user.email, user.fullName, lock.unlockToken, lock.lockedUntil);
+  } catch (error) {
+    console.error(`Account locked email to ${user.email} failed:`, error.message);
+  }
+
+  return new AppError(lockedMessage(lock.lockedUntil), 423);
+};
+
+// Whether the user's role must use two-factor authentication
+const isTwoFactorRequired = async (user) => {
+  const roles = await Setting.getTwoFactorRequiredRoles();
+  return roles.includes(user.role);
+};
+
+// Record a completed login, start a session and send its tokens
+const sendLogin = async (user, req, res, message = 'Login successful') => {
+  user.lastLogin = new Date();
+  await user.save();
+
+  const { token, refreshToken } = await startSession(user, req);
+
+  res.status(200).json({
+    success: true,
+    message,
+    data: {
+      user: user.getPublicProfile(),
+      token,
+      refreshToken
+    }
+  });
+};
+
+// After a correct password, ask for a second factor when needed, otherwise finish the login
+const completePasswordLogin = async (user, req, res, message) => {
+  // Ask for the authenticator code before issuing tokens
+  if (user.twoFactor.enabled) {
+    return res.status(200).json({
+      success: true,
+      message: 'Enter the code from your authenticator app',
+      data: {
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user._id, 'login')
+      }
+    });
+  }
+
+  if (await isTwoFactorRequired(user)) {
+    return res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication is required for your account. Set it up to continue.',
+      data: {
+        twoFactorSetupRequired: true,
+        challengeToken: generateChallengeToken(user._id, 'setup')
+      }
+    });
+  }
+
+  await sendLogin(user, req, res, message);
+};
+
+// Queue an email with a new verification link (valid for 24 hours)
+const sendEmailVerification = async (user) => {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+
+  await User.updateOne({ _id: user._id }, {
+    emailVerificationToken: hashToken(verificationToken),
+    emailVerificationExpire: Date.now() + 24 * 60 * 60 * 1000
+  });
+
+  await sendVerificationEmail(user.email, user.fullName, verificationToken);
+};
+
 // Register user
 export const register = catchAsync(async (req, res, next) => {
-  const { fullName, email, password, role, islamicProfile, bio } = req.body;
+  const { fullName, email, password, role, islamicProfile, bio, dateOfBirth } = req.body;
+
+  // Children get their accounts from a guardian
+  if (dateOfBirth && getAge(dateOfBirth) < MINOR_AGE) {
+    return next(new AppError(`Users under ${MINOR_AGE} must be registered by a parent or guardian`, 403));
+  }
 
   // Check if user already exists
   const existingUser = await User.findOne({ email });
@@ -64,16 +283,32 @@ export const register = catchAsync(async (req, res, next) => {
     password,
     role,
     islamicProfile,
-    bio
+    bio,
+    dateOfBirth
   });
 
-  // Generate tokens
-  const token = generateToken(user._id);
-  const refreshToken = generateRefreshToken(user._id);
-
   // Remove password from output
   user.password = undefined;
 
+  await sendWelcomeEmail(user.email, user.fullName);
+  await sendEmailVerification(user);
+
+  // Roles that require two-factor authentication must set it up before getting a session
+  if (await isTwoFactorRequired(user)) {
+    return res.status(201).json({
+      success: true,
+      message: 'User registered successfully. Set up two-factor authentication to continue.',
+      data: {
+        user,
+        twoFactorSetupRequired: true,
+        challengeToken: generateChallengeToken(user._id, 'setup')
+      }
+    });
+  }
+
+  // Generate tokens
+  const { token, refreshToken } = await startSession(user, req);
+
   res.status(201).json({
     success: true,
     message: 'User registered successfully',
@@ -97,41 +332,250 @@ export const login = catchAsync(async (req, res, next) => {
 
   // Check if user is active
   if (!user.isActive) {
+    await LoginEvent.recordFailure(user, req, 'account_inactive');
+
+    if (user.deletion && user.deletion.scheduledFor) {
+      return next(new AppError('Account is scheduled for deletion. Restore it to sign in again.', 403));
+    }
+
     return next(new AppError('Account has been deactivated', 401));
   }
 
+  // Do not check passwords while locked
+  if (user.isLocked) {
+    await LoginEvent.recordFailure(user, req, 'account_locked');
+    return next(new AppError(lockedMessage(user.loginSecurity.lockedUntil), 423));
+  }
+
   // Check password
   const isPasswordCorrect = await user.comparePassword(password);
   if (!isPasswordCorrect) {
+    return next(await failLogin(user, req, 'invalid_password', 'Invalid email or password'));
+  }
+
+  await completePasswordLogin(user, req, res);
+});
+
+// Restore an account during its deletion grace period
+export const restoreAccount = catchAsync(async (req, res, next) => {
+  const { email, password } = req.body;
+
+  const user = await User.findOne({ email }).select('+password');
+  if (!user) {
     return next(new AppError('Invalid email or password', 401));
   }
 
-  // Update last login
-  user.lastLogin = new Date();
+  if (user.isLocked) {
+    await LoginEvent.recordFailure(user, req, 'account_locked');
+    return next(new AppError(lockedMessage(user.loginSecurity.lockedUntil), 423));
+  }
+
+  const isPasswordCorrect = await user.comparePassword(password);
+  if (!isPasswordCorrect) {
+    return next(await failLogin(user, req, 'invalid_password', 'Invalid email or password'));
+  }
+
+  if (!user.deletion || !user.deletion.scheduledFor) {
+    return next(new AppError('Account is not scheduled for deletion', 400));
+  }
+
+  // A suspension still applies after the deletion is cancelled
+  if (user.suspension && user.suspension.suspendedAt) {
+    return next(new AppError('Account has been deactivated', 401));
+  }
+
+  if (user.deletion.scheduledFor <= new Date()) {
+    return next(new AppError('The grace period is over and the account can no longer be restored', 410));
+  }
+
+  await user.restoreFromDeletion();
+
+  await completePasswordLogin(user, req, res, 'Account restored successfully');
+});
+
+// Complete a login with an authenticator or recovery code
+export const verifyTwoFactorLogin = catchAsync(async (req, res, next) => {
+  const { challengeToken, code } = req.body;
+
+  let decoded;
+  try {
+    decoded = verifyChallengeToken(challengeToken, 'login');
+  } catch (error) {
+    return next(new AppError('Invalid or expired challenge. Please login again.', 401));
+  }
+
+  const user = await User.findById(decoded.userId).select('+twoFactor.secret');
+  if (!user || !user.isActive || !user.twoFactor.enabled) {
+    return next(new AppError('Invalid or expired challenge. Please login again.', 401));
+  }
+
+  if (user.isLocked) {
+    await LoginEvent.recordFailure(user, req, 'account_locked');
+    return next(new AppError(lockedMessage(user.loginSecurity.lockedUntil), 423));
+  }
+
+  const method = await user.verifyTwoFactorCode(code);
+  if (!method) {
+    return next(await failLogin(user, req, 'invalid_two_factor_code', 'Invalid authentication code'));
+  }
+
+  await sendLogin(user, req, res, method === 'recovery'
+    ? 'Login successful. A recovery code was used; generate new codes if you are running low.'
+    : 'Login successful');
+});
+
+// Get two-factor status of the current user
+export const getTwoFactorStatus = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user._id).select('+twoFactor.recoveryCodes');
+
+  res.status(200).json({
+    success: true,
+    data: {
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      required: await isTwoFactorRequired(user),
+      recoveryCodesRemaining: user.twoFactor.enabled ? user.twoFactor.recoveryCodes.length : 0
+    }
+  });
+});
+
+// Start two-factor setup with a new secret
+export const setupTwoFactor = catchAsync(async (req, res, next) => {
+  if (req.user.twoFactor.enabled) {
+    return next(new AppError('Two-factor authentication is already enabled', 400));
+  }
+
+  const secret = generateSecret();
+  await User.updateOne(
+    { _id: req.user._id },
+    { $set: { 'twoFactor.secret': secret }, $unset: { 'twoFactor.lastUsedStep': 1 } }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Scan the QR code with your authenticator app, then confirm with a code',
+    data: {
+      secret,
+      otpauthUri: getProvisioningUri(secret, req.user.email)
+    }
+  });
+});
+
+// Confirm two-factor setup with a code from the authenticator app
+export const enableTwoFactor = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user._id).select('+twoFactor.secret');
+
+  if (user.twoFactor.enabled) {
+    return next(new AppError('Two-factor authentication is already enabled', 400));
+  }
+  if (!user.twoFactor.secret) {
+    return next(new AppError('Start two-factor setup first', 400));
+  }
+
+  if (await user.verifyTwoFactorCode(req.body.code) !== 'totp') {
+    return next(new AppError('Invalid authentication code', 400));
+  }
+
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  const recoveryCodes = user.generateRecoveryCodes();
+
+  // Finishing a setup required at login also completes the login
+  if (req.twoFactorChallenge) {
+    user.lastLogin = new Date();
+  }
   await user.save();
 
-  // Generate tokens
-  const token = generateToken(user._id);
-  const refreshToken = generateRefreshToken(user._id);
+  const message = 'Two-factor authentication enabled. Store your recovery codes somewhere safe; they will not be shown again.';
 
-  // Remove password from output
-  user.password = undefined;
+  if (req.twoFactorChallenge) {
+    const { token, refreshToken } = await startSession(user, req);
+
+    return res.status(200).json({
+      success: true,
+      message,
+      data: {
+        recoveryCodes,
+        user: user.getPublicProfile(),
+        token,
+        refreshToken
+      }
+    });
+  }
 
   res.status(200).json({
     success: true,
-    message: 'Login successful',
+    message,
     data: {
-      user,
-      token,
-      refreshToken
+      recoveryCodes
+    }
+  });
+});
+
+// Turn off two-factor authentication
+export const disableTwoFactor = catchAsync(async (req, res, next) => {
+  const { password, code } = req.body;
+  const user = await User.findById(req.user._id).select('+password +twoFactor.secret');
+
+  if (!user.twoFactor.enabled) {
+    return next(new AppError('Two-factor authentication is not enabled', 400));
+  }
+  if (await isTwoFactorRequired(user)) {
+    return next(new AppError(`Two-factor authentication is required for ${user.role} accounts`, 403));
+  }
+  if (!(await user.comparePassword(password))) {
+    return next(new AppError('Password is incorrect', 401));
+  }
+  if (!(await user.verifyTwoFactorCode(code))) {
+    return next(new AppError('Invalid authentication code', 401));
+  }
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: { 'twoFactor.enabled': false },
+      $unset: {
+        'twoFactor.secret': 1,
+        'twoFactor.lastUsedStep': 1,
+        'twoFactor.recoveryCodes': 1,
+        'twoFactor.enabledAt': 1
+      }
+    }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication disabled'
+  });
+});
+
+// Replace the recovery codes
+export const regenerateRecoveryCodes = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user._id).select('+twoFactor.secret');
+
+  if (!user.twoFactor.enabled) {
+    return next(new AppError('Two-factor authentication is not enabled', 400));
+  }
+  if (await user.verifyTwoFactorCode(req.body.code) !== 'totp') {
+    return next(new AppError('Invalid authentication code', 401));
+  }
+
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'New recovery codes generated. Previous codes no longer work.',
+    data: {
+      recoveryCodes
     }
   });
 });
 
 // Logout user
 export const logout = catchAsync(async (req, res, next) => {
-  // In a more sophisticated setup, you might want to blacklist the token
-  // For now, we'll just return success
+  await Session.revoke({ _id: req.sessionId }, 'logout');
+
   res.status(200).json({
     success: true,
     message: 'Logout successful'
@@ -146,28 +590,140 @@ export const refreshToken = catchAsync(async (req, res, next) => {
     return next(new AppError('Refresh token is required', 400));
   }
 
+  let decoded;
   try {
     // Verify refresh token
-    const decoded = verifyRefreshToken(refreshToken);
-    
-    // Get user
-    const user = await User.findById(decoded.userId);
-    if (!user || !user.isActive) {
-      return next(new AppError('User not found or inactive', 401));
+    decoded = verifyRefreshToken(refreshToken);
+  } catch (error) {
+    return next(new AppError('Invalid refresh token', 401));
+  }
+
+  if (!decoded.sessionId) {
+    return next(new AppError('Invalid refresh token', 401));
+  }
+
+  // Get user
+  const user = await User.findById(decoded.userId);
+  if (!user || !user.isActive) {
+    return next(new AppError('User not found or inactive', 401));
+  }
+
+  // Sessions of a role that now requires two-factor authentication end until it is set up
+  if (!user.twoFactor.enabled && await isTwoFactorRequired(user)) {
+    await Session.revoke({ _id: decoded.sessionId }, 'two_factor_required');
+    return next(new AppError('Two-factor authentication is required for your account. Please login again to set it up.', 401));
+  }
+
+  // Every refresh token can be used once; the session gets a new one each time
+  const newRefreshToken = generateRefreshToken(user._id, decoded.sessionId);
+  const session = await Session.rotate(decoded.sessionId, refreshToken, newRefreshToken, {
+    expiresAt: refreshTokenExpiry(newRefreshToken),
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  if (!session) {
+    return next(new AppError('Refresh token has been revoked. Please login again.', 401));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      token: generateToken(user._id, session._id),
+      refreshToken: newRefreshToken
     }
+  });
+});
 
-    // Generate new access token
-    const newToken = generateToken(user._id);
+// Unlock an account with the token from the lockout email
+export const unlockAccount = catchAsync(async (req, res, next) => {
+  const user = await User.unlockWithToken(req.body.token);
 
-    res.status(200).json({
-      success: true,
-      data: {
-        token: newToken
+  if (!user) {
+    return next(new AppError('Invalid or expired unlock token', 400));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Account unlocked. You can now sign in.'
+  });
+});
+
+// Get sign-in history of the current user
+export const getLoginEvents = catchAsync(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+
+  const [events, total] = await Promise.all([
+    LoginEvent.getHistory(req.user._id, page, limit),
+    LoginEvent.countDocuments({ user: req.user._id })
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      events,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
       }
-    });
-  } catch (error) {
-    return next(new AppError('Invalid refresh token', 401));
+    }
+  });
+});
+
+// Get active sessions of the current user
+export const getSessions = catchAsync(async (req, res, next) => {
+  const sessions = await Session.getActiveSessions(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: sessions.map(session => ({
+      _id: session._id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      createdAt: session.createdAt,
+      current: session._id.toString() === req.sessionId
+    }))
+  });
+});
+
+// Sign out one session of the current user
+export const revokeSession = catchAsync(async (req, res, next) => {
+  const revoked = await Session.revoke({ _id: req.params.id, user: req.user._id }, 'logout');
+
+  if (!revoked) {
+    return next(new AppError('Active session not found', 404));
   }
+
+  res.status(200).json({
+    success: true,
+    message: 'Session signed out successfully'
+  });
+});
+
+// Sign out every session of the current user
+export const revokeAllSessions = catchAsync(async (req, res, next) => {
+  const filter = { user: req.user._id };
+
+  // Optionally stay signed in on this device
+  if (req.query.keepCurrent === 'true') {
+    filter._id = { $ne: req.sessionId };
+  }
+
+  const revoked = await Session.revoke(filter, 'logout_all');
+
+  res.status(200).json({
+    success: true,
+    message: `${revoked} session(s) signed out`,
+    data: {
+      revoked
+    }
+  });
 });
 
 // Forgot password
@@ -175,33 +731,23 @@ export const forgotPassword = catchAsync(async (req, res, next) => {
   const { email } = req.body;
 
   const user = await User.findOne({ email });
-  if (!user) {
-    return next(new AppError('User with this email does not exist', 404));
-  }
 
-  // Generate reset token
-  const resetToken = crypto.randomBytes(32).toString('hex');
-  
-  // Hash token and set to resetPasswordToken field
-  user.resetPasswordToken = crypto
-    .createHash('sha256')
-    .update(resetToken)
-    .digest('hex');
-  
-  // Set token expire time (10 minutes)
-  user.resetPasswordExpire = Date.now() + 10 * 60 * 1000;
-  
-  await user.save({ validateBeforeSave: false });
+  // Same response whether or not the account exists, so emails cannot be probed
+  if (user && user.isActive) {
+    const resetToken = crypto.randomBytes(32).toString('hex');
+
+    // Only the hash is stored; the token itself is only ever sent by email
+    await User.updateOne({ _id: user._id }, {
+      resetPasswordToken: hashToken(resetToken),
+      resetPasswordExpire: Date.now() + 10 * 60 * 1000 // 10 minutes
+    });
 
-  // In a real application, you would send this via email
-  // For now, we'll just return the token (remove this in production)
-  const resetUrl = `${req.protocol}://${req.get('host')}/api/auth/reset-password/${resetToken}`;
+    await sendPasswordResetEmail(user.email, user.fullName, resetToken);
+  }
 
   res.status(200).json({
     success: true,
-    message: 'Password reset email sent',
-    // Remove this in production
-    resetUrl
+    message: 'If an account exists for that email, a password reset link has been sent'
   });
 });
 
@@ -213,15 +759,9 @@ export const resetPassword = catchAsync(async (req, res, next) => {
     return next(new AppError('Token and password are required', 400));
   }
 
-  // Hash token
-  const hashedToken = crypto
-    .createHash('sha256')
-    .update(token)
-    .digest('hex');
-
   // Find user by token and check if token is not expired
   const user = await User.findOne({
-    resetPasswordToken: hashedToken,
+    resetPasswordToken: hashToken(token),
     resetPasswordExpire: { $gt: Date.now() }
   });
 
@@ -229,6 +769,10 @@ export const resetPassword = catchAsync(async (req, res, next) => {
     return next(new AppError('Invalid or expired token', 400));
   }
 
+  if (await user.isPasswordReused(password)) {
+    return next(new AppError(PASSWORD_REUSED_MESSAGE, 400));
+  }
+
   // Set new password
   user.password = password;
   user.resetPasswordToken = undefined;
@@ -236,14 +780,49 @@ export const resetPassword = catchAsync(async (req, res, next) => {
   
   await user.save();
 
-  // Generate new token
-  const newToken = generateToken(user._id);
+  // Sign out every device that used the old password
+  await Session.revoke({ user: user._id }, 'password_reset');
+
+  // Deactivated and suspended accounts keep the new password but are not signed in
+  if (!user.isActive) {
+    return res.status(200).json({
+      success: true,
+      message: 'Password reset successful'
+    });
+  }
+
+  // The reset link only proves access to the email, so a second factor is still required
+  await completePasswordLogin(user, req, res, 'Password reset successful');
+});
+
+// Change password of the current user
+export const changePassword = catchAsync(async (req, res, next) => {
+  const { currentPassword, newPassword } = req.body;
+
+  const user = await User.findById(req.user._id).select('+password');
+
+  if (!(await user.comparePassword(currentPassword))) {
+    return next(new AppError('Current password is incorrect', 401));
+  }
+
+  if (await user.isPasswordReused(newPassword)) {
+    return next(new AppError(PASSWORD_REUSED_MESSAGE, 400));
+  }
+
+  user.password = newPassword;
+  await user.save();
+
+  // Sign out every other device; this one stays signed in
+  const revoked = await Session.revoke(
+    { user: user._id, _id: { $ne: req.sessionId } },
+    'password_change'
+  );
 
   res.status(200).json({
     success: true,
-    message: 'Password reset successful',
+    message: 'Password changed successfully',
     data: {
-      token: newToken
+      revoked
     }
   });
 });
@@ -256,29 +835,22 @@ export const verifyEmail = catchAsync(async (req, res, next) => {
     return next(new AppError('Verification token is required', 400));
   }
 
-  // Hash token
-  const hashedToken = crypto
-    .createHash('sha256')
-    .update(token)
-    .digest('hex');
-
   // Find user by token
-  const user = await User.findOne({
-    emailVerificationToken: hashedToken,
-    emailVerificationExpire: { $gt: Date.now() }
-  });
+  const user = await User.findOneAndUpdate(
+    {
+      emailVerificationToken: hashToken(token),
+      emailVerificationExpire: { $gt: Date.now() }
+    },
+    {
+      isEmailVerified: true,
+      $unset: { emailVerificationToken: 1, emailVerificationExpire: 1 }
+    }
+  );
 
   if (!user) {
     return next(new AppError('Invalid or expired verification token', 400));
   }
 
-  // Verify user
-  user.isVerified = true;
-  user.emailVerificationToken = undefined;
-  user.emailVerificationExpire = undefined;
-  
-  await user.save();
-
   res.status(200).json({
     success: true,
     message: 'Email verified successfully'
@@ -289,31 +861,14 @@ export const verifyEmail = catchAsync(async (req, res, next) => {
 export const resendVerification = catchAsync(async (req, res, next) => {
   const user = req.user;
 
-  if (user.isVerified) {
+  if (user.isEmailVerified) {
     return next(new AppError('Email is already verified', 400));
   }
 
-  // Generate verification token
-  const verificationToken = crypto.randomBytes(32).toString('hex');
-  
-  // Hash token and set to emailVerificationToken field
-  user.emailVerificationToken = crypto
-    .createHash('sha256')
-    .update(verificationToken)
-    .digest('hex');
-  
-  // Set token expire time (24 hours)
-  user.emailVerificationExpire = Date.now() + 24 * 60 * 60 * 1000;
-  
-  await user.save({ validateBeforeSave: false });
-
-  // In a real application, you would send this via email
-  const verificationUrl = `${req.protocol}://${req.get('host')}/api/auth/verify-email/${verificationToken}`;
+  await sendEmailVerification(user);
 
   res.status(200).json({
     success: true,
-    message: 'Verification email sent',
-    // Remove this in production
-    verificationUrl
+    message: 'Verification email sent'
   });
 });
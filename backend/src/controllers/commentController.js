@@ -1,7 +1,10 @@
 import Comment from '../models/Comment.js';
 import Post from '../models/Post.js';
 import Notification from '../models/Notification.js';
+import Revision from '../models/Revision.js';
 import { AppError, catchAsync } from '../middleware/errorHandler.js';
+import { canViewPost, canViewComment, getHiddenUserIds } from '../utils/visibility.js';
+import { resolveMentions, updateMentions, notifyMentions } from '../utils/mentions.js';
 
 /**
  * @swagger
@@ -48,6 +51,22 @@ import { AppError, catchAsync } from '../middleware/errorHandler.js';
  *           type: array
  *           items:
  *             $ref: '#/components/schemas/Comment'
+ *         formattedContent:
+ *           type: string
+ *           description: Escaped HTML of the content, with mentions and hashtags as links
+ *           example: "JazakAllah khair <a href=\"/users/60f7b3b3b3b3b3b3b3b3b3b3\" class=\"mention\">@ahmedhassan</a>"
+ *         mentions:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Mention'
+ *         isEdited:
+ *           type: boolean
+ *           description: True once the content was edited; see the revisions endpoint
+ *           example: false
+ *         editedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
  *         isLiked:
  *           type: boolean
  *           example: false
@@ -62,6 +81,21 @@ import { AppError, catchAsync } from '../middleware/errorHandler.js';
  *           format: date-time
  */
 
+// Authors manage their own comments; admins can manage any comment
+const canManageComment = (user, comment) =>
+  user.role === 'admin' || comment.author.toString() === user._id.toString();
+
+// Find a published comment the current user may see
+const findVisibleComment = async (req) => {
+  const comment = await Comment.findById(req.params.id);
+
+  if (!comment || comment.status !== 'published' || !(await canViewComment(req.user, comment))) {
+    throw new AppError('Comment not found', 404);
+  }
+
+  return comment;
+};
+
 // Create a new comment
 export const createComment = catchAsync(async (req, res, next) => {
   const { post, content, parentComment } = req.body;
@@ -72,14 +106,14 @@ export const createComment = catchAsync(async (req, res, next) => {
     return next(new AppError('Post not found', 404));
   }
 
-  if (postExists.status !== 'published') {
+  if (postExists.status !== 'published' || !(await canViewPost(req.user, postExists))) {
     return next(new AppError('Post not found', 404));
   }
 
   // If this is a reply, check if parent comment exists
   if (parentComment) {
     const parentExists = await Comment.findById(parentComment);
-    if (!parentExists) {
+    if (!parentExists || !(await canViewComment(req.user, parentExists))) {
       return next(new AppError('Parent comment not found', 404));
     }
   }
@@ -88,7 +122,8 @@ export const createComment = catchAsync(async (req, res, next) => {
     post,
     author: req.user._id,
     content,
-    parentComment: parentComment || null
+    parentComment: parentComment || null,
+    mentions: await resolveMentions(content)
   });
 
   // Populate author information
@@ -133,6 +168,8 @@ export const createComment = catchAsync(async (req, res, next) => {
     }
   }
 
+  await notifyMentions(comment.mentions, { sender: req.user, post: postExists, comment });
+
   res.status(201).json({
     success: true,
     message: 'Comment created successfully',
@@ -146,13 +183,14 @@ export const getComments = catchAsync(async (req, res, next) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 20;
 
-  // Check if post exists
+  // Check if post exists and is visible to the current user
   const post = await Post.findById(postId);
-  if (!post) {
+  if (!post || post.status !== 'published' || !(await canViewPost(req.user, post))) {
     return next(new AppError('Post not found', 404));
   }
 
-  const comments = await Comment.getPostComments(postId, page, limit);
+  const hiddenUserIds = await getHiddenUserIds(req.user);
+  const comments = await Comment.getPostComments(postId, page, limit, hiddenUserIds);
 
   // Add like status for current user
   const commentsWithLikeStatus = comments.map(comment => {
@@ -183,13 +221,11 @@ export const getCommentReplies = catchAsync(async (req, res, next) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
 
-  // Check if comment exists
-  const comment = await Comment.findById(id);
-  if (!comment) {
-    return next(new AppError('Comment not found', 404));
-  }
+  // Replies of deleted or hidden comments are not listed
+  await findVisibleComment(req);
 
-  const replies = await Comment.getCommentReplies(id, page, limit);
+  const hiddenUserIds = await getHiddenUserIds(req.user);
+  const replies = await Comment.getCommentReplies(id, page, limit, hiddenUserIds);
 
   // Add like status for current user
   const repliesWithLikeStatus = replies.map(reply => {
@@ -208,13 +244,13 @@ export const getCommentReplies = catchAsync(async (req, res, next) => {
 export const getCommentById = catchAsync(async (req, res, next) => {
   const comment = await Comment.findById(req.params.id)
     .populate('author', 'fullName profilePicture role islamicProfile')
-    .populate('post', 'content author');
+    .populate('post', 'content author visibility status');
 
   if (!comment) {
     return next(new AppError('Comment not found', 404));
   }
 
-  if (comment.status !== 'published') {
+  if (comment.status !== 'published' || !(await canViewComment(req.user, comment))) {
     return next(new AppError('Comment not found', 404));
   }
 
@@ -241,9 +277,31 @@ export const updateComment = catchAsync(async (req, res, next) => {
     return next(new AppError('Comment not found', 404));
   }
 
+  if (!canManageComment(req.user, comment)) {
+    return next(new AppError('You can only edit your own comments', 403));
+  }
+
+  const previousContent = comment.content;
   comment.content = content;
+
+  // Every edit is kept as a revision
+  const isRevision = comment.isModified('content');
+  let newMentions = [];
+  if (isRevision) {
+    comment.isEdited = true;
+    comment.editedAt = new Date();
+    newMentions = await updateMentions(comment);
+  }
+
   await comment.save();
 
+  if (isRevision) {
+    await Revision.record('comment', comment, previousContent, { editor: req.user._id });
+
+    const post = await Post.findById(comment.post).select('author visibility status');
+    await notifyMentions(newMentions, { sender: req.user, post, comment });
+  }
+
   // Populate author information
   await comment.populate('author', 'fullName profilePicture role islamicProfile');
 
@@ -265,6 +323,10 @@ export const deleteComment = catchAsync(async (req, res, next) => {
     return next(new AppError('Comment not found', 404));
   }
 
+  if (!canManageComment(req.user, comment)) {
+    return next(new AppError('You can only delete your own comments', 403));
+  }
+
   // Soft delete - mark as deleted instead of removing
   comment.status = 'deleted';
   await comment.save();
@@ -275,6 +337,36 @@ export const deleteComment = catchAsync(async (req, res, next) => {
   });
 });
 
+// Get every version of a comment, oldest first
+export const getCommentRevisions = catchAsync(async (req, res, next) => {
+  const comment = await findVisibleComment(req);
+  const revisions = await Revision.getHistory('comment', comment);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      isEdited: comment.isEdited,
+      revisions
+    }
+  });
+});
+
+// Compare two versions of a comment word by word
+export const getCommentRevisionDiff = catchAsync(async (req, res, next) => {
+  const comment = await findVisibleComment(req);
+  const revisions = await Revision.getHistory('comment', comment);
+
+  const diff = Revision.compare(revisions, parseInt(req.query.from), parseInt(req.query.to));
+  if (!diff) {
+    return next(new AppError('Revision not found', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: diff
+  });
+});
+
 // Like a comment
 export const likeComment = catchAsync(async (req, res, next) => {
   const comment = await Comment.findById(req.params.id);
@@ -282,7 +374,7 @@ export const likeComment = catchAsync(async (req, res, next) => {
     return next(new AppError('Comment not found', 404));
   }
 
-  if (comment.status !== 'published') {
+  if (comment.status !== 'published' || !(await canViewComment(req.user, comment))) {
     return next(new AppError('Comment not found', 404));
   }
 
@@ -327,7 +419,7 @@ export const unlikeComment = catchAsync(async (req, res, next) => {
     return next(new AppError('Comment not found', 404));
   }
 
-  if (comment.status !== 'published') {
+  if (comment.status !== 'published' || !(await canViewComment(req.user, comment))) {
     return next(new AppError('Comment not found', 404));
   }
 
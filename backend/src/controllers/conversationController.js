@@ -0,0 +1,424 @@
+import Conversation, { MAX_GROUP_PARTICIPANTS } from '../models/Conversation.js';
+import Message from '../models/Message.js';
+import User from '../models/User.js';
+import Connection from '../models/Connection.js';
+import Block from '../models/Block.js';
+import Notification from '../models/Notification.js';
+import { AppError, catchAsync } from '../middleware/errorHandler.js';
+import { pushToUser } from '../utils/notificationStream.js';
+import { truncate } from '../utils/helpers.js';
+import { getChildMessagingRestriction } from '../utils/guardian.js';
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Conversation:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "60f7b3b3b3b3b3b3b3b3b3b3"
+ *         type:
+ *           type: string
+ *           enum: [direct, group]
+ *           example: "direct"
+ *         title:
+ *           type: string
+ *           example: "Tajweed Study Circle"
+ *         participants:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               _id:
+ *                 type: string
+ *               fullName:
+ *                 type: string
+ *               profilePicture:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *         lastMessage:
+ *           type: object
+ *           properties:
+ *             content:
+ *               type: string
+ *               example: "JazakAllah khair for today's lesson"
+ *             sender:
+ *               type: object
+ *             sentAt:
+ *               type: string
+ *               format: date-time
+ *         unreadCount:
+ *           type: number
+ *           example: 2
+ *         lastMessageAt:
+ *           type: string
+ *           format: date-time
+ *     Message:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "60f7b3b3b3b3b3b3b3b3b3b5"
+ *         conversation:
+ *           type: string
+ *         sender:
+ *           type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             fullName:
+ *               type: string
+ *               example: "Imam Abdullah"
+ *         content:
+ *           type: string
+ *           example: "Assalamu Alaikum, see you at the next class."
+ *         readBy:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               user:
+ *                 type: string
+ *               readAt:
+ *                 type: string
+ *                 format: date-time
+ *         isRead:
+ *           type: boolean
+ *           example: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// Load a conversation the current user takes part in
+const findUserConversation = async (conversationId, userId) => {
+  const conversation = await Conversation.findById(conversationId);
+
+  if (!conversation || !conversation.isParticipant(userId)) {
+    throw new AppError('Conversation not found', 404);
+  }
+
+  return conversation;
+};
+
+// Key of an unordered pair of users
+const pairKey = (userId1, userId2) => [userId1.toString(), userId2.toString()].sort().join(':');
+
+// Check that a user is connected with each of the other users, with no block between them.
+// With everyPair, the other users must also be connected with one another.
+const areMembersConnected = async (userId, otherIds, { everyPair = false } = {}) => {
+  const ids = [userId, ...otherIds].map(id => id.toString());
+  const pairs = everyPair
+    ? ids.flatMap((id, index) => ids.slice(index + 1).map(otherId => [id, otherId]))
+    : otherIds.map(otherId => [userId, otherId]);
+
+  const [connections, blocks] = await Promise.all([
+    Connection.find({ requester: { $in: ids }, recipient: { $in: ids }, status: 'accepted' }).select('requester recipient'),
+    Block.find({ blocker: { $in: ids }, blocked: { $in: ids } }).select('blocker blocked')
+  ]);
+
+  const connected = new Set(connections.map(connection => pairKey(connection.requester, connection.recipient)));
+  const blocked = new Set(blocks.map(block => pairKey(block.blocker, block.blocked)));
+
+  return pairs.every(([id, otherId]) => {
+    const key = pairKey(id, otherId);
+    return connected.has(key) && !blocked.has(key);
+  });
+};
+
+// Add the current user's unread count to a conversation
+const withUnreadCount = (conversation, userId) => {
+  const conversationObj = conversation.toObject();
+  conversationObj.unreadCount = conversation.getUnreadCount(userId);
+  return conversationObj;
+};
+
+// Start a direct or group conversation
+export const createConversation = catchAsync(async (req, res, next) => {
+  const { participants, title } = req.body;
+  const currentUserId = req.user._id.toString();
+
+  const otherIds = [...new Set(participants.map(id => id.toString()))]
+    .filter(id => id !== currentUserId);
+
+  if (otherIds.length === 0) {
+    return next(new AppError('Cannot start a conversation with yourself', 400));
+  }
+
+  if (otherIds.length + 1 > MAX_GROUP_PARTICIPANTS) {
+    return next(new AppError(`A conversation cannot have more than ${MAX_GROUP_PARTICIPANTS} participants`, 400));
+  }
+
+  // Check that all participants exist
+  const users = await User.find({ _id: { $in: otherIds }, isActive: true }).select('_id role guardian');
+  if (users.length !== otherIds.length) {
+    return next(new AppError('User not found', 404));
+  }
+
+  const restriction = getChildMessagingRestriction([req.user, ...users]);
+  if (restriction) {
+    return next(new AppError(restriction, 403));
+  }
+
+  // Only connected users can message each other, so everyone in a group must be connected with everyone else
+  if (!(await areMembersConnected(req.user._id, otherIds, { everyPair: true }))) {
+    return next(new AppError(
+      otherIds.length === 1
+        ? 'You can only message users you are connected with'
+        : 'Everyone in a group conversation must be connected with each other',
+      403
+    ));
+  }
+
+  // Reuse the existing direct conversation between two users
+  if (otherIds.length === 1) {
+    const existing = await Conversation.findDirect(req.user._id, otherIds[0]);
+    if (existing) {
+      await existing.populate('participants', 'fullName profilePicture role islamicProfile');
+
+      return res.status(200).json({
+        success: true,
+        message: 'Conversation already exists',
+        data: withUnreadCount(existing, req.user._id)
+      });
+    }
+  }
+
+  const isDirect = otherIds.length === 1;
+  const conversation = await Conversation.create({
+    type: isDirect ? 'direct' : 'group',
+    participants: [req.user._id, ...otherIds],
+    title: isDirect ? undefined : title,
+    createdBy: req.user._id,
+    directKey: isDirect ? Conversation.getDirectKey(req.user._id, otherIds[0]) : undefined
+  });
+
+  await conversation.populate('participants', 'fullName profilePicture role islamicProfile');
+
+  res.status(201).json({
+    success: true,
+    message: 'Conversation created successfully',
+    data: withUnreadCount(conversation, req.user._id)
+  });
+});
+
+// Get current user's conversations
+export const getConversations = catchAsync(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+
+  const conversations = await Conversation.getUserConversations(req.user._id, page, limit);
+  const total = await Conversation.countDocuments({ participants: req.user._id });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      conversations: conversations.map(conversation => withUnreadCount(conversation, req.user._id)),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    }
+  });
+});
+
+// Get total unread messages across all conversations
+export const getUnreadMessagesCount = catchAsync(async (req, res, next) => {
+  const unreadCount = await Conversation.getTotalUnread(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      unreadCount
+    }
+  });
+});
+
+// Get conversation by ID
+export const getConversationById = catchAsync(async (req, res, next) => {
+  const conversation = await findUserConversation(req.params.id, req.user._id);
+
+  await conversation.populate('participants', 'fullName profilePicture role islamicProfile');
+
+  res.status(200).json({
+    success: true,
+    data: withUnreadCount(conversation, req.user._id)
+  });
+});
+
+// Get messages of a conversation
+export const getMessages = catchAsync(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 30;
+
+  const conversation = await findUserConversation(req.params.id, req.user._id);
+
+  const messages = await Message.getConversationMessages(conversation._id, page, limit);
+  const total = await Message.countDocuments({ conversation: conversation._id });
+
+  // Add read status for current user
+  const messagesWithReadStatus = messages.map(message => {
+    const messageObj = message.toObject();
+    messageObj.isRead = message.isReadBy(req.user._id);
+    return messageObj;
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      messages: messagesWithReadStatus,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    }
+  });
+});
+
+// Send a message
+export const sendMessage = catchAsync(async (req, res, next) => {
+  const { content } = req.body;
+
+  const conversation = await findUserConversation(req.params.id, req.user._id);
+  const recipients = conversation.participants
+    .filter(participantId => participantId.toString() !== req.user._id.toString());
+
+  // Child accounts keep to direct conversations with their imaams
+  const participants = await User.find({ _id: { $in: conversation.participants } }).select('_id role guardian');
+  const restriction = getChildMessagingRestriction(participants);
+  if (restriction) {
+    return next(new AppError(restriction, 403));
+  }
+
+  // The sender must still be connected with every recipient, and not blocked by any of them
+  if (!(await areMembersConnected(req.user._id, recipients))) {
+    return next(new AppError(
+      conversation.type === 'direct'
+        ? 'You can only message users you are connected with'
+        : 'You can only message groups whose members you are all connected with',
+      403
+    ));
+  }
+
+  const message = await Message.create({
+    conversation: conversation._id,
+    sender: req.user._id,
+    content
+  });
+
+  // Update preview and unread counters in one write
+  await Conversation.updateOne(
+    { _id: conversation._id },
+    {
+      $set: {
+        lastMessage: {
+          content: truncate(content, 100),
+          sender: req.user._id,
+          sentAt: message.createdAt
+        },
+        lastMessageAt: message.createdAt,
+        'participantState.$[self].lastReadAt': message.createdAt
+      },
+      $inc: { 'participantState.$[other].unreadCount': 1 }
+    },
+    {
+      arrayFilters: [
+        { 'self.user': req.user._id },
+        { 'other.user': { $ne: req.user._id } }
+      ]
+    }
+  );
+
+  await message.populate('sender', 'fullName profilePicture role');
+
+  const notificationMessage = conversation.type === 'group' && conversation.title
+    ? `${req.user.fullName} sent a message in ${conversation.title}`
+    : `${req.user.fullName} sent you a message`;
+
+  for (const recipientId of recipients) {
+    // Deliver the message itself to open chat windows
+    pushToUser(recipientId, 'message', message.toJSON());
+
+    await Notification.createNotification({
+      recipient: recipientId,
+      sender: req.user._id,
+      type: 'message_received',
+      title: 'New Message',
+      message: notificationMessage,
+      relatedEntity: conversation._id,
+      relatedEntityType: 'conversation',
+      actionData: {
+        conversationId: conversation._id,
+        messageId: message._id,
+        senderName: req.user.fullName
+      }
+    });
+  }
+
+  const messageObj = message.toObject();
+  messageObj.isRead = true;
+
+  res.status(201).json({
+    success: true,
+    message: 'Message sent successfully',
+    data: messageObj
+  });
+});
+
+// Mark all messages of a conversation as read
+export const markConversationRead = catchAsync(async (req, res, next) => {
+  const conversation = await findUserConversation(req.params.id, req.user._id);
+  const readAt = new Date();
+
+  await Message.markConversationRead(conversation._id, req.user._id);
+
+  await Conversation.updateOne(
+    { _id: conversation._id, 'participantState.user': req.user._id },
+    {
+      $set: {
+        'participantState.$.unreadCount': 0,
+        'participantState.$.lastReadAt': readAt
+      }
+    }
+  );
+
+  // Message notifications for this conversation are now stale
+  await Notification.updateMany(
+    {
+      recipient: req.user._id,
+      type: 'message_received',
+      relatedEntity: conversation._id,
+      isRead: false
+    },
+    { isRead: true, readAt }
+  );
+
+  // Read receipts for the other participants
+  conversation.participants
+    .filter(participantId => participantId.toString() !== req.user._id.toString())
+    .forEach(participantId => {
+      pushToUser(participantId, 'messages_read', {
+        conversationId: conversation._id,
+        userId: req.user._id,
+        readAt
+      });
+    });
+
+  res.status(200).json({
+    success: true,
+    message: 'Conversation marked as read',
+    data: {
+      conversationId: conversation._id,
+      unreadCount: 0
+    }
+  });
+});
@@ -0,0 +1,429 @@
+import User from '../models/User.js';
+import Connection from '../models/Connection.js';
+import Conversation from '../models/Conversation.js';
+import Message from '../models/Message.js';
+import Lesson from '../models/Lesson.js';
+import Notification from '../models/Notification.js';
+import GuardianApproval from '../models/GuardianApproval.js';
+import Block from '../models/Block.js';
+import { MINOR_AGE } from '../models/User.js';
+import { AppError, catchAsync } from '../middleware/errorHandler.js';
+import { getAge, truncate } from '../utils/helpers.js';
+import { sendConnectionRequestEmail } from '../utils/email.js';
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     GuardianApproval:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "60f7b3b3b3b3b3b3b3b3b3b3"
+ *         child:
+ *           type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             fullName:
+ *               type: string
+ *               example: "Yusuf Hassan"
+ *         type:
+ *           type: string
+ *           enum: [connection, lesson_booking]
+ *           example: "connection"
+ *         connection:
+ *           type: object
+ *           description: For connection requests
+ *           properties:
+ *             requester:
+ *               type: string
+ *             recipient:
+ *               type: object
+ *               properties:
+ *                 _id:
+ *                   type: string
+ *                 fullName:
+ *                   type: string
+ *                   example: "Imam Abdullah Rahman"
+ *             connectionType:
+ *               type: string
+ *               example: "student-teacher"
+ *             message:
+ *               type: string
+ *               example: "I would like to learn tajweed"
+ *         lesson:
+ *           type: object
+ *           description: For lesson bookings
+ *           properties:
+ *             _id:
+ *               type: string
+ *             title:
+ *               type: string
+ *               example: "Tajweed for beginners"
+ *             startTime:
+ *               type: string
+ *               format: date-time
+ *         rescheduleFrom:
+ *           type: string
+ *           nullable: true
+ *           description: For rescheduled bookings, the lesson the seat is moved from
+ *         status:
+ *           type: string
+ *           enum: [pending, approved, rejected, expired]
+ *           example: "pending"
+ *         decidedAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const CHILD_FIELDS = 'fullName email profilePicture islamicProfile dateOfBirth guardian createdAt';
+
+// Find a child of the current guardian
+const findChild = async (childId, guardianId) => {
+  return User.findOne({ _id: childId, guardian: guardianId });
+};
+
+// Tell the child what the guardian decided
+const notifyChild = (approval, guardian, approved) => {
+  const subject = approval.type === 'connection' ? 'connection request' : 'lesson booking';
+
+  return Notification.createNotification({
+    recipient: approval.child,
+    sender: guardian._id,
+    type: 'guardian_approval',
+    title: approved ? 'Request Approved' : 'Request Declined',
+    message: `Your guardian ${approved ? 'approved' : 'declined'} your ${subject}`,
+    relatedEntity: approval._id,
+    relatedEntityType: 'guardian_approval',
+    actionData: {
+      approvalId: approval._id,
+      approvalType: approval.type,
+      status: approval.status
+    }
+  });
+};
+
+// Send the connection request the guardian approved
+const sendApprovedConnection = async (approval, child) => {
+  const { requester, recipient, connectionType, message } = approval.connection;
+
+  const existing = await Connection.getConnection(requester, recipient);
+  if (existing || await Block.isBlockedBetween(requester, recipient)) {
+    return null;
+  }
+
+  const connection = await Connection.create({
+    requester,
+    recipient,
+    type: connectionType,
+    message: message || '',
+    status: 'pending'
+  });
+
+  await Notification.createNotification({
+    recipient,
+    sender: child._id,
+    type: 'connection_request',
+    title: 'New Connection Request',
+    message: `${child.fullName} wants to connect with you`,
+    relatedEntity: connection._id,
+    relatedEntityType: 'connection',
+    actionData: {
+      connectionId: connection._id,
+      requesterName: child.fullName
+    }
+  });
+
+  const imaam = await User.findById(recipient);
+  if (imaam && (!imaam.preferences || !imaam.preferences.notifications || imaam.preferences.notifications.email !== false)) {
+    await sendConnectionRequestEmail(imaam.email, imaam.fullName, child.fullName);
+  }
+
+  return connection;
+};
+
+// Book the lesson seat the guardian approved
+// A rescheduled booking gives up its previous seat once the new one is taken.
+const bookApprovedLesson = async (approval, child) => {
+  const booked = await Lesson.bookSeat(approval.lesson, child._id);
+  if (!booked) {
+    return null;
+  }
+
+  if (approval.rescheduleFrom) {
+    const released = await Lesson.releaseSeat(approval.rescheduleFrom, child._id);
+    if (!released) {
+      await Lesson.releaseSeat(booked._id, child._id);
+      return null;
+    }
+  }
+
+  await Notification.createNotification({
+    recipient: booked.imaam,
+    sender: child._id,
+    type: 'lesson_update',
+    title: approval.rescheduleFrom ? 'Booking Rescheduled' : 'Lesson Booked',
+    message: approval.rescheduleFrom
+      ? `${child.fullName} moved their booking to "${truncate(booked.title, 80)}"`
+      : `${child.fullName} booked "${truncate(booked.title, 80)}"`,
+    relatedEntity: booked._id,
+    relatedEntityType: 'lesson',
+    actionData: {
+      lessonId: booked._id,
+      studentName: child.fullName
+    }
+  });
+
+  return booked;
+};
+
+// Get the child accounts of the current guardian
+export const getChildren = catchAsync(async (req, res, next) => {
+  const children = await User.find({ guardian: req.user._id, isActive: true })
+    .select(CHILD_FIELDS)
+    .sort({ createdAt: 1 });
+
+  res.status(200).json({
+    success: true,
+    data: children
+  });
+});
+
+// Create a child student account
+export const createChild = catchAsync(async (req, res, next) => {
+  const { fullName, email, password, dateOfBirth, islamicProfile, bio } = req.body;
+
+  const existingUser = await User.findOne({ email });
+  if (existingUser) {
+    return next(new AppError('User with this email already exists', 400));
+  }
+
+  const child = await User.create({
+    fullName,
+    email,
+    password,
+    dateOfBirth,
+    role: 'student',
+    islamicProfile: islamicProfile || 'student',
+    bio,
+    guardian: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Child account created successfully',
+    data: await User.findById(child._id).select(CHILD_FIELDS)
+  });
+});
+
+// Ask an existing student account to accept the current user as guardian
+export const linkChild = catchAsync(async (req, res, next) => {
+  const child = await User.findOne({ email: req.body.email, isActive: true });
+
+  if (!child || child.role !== 'student' || child._id.equals(req.user._id)) {
+    return next(new AppError('Student account not found', 404));
+  }
+
+  if (child.guardian) {
+    return next(new AppError('This account is already linked to a guardian', 400));
+  }
+
+  child.guardianRequest = { guardian: req.user._id, requestedAt: new Date() };
+  await child.save();
+
+  await Notification.createNotification({
+    recipient: child._id,
+    sender: req.user._id,
+    type: 'guardian_request',
+    title: 'Guardian Request',
+    message: `${req.user.fullName} wants to link your account as your guardian`,
+    relatedEntity: req.user._id,
+    relatedEntityType: 'user',
+    actionData: {
+      guardianId: req.user._id,
+      guardianName: req.user.fullName
+    }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Link request sent. The account will be linked once the student accepts.'
+  });
+});
+
+// Stop supervising a child account that has come of age
+export const unlinkChild = catchAsync(async (req, res, next) => {
+  const child = await findChild(req.params.id, req.user._id);
+
+  if (!child) {
+    return next(new AppError('Child account not found', 404));
+  }
+
+  if (child.dateOfBirth && getAge(child.dateOfBirth) < MINOR_AGE) {
+    return next(new AppError(`Accounts of children under ${MINOR_AGE} must stay linked to a guardian`, 400));
+  }
+
+  child.guardian = null;
+  await child.save();
+
+  // Nobody is left to decide on requests that were still waiting
+  await GuardianApproval.updateMany(
+    { child: child._id, status: 'pending' },
+    { status: 'expired', decidedAt: new Date() }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Child account unlinked successfully'
+  });
+});
+
+// Get requests waiting for (or decided by) the current guardian
+export const getApprovals = catchAsync(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const status = req.query.status || 'pending';
+  const filter = { guardian: req.user._id, status };
+
+  const approvals = await GuardianApproval.find(filter)
+    .populate('child', 'fullName profilePicture')
+    .populate('connection.recipient', 'fullName profilePicture role islamicProfile')
+    .populate('lesson', 'title startTime duration imaam')
+    .sort({ createdAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit);
+
+  const total = await GuardianApproval.countDocuments(filter);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      approvals,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    }
+  });
+});
+
+// Approve a child's connection request or lesson booking
+export const approveRequest = catchAsync(async (req, res, next) => {
+  const approval = await GuardianApproval.decide(req.params.id, req.user._id, 'approved');
+
+  if (!approval) {
+    return next(new AppError('Approval request not found', 404));
+  }
+
+  const child = await findChild(approval.child, req.user._id);
+  const result = child && child.isActive
+    ? await (approval.type === 'connection'
+      ? sendApprovedConnection(approval, child)
+      : bookApprovedLesson(approval, child))
+    : null;
+
+  // The request can no longer be carried out (already connected, blocked, lesson full or started)
+  if (!result) {
+    await GuardianApproval.updateOne({ _id: approval._id }, { status: 'expired' });
+    return next(new AppError('This request can no longer be approved', 409));
+  }
+
+  await notifyChild(approval, req.user, true);
+
+  res.status(200).json({
+    success: true,
+    message: approval.type === 'connection'
+      ? 'Connection request approved and sent'
+      : 'Lesson booking approved',
+    data: approval
+  });
+});
+
+// Decline a child's connection request or lesson booking
+export const rejectRequest = catchAsync(async (req, res, next) => {
+  const approval = await GuardianApproval.decide(req.params.id, req.user._id, 'rejected');
+
+  if (!approval) {
+    return next(new AppError('Approval request not found', 404));
+  }
+
+  await notifyChild(approval, req.user, false);
+
+  res.status(200).json({
+    success: true,
+    message: 'Request declined',
+    data: approval
+  });
+});
+
+// Get the conversations of a child
+export const getChildConversations = catchAsync(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+
+  const child = await findChild(req.params.id, req.user._id);
+  if (!child) {
+    return next(new AppError('Child account not found', 404));
+  }
+
+  const conversations = await Conversation.getUserConversations(child._id, page, limit);
+  const total = await Conversation.countDocuments({ participants: child._id });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      conversations,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    }
+  });
+});
+
+// Read the messages of a child's conversation (read receipts are left untouched)
+export const getChildMessages = catchAsync(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 30;
+
+  const child = await findChild(req.params.id, req.user._id);
+  if (!child) {
+    return next(new AppError('Child account not found', 404));
+  }
+
+  const conversation = await Conversation.findOne({
+    _id: req.params.conversationId,
+    participants: child._id
+  });
+  if (!conversation) {
+    return next(new AppError('Conversation not found', 404));
+  }
+
+  const messages = await Message.getConversationMessages(conversation._id, page, limit);
+  const total = await Message.countDocuments({ conversation: conversation._id });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      messages,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    }
+  });
+});
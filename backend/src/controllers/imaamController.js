@@ -1,7 +1,14 @@
-import User from '../models/User.js';
+import User, { PUBLIC_PROFILE_FIELDS } from '../models/User.js';
 import Connection from '../models/Connection.js';
 import Notification from '../models/Notification.js';
+import GuardianApproval from '../models/GuardianApproval.js';
+import Block from '../models/Block.js';
 import { AppError, catchAsync } from '../middleware/errorHandler.js';
+import { escapeRegex } from '../utils/helpers.js';
+import { getSearchTerms, highlight } from '../utils/search.js';
+import { sendConnectionRequestEmail } from '../utils/email.js';
+import { isChildAccount, requestGuardianApproval } from '../utils/guardian.js';
+import { getHiddenUserIds } from '../utils/visibility.js';
 
 /**
  * @swagger
@@ -111,21 +118,20 @@ export const getImaamList = catchAsync(async (req, res, next) => {
       sort = { 'rating.average': -1, 'rating.count': -1 };
   }
 
-  const imaam = await User.find({
+  const filter = {
     role: 'imaam',
     isVerified: true,
-    isActive: true
-  })
-  .select('-password -email')
+    isActive: true,
+    _id: { $nin: await getHiddenUserIds(req.user) }
+  };
+
+  const imaam = await User.find(filter)
+  .select(PUBLIC_PROFILE_FIELDS)
   .sort(sort)
   .skip(skip)
   .limit(limit);
 
-  const total = await User.countDocuments({
-    role: 'imaam',
-    isVerified: true,
-    isActive: true
-  });
+  const total = await User.countDocuments(filter);
 
   res.status(200).json({
     success: true,
@@ -151,9 +157,10 @@ export const getFeaturedImaam = catchAsync(async (req, res, next) => {
     isVerified: true,
     isActive: true,
     'rating.average': { $gte: 4.5 },
-    'rating.count': { $gte: 5 }
+    'rating.count': { $gte: 5 },
+    _id: { $nin: await getHiddenUserIds(req.user) }
   })
-  .select('-password -email')
+  .select(PUBLIC_PROFILE_FIELDS)
   .sort({ 'rating.average': -1, studentsCount: -1 })
   .limit(limit);
 
@@ -165,35 +172,25 @@ export const getFeaturedImaam = catchAsync(async (req, res, next) => {
 
 // Search Imaam
 export const searchImaam = catchAsync(async (req, res, next) => {
-  const { q } = req.query;
+  const { q, islamicProfile } = req.query;
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
-  const skip = (page - 1) * limit;
-
-  const searchQuery = {
-    role: 'imaam',
-    isVerified: true,
-    isActive: true,
-    $or: [
-      { fullName: { $regex: q, $options: 'i' } },
-      { specializations: { $in: [new RegExp(q, 'i')] } },
-      { islamicProfile: { $regex: q, $options: 'i' } },
-      { bio: { $regex: q, $options: 'i' } }
-    ]
-  };
 
-  const imaam = await User.find(searchQuery)
-    .select('-password -email')
-    .sort({ 'rating.average': -1, studentsCount: -1 })
-    .skip(skip)
-    .limit(limit);
+  const excludeIds = await getHiddenUserIds(req.user);
+  const { imaam, total, facets } = await User.searchImaam(q, { page, limit, islamicProfile, excludeIds });
+  const terms = getSearchTerms(q);
 
-  const total = await User.countDocuments(searchQuery);
+  const results = imaam.map(user => ({
+    ...user.toObject(),
+    highlight: highlight(user.bio, terms)
+  }));
 
   res.status(200).json({
     success: true,
     data: {
-      imaam,
+      imaam: results,
+      query: q,
+      facets,
       pagination: {
         currentPage: page,
         totalPages: Math.ceil(total / limit),
@@ -211,24 +208,23 @@ export const getImaamBySpecialization = catchAsync(async (req, res, next) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
   const skip = (page - 1) * limit;
+  const specializationPattern = new RegExp(escapeRegex(specialization), 'i');
 
-  const imaam = await User.find({
+  const filter = {
     role: 'imaam',
     isVerified: true,
     isActive: true,
-    specializations: { $in: [new RegExp(specialization, 'i')] }
-  })
-  .select('-password -email')
+    specializations: specializationPattern,
+    _id: { $nin: await getHiddenUserIds(req.user) }
+  };
+
+  const imaam = await User.find(filter)
+  .select(PUBLIC_PROFILE_FIELDS)
   .sort({ 'rating.average': -1, studentsCount: -1 })
   .skip(skip)
   .limit(limit);
 
-  const total = await User.countDocuments({
-    role: 'imaam',
-    isVerified: true,
-    isActive: true,
-    specializations: { $in: [new RegExp(specialization, 'i')] }
-  });
+  const total = await User.countDocuments(filter);
 
   res.status(200).json({
     success: true,
@@ -251,9 +247,9 @@ export const getImaamById = catchAsync(async (req, res, next) => {
     _id: req.params.id,
     role: 'imaam',
     isActive: true
-  }).select('-password');
+  }).select(PUBLIC_PROFILE_FIELDS);
 
-  if (!imaam) {
+  if (!imaam || (req.user.role !== 'admin' && await Block.isBlockedBetween(req.user._id, imaam._id))) {
     return next(new AppError('Imaam not found', 404));
   }
 
@@ -292,7 +288,7 @@ export const requestConnection = catchAsync(async (req, res, next) => {
     isActive: true
   });
 
-  if (!imaam) {
+  if (!imaam || await Block.isBlockedBetween(studentId, imaam._id)) {
     return next(new AppError('Imaam not found or not verified', 404));
   }
 
@@ -307,6 +303,29 @@ export const requestConnection = catchAsync(async (req, res, next) => {
     }
   }
 
+  // Requests from child accounts are only sent once their guardian approves
+  if (isChildAccount(req.user)) {
+    if (await GuardianApproval.findPendingConnection(studentId, imaam._id)) {
+      return next(new AppError('Connection request already waiting for guardian approval', 400));
+    }
+
+    const approval = await requestGuardianApproval(req.user, {
+      type: 'connection',
+      connection: {
+        requester: studentId,
+        recipient: imaam._id,
+        connectionType: 'student-teacher',
+        message: message || ''
+      }
+    }, `${req.user.fullName} wants to connect with ${imaam.fullName}`);
+
+    return res.status(202).json({
+      success: true,
+      message: 'Connection request sent to your guardian for approval',
+      data: approval
+    });
+  }
+
   // Create connection request
   const connection = await Connection.create({
     requester: studentId,
@@ -331,6 +350,10 @@ export const requestConnection = catchAsync(async (req, res, next) => {
     }
   });
 
+  if (!imaam.preferences || !imaam.preferences.notifications || imaam.preferences.notifications.email !== false) {
+    await sendConnectionRequestEmail(imaam.email, imaam.fullName, req.user.fullName);
+  }
+
   // Populate the connection
   await connection.populate([
     { path: 'requester', select: 'fullName profilePicture role' },
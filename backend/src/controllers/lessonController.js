@@ -0,0 +1,546 @@
+import Lesson from '../models/Lesson.js';
+import Post from '../models/Post.js';
+import Connection from '../models/Connection.js';
+import Notification from '../models/Notification.js';
+import GuardianApproval from '../models/GuardianApproval.js';
+import { AppError, catchAsync } from '../middleware/errorHandler.js';
+import { isValidTimeZone, zonedTimeToUtc, truncate } from '../utils/helpers.js';
+import { isChildAccount, requestGuardianApproval } from '../utils/guardian.js';
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Lesson:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "60f7b3b3b3b3b3b3b3b3b3b3"
+ *         imaam:
+ *           type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             fullName:
+ *               type: string
+ *               example: "Imam Abdullah"
+ *         title:
+ *           type: string
+ *           example: "Introduction to Tajweed"
+ *         description:
+ *           type: string
+ *         difficulty:
+ *           type: string
+ *           enum: [beginner, intermediate, advanced]
+ *         topics:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["tajweed", "quran"]
+ *         startTime:
+ *           type: string
+ *           format: date-time
+ *         endTime:
+ *           type: string
+ *           format: date-time
+ *         duration:
+ *           type: number
+ *           example: 60
+ *         timezone:
+ *           type: string
+ *           example: "Asia/Karachi"
+ *         capacity:
+ *           type: number
+ *           example: 5
+ *         bookedCount:
+ *           type: number
+ *           example: 3
+ *         seatsLeft:
+ *           type: number
+ *           example: 2
+ *         isBooked:
+ *           type: boolean
+ *           example: false
+ *         status:
+ *           type: string
+ *           enum: [scheduled, cancelled, completed]
+ */
+
+const IMAAM_FIELDS = 'fullName profilePicture role islamicProfile location';
+
+// Only the teaching imaam and admins see who booked a lesson
+const formatLesson = (lesson, user) => {
+  const lessonObj = lesson.toObject();
+  const imaamId = lesson.imaam._id || lesson.imaam;
+
+  lessonObj.isBooked = lesson.isBookedBy(user._id);
+
+  if (imaamId.toString() !== user._id.toString() && user.role !== 'admin') {
+    delete lessonObj.attendees;
+  }
+
+  return lessonObj;
+};
+
+// Load a lesson owned by the current imaam
+const findOwnLesson = async (lessonId, user) => {
+  const lesson = await Lesson.findById(lessonId);
+
+  if (!lesson || (lesson.imaam.toString() !== user._id.toString() && user.role !== 'admin')) {
+    throw new AppError('Lesson not found', 404);
+  }
+
+  return lesson;
+};
+
+// Resolve a local start time against the imaam's time zone
+const resolveStartTime = (localStartTime, timezone) => {
+  const startTime = zonedTimeToUtc(localStartTime, timezone);
+
+  if (!startTime) {
+    throw new AppError('Invalid start time', 400);
+  }
+
+  if (startTime <= new Date()) {
+    throw new AppError('Start time must be in the future', 400);
+  }
+
+  return startTime;
+};
+
+// Notify every booked student about a lesson change
+const notifyAttendees = async (lesson, sender, title, message) => {
+  for (const attendee of lesson.attendees) {
+    await Notification.createNotification({
+      recipient: attendee.student._id || attendee.student,
+      sender: sender._id,
+      type: 'lesson_update',
+      title,
+      message,
+      relatedEntity: lesson._id,
+      relatedEntityType: 'lesson',
+      actionData: {
+        lessonId: lesson._id,
+        startTime: lesson.startTime
+      }
+    });
+  }
+};
+
+// Notify the teaching imaam about a booking change
+const notifyImaam = (lesson, sender, title, message) => {
+  return Notification.createNotification({
+    recipient: lesson.imaam._id || lesson.imaam,
+    sender: sender._id,
+    type: 'lesson_update',
+    title,
+    message,
+    relatedEntity: lesson._id,
+    relatedEntityType: 'lesson',
+    actionData: {
+      lessonId: lesson._id,
+      studentName: sender.fullName
+    }
+  });
+};
+
+// Publish an availability slot
+export const createLesson = catchAsync(async (req, res, next) => {
+  const { title, description, difficulty, topics, duration, capacity, post } = req.body;
+
+  const timezone = (req.user.location && req.user.location.timezone) || 'UTC';
+  if (!isValidTimeZone(timezone)) {
+    return next(new AppError('Your profile time zone is invalid. Please update it before publishing lessons', 400));
+  }
+
+  const startTime = resolveStartTime(req.body.startTime, timezone);
+  const endTime = new Date(startTime.getTime() + duration * 60 * 1000);
+
+  const overlapping = await Lesson.findOverlapping(req.user._id, startTime, endTime);
+  if (overlapping) {
+    return next(new AppError('This slot overlaps with another of your lessons', 400));
+  }
+
+  // A linked post must be one of the imaam's own lesson posts
+  if (post) {
+    const lessonPost = await Post.findOne({ _id: post, author: req.user._id, type: 'lesson' });
+    if (!lessonPost) {
+      return next(new AppError('Lesson post not found', 404));
+    }
+  }
+
+  const lesson = await Lesson.create({
+    imaam: req.user._id,
+    title,
+    description,
+    difficulty,
+    topics,
+    startTime,
+    duration,
+    timezone,
+    capacity,
+    post: post || null
+  });
+
+  await lesson.populate('imaam', IMAAM_FIELDS);
+
+  res.status(201).json({
+    success: true,
+    message: 'Lesson published successfully',
+    data: formatLesson(lesson, req.user)
+  });
+});
+
+// Get upcoming lessons
+export const getLessons = catchAsync(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+
+  const filter = {};
+
+  if (req.query.imaam) {
+    filter.imaam = req.query.imaam;
+  }
+
+  if (req.query.from || req.query.to) {
+    filter.startTime = { $gt: new Date() };
+    if (req.query.from) filter.startTime.$gte = new Date(req.query.from);
+    if (req.query.to) filter.startTime.$lte = new Date(req.query.to);
+  }
+
+  if (req.query.available === 'true') {
+    filter.$expr = { $lt: [{ $size: '$attendees' }, '$capacity'] };
+  }
+
+  const lessons = await Lesson.getUpcoming(filter, page, limit);
+  const total = await Lesson.countDocuments({
+    status: 'scheduled',
+    startTime: { $gt: new Date() },
+    ...filter
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      lessons: lessons.map(lesson => formatLesson(lesson, req.user)),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    }
+  });
+});
+
+// Get current user's upcoming lessons (taught or booked)
+export const getMyLessons = catchAsync(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+
+  const filter = req.user.role === 'imaam'
+    ? { imaam: req.user._id }
+    : { 'attendees.student': req.user._id };
+
+  const lessons = await Lesson.getUpcoming(filter, page, limit);
+  const total = await Lesson.countDocuments({
+    status: 'scheduled',
+    startTime: { $gt: new Date() },
+    ...filter
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      lessons: lessons.map(lesson => formatLesson(lesson, req.user)),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    }
+  });
+});
+
+// Get lesson by ID
+export const getLessonById = catchAsync(async (req, res, next) => {
+  const lesson = await Lesson.findById(req.params.id)
+    .populate('imaam', IMAAM_FIELDS)
+    .populate('attendees.student', 'fullName profilePicture');
+
+  if (!lesson) {
+    return next(new AppError('Lesson not found', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: formatLesson(lesson, req.user)
+  });
+});
+
+// Update a lesson slot
+export const updateLesson = catchAsync(async (req, res, next) => {
+  const { title, description, difficulty, topics, duration, capacity } = req.body;
+
+  const lesson = await findOwnLesson(req.params.id, req.user);
+
+  if (lesson.status !== 'scheduled' || lesson.startTime <= new Date()) {
+    return next(new AppError('Only upcoming lessons can be updated', 400));
+  }
+
+  if (capacity !== undefined && capacity < lesson.attendees.length) {
+    return next(new AppError('Capacity cannot be lower than the number of booked students', 400));
+  }
+
+  const previousStart = lesson.startTime.getTime();
+
+  if (title !== undefined) lesson.title = title;
+  if (description !== undefined) lesson.description = description;
+  if (difficulty !== undefined) lesson.difficulty = difficulty;
+  if (topics !== undefined) lesson.topics = topics;
+  if (duration !== undefined) lesson.duration = duration;
+  if (capacity !== undefined) lesson.capacity = capacity;
+  if (req.body.startTime !== undefined) {
+    lesson.startTime = resolveStartTime(req.body.startTime, lesson.timezone);
+  }
+
+  if (req.body.startTime !== undefined || duration !== undefined) {
+    const endTime = new Date(lesson.startTime.getTime() + lesson.duration * 60 * 1000);
+    const overlapping = await Lesson.findOverlapping(lesson.imaam, lesson.startTime, endTime, lesson._id);
+    if (overlapping) {
+      return next(new AppError('This slot overlaps with another of your lessons', 400));
+    }
+  }
+
+  const timeChanged = lesson.startTime.getTime() !== previousStart;
+  if (timeChanged) {
+    // A new time needs a new reminder
+    lesson.reminderSentAt = null;
+  }
+
+  await lesson.save();
+
+  if (timeChanged) {
+    await notifyAttendees(
+      lesson,
+      req.user,
+      'Lesson Rescheduled',
+      `"${truncate(lesson.title, 80)}" has been moved to a new time`
+    );
+  }
+
+  await lesson.populate('imaam', IMAAM_FIELDS);
+
+  res.status(200).json({
+    success: true,
+    message: 'Lesson updated successfully',
+    data: formatLesson(lesson, req.user)
+  });
+});
+
+// Cancel a lesson slot
+export const cancelLesson = catchAsync(async (req, res, next) => {
+  const lesson = await findOwnLesson(req.params.id, req.user);
+
+  if (lesson.status !== 'scheduled') {
+    return next(new AppError('Lesson is not scheduled', 400));
+  }
+
+  lesson.status = 'cancelled';
+  await lesson.save();
+
+  await notifyAttendees(
+    lesson,
+    req.user,
+    'Lesson Cancelled',
+    `"${truncate(lesson.title, 80)}" has been cancelled`
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Lesson cancelled successfully'
+  });
+});
+
+// Book a seat in a lesson
+export const bookLesson = catchAsync(async (req, res, next) => {
+  const lesson = await Lesson.findById(req.params.id);
+
+  if (!lesson || lesson.status !== 'scheduled') {
+    return next(new AppError('Lesson not found', 404));
+  }
+
+  if (lesson.imaam.toString() === req.user._id.toString()) {
+    return next(new AppError('Cannot book your own lesson', 400));
+  }
+
+  const connection = await Connection.areConnected(req.user._id, lesson.imaam, 'student-teacher');
+  if (!connection) {
+    return next(new AppError('You must be connected with this Imaam as a student to book lessons', 403));
+  }
+
+  // Child accounts book once their guardian approves
+  if (isChildAccount(req.user)) {
+    if (lesson.isBookedBy(req.user._id)) {
+      return next(new AppError('You have already booked this lesson', 400));
+    }
+
+    const pending = await GuardianApproval.findOne({
+      child: req.user._id,
+      type: 'lesson_booking',
+      lesson: lesson._id,
+      status: 'pending'
+    });
+    if (pending) {
+      return next(new AppError('Booking already waiting for guardian approval', 400));
+    }
+
+    const approval = await requestGuardianApproval(
+      req.user,
+      { type: 'lesson_booking', lesson: lesson._id },
+      `${req.user.fullName} wants to book "${truncate(lesson.title, 80)}"`
+    );
+
+    return res.status(202).json({
+      success: true,
+      message: 'Booking sent to your guardian for approval',
+      data: approval
+    });
+  }
+
+  const booked = await Lesson.bookSeat(lesson._id, req.user._id);
+
+  if (!booked) {
+    if (lesson.isBookedBy(req.user._id)) {
+      return next(new AppError('You have already booked this lesson', 400));
+    }
+    if (lesson.startTime <= new Date()) {
+      return next(new AppError('Lesson has already started', 400));
+    }
+    return next(new AppError('Lesson is fully booked', 400));
+  }
+
+  await notifyImaam(
+    booked,
+    req.user,
+    'Lesson Booked',
+    `${req.user.fullName} booked "${truncate(booked.title, 80)}"`
+  );
+
+  await booked.populate('imaam', IMAAM_FIELDS);
+
+  res.status(200).json({
+    success: true,
+    message: 'Lesson booked successfully',
+    data: formatLesson(booked, req.user)
+  });
+});
+
+// Cancel a booking
+export const cancelBooking = catchAsync(async (req, res, next) => {
+  const lesson = await Lesson.releaseSeat(req.params.id, req.user._id);
+
+  if (!lesson) {
+    return next(new AppError('Booking not found', 404));
+  }
+
+  await notifyImaam(
+    lesson,
+    req.user,
+    'Booking Cancelled',
+    `${req.user.fullName} cancelled their booking for "${truncate(lesson.title, 80)}"`
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Booking cancelled successfully'
+  });
+});
+
+// Move a booking to another slot of the same imaam
+export const rescheduleBooking = catchAsync(async (req, res, next) => {
+  const { lessonId } = req.body;
+
+  const current = await Lesson.findById(req.params.id);
+  if (!current || current.status !== 'scheduled' || !current.isBookedBy(req.user._id)) {
+    return next(new AppError('Booking not found', 404));
+  }
+
+  const target = await Lesson.findById(lessonId);
+  if (!target || target.status !== 'scheduled') {
+    return next(new AppError('Lesson not found', 404));
+  }
+
+  if (target._id.equals(current._id)) {
+    return next(new AppError('Choose a different lesson to reschedule to', 400));
+  }
+
+  if (!target.imaam.equals(current.imaam)) {
+    return next(new AppError('Bookings can only be moved to a lesson with the same Imaam', 400));
+  }
+
+  const connection = await Connection.areConnected(req.user._id, target.imaam, 'student-teacher');
+  if (!connection) {
+    return next(new AppError('You must be connected with this Imaam as a student to book lessons', 403));
+  }
+
+  // Child accounts move their booking once their guardian approves
+  if (isChildAccount(req.user)) {
+    if (target.isBookedBy(req.user._id)) {
+      return next(new AppError('You have already booked this lesson', 400));
+    }
+
+    const pending = await GuardianApproval.findOne({
+      child: req.user._id,
+      type: 'lesson_booking',
+      lesson: target._id,
+      status: 'pending'
+    });
+    if (pending) {
+      return next(new AppError('Booking already waiting for guardian approval', 400));
+    }
+
+    const approval = await requestGuardianApproval(
+      req.user,
+      { type: 'lesson_booking', lesson: target._id, rescheduleFrom: current._id },
+      `${req.user.fullName} wants to move their booking to "${truncate(target.title, 80)}"`
+    );
+
+    return res.status(202).json({
+      success: true,
+      message: 'Booking change sent to your guardian for approval',
+      data: approval
+    });
+  }
+
+  // Take the new seat first so the student never ends up without one
+  const booked = await Lesson.bookSeat(target._id, req.user._id);
+  if (!booked) {
+    return next(new AppError('The selected lesson is not available', 400));
+  }
+
+  const released = await Lesson.releaseSeat(current._id, req.user._id);
+  if (!released) {
+    await Lesson.releaseSeat(target._id, req.user._id);
+    return next(new AppError('Your current booking can no longer be changed', 400));
+  }
+
+  await notifyImaam(
+    booked,
+    req.user,
+    'Booking Rescheduled',
+    `${req.user.fullName} moved their booking to "${truncate(booked.title, 80)}"`
+  );
+
+  await booked.populate('imaam', IMAAM_FIELDS);
+
+  res.status(200).json({
+    success: true,
+    message: 'Booking rescheduled successfully',
+    data: formatLesson(booked, req.user)
+  });
+});
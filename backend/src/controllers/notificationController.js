@@ -0,0 +1,173 @@
+import jwt from 'jsonwebtoken';
+import Notification from '../models/Notification.js';
+import { AppError, catchAsync } from '../middleware/errorHandler.js';
+import { generateStreamTicket } from '../middleware/auth.js';
+import { addClient, pushToUser } from '../utils/notificationStream.js';
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Notification:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "60f7b3b3b3b3b3b3b3b3b3b3"
+ *         recipient:
+ *           type: string
+ *           example: "60f7b3b3b3b3b3b3b3b3b3b4"
+ *         sender:
+ *           type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             fullName:
+ *               type: string
+ *               example: "Sister Fatima"
+ *             profilePicture:
+ *               type: string
+ *             role:
+ *               type: string
+ *               example: "student"
+ *         type:
+ *           type: string
+ *           enum: [connection_request, connection_accepted, post_like, post_comment, comment_like, mention, new_follower, lesson_reminder, lesson_update, new_review, review_reply, verification_update, report_update, security_alert, system_announcement, message_received, data_export_ready, guardian_request, guardian_approval]
+ *           example: "post_like"
+ *         title:
+ *           type: string
+ *           example: "Post Liked"
+ *         message:
+ *           type: string
+ *           example: "Sister Fatima liked your post"
+ *         relatedEntity:
+ *           type: string
+ *         relatedEntityType:
+ *           type: string
+ *           enum: [post, comment, user, connection, lesson, conversation, review, verification, report, session, data_export, guardian_approval]
+ *         isRead:
+ *           type: boolean
+ *           example: false
+ *         priority:
+ *           type: string
+ *           enum: [low, medium, high, urgent]
+ *         actionData:
+ *           type: object
+ *         timeAgo:
+ *           type: string
+ *           example: "5m ago"
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// Get current user's notifications
+export const getNotifications = catchAsync(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const unreadOnly = req.query.unreadOnly === 'true';
+
+  const notifications = await Notification.getUserNotifications(req.user._id, page, limit, unreadOnly);
+
+  const filter = { recipient: req.user._id };
+  if (unreadOnly) {
+    filter.isRead = false;
+  }
+
+  const total = await Notification.countDocuments(filter);
+  const unreadCount = await Notification.getUnreadCount(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      notifications,
+      unreadCount,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    }
+  });
+});
+
+// Get unread notifications count
+export const getUnreadCount = catchAsync(async (req, res, next) => {
+  const unreadCount = await Notification.getUnreadCount(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      unreadCount
+    }
+  });
+});
+
+// Mark a single notification as read
+export const markAsRead = catchAsync(async (req, res, next) => {
+  const notification = await Notification.findOne({
+    _id: req.params.id,
+    recipient: req.user._id
+  });
+
+  if (!notification) {
+    return next(new AppError('Notification not found', 404));
+  }
+
+  if (!notification.isRead) {
+    await notification.markAsRead();
+  }
+
+  const unreadCount = await Notification.getUnreadCount(req.user._id);
+
+  // Keep the badge in sync across the user's other open sessions
+  pushToUser(req.user._id, 'unread_count', { unreadCount });
+
+  res.status(200).json({
+    success: true,
+    message: 'Notification marked as read',
+    data: {
+      notification,
+      unreadCount
+    }
+  });
+});
+
+// Mark all notifications as read
+export const markAllAsRead = catchAsync(async (req, res, next) => {
+  const result = await Notification.markAllAsRead(req.user._id);
+
+  pushToUser(req.user._id, 'unread_count', { unreadCount: 0 });
+
+  res.status(200).json({
+    success: true,
+    message: 'All notifications marked as read',
+    data: {
+      updated: result.modifiedCount,
+      unreadCount: 0
+    }
+  });
+});
+
+// Issue a ticket for opening the notification stream
+export const createStreamTicket = catchAsync(async (req, res, next) => {
+  const ticket = generateStreamTicket(req.user._id, req.sessionId);
+  const { iat, exp } = jwt.decode(ticket);
+
+  res.status(201).json({
+    success: true,
+    data: {
+      ticket,
+      expiresIn: exp - iat
+    }
+  });
+});
+
+// Open a Server-Sent Events stream of new notifications
+export const streamNotifications = catchAsync(async (req, res, next) => {
+  const unreadCount = await Notification.getUnreadCount(req.user._id);
+
+  addClient(req.user._id, req.sessionId, res, { unreadCount });
+});
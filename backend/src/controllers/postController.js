@@ -1,12 +1,119 @@
-import Post from '../models/Post.js';
+import Post, { POST_MAX_IMAGES, FEED_MAX_POSTS } from '../models/Post.js';
 import User from '../models/User.js';
 import Notification from '../models/Notification.js';
+import Revision from '../models/Revision.js';
+import FeedSnapshot from '../models/FeedSnapshot.js';
 import { AppError, catchAsync } from '../middleware/errorHandler.js';
+import { encodeCursor, decodeCursor } from '../utils/helpers.js';
+import { getVisibilityFilter, canViewPost } from '../utils/visibility.js';
+import { getSearchTerms, highlight } from '../utils/search.js';
+import { isChildAccount } from '../utils/guardian.js';
+import { uploadPostImages, deletePostImages } from '../utils/postImages.js';
+import { resolveMentions, updateMentions, notifyMentions } from '../utils/mentions.js';
 
 /**
  * @swagger
  * components:
  *   schemas:
+ *     Revision:
+ *       type: object
+ *       properties:
+ *         version:
+ *           type: number
+ *           description: 1 is the original; the highest version is the current content
+ *           example: 2
+ *         content:
+ *           type: string
+ *           example: "Fasting on the day of Arafah expiates the sins of two years."
+ *         editor:
+ *           type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             fullName:
+ *               type: string
+ *             role:
+ *               type: string
+ *         editedAt:
+ *           type: string
+ *           format: date-time
+ *         restoredFrom:
+ *           type: number
+ *           description: Version restored by an admin
+ *     RevisionDiff:
+ *       type: object
+ *       properties:
+ *         from:
+ *           type: object
+ *           description: Version, editor and editedAt of the earlier revision
+ *         to:
+ *           type: object
+ *           description: Version, editor and editedAt of the later revision
+ *         changes:
+ *           type: array
+ *           description: Word-level changes; equal and added parts give the later text, equal and removed parts the earlier one
+ *           items:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [equal, added, removed]
+ *               text:
+ *                 type: string
+ *           example: [{ type: "equal", text: "Fasting on the day of Arafah expiates " }, { type: "removed", text: "two years of sins" }, { type: "added", text: "the sins of two years" }]
+ *         added:
+ *           type: number
+ *           description: Number of words added
+ *         removed:
+ *           type: number
+ *           description: Number of words removed
+ *     Mention:
+ *       type: object
+ *       properties:
+ *         user:
+ *           type: string
+ *           description: ID of the mentioned user
+ *           example: "60f7b3b3b3b3b3b3b3b3b3b3"
+ *         handle:
+ *           type: string
+ *           description: Handle as it was written
+ *           example: "ahmedhassan"
+ *     PostImage:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         url:
+ *           type: string
+ *           example: "https://res.cloudinary.com/demo/image/upload/v1712345678/post-images/class.jpg"
+ *         alt:
+ *           type: string
+ *           example: "Students reciting Quran in the masjid"
+ *         caption:
+ *           type: string
+ *           example: "Our Saturday hifz class"
+ *         width:
+ *           type: number
+ *           example: 1600
+ *         height:
+ *           type: number
+ *           example: 1200
+ *         sizes:
+ *           type: object
+ *           description: Resized renditions for thumbnails and responsive layouts
+ *           properties:
+ *             thumbnail:
+ *               type: string
+ *               description: 150x150 crop
+ *             small:
+ *               type: string
+ *               description: Up to 480px wide
+ *             medium:
+ *               type: string
+ *               description: Up to 800px wide
+ *             large:
+ *               type: string
+ *               description: Up to 1200px wide
  *     Post:
  *       type: object
  *       properties:
@@ -36,11 +143,25 @@ import { AppError, catchAsync } from '../middleware/errorHandler.js';
  *           type: string
  *           enum: [general, question, announcement, lesson, inspiration]
  *           example: "general"
+ *         formattedContent:
+ *           type: string
+ *           description: Escaped HTML of the content, with mentions and hashtags as links
+ *           example: "Our <a href=\"/tags/quran\" class=\"hashtag\">#quran</a> class has reached 50 students."
  *         tags:
  *           type: array
+ *           description: Includes the hashtags of the content
  *           items:
  *             type: string
  *           example: ["quran", "learning", "community"]
+ *         mentions:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Mention'
+ *         images:
+ *           type: array
+ *           description: Attached images in display order
+ *           items:
+ *             $ref: '#/components/schemas/PostImage'
  *         likesCount:
  *           type: number
  *           example: 24
@@ -53,11 +174,29 @@ import { AppError, catchAsync } from '../middleware/errorHandler.js';
  *         visibility:
  *           type: string
  *           enum: [public, followers, private]
+ *           description: followers - visible to the author's accepted connections (following alone is not enough)
  *           example: "public"
  *         status:
  *           type: string
- *           enum: [published, draft, archived]
+ *           enum: [published, draft, scheduled, archived, hidden]
+ *           description: archived - withdrawn by the author; hidden - hidden by moderation
  *           example: "published"
+ *         publishAt:
+ *           type: string
+ *           format: date-time
+ *           description: When a scheduled post will be published
+ *         publishedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the post went live; createdAt is when it was written. Lists and the feed order by publishedAt.
+ *         isEdited:
+ *           type: boolean
+ *           description: True once the published content was edited; see the revisions endpoint
+ *           example: false
+ *         editedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
  *         isLiked:
  *           type: boolean
  *           example: false
@@ -72,25 +211,98 @@ import { AppError, catchAsync } from '../middleware/errorHandler.js';
  *           format: date-time
  */
 
+// Child accounts cannot post publicly
+const CHILD_PUBLIC_POST_MESSAGE = 'Child accounts cannot publish public posts';
+
+// Authors manage their own posts; admins can manage any post
+const canManagePost = (user, post) =>
+  user.role === 'admin' || post.author.toString() === user._id.toString();
+
+const TOO_MANY_IMAGES_MESSAGE = `A post cannot have more than ${POST_MAX_IMAGES} images`;
+
+const CREATED_MESSAGES = {
+  published: 'Post created successfully',
+  draft: 'Draft saved successfully',
+  scheduled: 'Post scheduled successfully'
+};
+
+// Find a post the current user may see; authors also see their unpublished posts
+const findVisiblePost = async (req) => {
+  const post = await Post.findById(req.params.id);
+  const isAuthor = post && post.author.toString() === req.user._id.toString();
+
+  if (!post || (post.status !== 'published' && !(isAuthor && post.status !== 'hidden'))
+    || !(await canViewPost(req.user, post))) {
+    throw new AppError('Post not found', 404);
+  }
+
+  return post;
+};
+
+// Find a post the current user may manage
+const findManagedPost = async (req) => {
+  const post = await Post.findById(req.params.id);
+
+  if (!post) {
+    throw new AppError('Post not found', 404);
+  }
+
+  if (!canManagePost(req.user, post)) {
+    throw new AppError('You can only manage your own posts', 403);
+  }
+
+  return post;
+};
+
 // Create a new post
 export const createPost = catchAsync(async (req, res, next) => {
-  const { content, type, tags, visibility, lessonInfo } = req.body;
+  const { content, type, tags, lessonInfo, imageDetails, publishAt } = req.body;
+  const files = req.files || [];
+  const status = publishAt ? 'scheduled' : (req.body.status || 'published');
+  let { visibility } = req.body;
+
+  if (isChildAccount(req.user)) {
+    if (visibility === 'public') {
+      return next(new AppError(CHILD_PUBLIC_POST_MESSAGE, 403));
+    }
+    visibility = visibility || 'followers';
+  }
 
-  const post = await Post.create({
-    author: req.user._id,
-    content,
-    type,
-    tags,
-    visibility,
-    lessonInfo
-  });
+  if (files.length > POST_MAX_IMAGES) {
+    return next(new AppError(TOO_MANY_IMAGES_MESSAGE, 400));
+  }
+
+  const mentions = await resolveMentions(content);
+  const images = await uploadPostImages(files, imageDetails);
+
+  let post;
+  try {
+    post = await Post.create({
+      author: req.user._id,
+      content,
+      type,
+      tags,
+      mentions,
+      visibility,
+      lessonInfo,
+      images,
+      status,
+      publishAt
+    });
+  } catch (error) {
+    // Do not leave orphaned uploads behind
+    await deletePostImages(images);
+    throw error;
+  }
+
+  await notifyMentions(post.mentions, { sender: req.user, post });
 
   // Populate author information
   await post.populate('author', 'fullName profilePicture role islamicProfile');
 
   res.status(201).json({
     success: true,
-    message: 'Post created successfully',
+    message: CREATED_MESSAGES[status],
     data: post
   });
 });
@@ -112,9 +324,12 @@ export const getPosts = catchAsync(async (req, res, next) => {
     filter.author = req.query.author;
   }
 
+  // Only posts the current user is allowed to see
+  filter.$and = [await getVisibilityFilter(req.user)];
+
   const posts = await Post.find(filter)
     .populate('author', 'fullName profilePicture role islamicProfile')
-    .sort({ createdAt: -1 })
+    .sort({ publishedAt: -1 })
     .skip(skip)
     .limit(limit);
 
@@ -142,13 +357,111 @@ export const getPosts = catchAsync(async (req, res, next) => {
   });
 });
 
+// Get published posts with a tag, newest first
+export const getTagPosts = catchAsync(async (req, res, next) => {
+  const tag = req.params.tag.replace(/^#/, '').toLowerCase();
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+
+  const filter = {
+    status: 'published',
+    tags: tag,
+    $and: [await getVisibilityFilter(req.user)]
+  };
+
+  const posts = await Post.find(filter)
+    .populate('author', 'fullName profilePicture role islamicProfile')
+    .sort({ publishedAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await Post.countDocuments(filter);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      tag,
+      posts: posts.map(post => ({
+        ...post.toObject(),
+        isLiked: post.isLikedBy(req.user._id)
+      })),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalPosts: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    }
+  });
+});
+
+// Rank the posts after a full feed ranking, leaving out the ones already ranked
+// The next posts are ranked as of the first page, so newer posts do not slip in.
+const extendFeedSnapshot = async (snapshot, userId) => {
+  const ranked = snapshot.posts.length;
+  if (ranked === 0 || ranked % FEED_MAX_POSTS !== 0) {
+    return snapshot.posts;
+  }
+
+  const next = await Post.rankFeed(userId, snapshot.createdAt, snapshot.posts);
+  if (next.length === 0) {
+    return snapshot.posts;
+  }
+
+  // Another request may have extended the ranking in the meantime
+  const extended = await FeedSnapshot.findOneAndUpdate(
+    { _id: snapshot._id, posts: { $size: ranked } },
+    { $push: { posts: { $each: next } } },
+    { new: true }
+  ) || await FeedSnapshot.findById(snapshot._id);
+
+  return extended ? extended.posts : snapshot.posts;
+};
+
 // Get personalized feed
 export const getFeed = catchAsync(async (req, res, next) => {
-  const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
 
-  // Get posts from followed users and public posts
-  const posts = await Post.getFeedPosts(req.user._id, page, limit);
+  // The first page ranks the feed; the cursor points into that ranking
+  let postIds;
+  let snapshot = null;
+  let snapshotId = null;
+  let offset = 0;
+
+  if (req.query.cursor) {
+    const cursor = decodeCursor(req.query.cursor);
+
+    if (!cursor || !/^[0-9a-fA-F]{24}$/.test(cursor.snapshot) || !Number.isInteger(cursor.offset) || cursor.offset < 0) {
+      return next(new AppError('Invalid feed cursor', 400));
+    }
+
+    snapshot = await FeedSnapshot.findOne({ _id: cursor.snapshot, user: req.user._id });
+    if (!snapshot) {
+      return next(new AppError('The feed cursor has expired, please reload the feed', 400));
+    }
+
+    postIds = snapshot.posts;
+    snapshotId = snapshot._id;
+    offset = cursor.offset;
+  } else {
+    postIds = await Post.rankFeed(req.user._id);
+
+    // Only a feed with more than one page needs to keep its ranking
+    if (postIds.length > limit || postIds.length === FEED_MAX_POSTS) {
+      snapshot = await FeedSnapshot.create({ user: req.user._id, posts: postIds });
+      snapshotId = snapshot._id;
+    }
+  }
+
+  // A full ranking is continued with the next best posts once the page reaches its end
+  if (snapshot && offset + limit >= postIds.length) {
+    postIds = await extendFeedSnapshot(snapshot, req.user._id);
+  }
+
+  const hasNext = offset + limit < postIds.length;
+  const posts = await Post.getFeedPosts(req.user._id, postIds.slice(offset, offset + limit));
 
   // Add like status for current user
   const postsWithLikeStatus = posts.map(post => {
@@ -162,10 +475,11 @@ export const getFeed = catchAsync(async (req, res, next) => {
     data: {
       posts: postsWithLikeStatus,
       pagination: {
-        currentPage: page,
-        totalPages: Math.ceil(posts.length / limit),
-        hasNext: posts.length === limit,
-        hasPrev: page > 1
+        limit,
+        hasNext,
+        nextCursor: hasNext
+          ? encodeCursor({ snapshot: snapshotId.toString(), offset: offset + limit })
+          : null
       }
     }
   });
@@ -173,16 +487,19 @@ export const getFeed = catchAsync(async (req, res, next) => {
 
 // Search posts
 export const searchPosts = catchAsync(async (req, res, next) => {
-  const { q } = req.query;
+  const { q, type } = req.query;
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
 
-  const posts = await Post.searchPosts(q, page, limit);
+  const visibilityFilter = await getVisibilityFilter(req.user);
+  const { posts, total, facets } = await Post.searchPosts(q, { page, limit, type, visibilityFilter });
+  const terms = getSearchTerms(q);
 
-  // Add like status for current user
+  // Add like status and highlighted snippet for current user
   const postsWithLikeStatus = posts.map(post => {
     const postObj = post.toObject();
     postObj.isLiked = post.isLikedBy(req.user._id);
+    postObj.highlight = highlight(post.content, terms);
     return postObj;
   });
 
@@ -190,7 +507,15 @@ export const searchPosts = catchAsync(async (req, res, next) => {
     success: true,
     data: {
       posts: postsWithLikeStatus,
-      query: q
+      query: q,
+      facets,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalPosts: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
     }
   });
 });
@@ -207,7 +532,8 @@ export const getUserPosts = catchAsync(async (req, res, next) => {
     return next(new AppError('User not found', 404));
   }
 
-  const posts = await Post.getUserPosts(userId, page, limit);
+  const visibilityFilter = await getVisibilityFilter(req.user);
+  const posts = await Post.getUserPosts(userId, page, limit, visibilityFilter);
 
   // Add like status for current user
   const postsWithLikeStatus = posts.map(post => {
@@ -240,13 +566,22 @@ export const getPostById = catchAsync(async (req, res, next) => {
     return next(new AppError('Post not found', 404));
   }
 
-  if (post.status !== 'published') {
+  // Authors can open their own drafts, scheduled and archived posts
+  const isAuthor = post.author._id.toString() === req.user._id.toString();
+  if (post.status !== 'published' && !(isAuthor && post.status !== 'hidden')) {
+    return next(new AppError('Post not found', 404));
+  }
+
+  // Hidden posts are reported as missing so their existence does not leak
+  if (!(await canViewPost(req.user, post))) {
     return next(new AppError('Post not found', 404));
   }
 
   // Increment view count
-  post.views += 1;
-  await post.save();
+  if (post.status === 'published') {
+    post.views += 1;
+    await post.save();
+  }
 
   // Add like status for current user
   const postObj = post.toObject();
@@ -260,21 +595,80 @@ export const getPostById = catchAsync(async (req, res, next) => {
 
 // Update post
 export const updatePost = catchAsync(async (req, res, next) => {
-  const { content, type, tags, visibility, lessonInfo } = req.body;
+  const { content, type, tags, visibility, lessonInfo, existingImages, imageDetails } = req.body;
+  const files = req.files || [];
 
   const post = await Post.findById(req.params.id);
   if (!post) {
     return next(new AppError('Post not found', 404));
   }
 
+  if (!canManagePost(req.user, post)) {
+    return next(new AppError('You can only edit your own posts', 403));
+  }
+
+  if (visibility === 'public' && isChildAccount(req.user)) {
+    return next(new AppError(CHILD_PUBLIC_POST_MESSAGE, 403));
+  }
+
+  // Keep the listed images in the given order, with their updated details
+  let keptImages = [...post.images];
+  if (existingImages !== undefined) {
+    keptImages = [];
+    for (const { _id, alt, caption } of existingImages) {
+      const image = post.images.id(_id);
+      if (!image || keptImages.includes(image)) {
+        return next(new AppError('Invalid or duplicate image in existingImages', 400));
+      }
+      if (alt !== undefined) image.alt = alt;
+      if (caption !== undefined) image.caption = caption;
+      keptImages.push(image);
+    }
+  }
+
+  if (keptImages.length + files.length > POST_MAX_IMAGES) {
+    return next(new AppError(TOO_MANY_IMAGES_MESSAGE, 400));
+  }
+
+  const removedImages = post.images.filter(image => !keptImages.includes(image));
+  const newImages = await uploadPostImages(files, imageDetails);
+
+  const previousContent = post.content;
+
   // Update fields
   if (content !== undefined) post.content = content;
   if (type !== undefined) post.type = type;
   if (tags !== undefined) post.tags = tags;
   if (visibility !== undefined) post.visibility = visibility;
   if (lessonInfo !== undefined) post.lessonInfo = lessonInfo;
+  post.images = [...keptImages, ...newImages];
+
+  // Edits of published content are kept as revisions; drafts are not public yet
+  const isContentChanged = post.isModified('content');
+  const isRevision = isContentChanged && !['draft', 'scheduled'].includes(post.status);
+  if (isRevision) {
+    post.isEdited = true;
+    post.editedAt = new Date();
+  }
 
-  await post.save();
+  const newMentions = isContentChanged ? await updateMentions(post) : [];
+
+  try {
+    await post.save();
+  } catch (error) {
+    await deletePostImages(newImages);
+    throw error;
+  }
+
+  if (isRevision) {
+    await Revision.record('post', post, previousContent, { editor: req.user._id });
+  }
+
+  // Only users mentioned by this edit are notified
+  await notifyMentions(newMentions, { sender: req.user, post });
+
+  // Removed images are only deleted once the post no longer references them
+  await deletePostImages(removedImages);
 
   // Populate author information
   await post.populate('author', 'fullName profilePicture role islamicProfile');
@@ -293,7 +687,13 @@ export const deletePost = catchAsync(async (req, res, next) => {
     return next(new AppError('Post not found', 404));
   }
 
+  if (!canManagePost(req.user, post)) {
+    return next(new AppError('You can only delete your own posts', 403));
+  }
+
   await Post.findByIdAndDelete(req.params.id);
+  await Revision.deleteMany({ targetType: 'post', target: post._id });
+  await deletePostImages(post.images);
 
   res.status(200).json({
     success: true,
@@ -301,6 +701,220 @@ export const deletePost = catchAsync(async (req, res, next) => {
   });
 });
 
+// Get drafts of the current user
+export const getDrafts = catchAsync(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const filter = { author: req.user._id, status: 'draft' };
+
+  const [drafts, total] = await Promise.all([
+    Post.find(filter)
+      .sort({ updatedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Post.countDocuments(filter)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      drafts,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalDrafts: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    }
+  });
+});
+
+// Get the timeline of scheduled posts of the current user, soonest first
+export const getScheduledPosts = catchAsync(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const filter = { author: req.user._id, status: 'scheduled' };
+
+  if (req.query.type) {
+    filter.type = req.query.type;
+  }
+
+  const [posts, total] = await Promise.all([
+    Post.find(filter)
+      .sort({ publishAt: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Post.countDocuments(filter)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      posts,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalPosts: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    }
+  });
+});
+
+// Autosave changes to a draft or scheduled post
+export const autosaveDraft = catchAsync(async (req, res, next) => {
+  const { content, type, tags, visibility, lessonInfo } = req.body;
+  const post = await findManagedPost(req);
+
+  if (!['draft', 'scheduled'].includes(post.status)) {
+    return next(new AppError('Only drafts and scheduled posts can be autosaved', 400));
+  }
+
+  if (visibility === 'public' && isChildAccount(req.user)) {
+    return next(new AppError(CHILD_PUBLIC_POST_MESSAGE, 403));
+  }
+
+  if (content !== undefined) post.content = content;
+  if (type !== undefined) post.type = type;
+  if (tags !== undefined) post.tags = tags;
+  if (visibility !== undefined) post.visibility = visibility;
+  if (lessonInfo !== undefined) post.lessonInfo = lessonInfo;
+
+  if (post.isModified('content')) {
+    await updateMentions(post);
+  }
+
+  await post.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Draft saved',
+    data: {
+      _id: post._id,
+      status: post.status,
+      updatedAt: post.updatedAt
+    }
+  });
+});
+
+// Publish a draft or scheduled post now, or schedule it with publishAt
+export const publishPost = catchAsync(async (req, res, next) => {
+  const { publishAt } = req.body;
+  const post = await findManagedPost(req);
+
+  if (!['draft', 'scheduled'].includes(post.status)) {
+    return next(new AppError('Only drafts and scheduled posts can be published', 400));
+  }
+
+  if (!post.content) {
+    return next(new AppError('Write some content before publishing', 400));
+  }
+
+  if (publishAt) {
+    post.status = 'scheduled';
+    post.publishAt = publishAt;
+    await post.save();
+  } else {
+    await post.publish();
+    await notifyMentions(post.mentions, { sender: req.user, post });
+  }
+
+  await post.populate('author', 'fullName profilePicture role islamicProfile');
+
+  res.status(200).json({
+    success: true,
+    message: publishAt ? 'Post scheduled successfully' : 'Post published successfully',
+    data: post
+  });
+});
+
+// Move a scheduled post back to drafts
+export const unschedulePost = catchAsync(async (req, res, next) => {
+  const post = await findManagedPost(req);
+
+  if (post.status !== 'scheduled') {
+    return next(new AppError('Post is not scheduled', 400));
+  }
+
+  post.status = 'draft';
+  post.publishAt = undefined;
+  await post.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Post moved to drafts',
+    data: post
+  });
+});
+
+// Archive a published post, hiding it from everyone but its author
+export const archivePost = catchAsync(async (req, res, next) => {
+  const post = await findManagedPost(req);
+
+  if (post.status !== 'published') {
+    return next(new AppError('Only published posts can be archived', 400));
+  }
+
+  post.status = 'archived';
+  await post.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Post archived successfully',
+    data: post
+  });
+});
+
+// Restore an archived post
+export const unarchivePost = catchAsync(async (req, res, next) => {
+  const post = await findManagedPost(req);
+
+  if (post.status !== 'archived') {
+    return next(new AppError('Post is not archived', 400));
+  }
+
+  post.status = 'published';
+  await post.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Post restored successfully',
+    data: post
+  });
+});
+
+// Get every version of a post, oldest first
+export const getPostRevisions = catchAsync(async (req, res, next) => {
+  const post = await findVisiblePost(req);
+  const revisions = await Revision.getHistory('post', post);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      isEdited: post.isEdited,
+      revisions
+    }
+  });
+});
+
+// Compare two versions of a post word by word
+export const getPostRevisionDiff = catchAsync(async (req, res, next) => {
+  const post = await findVisiblePost(req);
+  const revisions = await Revision.getHistory('post', post);
+
+  const diff = Revision.compare(revisions, parseInt(req.query.from), parseInt(req.query.to));
+  if (!diff) {
+    return next(new AppError('Revision not found', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: diff
+  });
+});
+
 // Like a post
 export const likePost = catchAsync(async (req, res, next) => {
   const post = await Post.findById(req.params.id);
@@ -308,7 +922,7 @@ export const likePost = catchAsync(async (req, res, next) => {
     return next(new AppError('Post not found', 404));
   }
 
-  if (post.status !== 'published') {
+  if (post.status !== 'published' || !(await canViewPost(req.user, post))) {
     return next(new AppError('Post not found', 404));
   }
 
@@ -353,7 +967,7 @@ export const unlikePost = catchAsync(async (req, res, next) => {
     return next(new AppError('Post not found', 404));
   }
 
-  if (post.status !== 'published') {
+  if (post.status !== 'published' || !(await canViewPost(req.user, post))) {
     return next(new AppError('Post not found', 404));
   }
 
@@ -0,0 +1,313 @@
+import Report from '../models/Report.js';
+import Post from '../models/Post.js';
+import Comment from '../models/Comment.js';
+import Review from '../models/Review.js';
+import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+import AuditLog from '../models/AuditLog.js';
+import { AppError, catchAsync } from '../middleware/errorHandler.js';
+import { canViewPost, canViewComment } from '../utils/visibility.js';
+import { truncate } from '../utils/helpers.js';
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Report:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "60f7b3b3b3b3b3b3b3b3b3b3"
+ *         reporter:
+ *           type: string
+ *         targetType:
+ *           type: string
+ *           enum: [post, comment, review, user]
+ *         target:
+ *           type: string
+ *         targetAuthor:
+ *           type: string
+ *         reason:
+ *           type: string
+ *           enum: [misinformation, harassment, spam, hate_speech, inappropriate, impersonation, fake, other]
+ *         details:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, dismissed, actioned]
+ *         autoHidden:
+ *           type: boolean
+ *         resolution:
+ *           type: object
+ *           properties:
+ *             action:
+ *               type: string
+ *               enum: [dismiss, hide, unhide, suspend]
+ *             notes:
+ *               type: string
+ *             moderator:
+ *               type: string
+ *             resolvedAt:
+ *               type: string
+ *               format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// Find the author of reportable content the user can see
+const findTargetAuthor = async (targetType, targetId, viewer) => {
+  let target = null;
+  let authorId = null;
+
+  if (targetType === 'post') {
+    target = await Post.findOne({ _id: targetId, status: 'published' });
+    if (target && await canViewPost(viewer, target)) authorId = target.author;
+  } else if (targetType === 'comment') {
+    target = await Comment.findOne({ _id: targetId, status: 'published' });
+    if (target && await canViewComment(viewer, target)) authorId = target.author;
+  } else if (targetType === 'review') {
+    target = await Review.findOne({ _id: targetId, status: 'published' });
+    // Imaams cannot get reviews of themselves hidden
+    if (target && target.imaam.equals(viewer._id)) {
+      throw new AppError('You cannot report reviews of your own profile', 400);
+    }
+    if (target) authorId = target.student;
+  } else {
+    target = await User.findOne({ _id: targetId, isActive: true });
+    if (target) authorId = target._id;
+  }
+
+  if (!authorId) {
+    throw new AppError(`${targetType === 'user' ? 'User' : 'Content'} not found`, 404);
+  }
+
+  return authorId;
+};
+
+// Attach a short preview of each reported target to queue items
+const attachTargets = async (items) => {
+  const idsOf = (type) => items.filter(item => item.targetType === type).map(item => item.target);
+
+  const [posts, comments, reviews, users] = await Promise.all([
+    Post.find({ _id: { $in: idsOf('post') } }).select('content status visibility'),
+    Comment.find({ _id: { $in: idsOf('comment') } }).select('content status post'),
+    Review.find({ _id: { $in: idsOf('review') } }).select('imaam rating comment status'),
+    User.find({ _id: { $in: idsOf('user') } }).select('fullName profilePicture role isActive')
+  ]);
+
+  const byId = new Map([...posts, ...comments, ...reviews, ...users].map(doc => [doc._id.toString(), doc]));
+
+  await User.populate(items, { path: 'targetAuthor', select: 'fullName profilePicture role isActive' });
+
+  return items.map(item => {
+    const doc = byId.get(item.target.toString());
+    const preview = doc && doc.content !== undefined
+      ? { ...doc.toObject(), content: truncate(doc.content, 200) }
+      : doc;
+
+    return { ...item, target: preview || { _id: item.target, deleted: true } };
+  });
+};
+
+// Tell every reporter how their report was handled
+const notifyReporters = async (reports, action, moderator) => {
+  const dismissed = action === 'dismiss' || action === 'unhide';
+  const message = dismissed
+    ? 'We reviewed the content you reported and found that it does not break our community guidelines.'
+    : 'We reviewed the content you reported and took action. Thank you for helping keep DeenVerse safe.';
+
+  for (const report of reports) {
+    await Notification.createNotification({
+      recipient: report.reporter,
+      sender: moderator._id,
+      type: 'report_update',
+      title: 'Report Reviewed',
+      message,
+      relatedEntity: report._id,
+      relatedEntityType: 'report',
+      actionData: {
+        reportId: report._id,
+        targetType: report.targetType,
+        outcome: dismissed ? 'dismissed' : 'actioned'
+      }
+    });
+  }
+};
+
+// Report a post, comment or user
+export const createReport = catchAsync(async (req, res, next) => {
+  const { targetType, targetId, reason, details } = req.body;
+
+  const authorId = await findTargetAuthor(targetType, targetId, req.user);
+
+  if (authorId.toString() === req.user._id.toString()) {
+    return next(new AppError('You cannot report your own content', 400));
+  }
+
+  const existingReport = await Report.exists({ reporter: req.user._id, targetType, target: targetId });
+  if (existingReport) {
+    return next(new AppError('You have already reported this', 400));
+  }
+
+  const report = await Report.submit({
+    reporter: req.user._id,
+    targetType,
+    target: targetId,
+    targetAuthor: authorId,
+    reason,
+    details
+  });
+
+  // Lost a race with a concurrent report from the same user
+  if (!report) {
+    return next(new AppError('You have already reported this', 400));
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Report submitted successfully. Our moderators will review it.',
+    data: {
+      _id: report._id,
+      targetType: report.targetType,
+      target: report.target,
+      reason: report.reason,
+      status: report.status
+    }
+  });
+});
+
+// Get the moderation queue (admin only)
+export const getReportQueue = catchAsync(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+
+  const filter = {};
+  if (req.query.targetType) filter.targetType = req.query.targetType;
+  if (req.query.reason) filter.reason = req.query.reason;
+
+  const { items, total } = await Report.getQueue(filter, page, limit);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      reports: await attachTargets(items),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    }
+  });
+});
+
+// Get a report with every report on the same target (admin only)
+export const getReportById = catchAsync(async (req, res, next) => {
+  const report = await Report.findById(req.params.id);
+
+  if (!report) {
+    return next(new AppError('Report not found', 404));
+  }
+
+  await report.populate([
+    { path: 'target' },
+    { path: 'targetAuthor', select: 'fullName profilePicture role isActive' }
+  ]);
+
+  const related = await Report.find({ targetType: report.targetType, target: report.target })
+    .populate('reporter', 'fullName profilePicture role')
+    .populate('resolution.moderator', 'fullName')
+    .sort({ createdAt: 1 });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      targetType: report.targetType,
+      target: report.target || { deleted: true },
+      targetAuthor: report.targetAuthor,
+      reports: related
+    }
+  });
+});
+
+// Resolve every pending report on a target (admin only)
+export const resolveReport = catchAsync(async (req, res, next) => {
+  const { action, notes } = req.body;
+
+  const report = await Report.findById(req.params.id);
+  if (!report) {
+    return next(new AppError('Report not found', 404));
+  }
+
+  // Hidden content can be restored after its reports were resolved
+  if (report.status !== 'pending' && action !== 'unhide') {
+    return next(new AppError('Report has already been resolved', 400));
+  }
+
+  const { targetType, target } = report;
+
+  if ((action === 'hide' || action === 'unhide') && targetType === 'user') {
+    return next(new AppError('Profiles cannot be hidden, suspend the user instead', 400));
+  }
+
+  const pendingReports = await Report.find({ targetType, target, status: 'pending' });
+
+  if (action === 'dismiss') {
+    if (pendingReports.some(pending => pending.autoHidden)) {
+      await Report.restoreTarget(targetType, target);
+    }
+  } else if (action === 'hide') {
+    await Report.hideTarget(targetType, target);
+  } else if (action === 'unhide') {
+    if (!(await Report.restoreTarget(targetType, target))) {
+      return next(new AppError('The content is not hidden', 400));
+    }
+  } else {
+    const author = await User.findById(report.targetAuthor);
+
+    if (!author) {
+      return next(new AppError('Author not found', 404));
+    }
+    if (author.role === 'admin') {
+      return next(new AppError('Admin accounts cannot be suspended from the moderation queue', 400));
+    }
+    if (author.isActive) {
+      await author.suspend(req.user._id, notes || `Reported for ${report.reason}`);
+    }
+  }
+
+  await Report.updateMany(
+    { _id: { $in: pendingReports.map(pending => pending._id) } },
+    {
+      status: action === 'dismiss' || action === 'unhide' ? 'dismissed' : 'actioned',
+      resolution: {
+        action,
+        notes,
+        moderator: req.user._id,
+        resolvedAt: new Date()
+      }
+    }
+  );
+
+  await AuditLog.record(req, `report.${action}`, targetType, target, {
+    reports: pendingReports.length,
+    author: report.targetAuthor,
+    notes
+  });
+
+  await notifyReporters(pendingReports, action, req.user);
+
+  res.status(200).json({
+    success: true,
+    message: `${pendingReports.length} report(s) resolved`,
+    data: {
+      targetType,
+      target,
+      action,
+      resolvedReports: pendingReports.length
+    }
+  });
+});
@@ -0,0 +1,304 @@
+import Review from '../models/Review.js';
+import User from '../models/User.js';
+import Connection from '../models/Connection.js';
+import Notification from '../models/Notification.js';
+import Report from '../models/Report.js';
+import { AppError, catchAsync } from '../middleware/errorHandler.js';
+import { truncate } from '../utils/helpers.js';
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Review:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "60f7b3b3b3b3b3b3b3b3b3b3"
+ *         imaam:
+ *           type: string
+ *           example: "60f7b3b3b3b3b3b3b3b3b3b4"
+ *         student:
+ *           type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             fullName:
+ *               type: string
+ *               example: "Ahmed Ali"
+ *             profilePicture:
+ *               type: string
+ *         rating:
+ *           type: number
+ *           minimum: 1
+ *           maximum: 5
+ *           example: 5
+ *         comment:
+ *           type: string
+ *           example: "Very patient teacher, my recitation improved a lot"
+ *         reply:
+ *           type: object
+ *           properties:
+ *             content:
+ *               type: string
+ *               example: "JazakAllah khair, keep practising!"
+ *             repliedAt:
+ *               type: string
+ *               format: date-time
+ *         isEdited:
+ *           type: boolean
+ *           example: false
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const STUDENT_FIELDS = 'fullName profilePicture role islamicProfile';
+
+// Strip abuse reports (reporter identities) from a review response
+// Reviews reported before reports moved to the moderation queue still carry them.
+const formatReview = (review) => {
+  const data = review.toObject();
+  delete data.reports;
+  return data;
+};
+
+// Find a review or fail with 404
+const findReview = async (reviewId) => {
+  const review = await Review.findById(reviewId);
+
+  if (!review) {
+    throw new AppError('Review not found', 404);
+  }
+
+  return review;
+};
+
+// Get reviews of an Imaam
+export const getImaamReviews = catchAsync(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+
+  const imaam = await User.findOne({
+    _id: req.params.id,
+    role: 'imaam',
+    isActive: true
+  }).select('rating');
+
+  if (!imaam) {
+    return next(new AppError('Imaam not found', 404));
+  }
+
+  const [reviews, total, breakdown, myReview] = await Promise.all([
+    Review.getImaamReviews(imaam._id, page, limit),
+    Review.countDocuments({ imaam: imaam._id, status: 'published' }),
+    Review.getRatingBreakdown(imaam._id),
+    Review.findOne({ imaam: imaam._id, student: req.user._id }).select('-reports')
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      rating: imaam.rating,
+      breakdown,
+      myReview,
+      reviews,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    }
+  });
+});
+
+// Review an Imaam
+export const createReview = catchAsync(async (req, res, next) => {
+  const imaamId = req.params.id;
+  const { rating, comment } = req.body;
+
+  if (imaamId === req.user._id.toString()) {
+    return next(new AppError('You cannot review yourself', 400));
+  }
+
+  const imaam = await User.findOne({
+    _id: imaamId,
+    role: 'imaam',
+    isActive: true
+  });
+
+  if (!imaam) {
+    return next(new AppError('Imaam not found', 404));
+  }
+
+  // Only students who have actually connected with the Imaam can review
+  const connection = await Connection.areConnected(req.user._id, imaam._id);
+  if (!connection) {
+    return next(new AppError('You can only review an Imaam you are connected with', 403));
+  }
+
+  const existingReview = await Review.findOne({ imaam: imaam._id, student: req.user._id });
+  if (existingReview) {
+    return next(new AppError('You have already reviewed this Imaam', 400));
+  }
+
+  let review;
+  try {
+    review = await Review.create({
+      imaam: imaam._id,
+      student: req.user._id,
+      rating,
+      comment
+    });
+  } catch (error) {
+    // Lost a race with a concurrent request from the same student
+    if (error.code === 11000) {
+      return next(new AppError('You have already reviewed this Imaam', 400));
+    }
+    throw error;
+  }
+
+  await Notification.createNotification({
+    recipient: imaam._id,
+    sender: req.user._id,
+    type: 'new_review',
+    title: 'New Review',
+    message: `${req.user.fullName} rated you ${rating} out of 5`,
+    relatedEntity: review._id,
+    relatedEntityType: 'review',
+    actionData: {
+      reviewId: review._id,
+      rating
+    }
+  });
+
+  await review.populate('student', STUDENT_FIELDS);
+
+  res.status(201).json({
+    success: true,
+    message: 'Review submitted successfully',
+    data: formatReview(review)
+  });
+});
+
+// Update own review
+export const updateReview = catchAsync(async (req, res, next) => {
+  const review = await findReview(req.params.id);
+
+  if (review.student.toString() !== req.user._id.toString()) {
+    return next(new AppError('You can only edit your own review', 403));
+  }
+
+  const { rating, comment } = req.body;
+  if (rating !== undefined) review.rating = rating;
+  if (comment !== undefined) review.comment = comment;
+
+  review.isEdited = true;
+  review.editedAt = new Date();
+  await review.save();
+
+  await review.populate('student', STUDENT_FIELDS);
+
+  res.status(200).json({
+    success: true,
+    message: 'Review updated successfully',
+    data: formatReview(review)
+  });
+});
+
+// Delete a review (reviewer or admin)
+export const deleteReview = catchAsync(async (req, res, next) => {
+  const review = await findReview(req.params.id);
+
+  if (review.student.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    return next(new AppError('You can only delete your own review', 403));
+  }
+
+  await review.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: 'Review deleted successfully'
+  });
+});
+
+// Reply to a review (reviewed Imaam only)
+export const replyToReview = catchAsync(async (req, res, next) => {
+  const review = await findReview(req.params.id);
+
+  if (review.imaam.toString() !== req.user._id.toString()) {
+    return next(new AppError('You can only reply to reviews of your own profile', 403));
+  }
+
+  const isFirstReply = !review.reply || !review.reply.content;
+
+  review.reply = {
+    content: req.body.content,
+    repliedAt: new Date()
+  };
+  await review.save();
+
+  if (isFirstReply) {
+    await Notification.createNotification({
+      recipient: review.student,
+      sender: req.user._id,
+      type: 'review_reply',
+      title: 'Reply to Your Review',
+      message: `${req.user.fullName} replied: "${truncate(req.body.content, 80)}"`,
+      relatedEntity: review._id,
+      relatedEntityType: 'review',
+      actionData: {
+        reviewId: review._id,
+        imaamId: review.imaam
+      }
+    });
+  }
+
+  await review.populate('student', STUDENT_FIELDS);
+
+  res.status(200).json({
+    success: true,
+    message: 'Reply saved successfully',
+    data: formatReview(review)
+  });
+});
+
+// Report an abusive review
+export const reportReview = catchAsync(async (req, res, next) => {
+  const review = await findReview(req.params.id);
+
+  if (review.status !== 'published') {
+    return next(new AppError('Review not found', 404));
+  }
+
+  if (review.student.toString() === req.user._id.toString()) {
+    return next(new AppError('You cannot report your own review', 400));
+  }
+
+  // Imaams cannot get reviews of themselves hidden
+  if (review.imaam.toString() === req.user._id.toString()) {
+    return next(new AppError('You cannot report reviews of your own profile', 400));
+  }
+
+  const { reason, details } = req.body;
+  const report = await Report.submit({
+    reporter: req.user._id,
+    targetType: 'review',
+    target: review._id,
+    targetAuthor: review.student,
+    reason,
+    details
+  });
+
+  if (!report) {
+    return next(new AppError('You have already reported this review', 400));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Review reported successfully'
+  });
+});
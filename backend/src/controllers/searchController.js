@@ -0,0 +1,49 @@
+import Post from '../models/Post.js';
+import User from '../models/User.js';
+import { catchAsync } from '../middleware/errorHandler.js';
+import { getVisibilityFilter, getHiddenUserIds } from '../utils/visibility.js';
+import { getSearchTerms, highlight } from '../utils/search.js';
+
+// Search posts and Imaam together
+export const search = catchAsync(async (req, res, next) => {
+  const { q, type, islamicProfile } = req.query;
+  const scope = req.query.scope || 'all';
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const terms = getSearchTerms(q);
+  const data = { query: q };
+
+  if (scope === 'all' || scope === 'posts') {
+    const visibilityFilter = await getVisibilityFilter(req.user);
+    const { posts, total, facets } = await Post.searchPosts(q, { page, limit, type, visibilityFilter });
+
+    data.posts = {
+      results: posts.map(post => ({
+        ...post.toObject(),
+        isLiked: post.isLikedBy(req.user._id),
+        highlight: highlight(post.content, terms)
+      })),
+      total,
+      facets
+    };
+  }
+
+  if (scope === 'all' || scope === 'imaam') {
+    const excludeIds = await getHiddenUserIds(req.user);
+    const { imaam, total, facets } = await User.searchImaam(q, { page, limit, islamicProfile, excludeIds });
+
+    data.imaam = {
+      results: imaam.map(user => ({
+        ...user.toObject(),
+        highlight: highlight(user.bio, terms)
+      })),
+      total,
+      facets
+    };
+  }
+
+  res.status(200).json({
+    success: true,
+    data
+  });
+});
@@ -1,7 +1,52 @@
-import User from '../models/User.js';
+import User, { PUBLIC_PROFILE_FIELDS } from '../models/User.js';
 import Connection from '../models/Connection.js';
+import Follow from '../models/Follow.js';
+import Block from '../models/Block.js';
+import Mute from '../models/Mute.js';
+import DataExport from '../models/DataExport.js';
+import Session from '../models/Session.js';
+import Notification from '../models/Notification.js';
 import { AppError, catchAsync } from '../middleware/errorHandler.js';
-import { uploadToCloudinary } from '../utils/cloudinary.js';
+import { storeFile } from '../utils/storage.js';
+import { sendAccountDeletionEmail } from '../utils/email.js';
+import { escapeRegex } from '../utils/helpers.js';
+import { getArchivePath, getDownloadUrl, verifyDownloadSignature } from '../utils/dataExport.js';
+import { isChildAccount, applyChildRestrictions } from '../utils/guardian.js';
+import { getHiddenUserIds } from '../utils/visibility.js';
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DataExport:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "60f7b3b3b3b3b3b3b3b3b3b3"
+ *         status:
+ *           type: string
+ *           enum: [pending, processing, ready, failed, expired]
+ *           example: "ready"
+ *         size:
+ *           type: number
+ *           description: Archive size in bytes
+ *           example: 48213
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the archive and its download link expire
+ *         downloadUrl:
+ *           type: string
+ *           description: Signed download link, only present while the archive is ready
+ *           example: "http://localhost:5000/api/users/profile/export/60f7b3b3b3b3b3b3b3b3b3b3/download?expires=1735689600&signature=..."
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
 
 // Get current user profile
 export const getProfile = catchAsync(async (req, res, next) => {
@@ -16,7 +61,7 @@ export const getProfile = catchAsync(async (req, res, next) => {
 // Update current user profile
 export const updateProfile = catchAsync(async (req, res, next) => {
   const allowedUpdates = [
-    'fullName', 'bio', 'islamicProfile', 'specializations', 
+    'fullName', 'handle', 'bio', 'islamicProfile', 'specializations', 
     'experience', 'location', 'socialLinks'
   ];
   
@@ -27,6 +72,13 @@ export const updateProfile = catchAsync(async (req, res, next) => {
     }
   });
 
+  if (updates.handle !== undefined) {
+    updates.handle = updates.handle.toLowerCase();
+    if (await User.exists({ handle: updates.handle, _id: { $ne: req.user._id } })) {
+      return next(new AppError('This handle is already taken', 400));
+    }
+  }
+
   const user = await User.findByIdAndUpdate(
     req.user._id,
     updates,
@@ -46,59 +98,215 @@ export const uploadProfilePicture = catchAsync(async (req, res, next) => {
     return next(new AppError('No file uploaded', 400));
   }
 
-  try {
-    // Upload to Cloudinary
-    const result = await uploadToCloudinary(req.file.buffer, {
-      folder: 'profile-pictures',
-      transformation: [
-        { width: 400, height: 400, crop: 'fill', gravity: 'face' }
-      ]
-    });
+  // Square crop centred on the face (or most salient region with local storage)
+  const result = await storeFile(req.file.buffer, {
+    folder: 'profile-pictures',
+    resourceType: 'image',
+    resize: { width: 400, height: 400, crop: 'fill', gravity: 'face' },
+    originalName: req.file.originalname,
+    mimeType: req.file.mimetype
+  });
 
-    // Update user profile picture
-    const user = await User.findByIdAndUpdate(
-      req.user._id,
-      { profilePicture: result.secure_url },
-      { new: true }
-    );
-
-    res.status(200).json({
-      success: true,
-      message: 'Profile picture uploaded successfully',
-      data: {
-        profilePicture: result.secure_url
-      }
-    });
-  } catch (error) {
-    return next(new AppError('Failed to upload profile picture', 500));
-  }
+  // Update user profile picture
+  const user = await User.findByIdAndUpdate(
+    req.user._id,
+    { profilePicture: result.url },
+    { new: true }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Profile picture uploaded successfully',
+    data: {
+      profilePicture: user.profilePictureUrl
+    }
+  });
 });
 
-// Delete current user account
+// Schedule deletion of the current user account after the grace period
 export const deleteProfile = catchAsync(async (req, res, next) => {
-  // Soft delete - deactivate account instead of removing
+  const { password, contentAction = 'anonymize' } = req.body;
+
+  const user = await User.findById(req.user._id).select('+password');
+
+  if (!(await user.comparePassword(password))) {
+    return next(new AppError('Password is incorrect', 401));
+  }
+
+  await user.scheduleDeletion(contentAction);
+
+  // Sign out everywhere; signing in again is only possible by restoring the account
+  await Session.revoke({ user: user._id }, 'account_deletion');
+
+  await sendAccountDeletionEmail(user.email, user.fullName, user.deletion.scheduledFor);
+
+  res.status(200).json({
+    success: true,
+    message: `Account scheduled for deletion on ${user.deletion.scheduledFor.toUTCString()}`,
+    data: {
+      scheduledFor: user.deletion.scheduledFor,
+      contentAction
+    }
+  });
+});
+
+// Public view of an export, with a download link while the archive is ready
+const formatDataExport = (dataExport) => ({
+  _id: dataExport._id,
+  status: dataExport.status,
+  size: dataExport.size,
+  completedAt: dataExport.completedAt,
+  expiresAt: dataExport.expiresAt,
+  downloadUrl: dataExport.status === 'ready' ? getDownloadUrl(dataExport) : undefined,
+  createdAt: dataExport.createdAt
+});
+
+// Request an export of the current user's data
+export const requestDataExport = catchAsync(async (req, res, next) => {
+  const inProgress = await DataExport.getInProgress(req.user._id);
+  if (inProgress) {
+    return next(new AppError('A data export is already being prepared', 409));
+  }
+
+  const dataExport = await DataExport.create({ user: req.user._id });
+
+  res.status(202).json({
+    success: true,
+    message: 'Data export requested. You will be notified when it is ready to download.',
+    data: formatDataExport(dataExport)
+  });
+});
+
+// Get the latest data export of the current user
+export const getDataExport = catchAsync(async (req, res, next) => {
+  const dataExport = await DataExport.findOne({ user: req.user._id }).sort({ createdAt: -1 });
+
+  if (!dataExport) {
+    return next(new AppError('No data export requested', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: formatDataExport(dataExport)
+  });
+});
+
+// Download a data export through its signed link
+export const downloadDataExport = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+  const { expires, signature } = req.query;
+
+  if (!verifyDownloadSignature(id, expires, signature)) {
+    return next(new AppError('Invalid or expired download link', 403));
+  }
+
+  const dataExport = await DataExport.findOne({ _id: id, status: 'ready' }).select('+fileName');
+
+  if (!dataExport || dataExport.expiresAt <= new Date()) {
+    return next(new AppError('Data export not found or expired', 404));
+  }
+
+  const date = dataExport.completedAt.toISOString().slice(0, 10);
+  res.download(getArchivePath(dataExport.fileName), `deenverse-export-${date}.zip`, (error) => {
+    if (error && !res.headersSent) {
+      next(new AppError('Data export not found or expired', 404));
+    }
+  });
+});
+
+// Accept the pending guardian link request of the current user
+export const acceptGuardianRequest = catchAsync(async (req, res, next) => {
+  const request = req.user.guardianRequest;
+
+  if (!request || !request.guardian) {
+    return next(new AppError('No pending guardian request', 404));
+  }
+
+  const guardian = await User.findById(request.guardian);
+  if (!guardian || !guardian.isActive || guardian.role !== 'guardian') {
+    await User.findByIdAndUpdate(req.user._id, { $unset: { guardianRequest: 1 } });
+    return next(new AppError('Guardian account not found', 404));
+  }
+
+  // Only student accounts can become child accounts
+  if (req.user.role !== 'student') {
+    await User.findByIdAndUpdate(req.user._id, { $unset: { guardianRequest: 1 } });
+    return next(new AppError('Only student accounts can be linked to a guardian', 400));
+  }
+
   await User.findByIdAndUpdate(req.user._id, {
-    isActive: false,
-    email: `deleted_${Date.now()}_${req.user.email}`
+    guardian: guardian._id,
+    $unset: { guardianRequest: 1 }
+  });
+  await applyChildRestrictions(req.user._id);
+
+  await Notification.createNotification({
+    recipient: guardian._id,
+    sender: req.user._id,
+    type: 'guardian_request',
+    title: 'Guardian Request Accepted',
+    message: `${req.user.fullName} is now linked to your account`,
+    relatedEntity: req.user._id,
+    relatedEntityType: 'user',
+    actionData: {
+      childId: req.user._id,
+      childName: req.user.fullName
+    }
   });
 
   res.status(200).json({
     success: true,
-    message: 'Account deleted successfully'
+    message: 'Guardian linked successfully'
   });
 });
 
-// Get user by ID
-export const getUserById = catchAsync(async (req, res, next) => {
-  const user = await User.findById(req.params.id);
-  
+// Decline the pending guardian link request of the current user
+export const declineGuardianRequest = catchAsync(async (req, res, next) => {
+  if (!req.user.guardianRequest || !req.user.guardianRequest.guardian) {
+    return next(new AppError('No pending guardian request', 404));
+  }
+
+  await User.findByIdAndUpdate(req.user._id, { $unset: { guardianRequest: 1 } });
+
+  res.status(200).json({
+    success: true,
+    message: 'Guardian request declined'
+  });
+});
+
+// Fields of other users' profiles the current user can see
+const profileFields = (req) => (req.user.role === 'admin' ? '' : PUBLIC_PROFILE_FIELDS);
+
+// Check that a looked up user can be shown to the current user
+const assertUserVisible = async (req, user) => {
   if (!user) {
-    return next(new AppError('User not found', 404));
+    throw new AppError('User not found', 404);
   }
 
   if (!user.isActive) {
-    return next(new AppError('User account is deactivated', 404));
+    throw new AppError('User account is deactivated', 404);
+  }
+
+  if (req.user.role !== 'admin' && await Block.isBlockedBetween(req.user._id, user._id)) {
+    throw new AppError('User not found', 404);
   }
+};
+
+// Get user by ID
+export const getUserById = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.params.id).select(profileFields(req));
+  await assertUserVisible(req, user);
+
+  res.status(200).json({
+    success: true,
+    data: user
+  });
+});
+
+// Get user by @handle
+export const getUserByHandle = catchAsync(async (req, res, next) => {
+  const user = await User.findOne({ handle: req.params.handle.toLowerCase() }).select(profileFields(req));
+  await assertUserVisible(req, user);
 
   res.status(200).json({
     success: true,
@@ -113,7 +321,7 @@ export const getUsers = catchAsync(async (req, res, next) => {
   const skip = (page - 1) * limit;
 
   // Build filter object
-  const filter = { isActive: true };
+  const filter = { isActive: true, _id: { $nin: await getHiddenUserIds(req.user) } };
   
   if (req.query.role) {
     filter.role = req.query.role;
@@ -124,14 +332,15 @@ export const getUsers = catchAsync(async (req, res, next) => {
   }
   
   if (req.query.search) {
+    const pattern = new RegExp(escapeRegex(req.query.search), 'i');
     filter.$or = [
-      { fullName: { $regex: req.query.search, $options: 'i' } },
-      { email: { $regex: req.query.search, $options: 'i' } }
+      { fullName: pattern },
+      { email: pattern }
     ];
   }
 
   const users = await User.find(filter)
-    .select('-password')
+    .select(profileFields(req))
     .sort({ createdAt: -1 })
     .skip(skip)
     .limit(limit);
@@ -169,69 +378,53 @@ export const followUser = catchAsync(async (req, res, next) => {
     return next(new AppError('User not found', 404));
   }
 
-  // Check if already following
-  const existingConnection = await Connection.findOne({
-    $or: [
-      { requester: currentUserId, recipient: targetUserId },
-      { requester: targetUserId, recipient: currentUserId }
-    ]
-  });
+  if (await Block.isBlockedBetween(currentUserId, targetUser._id)) {
+    return next(new AppError('User not found', 404));
+  }
 
-  if (existingConnection) {
-    if (existingConnection.status === 'accepted') {
-      return next(new AppError('Already following this user', 400));
-    } else if (existingConnection.status === 'pending') {
-      return next(new AppError('Connection request already pending', 400));
-    }
+  if (isChildAccount(req.user) || isChildAccount(targetUser)) {
+    return next(new AppError('Child accounts can only connect with imaams', 403));
   }
 
-  // Create connection request
-  const connection = await Connection.create({
-    requester: currentUserId,
-    recipient: targetUserId,
-    type: 'peer',
-    status: 'pending'
+  const follow = await Follow.follow(currentUserId, targetUser._id);
+  if (!follow) {
+    return next(new AppError('Already following this user', 400));
+  }
+
+  await Notification.createNotification({
+    recipient: targetUser._id,
+    sender: currentUserId,
+    type: 'new_follower',
+    title: 'New Follower',
+    message: `${req.user.fullName} started following you`,
+    relatedEntity: currentUserId,
+    relatedEntityType: 'user',
+    actionData: {
+      followerId: currentUserId,
+      followerName: req.user.fullName
+    }
   });
 
-  // Populate the connection
-  await connection.populate([
-    { path: 'requester', select: 'fullName profilePicture role' },
-    { path: 'recipient', select: 'fullName profilePicture role' }
+  await follow.populate([
+    { path: 'follower', select: 'fullName profilePicture role' },
+    { path: 'following', select: 'fullName profilePicture role' }
   ]);
 
   res.status(200).json({
     success: true,
-    message: 'Follow request sent successfully',
-    data: connection
+    message: 'Followed successfully',
+    data: follow
   });
 });
 
 // Unfollow a user
 export const unfollowUser = catchAsync(async (req, res, next) => {
-  const targetUserId = req.params.id;
-  const currentUserId = req.user._id;
-
-  // Find and remove connection
-  const connection = await Connection.findOneAndDelete({
-    $or: [
-      { requester: currentUserId, recipient: targetUserId, status: 'accepted' },
-      { requester: targetUserId, recipient: currentUserId, status: 'accepted' }
-    ]
-  });
+  const follow = await Follow.unfollow(req.user._id, req.params.id);
 
-  if (!connection) {
+  if (!follow) {
     return next(new AppError('Not following this user', 404));
   }
 
-  // Update user connections count
-  await User.findByIdAndUpdate(currentUserId, {
-    $inc: { 'connectionsCount': -1 }
-  });
-  
-  await User.findByIdAndUpdate(targetUserId, {
-    $inc: { 'connectionsCount': -1 }
-  });
-
   res.status(200).json({
     success: true,
     message: 'Unfollowed successfully'
@@ -251,21 +444,15 @@ export const getFollowers = catchAsync(async (req, res, next) => {
     return next(new AppError('User not found', 404));
   }
 
-  const connections = await Connection.find({
-    recipient: userId,
-    status: 'accepted'
-  })
-  .populate('requester', 'fullName profilePicture role islamicProfile')
-  .sort({ createdAt: -1 })
-  .skip(skip)
-  .limit(limit);
+  const follows = await Follow.find({ following: userId })
+    .populate('follower', 'fullName profilePicture role islamicProfile')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
 
-  const total = await Connection.countDocuments({
-    recipient: userId,
-    status: 'accepted'
-  });
+  const total = await Follow.countDocuments({ following: userId });
 
-  const followers = connections.map(conn => conn.requester);
+  const followers = follows.map(follow => follow.follower);
 
   res.status(200).json({
     success: true,
@@ -295,21 +482,15 @@ export const getFollowing = catchAsync(async (req, res, next) => {
     return next(new AppError('User not found', 404));
   }
 
-  const connections = await Connection.find({
-    requester: userId,
-    status: 'accepted'
-  })
-  .populate('recipient', 'fullName profilePicture role islamicProfile')
-  .sort({ createdAt: -1 })
-  .skip(skip)
-  .limit(limit);
+  const follows = await Follow.find({ follower: userId })
+    .populate('following', 'fullName profilePicture role islamicProfile')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
 
-  const total = await Connection.countDocuments({
-    requester: userId,
-    status: 'accepted'
-  });
+  const total = await Follow.countDocuments({ follower: userId });
 
-  const following = connections.map(conn => conn.recipient);
+  const following = follows.map(follow => follow.following);
 
   res.status(200).json({
     success: true,
@@ -325,3 +506,175 @@ export const getFollowing = catchAsync(async (req, res, next) => {
     }
   });
 });
+
+// Block a user
+export const blockUser = catchAsync(async (req, res, next) => {
+  const targetUserId = req.params.id;
+  const currentUserId = req.user._id;
+
+  if (targetUserId === currentUserId.toString()) {
+    return next(new AppError('Cannot block yourself', 400));
+  }
+
+  const targetUser = await User.findById(targetUserId);
+  if (!targetUser) {
+    return next(new AppError('User not found', 404));
+  }
+
+  try {
+    await Block.create({ blocker: currentUserId, blocked: targetUser._id });
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(new AppError('User already blocked', 400));
+    }
+    throw error;
+  }
+
+  // Blocking ends follows both ways
+  await Follow.unfollow(currentUserId, targetUser._id);
+  await Follow.unfollow(targetUser._id, currentUserId);
+
+  // and any connection, which cannot be requested again while blocked
+  const connection = await Connection.getConnection(currentUserId, targetUser._id);
+  if (connection && connection.status !== 'blocked') {
+    if (connection.status === 'accepted') {
+      await User.updateMany(
+        { _id: { $in: [connection.requester, connection.recipient] } },
+        { $inc: { connectionsCount: -1 } }
+      );
+    }
+    await connection.block();
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'User blocked successfully'
+  });
+});
+
+// Unblock a user
+export const unblockUser = catchAsync(async (req, res, next) => {
+  const block = await Block.findOneAndDelete({ blocker: req.user._id, blocked: req.params.id });
+
+  if (!block) {
+    return next(new AppError('User is not blocked', 404));
+  }
+
+  // The blocked connection is cleared unless the other user still blocks
+  const stillBlocked = await Block.isBlockedBetween(req.user._id, block.blocked);
+  if (!stillBlocked) {
+    await Connection.deleteOne({
+      status: 'blocked',
+      $or: [
+        { requester: req.user._id, recipient: block.blocked },
+        { requester: block.blocked, recipient: req.user._id }
+      ]
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'User unblocked successfully'
+  });
+});
+
+// Get users blocked by the current user
+export const getBlockedUsers = catchAsync(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+
+  const blocks = await Block.find({ blocker: req.user._id })
+    .populate('blocked', 'fullName profilePicture role islamicProfile')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await Block.countDocuments({ blocker: req.user._id });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      users: blocks.map(block => block.blocked),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    }
+  });
+});
+
+// Mute a user (the muted user is not told)
+export const muteUser = catchAsync(async (req, res, next) => {
+  const targetUserId = req.params.id;
+  const currentUserId = req.user._id;
+
+  if (targetUserId === currentUserId.toString()) {
+    return next(new AppError('Cannot mute yourself', 400));
+  }
+
+  const targetUser = await User.findById(targetUserId);
+  if (!targetUser || !targetUser.isActive) {
+    return next(new AppError('User not found', 404));
+  }
+
+  try {
+    await Mute.create({ muter: currentUserId, muted: targetUser._id });
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(new AppError('User already muted', 400));
+    }
+    throw error;
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'User muted successfully'
+  });
+});
+
+// Unmute a user
+export const unmuteUser = catchAsync(async (req, res, next) => {
+  const mute = await Mute.findOneAndDelete({ muter: req.user._id, muted: req.params.id });
+
+  if (!mute) {
+    return next(new AppError('User is not muted', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'User unmuted successfully'
+  });
+});
+
+// Get users muted by the current user
+export const getMutedUsers = catchAsync(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+
+  const mutes = await Mute.find({ muter: req.user._id })
+    .populate('muted', 'fullName profilePicture role islamicProfile')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await Mute.countDocuments({ muter: req.user._id });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      users: mutes.map(mute => mute.muted),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    }
+  });
+});
@@ -0,0 +1,307 @@
+import path from 'path';
+import VerificationApplication from '../models/VerificationApplication.js';
+import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+import AuditLog from '../models/AuditLog.js';
+import { AppError, catchAsync } from '../middleware/errorHandler.js';
+import { storeFile, getPrivateFile } from '../utils/storage.js';
+import { sendVerificationDecisionEmail } from '../utils/email.js';
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     VerificationApplication:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "60f7b3b3b3b3b3b3b3b3b3b3"
+ *         applicant:
+ *           type: string
+ *           example: "60f7b3b3b3b3b3b3b3b3b3b4"
+ *         documents:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               category:
+ *                 type: string
+ *                 enum: [ijazah, certificate]
+ *               url:
+ *                 type: string
+ *                 description: Download link; only the applicant and admins can open it
+ *                 example: "http://localhost:5000/api/verification/60f7b3b3b3b3b3b3b3b3b3b3/documents/0"
+ *               originalName:
+ *                 type: string
+ *                 example: "ijazah-hafs.pdf"
+ *         statement:
+ *           type: string
+ *           example: "Hafiz with ijazah in Hafs an Asim, teaching for 10 years"
+ *         status:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *         reviewedBy:
+ *           type: string
+ *         reviewedAt:
+ *           type: string
+ *           format: date-time
+ *         reviewerNotes:
+ *           type: string
+ *         history:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [submitted, approved, rejected]
+ *               actor:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const DOCUMENT_CATEGORIES = ['ijazah', 'certificate'];
+
+// Upload the files of a multipart request and describe them for the application
+const uploadDocuments = async (files) => {
+  const uploads = [];
+
+  for (const category of DOCUMENT_CATEGORIES) {
+    for (const file of files[category] || []) {
+      uploads.push(
+        storeFile(file.buffer, {
+          folder: 'verification-documents',
+          originalName: file.originalname,
+          mimeType: file.mimetype,
+          isPrivate: true
+        })
+          .then(result => ({
+            category,
+            url: result.url,
+            publicId: result.publicId,
+            originalName: file.originalname,
+            mimeType: file.mimetype,
+            size: file.size
+          }))
+      );
+    }
+  }
+
+  return Promise.all(uploads);
+};
+
+// Notify the applicant of a decision in-app and by email
+const notifyDecision = async (application, reviewer) => {
+  const applicant = application.applicant;
+  const approved = application.status === 'approved';
+
+  await Notification.createNotification({
+    recipient: applicant._id,
+    sender: reviewer._id,
+    type: 'verification_update',
+    title: approved ? 'Verification Approved' : 'Verification Not Approved',
+    message: approved
+      ? 'Your Imaam account has been verified'
+      : 'Your verification application was not approved. You can apply again with updated documents.',
+    relatedEntity: application._id,
+    relatedEntityType: 'verification',
+    actionData: {
+      applicationId: application._id,
+      status: application.status,
+      notes: application.reviewerNotes
+    }
+  });
+
+  try {
+    await sendVerificationDecisionEmail(
+      applicant.email,
+      applicant.fullName,
+      application.status,
+      application.reviewerNotes
+    );
+  } catch (error) {
+    console.error(`Verification decision email to ${applicant.email} failed:`, error.message);
+  }
+};
+
+// Submit a verification application (Imaam only)
+export const submitApplication = catchAsync(async (req, res, next) => {
+  if (req.user.isVerified) {
+    return next(new AppError('Your account is already verified', 400));
+  }
+
+  const files = req.files || {};
+  const fileCount = DOCUMENT_CATEGORIES.reduce((count, category) => count + (files[category] || []).length, 0);
+  if (fileCount === 0) {
+    return next(new AppError('At least one ijazah or certificate document is required', 400));
+  }
+
+  const pending = await VerificationApplication.exists({ applicant: req.user._id, status: 'pending' });
+  if (pending) {
+    return next(new AppError('You already have a pending verification application', 400));
+  }
+
+  const documents = await uploadDocuments(files);
+
+  let application;
+  try {
+    application = await VerificationApplication.create({
+      applicant: req.user._id,
+      documents,
+      statement: req.body.statement
+    });
+  } catch (error) {
+    // Lost a race with a concurrent submission
+    if (error.code === 11000) {
+      return next(new AppError('You already have a pending verification application', 400));
+    }
+    throw error;
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Verification application submitted successfully',
+    data: application
+  });
+});
+
+// Get current user's applications
+export const getMyApplications = catchAsync(async (req, res, next) => {
+  const applications = await VerificationApplication.find({ applicant: req.user._id })
+    .populate('reviewedBy', 'fullName')
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      isVerified: req.user.isVerified,
+      applications
+    }
+  });
+});
+
+// Get the review queue (admin only)
+export const getApplications = catchAsync(async (req, res, next) => {
+  const status = req.query.status || 'pending';
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+
+  const [applications, total] = await Promise.all([
+    VerificationApplication.getQueue(status, page, limit),
+    VerificationApplication.countDocuments({ status })
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      applications,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    }
+  });
+});
+
+// Get application by ID (applicant or admin)
+export const getApplicationById = catchAsync(async (req, res, next) => {
+  const application = await VerificationApplication.findById(req.params.id)
+    .populate('applicant', 'fullName email profilePicture islamicProfile specializations experience')
+    .populate('reviewedBy', 'fullName')
+    .populate('history.actor', 'fullName role');
+
+  if (!application || (application.applicant._id.toString() !== req.user._id.toString() && req.user.role !== 'admin')) {
+    return next(new AppError('Verification application not found', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: application
+  });
+});
+
+// Download a document of an application (applicant or admin)
+export const getApplicationDocument = catchAsync(async (req, res, next) => {
+  const application = await VerificationApplication.findById(req.params.id);
+
+  if (!application || (application.applicant.toString() !== req.user._id.toString() && req.user.role !== 'admin')) {
+    return next(new AppError('Verification application not found', 404));
+  }
+
+  const document = application.documents[Number(req.params.index)];
+  if (!document) {
+    return next(new AppError('Document not found', 404));
+  }
+
+  const file = getPrivateFile(document.publicId);
+
+  // Cloudinary serves authenticated files from signed URLs only
+  if (file.url) {
+    return res.redirect(file.url);
+  }
+
+  res.set('Cache-Control', 'private, no-store');
+  res.download(file.path, document.originalName || path.basename(file.path), (error) => {
+    if (error && !res.headersSent) {
+      next(new AppError('Document not found', 404));
+    }
+  });
+});
+
+// Approve an application (admin only)
+export const approveApplication = catchAsync(async (req, res, next) => {
+  const application = await VerificationApplication.decide(req.params.id, req.user._id, 'approved', req.body.notes);
+
+  if (!application) {
+    return next(new AppError('Pending verification application not found', 404));
+  }
+
+  await User.findByIdAndUpdate(application.applicant, { isVerified: true });
+  await AuditLog.record(req, 'verification.approve', 'verification', application._id, {
+    applicant: application.applicant,
+    notes: application.reviewerNotes
+  });
+
+  await application.populate('applicant', 'fullName email');
+  await notifyDecision(application, req.user);
+
+  res.status(200).json({
+    success: true,
+    message: 'Verification application approved',
+    data: application
+  });
+});
+
+// Reject an application (admin only)
+export const rejectApplication = catchAsync(async (req, res, next) => {
+  const application = await VerificationApplication.decide(req.params.id, req.user._id, 'rejected', req.body.notes);
+
+  if (!application) {
+    return next(new AppError('Pending verification application not found', 404));
+  }
+
+  await AuditLog.record(req, 'verification.reject', 'verification', application._id, {
+    applicant: application.applicant,
+    notes: application.reviewerNotes
+  });
+
+  await application.populate('applicant', 'fullName email');
+  await notifyDecision(application, req.user);
+
+  res.status(200).json({
+    success: true,
+    message: 'Verification application rejected',
+    data: application
+  });
+});
@@ -0,0 +1,84 @@
+import User from '../models/User.js';
+import { eraseAccount } from '../utils/accountDeletion.js';
+
+/**
+ * Account deletion worker
+ *
+ * Every hour, erases accounts whose deletion grace period is over. An account
+ * is claimed by setting `deletion.claimedAt` atomically, so several API
+ * processes can run the worker without erasing the same account twice; a
+ * claim left by a worker that died is taken over after a while.
+ */
+
+const CHECK_INTERVAL = 60 * 60 * 1000; // 1 hour
+const CLAIM_TIMEOUT = 30 * 60 * 1000;
+const BATCH_SIZE = 20;
+
+let timer = null;
+
+// Claim the next account due for erasure
+const claimNext = (now) => {
+  return User.findOneAndUpdate(
+    {
+      isActive: false,
+      'deletion.scheduledFor': { $lte: now },
+      $or: [
+        { 'deletion.claimedAt': null },
+        { 'deletion.claimedAt': { $lte: new Date(now.getTime() - CLAIM_TIMEOUT) } }
+      ]
+    },
+    { 'deletion.claimedAt': now },
+    { new: true, sort: { 'deletion.scheduledFor': 1 } }
+  );
+};
+
+/**
+ * Erase every account whose grace period is over
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { erased, failed } counts
+ */
+export const processAccountDeletions = async (now = new Date()) => {
+  const counts = { erased: 0, failed: 0 };
+
+  for (let i = 0; i < BATCH_SIZE; i++) {
+    const user = await claimNext(now);
+    if (!user) break;
+
+    try {
+      await eraseAccount(user);
+      counts.erased += 1;
+    } catch (error) {
+      // The claim expires, so the account is retried later
+      console.error(`Erasing account ${user._id} failed:`, error.message);
+      counts.failed += 1;
+    }
+  }
+
+  return counts;
+};
+
+/**
+ * Start the account deletion worker
+ */
+export const startAccountDeletionWorker = () => {
+  if (timer) return;
+
+  timer = setInterval(() => {
+    processAccountDeletions().catch(error => {
+      console.error('Account deletion job failed:', error.message);
+    });
+  }, CHECK_INTERVAL);
+
+  // Do not keep the process alive just for the worker
+  timer.unref();
+};
+
+/**
+ * Stop the account deletion worker
+ */
+export const stopAccountDeletionWorker = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
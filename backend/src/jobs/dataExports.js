@@ -0,0 +1,112 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import DataExport from '../models/DataExport.js';
+import Notification from '../models/Notification.js';
+import {
+  DATA_EXPORT_DIR,
+  buildUserArchive,
+  getArchivePath,
+  getDownloadUrl,
+  removeArchive
+} from '../utils/dataExport.js';
+
+/**
+ * Data export worker
+ *
+ * Builds requested personal data archives in the background and notifies the
+ * user with a signed download link once each one is ready. Archives past their
+ * expiry are deleted from disk. Claiming is atomic, so several API processes
+ * can run the worker without building an export twice.
+ */
+
+const CHECK_INTERVAL = (parseInt(process.env.DATA_EXPORT_INTERVAL_SECONDS) || 30) * 1000;
+const BATCH_SIZE = 5;
+
+let timer = null;
+
+/**
+ * Build one claimed export and notify its owner
+ * @param {Object} dataExport - Claimed DataExport document
+ */
+const buildExport = async (dataExport) => {
+  const archive = await buildUserArchive(dataExport.user);
+  const fileName = `${dataExport._id}-${crypto.randomBytes(8).toString('hex')}.zip`;
+
+  await fs.mkdir(DATA_EXPORT_DIR, { recursive: true });
+  await fs.writeFile(getArchivePath(fileName), archive);
+  await dataExport.markReady(fileName, archive.length);
+
+  await Notification.createNotification({
+    recipient: dataExport.user,
+    type: 'data_export_ready',
+    title: 'Your data export is ready',
+    message: `Your DeenVerse data archive can be downloaded until ${dataExport.expiresAt.toUTCString()}`,
+    relatedEntity: dataExport._id,
+    relatedEntityType: 'data_export',
+    actionData: {
+      exportId: dataExport._id,
+      downloadUrl: getDownloadUrl(dataExport),
+      expiresAt: dataExport.expiresAt
+    }
+  });
+};
+
+/**
+ * Build waiting exports and delete expired archives
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { built, failed, expired } counts
+ */
+export const processDataExports = async (now = new Date()) => {
+  const counts = { built: 0, failed: 0, expired: 0 };
+
+  for (let i = 0; i < BATCH_SIZE; i++) {
+    const dataExport = await DataExport.claimNext(now);
+    if (!dataExport) break;
+
+    try {
+      await buildExport(dataExport);
+      counts.built += 1;
+    } catch (error) {
+      console.error(`Data export ${dataExport._id} failed (attempt ${dataExport.attempts}):`, error.message);
+      await dataExport.markFailed(error);
+      counts.failed += 1;
+    }
+  }
+
+  const expired = await DataExport.find({ status: 'ready', expiresAt: { $lte: now } }).select('+fileName');
+  for (const dataExport of expired) {
+    await removeArchive(dataExport.fileName);
+    dataExport.status = 'expired';
+    dataExport.fileName = undefined;
+    await dataExport.save();
+    counts.expired += 1;
+  }
+
+  return counts;
+};
+
+/**
+ * Start the data export worker
+ */
+export const startDataExportWorker = () => {
+  if (timer) return;
+
+  timer = setInterval(() => {
+    processDataExports().catch(error => {
+      console.error('Data export job failed:', error.message);
+    });
+  }, CHECK_INTERVAL);
+
+  // Do not keep the process alive just for the worker
+  timer.unref();
+};
+
+/**
+ * Stop the data export worker
+ */
+export const stopDataExportWorker = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
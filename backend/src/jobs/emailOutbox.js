@@ -0,0 +1,68 @@
+import EmailMessage from '../models/EmailMessage.js';
+import { deliverEmail } from '../utils/email.js';
+
+/**
+ * Email outbox worker
+ *
+ * Every few seconds, claims queued messages that are due and delivers them
+ * through the email transport. Failed deliveries are retried with exponential
+ * backoff until EMAIL_MAX_ATTEMPTS, then marked failed. Claiming is atomic, so
+ * several API processes can run the worker without sending duplicates.
+ */
+
+const CHECK_INTERVAL = (parseInt(process.env.EMAIL_OUTBOX_INTERVAL_SECONDS) || 10) * 1000;
+const BATCH_SIZE = 50;
+
+let timer = null;
+
+/**
+ * Deliver every queued message that is due
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { sent, failed } counts
+ */
+export const processEmailOutbox = async (now = new Date()) => {
+  const counts = { sent: 0, failed: 0 };
+
+  for (let i = 0; i < BATCH_SIZE; i++) {
+    const message = await EmailMessage.claimNext(now);
+    if (!message) break;
+
+    try {
+      const result = await deliverEmail(message);
+      await message.markSent(result && result.messageId);
+      counts.sent += 1;
+    } catch (error) {
+      console.error(`Email ${message._id} to ${message.to} failed (attempt ${message.attempts}):`, error.message);
+      await message.markFailed(error);
+      counts.failed += 1;
+    }
+  }
+
+  return counts;
+};
+
+/**
+ * Start the outbox worker
+ */
+export const startEmailOutboxWorker = () => {
+  if (timer) return;
+
+  timer = setInterval(() => {
+    processEmailOutbox().catch(error => {
+      console.error('Email outbox job failed:', error.message);
+    });
+  }, CHECK_INTERVAL);
+
+  // Do not keep the process alive just for the worker
+  timer.unref();
+};
+
+/**
+ * Stop the outbox worker
+ */
+export const stopEmailOutboxWorker = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
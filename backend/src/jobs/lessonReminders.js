@@ -0,0 +1,120 @@
+import Lesson from '../models/Lesson.js';
+import Notification from '../models/Notification.js';
+import { sendLessonReminderEmail } from '../utils/email.js';
+import { truncate } from '../utils/helpers.js';
+
+/**
+ * Lesson reminder scheduler
+ *
+ * Every minute, claims booked lessons starting within the reminder lead time and
+ * sends a `lesson_reminder` notification and email to the imaam and every booked
+ * student. A lesson is claimed by setting `reminderSentAt` atomically, so
+ * several API processes can run the scheduler without sending duplicates.
+ * Lessons nobody booked yet are left unclaimed, so a late first booking is
+ * still reminded on the next run.
+ */
+
+const REMINDER_LEAD_MINUTES = parseInt(process.env.LESSON_REMINDER_MINUTES) || 60;
+const CHECK_INTERVAL = 60 * 1000; // 1 minute
+
+let timer = null;
+
+// Send the reminder for one lesson to a single user
+const remindUser = async (lesson, user, minutesLeft) => {
+  if (!user || user.isActive === false) return;
+
+  await Notification.createNotification({
+    recipient: user._id,
+    type: 'lesson_reminder',
+    title: 'Lesson Starting Soon',
+    message: `"${truncate(lesson.title, 80)}" starts in ${minutesLeft} minutes`,
+    relatedEntity: lesson._id,
+    relatedEntityType: 'lesson',
+    actionData: {
+      lessonId: lesson._id,
+      startTime: lesson.startTime
+    }
+  });
+
+  const wantsEmail = !user.preferences || !user.preferences.notifications
+    || user.preferences.notifications.email !== false;
+
+  if (wantsEmail && user.email) {
+    try {
+      await sendLessonReminderEmail(user.email, user.fullName, {
+        title: lesson.title,
+        startTime: lesson.startTime,
+        duration: lesson.duration,
+        timezone: lesson.timezone,
+        imaamName: lesson.imaam.fullName
+      });
+    } catch (error) {
+      console.error(`Lesson reminder email to ${user.email} failed:`, error.message);
+    }
+  }
+};
+
+/**
+ * Send reminders for every lesson that is about to start
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Number of lessons reminded
+ */
+export const sendDueLessonReminders = async (now = new Date()) => {
+  const horizon = new Date(now.getTime() + REMINDER_LEAD_MINUTES * 60 * 1000);
+  let reminded = 0;
+
+  // Claim due lessons one at a time
+  for (;;) {
+    const lesson = await Lesson.findOneAndUpdate(
+      {
+        status: 'scheduled',
+        reminderSentAt: null,
+        startTime: { $gt: now, $lte: horizon },
+        'attendees.0': { $exists: true }
+      },
+      { reminderSentAt: now },
+      { new: true, sort: { startTime: 1 } }
+    )
+    .populate('imaam', 'fullName email preferences isActive')
+    .populate('attendees.student', 'fullName email preferences isActive');
+
+    if (!lesson) break;
+
+    const minutesLeft = Math.max(Math.round((lesson.startTime - now) / (60 * 1000)), 1);
+    const recipients = [lesson.imaam, ...lesson.attendees.map(attendee => attendee.student)];
+
+    for (const user of recipients) {
+      await remindUser(lesson, user, minutesLeft);
+    }
+
+    reminded += 1;
+  }
+
+  return reminded;
+};
+
+/**
+ * Start the reminder scheduler
+ */
+export const startLessonReminderScheduler = () => {
+  if (timer) return;
+
+  timer = setInterval(() => {
+    sendDueLessonReminders().catch(error => {
+      console.error('Lesson reminder job failed:', error.message);
+    });
+  }, CHECK_INTERVAL);
+
+  // Do not keep the process alive just for the scheduler
+  timer.unref();
+};
+
+/**
+ * Stop the reminder scheduler
+ */
+export const stopLessonReminderScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
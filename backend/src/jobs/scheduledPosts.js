@@ -0,0 +1,67 @@
+import Post from '../models/Post.js';
+import { notifyMentions } from '../utils/mentions.js';
+
+/**
+ * Scheduled posts worker
+ *
+ * Every minute, publishes scheduled posts whose publish time has passed. A
+ * post is claimed by switching its status atomically, so several API
+ * processes can run the worker without publishing a post twice. publishedAt is
+ * set to the publication time, like Post#publish does. Users mentioned in the
+ * post are notified once it is published.
+ */
+
+const CHECK_INTERVAL = (parseInt(process.env.SCHEDULED_POSTS_INTERVAL_SECONDS) || 60) * 1000;
+
+let timer = null;
+
+/**
+ * Publish every scheduled post that is due
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Number of posts published
+ */
+export const publishScheduledPosts = async (now = new Date()) => {
+  let published = 0;
+
+  for (;;) {
+    const post = await Post.findOneAndUpdate(
+      { status: 'scheduled', publishAt: { $lte: now } },
+      { status: 'published', publishedAt: now, $unset: { publishAt: 1 } },
+      { new: true, sort: { publishAt: 1 } }
+    );
+
+    if (!post) break;
+    published += 1;
+
+    await post.populate('author', 'fullName');
+    await notifyMentions(post.mentions, { sender: post.author, post });
+  }
+
+  return published;
+};
+
+/**
+ * Start the scheduled posts worker
+ */
+export const startScheduledPostsWorker = () => {
+  if (timer) return;
+
+  timer = setInterval(() => {
+    publishScheduledPosts().catch(error => {
+      console.error('Scheduled posts job failed:', error.message);
+    });
+  }, CHECK_INTERVAL);
+
+  // Do not keep the process alive just for the worker
+  timer.unref();
+};
+
+/**
+ * Stop the scheduled posts worker
+ */
+export const stopScheduledPostsWorker = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
@@ -1,5 +1,7 @@
 import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
 
 /**
  * @swagger
@@ -12,22 +14,50 @@ import User from '../models/User.js';
  */
 
 // Generate JWT token
-export const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
+export const generateToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, {
     expiresIn: process.env.JWT_EXPIRE || '7d'
   });
 };
 
-// Generate refresh token
-export const generateRefreshToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_REFRESH_SECRET, {
-    expiresIn: process.env.JWT_REFRESH_EXPIRE || '30d'
+// Generate refresh token (unique on every call so each rotation can be told apart)
+export const generateRefreshToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sessionId }, process.env.JWT_REFRESH_SECRET, {
+    expiresIn: process.env.JWT_REFRESH_EXPIRE || '30d',
+    jwtid: crypto.randomUUID()
+  });
+};
+
+// Generate a short-lived token for a step of two-factor login ('login' or 'setup')
+export const generateChallengeToken = (userId, purpose) => {
+  return jwt.sign({ userId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m',
+    audience: `2fa:${purpose}`
+  });
+};
+
+// Verify a two-factor challenge token of the given purpose
+export const verifyChallengeToken = (token, purpose) => {
+  return jwt.verify(token, process.env.JWT_SECRET, { audience: `2fa:${purpose}` });
+};
+
+// Generate a short-lived ticket that can only open the notification stream of a session
+// EventSource cannot send headers, so the ticket goes in the query string instead of the access token.
+export const generateStreamTicket = (userId, sessionId) => {
+  return jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.STREAM_TICKET_EXPIRE || '1m',
+    audience: 'stream'
   });
 };
 
 // Verify JWT token
+// Challenge tokens and stream tickets share the secret but carry an audience; they are not access tokens.
 export const verifyToken = (token) => {
-  return jwt.verify(token, process.env.JWT_SECRET);
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.aud) {
+    throw new jwt.JsonWebTokenError('invalid token');
+  }
+  return decoded;
 };
 
 // Verify refresh token
@@ -56,6 +86,14 @@ export const protect = async (req, res, next) => {
     try {
       // Verify token
       const decoded = verifyToken(token);
+
+      // Reject tokens of sessions that were signed out or revoked
+      if (!decoded.sessionId || !(await Session.isActive(decoded.sessionId))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been revoked. Please login again.'
+        });
+      }
       
       // Get user from token
       const user = await User.findById(decoded.userId).select('-password');
@@ -74,8 +112,9 @@ export const protect = async (req, res, next) => {
         });
       }
 
-      // Add user to request object
+      // Add user and session to request object
       req.user = user;
+      req.sessionId = decoded.sessionId;
       next();
     } catch (error) {
       if (error.name === 'TokenExpiredError') {
@@ -103,6 +142,35 @@ export const protect = async (req, res, next) => {
   }
 };
 
+// Middleware for two-factor setup: accepts an access token, or the setup challenge
+// issued at login to users whose role requires two-factor authentication
+export const protectTwoFactorSetup = async (req, res, next) => {
+  if (!req.body || !req.body.challengeToken) {
+    return protect(req, res, next);
+  }
+
+  try {
+    const decoded = verifyChallengeToken(req.body.challengeToken, 'setup');
+    const user = await User.findById(decoded.userId).select('-password');
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge. Please login again.'
+      });
+    }
+
+    req.user = user;
+    req.twoFactorChallenge = true;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired challenge. Please login again.'
+    });
+  }
+};
+
 // Middleware to check user roles
 export const authorize = (...roles) => {
   return (req, res, next) => {
@@ -178,10 +246,13 @@ export const optionalAuth = async (req, res, next) => {
     if (token) {
       try {
         const decoded = verifyToken(token);
-        const user = await User.findById(decoded.userId).select('-password');
+        const user = decoded.sessionId && await Session.isActive(decoded.sessionId)
+          ? await User.findById(decoded.userId).select('-password')
+          : null;
         
         if (user && user.isActive) {
           req.user = user;
+          req.sessionId = decoded.sessionId;
         }
       } catch (error) {
         // Token is invalid, but we don't fail the request
@@ -194,3 +265,34 @@ export const optionalAuth = async (req, res, next) => {
     next();
   }
 };
+
+// Middleware for the notification stream: accepts an access token, or a stream
+// ticket in the `ticket` query parameter
+export const protectStream = async (req, res, next) => {
+  if (!req.query.ticket) {
+    return protect(req, res, next);
+  }
+
+  try {
+    const decoded = jwt.verify(req.query.ticket, process.env.JWT_SECRET, { audience: 'stream' });
+    const user = decoded.sessionId && await Session.isActive(decoded.sessionId)
+      ? await User.findById(decoded.userId).select('-password')
+      : null;
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired stream ticket.'
+      });
+    }
+
+    req.user = user;
+    req.sessionId = decoded.sessionId;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired stream ticket.'
+    });
+  }
+};
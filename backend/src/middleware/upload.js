@@ -33,6 +33,25 @@ const upload = multer({
   }
 });
 
+// File filter for credential documents (scans or PDFs)
+const documentFilter = (req, file, cb) => {
+  if (file.mimetype.startsWith('image/') || file.mimetype === 'application/pdf') {
+    cb(null, true);
+  } else {
+    cb(new AppError('Only image and PDF files are allowed', 400), false);
+  }
+};
+
+// Configure multer for credential documents
+const documentUpload = multer({
+  storage,
+  fileFilter: documentFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+    files: 5 // Maximum 5 files
+  }
+});
+
 // Error handling middleware for multer
 export const handleUploadError = (error, req, res, next) => {
   if (error instanceof multer.MulterError) {
@@ -59,4 +78,23 @@ export const handleUploadError = (error, req, res, next) => {
   next(error);
 };
 
-export { upload };
+// Multipart forms send arrays and objects as JSON strings; parse the given fields
+export const parseJsonFields = (...fields) => (req, res, next) => {
+  if (!req.is('multipart/form-data')) {
+    return next();
+  }
+
+  for (const field of fields) {
+    if (typeof req.body[field] === 'string') {
+      try {
+        req.body[field] = JSON.parse(req.body[field]);
+      } catch (error) {
+        return next(new AppError(`${field} must be valid JSON`, 400));
+      }
+    }
+  }
+
+  next();
+};
+
+export { upload, documentUpload };
@@ -1,4 +1,74 @@
 import Joi from 'joi';
+import { validatePassword } from '../utils/helpers.js';
+
+// New passwords must satisfy the configured password policy
+const newPassword = (requiredMessage) => Joi.string()
+  .required()
+  .custom((value, helpers) => {
+    const { isValid, errors } = validatePassword(value);
+    return isValid ? value : helpers.message(errors.join(', '));
+  })
+  .messages({
+    'any.required': requiredMessage
+  });
+
+// Alt text and caption of a post image
+const postImageDetails = {
+  alt: Joi.string().trim().max(300).allow('').messages({
+    'string.max': 'Alt text cannot exceed 300 characters'
+  }),
+  caption: Joi.string().trim().max(500).allow('').messages({
+    'string.max': 'Caption cannot exceed 500 characters'
+  })
+};
+
+// Lesson details of a post
+const lessonInfo = Joi.object({
+  title: Joi.string().max(200),
+  duration: Joi.number().min(1).max(1440), // max 24 hours
+  difficulty: Joi.string().valid('beginner', 'intermediate', 'advanced'),
+  topics: Joi.array().items(Joi.string().trim())
+});
+
+// Fields of a post, shared by create and update
+const postFields = {
+  content: Joi.string()
+    .min(1)
+    .max(2000)
+    .required()
+    .messages({
+      'string.min': 'Post content cannot be empty',
+      'string.max': 'Post content cannot exceed 2000 characters',
+      'any.required': 'Post content is required'
+    })
+    // Drafts can be saved before anything is written
+    .when('status', { is: 'draft', then: Joi.optional().allow('') }),
+  type: Joi.string()
+    .valid('general', 'question', 'announcement', 'lesson', 'inspiration')
+    .default('general')
+    .messages({
+      'any.only': 'Invalid post type'
+    }),
+  tags: Joi.array()
+    .items(Joi.string().trim().max(50))
+    .max(10)
+    .messages({
+      'array.max': 'Cannot have more than 10 tags'
+    }),
+  visibility: Joi.string()
+    .valid('public', 'followers', 'private')
+    .default('public')
+    .messages({
+      'any.only': 'Invalid visibility setting'
+    }),
+  lessonInfo: lessonInfo.when('type', {
+    is: 'lesson',
+    then: Joi.required(),
+    otherwise: Joi.optional()
+  }),
+  // Details of the uploaded images, in upload order
+  imageDetails: Joi.array().items(Joi.object(postImageDetails))
+};
 
 // Validation middleware factory
 export const validate = (schema) => {
@@ -38,20 +108,12 @@ export const validationSchemas = {
         'string.email': 'Please provide a valid email address',
         'any.required': 'Email is required'
       }),
-    password: Joi.string()
-      .min(6)
-      .max(128)
-      .required()
-      .messages({
-        'string.min': 'Password must be at least 6 characters long',
-        'string.max': 'Password cannot exceed 128 characters',
-        'any.required': 'Password is required'
-      }),
+    password: newPassword('Password is required'),
     role: Joi.string()
-      .valid('student', 'imaam', 'admin')
+      .valid('student', 'imaam', 'guardian', 'admin')
       .required()
       .messages({
-        'any.only': 'Role must be either student, imaam, or admin',
+        'any.only': 'Role must be one of student, imaam, guardian or admin',
         'any.required': 'Role is required'
       }),
     islamicProfile: Joi.string()
@@ -76,6 +138,65 @@ export const validationSchemas = {
       .allow('')
       .messages({
         'string.max': 'Bio cannot exceed 500 characters'
+      }),
+    dateOfBirth: Joi.date()
+      .max('now')
+      .when('role', { is: 'guardian', then: Joi.required() })
+      .messages({
+        'date.base': 'Date of birth must be a valid date',
+        'date.max': 'Date of birth cannot be in the future',
+        'any.required': 'Date of birth is required for guardian accounts'
+      })
+  }),
+
+  // Create a child account as a guardian
+  createChildAccount: Joi.object({
+    fullName: Joi.string()
+      .min(2)
+      .max(100)
+      .required()
+      .messages({
+        'string.min': 'Full name must be at least 2 characters long',
+        'string.max': 'Full name cannot exceed 100 characters',
+        'any.required': 'Full name is required'
+      }),
+    email: Joi.string()
+      .email()
+      .required()
+      .messages({
+        'string.email': 'Please provide a valid email address',
+        'any.required': 'Email is required'
+      }),
+    password: newPassword('Password is required'),
+    dateOfBirth: Joi.date()
+      .max('now')
+      .required()
+      .messages({
+        'date.base': 'Date of birth must be a valid date',
+        'date.max': 'Date of birth cannot be in the future',
+        'any.required': 'Date of birth is required'
+      }),
+    islamicProfile: Joi.string()
+      .valid('student', 'hafiz', 'qari', 'other')
+      .messages({
+        'any.only': 'Invalid Islamic profile selected'
+      }),
+    bio: Joi.string()
+      .max(500)
+      .allow('')
+      .messages({
+        'string.max': 'Bio cannot exceed 500 characters'
+      })
+  }),
+
+  // Link an existing student account as a guardian
+  linkChildAccount: Joi.object({
+    email: Joi.string()
+      .email()
+      .required()
+      .messages({
+        'string.email': 'Please provide a valid email address',
+        'any.required': 'Email is required'
       })
   }),
 
@@ -95,6 +216,128 @@ export const validationSchemas = {
       })
   }),
 
+  // Request a password reset
+  forgotPassword: Joi.object({
+    email: Joi.string()
+      .email()
+      .required()
+      .messages({
+        'string.email': 'Please provide a valid email address',
+        'any.required': 'Email is required'
+      })
+  }),
+
+  // Set a new password from a reset link
+  resetPassword: Joi.object({
+    token: Joi.string()
+      .required()
+      .messages({
+        'any.required': 'Reset token is required'
+      }),
+    password: newPassword('Password is required')
+  }),
+
+  // Change the password of the signed-in user
+  changePassword: Joi.object({
+    currentPassword: Joi.string()
+      .required()
+      .messages({
+        'any.required': 'Current password is required'
+      }),
+    newPassword: newPassword('New password is required')
+  }),
+
+  // Restore an account scheduled for deletion
+  restoreAccount: Joi.object({
+    email: Joi.string()
+      .email()
+      .required()
+      .messages({
+        'string.email': 'Please provide a valid email address',
+        'any.required': 'Email is required'
+      }),
+    password: Joi.string()
+      .required()
+      .messages({
+        'any.required': 'Password is required'
+      })
+  }),
+
+  // Unlock a locked account
+  unlockAccount: Joi.object({
+    token: Joi.string()
+      .required()
+      .messages({
+        'any.required': 'Unlock token is required'
+      })
+  }),
+
+  // Second step of a two-factor login
+  twoFactorLogin: Joi.object({
+    challengeToken: Joi.string()
+      .required()
+      .messages({
+        'any.required': 'Challenge token is required'
+      }),
+    code: Joi.string()
+      .trim()
+      .max(20)
+      .required()
+      .messages({
+        'string.max': 'Code cannot exceed 20 characters',
+        'any.required': 'Authentication code is required'
+      })
+  }),
+
+  // Confirm two-factor setup or regenerate recovery codes
+  twoFactorCode: Joi.object({
+    code: Joi.string()
+      .trim()
+      .max(20)
+      .required()
+      .messages({
+        'string.max': 'Code cannot exceed 20 characters',
+        'any.required': 'Authentication code is required'
+      }),
+    challengeToken: Joi.string()
+  }),
+
+  // Start two-factor setup (challengeToken when setup is required to log in)
+  twoFactorSetup: Joi.object({
+    challengeToken: Joi.string()
+  }),
+
+  // Turn off two-factor authentication
+  twoFactorDisable: Joi.object({
+    password: Joi.string()
+      .required()
+      .messages({
+        'any.required': 'Password is required'
+      }),
+    code: Joi.string()
+      .trim()
+      .max(20)
+      .required()
+      .messages({
+        'string.max': 'Code cannot exceed 20 characters',
+        'any.required': 'Authentication code is required'
+      })
+  }),
+
+  // Schedule deletion of the current account
+  deleteAccount: Joi.object({
+    password: Joi.string()
+      .required()
+      .messages({
+        'any.required': 'Password is required'
+      }),
+    contentAction: Joi.string()
+      .valid('anonymize', 'delete')
+      .messages({
+        'any.only': 'Content action must be either anonymize or delete'
+      })
+  }),
+
   // Update profile
   updateProfile: Joi.object({
     fullName: Joi.string()
@@ -104,6 +347,11 @@ export const validationSchemas = {
         'string.min': 'Full name must be at least 2 characters long',
         'string.max': 'Full name cannot exceed 100 characters'
       }),
+    handle: Joi.string()
+      .pattern(/^[a-zA-Z0-9_]{3,30}$/)
+      .messages({
+        'string.pattern.base': 'Handle must be 3-30 letters, numbers or underscores'
+      }),
     bio: Joi.string()
       .max(500)
       .allow('')
@@ -154,47 +402,97 @@ export const validationSchemas = {
 
   // Create post
   createPost: Joi.object({
+    ...postFields,
+    status: Joi.string()
+      .valid('published', 'draft')
+      .messages({
+        'any.only': 'Status must be published or draft'
+      }),
+    // Schedule the post instead of publishing it now
+    publishAt: Joi.date()
+      .greater('now')
+      .when('status', { is: 'draft', then: Joi.forbidden() })
+      .messages({
+        'date.greater': 'Publish time must be in the future',
+        'any.unknown': 'Drafts cannot have a publish time'
+      })
+  }),
+
+  // Autosave a draft; every field is optional
+  autosaveDraft: Joi.object({
     content: Joi.string()
-      .min(1)
       .max(2000)
-      .required()
+      .allow('')
       .messages({
-        'string.min': 'Post content cannot be empty',
-        'string.max': 'Post content cannot exceed 2000 characters',
-        'any.required': 'Post content is required'
+        'string.max': 'Post content cannot exceed 2000 characters'
       }),
+    type: postFields.type,
+    tags: postFields.tags,
+    visibility: postFields.visibility,
+    lessonInfo
+  }),
+
+  // Publish a draft now or at a later time
+  publishPost: Joi.object({
+    publishAt: Joi.date()
+      .greater('now')
+      .messages({
+        'date.greater': 'Publish time must be in the future'
+      })
+  }),
+
+  // Scheduled posts of the current user
+  scheduledPostsQuery: Joi.object({
     type: Joi.string()
       .valid('general', 'question', 'announcement', 'lesson', 'inspiration')
-      .default('general')
       .messages({
         'any.only': 'Invalid post type'
       }),
-    tags: Joi.array()
-      .items(Joi.string().trim().max(50))
-      .max(10)
+    page: Joi.number()
+      .integer()
+      .min(1)
+      .default(1)
       .messages({
-        'array.max': 'Cannot have more than 10 tags'
+        'number.base': 'Page must be a number',
+        'number.integer': 'Page must be an integer',
+        'number.min': 'Page must be at least 1'
       }),
-    visibility: Joi.string()
-      .valid('public', 'followers', 'private')
-      .default('public')
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .default(20)
       .messages({
-        'any.only': 'Invalid visibility setting'
-      }),
-    lessonInfo: Joi.object({
-      title: Joi.string().max(200),
-      duration: Joi.number().min(1).max(1440), // max 24 hours
-      difficulty: Joi.string().valid('beginner', 'intermediate', 'advanced'),
-      topics: Joi.array().items(Joi.string().trim())
-    }).when('type', {
-      is: 'lesson',
-      then: Joi.required(),
-      otherwise: Joi.optional()
-    })
+        'number.base': 'Limit must be a number',
+        'number.integer': 'Limit must be an integer',
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit cannot exceed 100'
+      })
+  }),
+
+  // Update post
+  updatePost: Joi.object({
+    ...postFields,
+    // Images to keep, in display order; images left out are deleted
+    existingImages: Joi.array().items(Joi.object({
+      _id: Joi.string()
+        .pattern(/^[0-9a-fA-F]{24}$/)
+        .required()
+        .messages({
+          'string.pattern.base': 'Invalid image ID',
+          'any.required': 'Image ID is required'
+        }),
+      ...postImageDetails
+    }))
   }),
 
   // Create comment
   createComment: Joi.object({
+    post: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .messages({
+        'string.pattern.base': 'Invalid post ID'
+      }),
     content: Joi.string()
       .min(1)
       .max(500)
@@ -236,36 +534,696 @@ export const validationSchemas = {
       })
   }),
 
-  // Search parameters
-  search: Joi.object({
-    q: Joi.string()
+  // Start conversation
+  createConversation: Joi.object({
+    participants: Joi.array()
+      .items(
+        Joi.string()
+          .pattern(/^[0-9a-fA-F]{24}$/)
+          .messages({
+            'string.pattern.base': 'Invalid participant ID'
+          })
+      )
       .min(1)
+      .max(9)
+      .required()
+      .messages({
+        'array.min': 'At least one participant is required',
+        'array.max': 'Cannot have more than 9 other participants',
+        'any.required': 'Participants are required'
+      }),
+    title: Joi.string()
       .max(100)
+      .allow('')
+      .messages({
+        'string.max': 'Title cannot exceed 100 characters'
+      })
+  }),
+
+  // Send message
+  sendMessage: Joi.object({
+    content: Joi.string()
+      .trim()
+      .min(1)
+      .max(2000)
       .required()
       .messages({
-        'string.min': 'Search query cannot be empty',
-        'string.max': 'Search query cannot exceed 100 characters',
-        'any.required': 'Search query is required'
+        'string.empty': 'Message cannot be empty',
+        'string.min': 'Message cannot be empty',
+        'string.max': 'Message cannot exceed 2000 characters',
+        'any.required': 'Message content is required'
+      })
+  }),
+
+  // Publish lesson slot
+  createLesson: Joi.object({
+    title: Joi.string()
+      .max(200)
+      .required()
+      .messages({
+        'string.max': 'Title cannot exceed 200 characters',
+        'any.required': 'Lesson title is required'
       }),
-    page: Joi.number()
+    description: Joi.string()
+      .max(1000)
+      .allow('')
+      .messages({
+        'string.max': 'Description cannot exceed 1000 characters'
+      }),
+    difficulty: Joi.string()
+      .valid('beginner', 'intermediate', 'advanced')
+      .messages({
+        'any.only': 'Invalid difficulty level'
+      }),
+    topics: Joi.array()
+      .items(Joi.string().trim().max(50))
+      .max(10)
+      .messages({
+        'array.max': 'Cannot have more than 10 topics'
+      }),
+    startTime: Joi.string()
+      .pattern(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Start time must be a local time in the format YYYY-MM-DDTHH:mm',
+        'any.required': 'Start time is required'
+      }),
+    duration: Joi.number()
+      .integer()
+      .min(1)
+      .max(1440) // max 24 hours
+      .required()
+      .messages({
+        'number.min': 'Duration must be at least 1 minute',
+        'number.max': 'Duration cannot exceed 24 hours',
+        'any.required': 'Duration is required'
+      }),
+    capacity: Joi.number()
       .integer()
       .min(1)
+      .max(100)
       .default(1)
       .messages({
-        'number.base': 'Page must be a number',
-        'number.integer': 'Page must be an integer',
-        'number.min': 'Page must be at least 1'
+        'number.min': 'Capacity must be at least 1',
+        'number.max': 'Capacity cannot exceed 100'
       }),
-    limit: Joi.number()
+    post: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .messages({
+        'string.pattern.base': 'Invalid post ID'
+      })
+  }),
+
+  // Update lesson slot
+  updateLesson: Joi.object({
+    title: Joi.string()
+      .max(200)
+      .messages({
+        'string.max': 'Title cannot exceed 200 characters'
+      }),
+    description: Joi.string()
+      .max(1000)
+      .allow('')
+      .messages({
+        'string.max': 'Description cannot exceed 1000 characters'
+      }),
+    difficulty: Joi.string()
+      .valid('beginner', 'intermediate', 'advanced')
+      .messages({
+        'any.only': 'Invalid difficulty level'
+      }),
+    topics: Joi.array()
+      .items(Joi.string().trim().max(50))
+      .max(10)
+      .messages({
+        'array.max': 'Cannot have more than 10 topics'
+      }),
+    startTime: Joi.string()
+      .pattern(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/)
+      .messages({
+        'string.pattern.base': 'Start time must be a local time in the format YYYY-MM-DDTHH:mm'
+      }),
+    duration: Joi.number()
+      .integer()
+      .min(1)
+      .max(1440)
+      .messages({
+        'number.min': 'Duration must be at least 1 minute',
+        'number.max': 'Duration cannot exceed 24 hours'
+      }),
+    capacity: Joi.number()
       .integer()
       .min(1)
       .max(100)
-      .default(10)
       .messages({
-        'number.base': 'Limit must be a number',
-        'number.integer': 'Limit must be an integer',
-        'number.min': 'Limit must be at least 1',
-        'number.max': 'Limit cannot exceed 100'
+        'number.min': 'Capacity must be at least 1',
+        'number.max': 'Capacity cannot exceed 100'
+      })
+  }).min(1),
+
+  // Move a booking to another lesson
+  rescheduleBooking: Joi.object({
+    lessonId: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Invalid lesson ID',
+        'any.required': 'Lesson ID is required'
+      })
+  }),
+
+  // Lesson list parameters
+  lessonQuery: Joi.object({
+    imaam: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .messages({
+        'string.pattern.base': 'Invalid Imaam ID'
+      }),
+    from: Joi.date()
+      .iso()
+      .messages({
+        'date.format': 'From must be an ISO date'
+      }),
+    to: Joi.date()
+      .iso()
+      .messages({
+        'date.format': 'To must be an ISO date'
+      }),
+    available: Joi.boolean(),
+    page: Joi.number()
+      .integer()
+      .min(1)
+      .default(1)
+      .messages({
+        'number.base': 'Page must be a number',
+        'number.integer': 'Page must be an integer',
+        'number.min': 'Page must be at least 1'
+      }),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .default(20)
+      .messages({
+        'number.base': 'Limit must be a number',
+        'number.integer': 'Limit must be an integer',
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit cannot exceed 100'
+      })
+  }),
+
+  // Review an Imaam
+  createReview: Joi.object({
+    rating: Joi.number()
+      .integer()
+      .min(1)
+      .max(5)
+      .required()
+      .messages({
+        'number.base': 'Rating must be a number',
+        'number.integer': 'Rating must be a whole number',
+        'number.min': 'Rating must be at least 1',
+        'number.max': 'Rating cannot exceed 5',
+        'any.required': 'Rating is required'
+      }),
+    comment: Joi.string()
+      .max(1000)
+      .allow('')
+      .messages({
+        'string.max': 'Review cannot exceed 1000 characters'
+      })
+  }),
+
+  // Update review
+  updateReview: Joi.object({
+    rating: Joi.number()
+      .integer()
+      .min(1)
+      .max(5)
+      .messages({
+        'number.base': 'Rating must be a number',
+        'number.integer': 'Rating must be a whole number',
+        'number.min': 'Rating must be at least 1',
+        'number.max': 'Rating cannot exceed 5'
+      }),
+    comment: Joi.string()
+      .max(1000)
+      .allow('')
+      .messages({
+        'string.max': 'Review cannot exceed 1000 characters'
+      })
+  }).min(1),
+
+  // Imaam reply to a review
+  reviewReply: Joi.object({
+    content: Joi.string()
+      .max(1000)
+      .required()
+      .messages({
+        'string.max': 'Reply cannot exceed 1000 characters',
+        'any.required': 'Reply content is required'
+      })
+  }),
+
+  // Report a review
+  reportReview: Joi.object({
+    reason: Joi.string()
+      .valid('spam', 'harassment', 'inappropriate', 'fake', 'other')
+      .required()
+      .messages({
+        'any.only': 'Invalid report reason',
+        'any.required': 'Report reason is required'
+      }),
+    details: Joi.string()
+      .max(500)
+      .allow('')
+      .messages({
+        'string.max': 'Details cannot exceed 500 characters'
+      })
+  }),
+
+  // Imaam verification application
+  verificationApplication: Joi.object({
+    statement: Joi.string()
+      .max(1000)
+      .allow('')
+      .messages({
+        'string.max': 'Statement cannot exceed 1000 characters'
+      })
+  }),
+
+  // Approve verification application
+  verificationApproval: Joi.object({
+    notes: Joi.string()
+      .max(1000)
+      .allow('')
+      .messages({
+        'string.max': 'Notes cannot exceed 1000 characters'
+      })
+  }),
+
+  // Reject verification application
+  verificationRejection: Joi.object({
+    notes: Joi.string()
+      .max(1000)
+      .required()
+      .messages({
+        'string.max': 'Notes cannot exceed 1000 characters',
+        'any.required': 'Please explain why the application was rejected'
+      })
+  }),
+
+  // Verification queue parameters
+  verificationQuery: Joi.object({
+    status: Joi.string()
+      .valid('pending', 'approved', 'rejected')
+      .messages({
+        'any.only': 'Invalid application status'
+      }),
+    page: Joi.number()
+      .integer()
+      .min(1)
+      .default(1)
+      .messages({
+        'number.base': 'Page must be a number',
+        'number.integer': 'Page must be an integer',
+        'number.min': 'Page must be at least 1'
+      }),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .default(10)
+      .messages({
+        'number.base': 'Limit must be a number',
+        'number.integer': 'Limit must be an integer',
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit cannot exceed 100'
+      })
+  }),
+
+  // Guardian approval listing parameters
+  guardianApprovalQuery: Joi.object({
+    status: Joi.string()
+      .valid('pending', 'approved', 'rejected', 'expired')
+      .messages({
+        'any.only': 'Invalid approval status'
+      }),
+    page: Joi.number()
+      .integer()
+      .min(1)
+      .default(1)
+      .messages({
+        'number.base': 'Page must be a number',
+        'number.integer': 'Page must be an integer',
+        'number.min': 'Page must be at least 1'
+      }),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .default(20)
+      .messages({
+        'number.base': 'Limit must be a number',
+        'number.integer': 'Limit must be an integer',
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit cannot exceed 100'
+      })
+  }),
+
+  // Admin user search parameters
+  adminUserQuery: Joi.object({
+    q: Joi.string()
+      .max(100)
+      .messages({
+        'string.max': 'Search query cannot exceed 100 characters'
+      }),
+    role: Joi.string()
+      .valid('student', 'imaam', 'guardian', 'admin')
+      .messages({
+        'any.only': 'Invalid role'
+      }),
+    isActive: Joi.boolean(),
+    isVerified: Joi.boolean(),
+    page: Joi.number()
+      .integer()
+      .min(1)
+      .default(1)
+      .messages({
+        'number.base': 'Page must be a number',
+        'number.integer': 'Page must be an integer',
+        'number.min': 'Page must be at least 1'
+      }),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .default(20)
+      .messages({
+        'number.base': 'Limit must be a number',
+        'number.integer': 'Limit must be an integer',
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit cannot exceed 100'
+      })
+  }),
+
+  // Suspend user
+  suspendUser: Joi.object({
+    reason: Joi.string()
+      .max(500)
+      .required()
+      .messages({
+        'string.max': 'Reason cannot exceed 500 characters',
+        'any.required': 'Suspension reason is required'
+      })
+  }),
+
+  // Change user role
+  changeRole: Joi.object({
+    role: Joi.string()
+      .valid('student', 'imaam', 'guardian', 'admin')
+      .required()
+      .messages({
+        'any.only': 'Role must be student, imaam or admin',
+        'any.required': 'Role is required'
+      })
+  }),
+
+  // Roles that must use two-factor authentication
+  twoFactorPolicy: Joi.object({
+    roles: Joi.array()
+      .items(Joi.string().valid('student', 'imaam', 'guardian', 'admin'))
+      .unique()
+      .required()
+      .messages({
+        'any.only': 'Role must be student, imaam or admin',
+        'array.unique': 'Roles must not repeat',
+        'any.required': 'Roles are required'
+      })
+  }),
+
+  // Feature post
+  featurePost: Joi.object({
+    isFeatured: Joi.boolean()
+      .required()
+      .messages({
+        'any.required': 'isFeatured is required'
+      })
+  }),
+
+  // Pin post
+  pinPost: Joi.object({
+    isPinned: Joi.boolean()
+      .required()
+      .messages({
+        'any.required': 'isPinned is required'
+      })
+  }),
+
+  // Hide comment
+  hideComment: Joi.object({
+    reason: Joi.string()
+      .max(500)
+      .allow('')
+      .messages({
+        'string.max': 'Reason cannot exceed 500 characters'
+      })
+  }),
+
+  // Audit log parameters
+  auditLogQuery: Joi.object({
+    actor: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .messages({
+        'string.pattern.base': 'Invalid actor ID'
+      }),
+    action: Joi.string()
+      .max(50),
+    targetType: Joi.string()
+      .valid('user', 'post', 'comment', 'verification', 'review', 'system')
+      .messages({
+        'any.only': 'Invalid target type'
+      }),
+    targetId: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .messages({
+        'string.pattern.base': 'Invalid target ID'
+      }),
+    page: Joi.number()
+      .integer()
+      .min(1)
+      .default(1)
+      .messages({
+        'number.base': 'Page must be a number',
+        'number.integer': 'Page must be an integer',
+        'number.min': 'Page must be at least 1'
+      }),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .default(20)
+      .messages({
+        'number.base': 'Limit must be a number',
+        'number.integer': 'Limit must be an integer',
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit cannot exceed 100'
+      })
+  }),
+
+  // Report content
+  createReport: Joi.object({
+    targetType: Joi.string()
+      .valid('post', 'comment', 'review', 'user')
+      .required()
+      .messages({
+        'any.only': 'Target type must be post, comment, review or user',
+        'any.required': 'Target type is required'
+      }),
+    targetId: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Invalid target ID',
+        'any.required': 'Target ID is required'
+      }),
+    reason: Joi.string()
+      .valid('misinformation', 'harassment', 'spam', 'hate_speech', 'inappropriate', 'impersonation', 'fake', 'other')
+      .required()
+      .messages({
+        'any.only': 'Invalid report reason',
+        'any.required': 'Report reason is required'
+      }),
+    details: Joi.string()
+      .max(500)
+      .allow('')
+      .messages({
+        'string.max': 'Details cannot exceed 500 characters'
+      })
+  }),
+
+  // Resolve report
+  resolveReport: Joi.object({
+    action: Joi.string()
+      .valid('dismiss', 'hide', 'unhide', 'suspend')
+      .required()
+      .messages({
+        'any.only': 'Action must be dismiss, hide, unhide or suspend',
+        'any.required': 'Action is required'
+      }),
+    notes: Joi.string()
+      .max(1000)
+      .allow('')
+      .messages({
+        'string.max': 'Notes cannot exceed 1000 characters'
+      })
+  }),
+
+  // Moderation queue parameters
+  reportQuery: Joi.object({
+    targetType: Joi.string()
+      .valid('post', 'comment', 'review', 'user')
+      .messages({
+        'any.only': 'Invalid target type'
+      }),
+    reason: Joi.string()
+      .valid('misinformation', 'harassment', 'spam', 'hate_speech', 'inappropriate', 'impersonation', 'fake', 'other')
+      .messages({
+        'any.only': 'Invalid report reason'
+      }),
+    page: Joi.number()
+      .integer()
+      .min(1)
+      .default(1)
+      .messages({
+        'number.base': 'Page must be a number',
+        'number.integer': 'Page must be an integer',
+        'number.min': 'Page must be at least 1'
+      }),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .default(20)
+      .messages({
+        'number.base': 'Limit must be a number',
+        'number.integer': 'Limit must be an integer',
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit cannot exceed 100'
+      })
+  }),
+
+  // Search parameters
+  search: Joi.object({
+    q: Joi.string()
+      .min(1)
+      .max(100)
+      .required()
+      .messages({
+        'string.min': 'Search query cannot be empty',
+        'string.max': 'Search query cannot exceed 100 characters',
+        'any.required': 'Search query is required'
+      }),
+    scope: Joi.string()
+      .valid('all', 'posts', 'imaam')
+      .messages({
+        'any.only': 'Scope must be all, posts or imaam'
+      }),
+    type: Joi.string()
+      .valid('general', 'question', 'announcement', 'lesson', 'inspiration')
+      .messages({
+        'any.only': 'Invalid post type'
+      }),
+    islamicProfile: Joi.string()
+      .valid('student', 'hafiz', 'mufti', 'islamic scholar', 'qari', 'imam', 'islamic teacher', 'religious counselor', 'other')
+      .messages({
+        'any.only': 'Invalid Islamic profile'
+      }),
+    page: Joi.number()
+      .integer()
+      .min(1)
+      .default(1)
+      .messages({
+        'number.base': 'Page must be a number',
+        'number.integer': 'Page must be an integer',
+        'number.min': 'Page must be at least 1'
+      }),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .default(10)
+      .messages({
+        'number.base': 'Limit must be a number',
+        'number.integer': 'Limit must be an integer',
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit cannot exceed 100'
+      })
+  }),
+
+  // Notification list parameters
+  notificationQuery: Joi.object({
+    page: Joi.number()
+      .integer()
+      .min(1)
+      .default(1)
+      .messages({
+        'number.base': 'Page must be a number',
+        'number.integer': 'Page must be an integer',
+        'number.min': 'Page must be at least 1'
+      }),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .default(20)
+      .messages({
+        'number.base': 'Limit must be a number',
+        'number.integer': 'Limit must be an integer',
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit cannot exceed 100'
+      }),
+    unreadOnly: Joi.boolean()
+      .messages({
+        'boolean.base': 'unreadOnly must be true or false'
+      })
+  }),
+
+  // Feed parameters
+  feedQuery: Joi.object({
+    cursor: Joi.string()
+      .max(500)
+      .messages({
+        'string.max': 'Invalid feed cursor'
+      }),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(50)
+      .default(10)
+      .messages({
+        'number.base': 'Limit must be a number',
+        'number.integer': 'Limit must be an integer',
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit cannot exceed 50'
+      })
+  }),
+
+  // Versions to compare; defaults to the latest edit
+  revisionDiffQuery: Joi.object({
+    from: Joi.number()
+      .integer()
+      .min(1)
+      .messages({
+        'number.base': 'From must be a revision number',
+        'number.min': 'From must be at least 1'
+      }),
+    to: Joi.number()
+      .integer()
+      .min(1)
+      .messages({
+        'number.base': 'To must be a revision number',
+        'number.min': 'To must be at least 1'
       })
   }),
 
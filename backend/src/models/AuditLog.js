@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Actor is required']
+  },
+  // Dotted action name, e.g. "user.suspend" or "post.feature"
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    trim: true
+  },
+  targetType: {
+    type: String,
+    enum: ['user', 'post', 'comment', 'verification', 'review', 'system'],
+    default: 'system'
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Action specific data (previous and new values, filters, reasons)
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better performance
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Audit entries are append-only
+auditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function(next) {
+  next(new Error('Audit log entries cannot be modified'));
+});
+
+// Static method to record an action taken through an API request
+auditLogSchema.statics.record = function(req, action, targetType = 'system', targetId = null, details = {}) {
+  return this.create({
+    actor: req.user._id,
+    action,
+    targetType,
+    targetId,
+    details,
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+};
+
+// Static method to get audit entries
+auditLogSchema.statics.getLogs = function(filter = {}, page = 1, limit = 20) {
+  const skip = (page - 1) * limit;
+
+  return this.find(filter)
+    .populate('actor', 'fullName email role')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+};
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
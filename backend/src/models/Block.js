@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+// A user blocking another. Blocking works both ways: neither user sees the
+// other's posts or comments, and they cannot interact or notify each other.
+const blockSchema = new mongoose.Schema({
+  // The user who blocked
+  blocker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Blocker is required']
+  },
+  // The user who is blocked
+  blocked: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Blocked user is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+blockSchema.index({ blocker: 1, blocked: 1 }, { unique: true });
+blockSchema.index({ blocked: 1 });
+
+// Pre-save middleware to prevent self-block
+blockSchema.pre('save', function(next) {
+  if (this.blocker.toString() === this.blocked.toString()) {
+    const error = new Error('Cannot block yourself');
+    error.statusCode = 400;
+    return next(error);
+  }
+  next();
+});
+
+// Static method to check if either user has blocked the other
+blockSchema.statics.isBlockedBetween = function(userId1, userId2) {
+  return this.exists({
+    $or: [
+      { blocker: userId1, blocked: userId2 },
+      { blocker: userId2, blocked: userId1 }
+    ]
+  });
+};
+
+// Static method to get the IDs of users a user has blocked or is blocked by
+blockSchema.statics.getBlockedIds = async function(userId) {
+  const blocks = await this.find({
+    $or: [{ blocker: userId }, { blocked: userId }]
+  }).select('blocker blocked');
+
+  return blocks.map(block => (
+    block.blocker.toString() === userId.toString() ? block.blocked : block.blocker
+  ));
+};
+
+const Block = mongoose.model('Block', blockSchema);
+
+export default Block;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { formatContent } from '../utils/helpers.js';
 
 const commentSchema = new mongoose.Schema({
   post: {
@@ -51,10 +52,23 @@ const commentSchema = new mongoose.Schema({
     enum: ['published', 'hidden', 'deleted'],
     default: 'published'
   },
-  // Mentioned users
+  // Set when the content is edited; every version is kept as a Revision
+  isEdited: {
+    type: Boolean,
+    default: false
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  // Users mentioned by @handle, with the handle as written
   mentions: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    handle: String
   }]
 }, {
   timestamps: true,
@@ -68,6 +82,11 @@ commentSchema.index({ author: 1, createdAt: -1 });
 commentSchema.index({ parentComment: 1, createdAt: 1 });
 commentSchema.index({ status: 1 });
 
+// Virtual for the content as HTML, with links for mentions and hashtags
+commentSchema.virtual('formattedContent').get(function() {
+  return formatContent(this.content, this.mentions);
+});
+
 // Virtual for time ago
 commentSchema.virtual('timeAgo').get(function() {
   const now = new Date();
@@ -126,17 +145,19 @@ commentSchema.methods.isLikedBy = function(userId) {
 };
 
 // Static method to get comments for a post
-commentSchema.statics.getPostComments = function(postId, page = 1, limit = 20) {
+commentSchema.statics.getPostComments = function(postId, page = 1, limit = 20, hiddenAuthorIds = []) {
   const skip = (page - 1) * limit;
   
   return this.find({ 
     post: postId,
     parentComment: null, // Only top-level comments
-    status: 'published'
+    status: 'published',
+    author: { $nin: hiddenAuthorIds }
   })
   .populate('author', 'fullName profilePicture role islamicProfile')
   .populate({
     path: 'replies',
+    match: { author: { $nin: hiddenAuthorIds } },
     populate: {
       path: 'author',
       select: 'fullName profilePicture role islamicProfile'
@@ -149,12 +170,13 @@ commentSchema.statics.getPostComments = function(postId, page = 1, limit = 20) {
 };
 
 // Static method to get comment replies
-commentSchema.statics.getCommentReplies = function(commentId, page = 1, limit = 10) {
+commentSchema.statics.getCommentReplies = function(commentId, page = 1, limit = 10, hiddenAuthorIds = []) {
   const skip = (page - 1) * limit;
   
   return this.find({ 
     parentComment: commentId,
-    status: 'published'
+    status: 'published',
+    author: { $nin: hiddenAuthorIds }
   })
   .populate('author', 'fullName profilePicture role islamicProfile')
   .sort({ createdAt: 1 })
@@ -60,12 +60,14 @@ connectionSchema.pre('save', function(next) {
     error.statusCode = 400;
     return next(error);
   }
+  // isNew is already false once saved
+  this.$locals.wasNew = this.isNew;
   next();
 });
 
 // Post-save middleware to update user connections count
 connectionSchema.post('save', async function() {
-  if (this.isNew && this.status === 'accepted') {
+  if (this.$locals.wasNew && this.status === 'accepted') {
     const User = mongoose.model('User');
     
     // Update connections count for both users
@@ -110,14 +112,20 @@ connectionSchema.statics.getPendingConnections = function(userId, page = 1, limi
   .limit(limit);
 };
 
-// Static method to check if users are connected
-connectionSchema.statics.areConnected = function(userId1, userId2) {
-  return this.findOne({
+// Static method to check if users are connected (optionally with a given connection type)
+connectionSchema.statics.areConnected = function(userId1, userId2, type = null) {
+  const query = {
     $or: [
       { requester: userId1, recipient: userId2, status: 'accepted' },
       { requester: userId2, recipient: userId1, status: 'accepted' }
     ]
-  });
+  };
+
+  if (type) {
+    query.type = type;
+  }
+
+  return this.findOne(query);
 };
 
 // Static method to get connection between two users
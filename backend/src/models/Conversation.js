@@ -0,0 +1,149 @@
+import mongoose from 'mongoose';
+
+export const MAX_GROUP_PARTICIPANTS = 10;
+
+const conversationSchema = new mongoose.Schema({
+  // Conversation type
+  type: {
+    type: String,
+    enum: ['direct', 'group'],
+    required: true
+  },
+  participants: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }],
+  // Optional name for group conversations
+  title: {
+    type: String,
+    maxlength: [100, 'Title cannot exceed 100 characters'],
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Creator is required']
+  },
+  // Sorted participant IDs, used to keep one direct conversation per pair
+  directKey: {
+    type: String,
+    default: undefined
+  },
+  // Per-participant read state
+  participantState: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    unreadCount: {
+      type: Number,
+      default: 0
+    },
+    lastReadAt: {
+      type: Date,
+      default: null
+    }
+  }],
+  // Preview of the latest message
+  lastMessage: {
+    content: String,
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    sentAt: Date
+  },
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+conversationSchema.index({ participants: 1, lastMessageAt: -1 });
+conversationSchema.index({ directKey: 1 }, { unique: true, sparse: true });
+
+// Pre-validate middleware to check participant count
+conversationSchema.pre('validate', function(next) {
+  const count = this.participants.length;
+
+  if (this.type === 'direct' && count !== 2) {
+    return next(new Error('A direct conversation must have exactly 2 participants'));
+  }
+
+  if (this.type === 'group' && (count < 3 || count > MAX_GROUP_PARTICIPANTS)) {
+    return next(new Error(`A group conversation must have between 3 and ${MAX_GROUP_PARTICIPANTS} participants`));
+  }
+
+  next();
+});
+
+// Pre-save middleware to initialise read state for new participants
+conversationSchema.pre('save', function(next) {
+  this.participants.forEach(participantId => {
+    const exists = this.participantState.some(state => state.user.toString() === participantId.toString());
+    if (!exists) {
+      this.participantState.push({ user: participantId });
+    }
+  });
+  next();
+});
+
+// Static method to build the unique key of a direct conversation
+conversationSchema.statics.getDirectKey = function(userId1, userId2) {
+  return [userId1.toString(), userId2.toString()].sort().join(':');
+};
+
+// Static method to find the direct conversation between two users
+conversationSchema.statics.findDirect = function(userId1, userId2) {
+  return this.findOne({ directKey: this.getDirectKey(userId1, userId2) });
+};
+
+// Static method to get conversations of a user
+conversationSchema.statics.getUserConversations = function(userId, page = 1, limit = 20) {
+  const skip = (page - 1) * limit;
+
+  return this.find({ participants: userId })
+    .populate('participants', 'fullName profilePicture role islamicProfile')
+    .populate('lastMessage.sender', 'fullName')
+    .sort({ lastMessageAt: -1 })
+    .skip(skip)
+    .limit(limit);
+};
+
+// Static method to get total unread messages of a user
+conversationSchema.statics.getTotalUnread = async function(userId) {
+  const [result] = await this.aggregate([
+    { $match: { participants: new mongoose.Types.ObjectId(userId.toString()) } },
+    { $unwind: '$participantState' },
+    { $match: { 'participantState.user': new mongoose.Types.ObjectId(userId.toString()) } },
+    { $group: { _id: null, total: { $sum: '$participantState.unreadCount' } } }
+  ]);
+
+  return result ? result.total : 0;
+};
+
+// Instance method to check if user takes part in the conversation
+conversationSchema.methods.isParticipant = function(userId) {
+  return this.participants.some(participant => {
+    const participantId = participant._id || participant;
+    return participantId.toString() === userId.toString();
+  });
+};
+
+// Instance method to get unread count for a user
+conversationSchema.methods.getUnreadCount = function(userId) {
+  const state = this.participantState.find(s => s.user.toString() === userId.toString());
+  return state ? state.unreadCount : 0;
+};
+
+const Conversation = mongoose.model('Conversation', conversationSchema);
+
+export default Conversation;
@@ -0,0 +1,93 @@
+import mongoose from 'mongoose';
+
+// Hours a finished archive can be downloaded before it is deleted
+export const DATA_EXPORT_EXPIRE_HOURS = parseInt(process.env.DATA_EXPORT_EXPIRE_HOURS) || 48;
+// Build attempts before an export is given up on
+const MAX_ATTEMPTS = 3;
+// An export left in "processing" this long belongs to a worker that died
+const PROCESSING_TIMEOUT = 10 * 60 * 1000;
+
+const dataExportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'ready', 'failed', 'expired'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  claimedAt: Date,
+  // Archive file name inside the export directory
+  fileName: {
+    type: String,
+    select: false
+  },
+  size: Number,
+  completedAt: Date,
+  expiresAt: Date,
+  lastError: {
+    type: String,
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+dataExportSchema.index({ user: 1, createdAt: -1 });
+dataExportSchema.index({ status: 1, createdAt: 1 });
+dataExportSchema.index({ status: 1, expiresAt: 1 });
+
+/**
+ * Static method to claim the next export waiting to be built
+ * Claiming is atomic so several workers never build the same export.
+ */
+dataExportSchema.statics.claimNext = function(now = new Date()) {
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending' },
+        { status: 'processing', claimedAt: { $lte: new Date(now.getTime() - PROCESSING_TIMEOUT) } }
+      ]
+    },
+    {
+      status: 'processing',
+      claimedAt: now,
+      $inc: { attempts: 1 }
+    },
+    { new: true, sort: { createdAt: 1 } }
+  );
+};
+
+// Static method to get the export of a user that is still being built
+dataExportSchema.statics.getInProgress = function(userId) {
+  return this.findOne({ user: userId, status: { $in: ['pending', 'processing'] } });
+};
+
+// Instance method to record a finished archive
+dataExportSchema.methods.markReady = function(fileName, size) {
+  this.status = 'ready';
+  this.fileName = fileName;
+  this.size = size;
+  this.completedAt = new Date();
+  this.expiresAt = new Date(Date.now() + DATA_EXPORT_EXPIRE_HOURS * 60 * 60 * 1000);
+  this.lastError = undefined;
+  return this.save();
+};
+
+// Instance method to record a failed build; it is retried until MAX_ATTEMPTS
+dataExportSchema.methods.markFailed = function(error) {
+  this.lastError = error.message;
+  this.status = this.attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+  return this.save();
+};
+
+const DataExport = mongoose.model('DataExport', dataExportSchema);
+
+export default DataExport;
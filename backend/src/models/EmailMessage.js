@@ -0,0 +1,122 @@
+import mongoose from 'mongoose';
+
+// Delivery attempts before a message is given up on
+export const EMAIL_MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 6;
+// Delay before the first retry; doubles with every further attempt
+const RETRY_BASE_SECONDS = parseInt(process.env.EMAIL_RETRY_BASE_SECONDS) || 60;
+const RETRY_MAX_SECONDS = 6 * 60 * 60;
+// A message left in "sending" this long belongs to a worker that died
+const SENDING_TIMEOUT = 10 * 60 * 1000;
+
+export const EMAIL_TEMPLATES = [
+  'welcome',
+  'verify_email',
+  'password_reset',
+  'connection_request',
+  'lesson_reminder',
+  'verification_decision',
+  'account_locked',
+  'account_deletion_scheduled'
+];
+
+const emailMessageSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: [true, 'Recipient is required'],
+    lowercase: true,
+    trim: true
+  },
+  template: {
+    type: String,
+    enum: EMAIL_TEMPLATES,
+    required: [true, 'Template is required']
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required']
+  },
+  // Rendered bodies; removed once sent or given up on since they can contain one-time links
+  text: String,
+  html: String,
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  claimedAt: Date,
+  lastError: String,
+  messageId: String,
+  sentAt: Date,
+  failedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+emailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+emailMessageSchema.index({ to: 1, createdAt: -1 });
+// Keep sent and failed messages for 30 days
+emailMessageSchema.index({ sentAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+emailMessageSchema.index({ failedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+/**
+ * Static method to claim the next message due for delivery
+ * Claiming is atomic so several workers never send the same message.
+ */
+emailMessageSchema.statics.claimNext = function(now = new Date()) {
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', claimedAt: { $lte: new Date(now.getTime() - SENDING_TIMEOUT) } }
+      ]
+    },
+    {
+      status: 'sending',
+      claimedAt: now,
+      $inc: { attempts: 1 }
+    },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+// Instance method to record a successful delivery
+emailMessageSchema.methods.markSent = function(messageId) {
+  this.status = 'sent';
+  this.sentAt = new Date();
+  this.messageId = messageId;
+  this.lastError = undefined;
+  this.text = undefined;
+  this.html = undefined;
+  return this.save();
+};
+
+// Instance method to record a failed delivery and schedule a retry with backoff
+emailMessageSchema.methods.markFailed = function(error) {
+  this.lastError = error.message;
+
+  if (this.attempts >= EMAIL_MAX_ATTEMPTS) {
+    this.status = 'failed';
+    this.failedAt = new Date();
+    this.text = undefined;
+    this.html = undefined;
+  } else {
+    const delay = Math.min(RETRY_BASE_SECONDS * 2 ** (this.attempts - 1), RETRY_MAX_SECONDS);
+    this.status = 'pending';
+    this.nextAttemptAt = new Date(Date.now() + delay * 1000);
+  }
+
+  return this.save();
+};
+
+const EmailMessage = mongoose.model('EmailMessage', emailMessageSchema);
+
+export default EmailMessage;
@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+// How long one scrolling session can page through the same ranking
+const FEED_SNAPSHOT_TTL = 60 * 60 * 1000;
+
+// The ranked post IDs of one feed session. Likes and comments keep changing
+// the scores while the user scrolls, so later pages are read from the ranking
+// taken for the first page instead of being ranked again.
+const feedSnapshotSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  // Best first
+  posts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  }],
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + FEED_SNAPSHOT_TTL)
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+feedSnapshotSchema.index({ user: 1 });
+// Remove snapshots once their session is over
+feedSnapshotSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const FeedSnapshot = mongoose.model('FeedSnapshot', feedSnapshotSchema);
+
+export default FeedSnapshot;
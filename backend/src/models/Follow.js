@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+
+// One-way follow, effective immediately. Mutual relationships that need
+// approval (student-teacher, mentor-mentee) are Connections instead.
+const followSchema = new mongoose.Schema({
+  // The user who follows
+  follower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Follower is required']
+  },
+  // The user being followed
+  following: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Followed user is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+followSchema.index({ follower: 1, following: 1 }, { unique: true });
+followSchema.index({ following: 1, createdAt: -1 });
+followSchema.index({ follower: 1, createdAt: -1 });
+
+// Pre-save middleware to prevent self-follow
+followSchema.pre('save', function(next) {
+  if (this.follower.toString() === this.following.toString()) {
+    const error = new Error('Cannot follow yourself');
+    error.statusCode = 400;
+    return next(error);
+  }
+  next();
+});
+
+// Static method to follow a user and update both counters
+// Returns null when already following.
+followSchema.statics.follow = async function(followerId, followingId) {
+  let follow;
+  try {
+    follow = await this.create({ follower: followerId, following: followingId });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  const User = mongoose.model('User');
+  await User.updateOne({ _id: followerId }, { $inc: { followingCount: 1 } });
+  await User.updateOne({ _id: followingId }, { $inc: { followersCount: 1 } });
+
+  return follow;
+};
+
+// Static method to unfollow a user and update both counters
+// Returns null when not following.
+followSchema.statics.unfollow = async function(followerId, followingId) {
+  const follow = await this.findOneAndDelete({ follower: followerId, following: followingId });
+  if (!follow) return null;
+
+  const User = mongoose.model('User');
+  await User.updateOne({ _id: followerId }, { $inc: { followingCount: -1 } });
+  await User.updateOne({ _id: followingId }, { $inc: { followersCount: -1 } });
+
+  return follow;
+};
+
+// Static method to check if a user follows another
+followSchema.statics.isFollowing = function(followerId, followingId) {
+  return this.exists({ follower: followerId, following: followingId });
+};
+
+// Static method to get the IDs of users a user follows
+followSchema.statics.getFollowingIds = function(userId) {
+  return this.find({ follower: userId }).distinct('following');
+};
+
+const Follow = mongoose.model('Follow', followSchema);
+
+export default Follow;
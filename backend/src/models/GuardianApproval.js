@@ -0,0 +1,93 @@
+import mongoose from 'mongoose';
+
+// A request involving a child account that waits for the guardian's decision.
+// Connection requests are only created, and lesson seats only booked, once approved.
+const guardianApprovalSchema = new mongoose.Schema({
+  guardian: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Guardian is required']
+  },
+  child: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Child is required']
+  },
+  type: {
+    type: String,
+    enum: ['connection', 'lesson_booking'],
+    required: [true, 'Approval type is required']
+  },
+  // For connection requests, sent by the child or to the child
+  connection: {
+    requester: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    connectionType: {
+      type: String,
+      enum: ['student-teacher', 'peer', 'mentor-mentee']
+    },
+    message: {
+      type: String,
+      maxlength: [200, 'Message cannot exceed 200 characters'],
+      trim: true
+    }
+  },
+  // For lesson bookings
+  lesson: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lesson'
+  },
+  // For rescheduled bookings, the lesson whose seat is given up once approved
+  rescheduleFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lesson',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'expired'],
+    default: 'pending'
+  },
+  decidedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+guardianApprovalSchema.index({ guardian: 1, status: 1, createdAt: -1 });
+guardianApprovalSchema.index({ child: 1, status: 1 });
+
+// Static method to find a pending connection approval between two users
+guardianApprovalSchema.statics.findPendingConnection = function(userA, userB) {
+  return this.findOne({
+    type: 'connection',
+    status: 'pending',
+    $or: [
+      { 'connection.requester': userA, 'connection.recipient': userB },
+      { 'connection.requester': userB, 'connection.recipient': userA }
+    ]
+  });
+};
+
+// Static method to record the guardian's decision on a pending request
+// Atomic, so a request is never acted on twice.
+guardianApprovalSchema.statics.decide = function(approvalId, guardianId, status) {
+  return this.findOneAndUpdate(
+    { _id: approvalId, guardian: guardianId, status: 'pending' },
+    { status, decidedAt: new Date() },
+    { new: true }
+  );
+};
+
+const GuardianApproval = mongoose.model('GuardianApproval', guardianApprovalSchema);
+
+export default GuardianApproval;
@@ -0,0 +1,188 @@
+import mongoose from 'mongoose';
+
+const lessonSchema = new mongoose.Schema({
+  imaam: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Imaam is required']
+  },
+  title: {
+    type: String,
+    required: [true, 'Lesson title is required'],
+    maxlength: [200, 'Title cannot exceed 200 characters'],
+    trim: true
+  },
+  description: {
+    type: String,
+    maxlength: [1000, 'Description cannot exceed 1000 characters'],
+    trim: true
+  },
+  difficulty: {
+    type: String,
+    enum: ['beginner', 'intermediate', 'advanced']
+  },
+  topics: [{
+    type: String,
+    trim: true
+  }],
+  // Optional lesson post announcing this session
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    default: null
+  },
+  // Session time (stored in UTC)
+  startTime: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  endTime: {
+    type: Date
+  },
+  duration: {
+    type: Number, // in minutes
+    required: [true, 'Duration is required'],
+    min: [1, 'Duration must be at least 1 minute'],
+    max: [1440, 'Duration cannot exceed 24 hours']
+  },
+  // Time zone the slot was published in (the imaam's location.timezone)
+  timezone: {
+    type: String,
+    default: 'UTC'
+  },
+  capacity: {
+    type: Number,
+    default: 1,
+    min: [1, 'Capacity must be at least 1'],
+    max: [100, 'Capacity cannot exceed 100']
+  },
+  attendees: [{
+    _id: false,
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    bookedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  status: {
+    type: String,
+    enum: ['scheduled', 'cancelled', 'completed'],
+    default: 'scheduled'
+  },
+  // Set once the reminder has been sent
+  reminderSentAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+lessonSchema.index({ imaam: 1, startTime: 1 });
+lessonSchema.index({ 'attendees.student': 1, startTime: 1 });
+lessonSchema.index({ status: 1, startTime: 1, reminderSentAt: 1 });
+
+// Virtual for booked seats
+lessonSchema.virtual('bookedCount').get(function() {
+  return this.attendees ? this.attendees.length : 0;
+});
+
+// Virtual for remaining seats
+lessonSchema.virtual('seatsLeft').get(function() {
+  return Math.max(this.capacity - this.bookedCount, 0);
+});
+
+// Pre-validate middleware to derive the end time
+lessonSchema.pre('validate', function(next) {
+  if (this.startTime && this.duration) {
+    this.endTime = new Date(this.startTime.getTime() + this.duration * 60 * 1000);
+  }
+
+  if (this.attendees.length > this.capacity) {
+    const error = new Error('Capacity cannot be lower than the number of booked students');
+    error.statusCode = 400;
+    return next(error);
+  }
+
+  next();
+});
+
+// Instance method to check if a student has booked the lesson
+lessonSchema.methods.isBookedBy = function(userId) {
+  return this.attendees.some(attendee => {
+    const studentId = attendee.student._id || attendee.student;
+    return studentId.toString() === userId.toString();
+  });
+};
+
+// Static method to find an overlapping slot of the same imaam
+lessonSchema.statics.findOverlapping = function(imaamId, startTime, endTime, excludeId = null) {
+  const query = {
+    imaam: imaamId,
+    status: 'scheduled',
+    startTime: { $lt: endTime },
+    endTime: { $gt: startTime }
+  };
+
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+
+  return this.findOne(query);
+};
+
+// Static method to atomically book a seat
+// Returns null when the lesson is full, already booked, started or cancelled.
+lessonSchema.statics.bookSeat = function(lessonId, studentId) {
+  return this.findOneAndUpdate(
+    {
+      _id: lessonId,
+      status: 'scheduled',
+      startTime: { $gt: new Date() },
+      'attendees.student': { $ne: studentId },
+      $expr: { $lt: [{ $size: '$attendees' }, '$capacity'] }
+    },
+    { $push: { attendees: { student: studentId, bookedAt: new Date() } } },
+    { new: true }
+  );
+};
+
+// Static method to release a booked seat
+lessonSchema.statics.releaseSeat = function(lessonId, studentId) {
+  return this.findOneAndUpdate(
+    {
+      _id: lessonId,
+      status: 'scheduled',
+      startTime: { $gt: new Date() },
+      'attendees.student': studentId
+    },
+    { $pull: { attendees: { student: studentId } } },
+    { new: true }
+  );
+};
+
+// Static method to get upcoming lessons
+lessonSchema.statics.getUpcoming = function(filter = {}, page = 1, limit = 20) {
+  const skip = (page - 1) * limit;
+
+  return this.find({
+    status: 'scheduled',
+    startTime: { $gt: new Date() },
+    ...filter
+  })
+  .populate('imaam', 'fullName profilePicture role islamicProfile location')
+  .sort({ startTime: 1 })
+  .skip(skip)
+  .limit(limit);
+};
+
+const Lesson = mongoose.model('Lesson', lessonSchema);
+
+export default Lesson;
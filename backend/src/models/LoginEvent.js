@@ -0,0 +1,99 @@
+import mongoose from 'mongoose';
+import { hashToken } from '../utils/helpers.js';
+
+// Days sign-in history is kept
+const LOGIN_EVENT_RETENTION_DAYS = parseInt(process.env.LOGIN_EVENT_RETENTION_DAYS) || 90;
+
+const loginEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  failureReason: {
+    type: String,
+    enum: ['invalid_password', 'invalid_two_factor_code', 'account_locked', 'account_inactive']
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  // Hash identifying the browser or app, to spot sign-ins from new devices
+  deviceHash: {
+    type: String,
+    select: false
+  },
+  newDevice: {
+    type: Boolean,
+    default: false
+  },
+  // Session started by a successful sign-in
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better performance
+loginEventSchema.index({ user: 1, createdAt: -1 });
+loginEventSchema.index({ user: 1, deviceHash: 1, success: 1 });
+loginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: LOGIN_EVENT_RETENTION_DAYS * 24 * 60 * 60 });
+
+// Device of a request; the user agent identifies the browser or app
+const getDeviceHash = (req) => hashToken(req.get('User-Agent') || 'unknown');
+
+// Static method to record a failed sign-in
+loginEventSchema.statics.recordFailure = function(user, req, failureReason) {
+  return this.create({
+    user: user._id,
+    success: false,
+    failureReason,
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+    deviceHash: getDeviceHash(req)
+  });
+};
+
+// Static method to record a successful sign-in, flagging devices not seen before
+loginEventSchema.statics.recordSuccess = async function(user, req, sessionId) {
+  const deviceHash = getDeviceHash(req);
+  const [hasSignedIn, knownDevice] = await Promise.all([
+    this.exists({ user: user._id, success: true }),
+    this.exists({ user: user._id, success: true, deviceHash })
+  ]);
+
+  return this.create({
+    user: user._id,
+    success: true,
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+    deviceHash,
+    // The first sign-in (at registration) is not a new device
+    newDevice: Boolean(hasSignedIn) && !knownDevice,
+    session: sessionId
+  });
+};
+
+// Static method to get the sign-in history of a user
+loginEventSchema.statics.getHistory = function(userId, page = 1, limit = 20) {
+  const skip = (page - 1) * limit;
+
+  return this.find({ user: userId })
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+};
+
+const LoginEvent = mongoose.model('LoginEvent', loginEventSchema);
+
+export default LoginEvent;
@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+
+const messageSchema = new mongoose.Schema({
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: [true, 'Conversation reference is required']
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Sender is required']
+  },
+  content: {
+    type: String,
+    required: [true, 'Message content is required'],
+    maxlength: [2000, 'Message cannot exceed 2000 characters'],
+    trim: true
+  },
+  // Read receipts
+  readBy: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    readAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+messageSchema.index({ conversation: 1, createdAt: -1 });
+messageSchema.index({ conversation: 1, 'readBy.user': 1 });
+
+// Virtual for time ago
+messageSchema.virtual('timeAgo').get(function() {
+  const now = new Date();
+  const diffInSeconds = Math.floor((now - this.createdAt) / 1000);
+
+  if (diffInSeconds < 60) return 'Just now';
+  if (diffInSeconds < 3600) return `${Math.floor(diffInSeconds / 60)}m ago`;
+  if (diffInSeconds < 86400) return `${Math.floor(diffInSeconds / 3600)}h ago`;
+  if (diffInSeconds < 2592000) return `${Math.floor(diffInSeconds / 86400)}d ago`;
+  return this.createdAt.toLocaleDateString();
+});
+
+// Instance method to check if user has read the message
+messageSchema.methods.isReadBy = function(userId) {
+  return this.sender.toString() === userId.toString()
+    || this.readBy.some(receipt => receipt.user.toString() === userId.toString());
+};
+
+// Static method to get messages of a conversation (newest first)
+messageSchema.statics.getConversationMessages = function(conversationId, page = 1, limit = 30) {
+  const skip = (page - 1) * limit;
+
+  return this.find({ conversation: conversationId })
+    .populate('sender', 'fullName profilePicture role')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+};
+
+// Static method to mark all messages of a conversation as read by a user
+messageSchema.statics.markConversationRead = function(conversationId, userId) {
+  return this.updateMany(
+    {
+      conversation: conversationId,
+      sender: { $ne: userId },
+      'readBy.user': { $ne: userId }
+    },
+    {
+      $push: { readBy: { user: userId, readAt: new Date() } }
+    }
+  );
+};
+
+const Message = mongoose.model('Message', messageSchema);
+
+export default Message;
@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+// A user muting another. Only hides the muted user's posts from the muter's
+// feed; the muted user is not told and can still interact.
+const muteSchema = new mongoose.Schema({
+  // The user who muted
+  muter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Muter is required']
+  },
+  // The user who is muted
+  muted: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Muted user is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+muteSchema.index({ muter: 1, muted: 1 }, { unique: true });
+
+// Static method to get the IDs of users a user has muted
+muteSchema.statics.getMutedIds = function(userId) {
+  return this.find({ muter: userId }).distinct('muted');
+};
+
+const Mute = mongoose.model('Mute', muteSchema);
+
+export default Mute;
@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import Block from './Block.js';
+import { hasClients, pushToUser } from '../utils/notificationStream.js';
 
 const notificationSchema = new mongoose.Schema({
   recipient: {
@@ -19,10 +21,20 @@ const notificationSchema = new mongoose.Schema({
       'post_like',
       'post_comment',
       'comment_like',
+      'mention',
       'new_follower',
       'lesson_reminder',
+      'lesson_update',
+      'new_review',
+      'review_reply',
+      'verification_update',
+      'report_update',
+      'security_alert',
       'system_announcement',
-      'message_received'
+      'message_received',
+      'data_export_ready',
+      'guardian_request',
+      'guardian_approval'
     ],
     required: [true, 'Notification type is required']
   },
@@ -43,7 +55,7 @@ const notificationSchema = new mongoose.Schema({
   },
   relatedEntityType: {
     type: String,
-    enum: ['post', 'comment', 'user', 'connection', 'lesson'],
+    enum: ['post', 'comment', 'user', 'connection', 'lesson', 'conversation', 'review', 'verification', 'report', 'session', 'data_export', 'guardian_approval'],
     required: false
   },
   // Notification status
@@ -133,7 +145,12 @@ notificationSchema.statics.markAllAsRead = function(userId) {
 };
 
 // Static method to create notification
-notificationSchema.statics.createNotification = function(data) {
+// Returns null without notifying when either user has blocked the other.
+notificationSchema.statics.createNotification = async function(data) {
+  if (data.sender && await Block.isBlockedBetween(data.sender, data.recipient)) {
+    return null;
+  }
+
   return this.create({
     recipient: data.recipient,
     sender: data.sender || null,
@@ -170,19 +187,62 @@ notificationSchema.pre('save', function(next) {
       'post_like': 'low',
       'post_comment': 'medium',
       'comment_like': 'low',
+      'mention': 'medium',
       'new_follower': 'low',
       'lesson_reminder': 'high',
+      'lesson_update': 'medium',
+      'new_review': 'medium',
+      'review_reply': 'low',
+      'verification_update': 'high',
+      'report_update': 'low',
+      'security_alert': 'urgent',
       'system_announcement': 'high',
-      'message_received': 'high'
+      'message_received': 'high',
+      'data_export_ready': 'medium',
+      'guardian_request': 'high',
+      'guardian_approval': 'high'
     };
     
     if (!this.priority || this.priority === 'medium') {
       this.priority = priorityMap[this.type] || 'medium';
     }
   }
+
+  // Remember for the post-save hook, where isNew is already false
+  this.$locals.wasNew = this.isNew;
   next();
 });
 
+// Push a newly created notification to the recipient's open sessions
+const publishNotification = async (notification) => {
+  if (!hasClients(notification.recipient)) return;
+
+  try {
+    await notification.populate('sender', 'fullName profilePicture role');
+    const unreadCount = await Notification.getUnreadCount(notification.recipient);
+
+    pushToUser(notification.recipient, 'notification', {
+      notification: notification.toJSON(),
+      unreadCount
+    });
+  } catch (error) {
+    // Delivery is best effort; the row is already stored
+    console.error('Notification push failed:', error.message);
+  }
+};
+
+// Post-save middleware to deliver notifications in real time
+notificationSchema.post('save', async function() {
+  if (this.$locals.wasNew) {
+    await publishNotification(this);
+  }
+});
+
+// Post-insertMany middleware for system notifications
+notificationSchema.post('insertMany', async function(docs) {
+  await Promise.all(docs.map(publishNotification));
+});
+
 const Notification = mongoose.model('Notification', notificationSchema);
 
 export default Notification;
@@ -1,4 +1,61 @@
 import mongoose from 'mongoose';
+import Follow from './Follow.js';
+import Block from './Block.js';
+import Mute from './Mute.js';
+import { getConnections, buildVisibilityFilter } from '../utils/visibility.js';
+import { getFileUrl, getImageUrl } from '../utils/storage.js';
+import { extractHashtags, formatContent } from '../utils/helpers.js';
+
+// Maximum number of images attached to one post (the upload middleware allows 5 files)
+export const POST_MAX_IMAGES = Math.min(parseInt(process.env.POST_MAX_IMAGES) || 4, 5);
+
+// Limits of the tags of one post, the same as for tags sent by the client (see validation)
+export const POST_MAX_TAGS = 10;
+export const POST_MAX_TAG_LENGTH = 50;
+
+// Responsive renditions served alongside the original image
+const IMAGE_SIZES = {
+  thumbnail: { width: 150, height: 150, crop: 'fill', gravity: 'auto' },
+  small: { width: 480, crop: 'limit' },
+  medium: { width: 800, crop: 'limit' },
+  large: { width: 1200, crop: 'limit' }
+};
+
+// Images are kept in display order
+const postImageSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+    get: getFileUrl
+  },
+  publicId: String,
+  alt: {
+    type: String,
+    maxlength: [300, 'Alt text cannot exceed 300 characters'],
+    trim: true,
+    default: ''
+  },
+  caption: {
+    type: String,
+    maxlength: [500, 'Caption cannot exceed 500 characters'],
+    trim: true,
+    default: ''
+  },
+  width: Number,
+  height: Number
+}, {
+  toJSON: { virtuals: true, getters: true },
+  toObject: { virtuals: true, getters: true }
+});
+
+postImageSchema.virtual('sizes').get(function() {
+  return Object.fromEntries(
+    Object.entries(IMAGE_SIZES).map(([name, transformation]) => [
+      name,
+      getImageUrl(this.url, transformation)
+    ])
+  );
+});
 
 const postSchema = new mongoose.Schema({
   author: {
@@ -8,14 +65,18 @@ const postSchema = new mongoose.Schema({
   },
   content: {
     type: String,
-    required: [true, 'Post content is required'],
+    // Drafts can be saved before anything is written
+    required: [function() { return this.status !== 'draft'; }, 'Post content is required'],
     maxlength: [2000, 'Post content cannot exceed 2000 characters'],
     trim: true
   },
-  images: [{
-    type: String, // URLs to uploaded images
-    required: false
-  }],
+  images: {
+    type: [postImageSchema],
+    validate: {
+      validator: images => images.length <= POST_MAX_IMAGES,
+      message: `A post cannot have more than ${POST_MAX_IMAGES} images`
+    }
+  },
   likes: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -38,12 +99,21 @@ const postSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
-  // Post categories/tags
+  // Post categories/tags; #hashtags in the content are added on save
   tags: [{
     type: String,
     trim: true,
     lowercase: true
   }],
+  // Users mentioned by @handle, with the handle as written
+  mentions: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    handle: String
+  }],
   // Post type
   type: {
     type: String,
@@ -67,11 +137,31 @@ const postSchema = new mongoose.Schema({
     default: 'public'
   },
   // Post status
+  // scheduled posts are published at publishAt by the scheduled posts job;
+  // archived posts are withdrawn by their author, hidden posts by moderation
   status: {
     type: String,
-    enum: ['published', 'draft', 'archived'],
+    enum: ['published', 'draft', 'scheduled', 'archived', 'hidden'],
     default: 'published'
   },
+  publishAt: Date,
+  // When the post went live; createdAt stays the time it was written.
+  // Posts created as published go live when created.
+  publishedAt: {
+    type: Date,
+    default: function() {
+      return this.status === 'published' ? (this.createdAt || new Date()) : undefined;
+    }
+  },
+  // Set when the published content is edited; every version is kept as a Revision
+  isEdited: {
+    type: Boolean,
+    default: false
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  },
   // Engagement metrics
   views: {
     type: Number,
@@ -96,37 +186,72 @@ const postSchema = new mongoose.Schema({
 // Indexes for better performance
 postSchema.index({ author: 1, createdAt: -1 });
 postSchema.index({ status: 1, createdAt: -1 });
+postSchema.index({ status: 1, publishAt: 1 });
+postSchema.index({ status: 1, publishedAt: -1 });
+postSchema.index({ author: 1, status: 1, publishedAt: -1 });
+postSchema.index({ author: 1, status: 1, updatedAt: -1 });
 postSchema.index({ type: 1, createdAt: -1 });
 postSchema.index({ tags: 1 });
 postSchema.index({ isFeatured: 1, createdAt: -1 });
 postSchema.index({ likesCount: -1, createdAt: -1 });
+// Full-text search, weighted towards lesson titles and tags
+postSchema.index(
+  { content: 'text', tags: 'text', 'lessonInfo.title': 'text' },
+  {
+    name: 'post_text_search',
+    weights: { 'lessonInfo.title': 10, tags: 5, content: 1 },
+    // No stemming or stop words, which would only suit English content
+    default_language: 'none',
+    language_override: 'textLanguage'
+  }
+);
 
-// Virtual for formatted content
+// Virtual for the content as HTML, with links for mentions and hashtags
 postSchema.virtual('formattedContent').get(function() {
-  // Basic formatting for mentions and hashtags
-  return this.content
-    .replace(/@(\w+)/g, '<span class="mention">@$1</span>')
-    .replace(/#(\w+)/g, '<span class="hashtag">#$1</span>');
+  return formatContent(this.content, this.mentions);
 });
 
 // Virtual for time ago
 postSchema.virtual('timeAgo').get(function() {
   const now = new Date();
-  const diffInSeconds = Math.floor((now - this.createdAt) / 1000);
+  const since = this.publishedAt || this.createdAt;
+  const diffInSeconds = Math.floor((now - since) / 1000);
   
   if (diffInSeconds < 60) return 'Just now';
   if (diffInSeconds < 3600) return `${Math.floor(diffInSeconds / 60)}m ago`;
   if (diffInSeconds < 86400) return `${Math.floor(diffInSeconds / 3600)}h ago`;
   if (diffInSeconds < 2592000) return `${Math.floor(diffInSeconds / 86400)}d ago`;
-  return this.createdAt.toLocaleDateString();
+  return since.toLocaleDateString();
+});
+
+// Remember the loaded content, to tell which tags came from its hashtags
+postSchema.post('init', function() {
+  this.$locals.savedContent = this.content;
 });
 
 // Pre-save middleware to update counts
 postSchema.pre('save', function(next) {
   this.likesCount = this.likes.length;
+
+  // Tags follow the hashtags of the content: removed hashtags drop their tag
+  // unless the tags were set along with the content. Hashtags only fill the
+  // tags up to POST_MAX_TAGS, after the tags that were set.
+  if (this.isModified('content') || this.isModified('tags')) {
+    const previousHashtags = extractHashtags(this.$locals.savedContent || '');
+    const tags = this.isModified('tags')
+      ? this.tags
+      : this.tags.filter(tag => !previousHashtags.includes(tag));
+    const hashtags = extractHashtags(this.content || '')
+      .filter(hashtag => hashtag.length <= POST_MAX_TAG_LENGTH);
+    this.tags = [...new Set([...tags, ...hashtags])].slice(0, Math.max(tags.length, POST_MAX_TAGS));
+  }
   next();
 });
 
+postSchema.post('save', function() {
+  this.$locals.savedContent = this.content;
+});
+
 // Instance method to add like
 postSchema.methods.addLike = function(userId) {
   const existingLike = this.likes.find(like => like.user.toString() === userId.toString());
@@ -143,55 +268,202 @@ postSchema.methods.addLike = function(userId) {
   return this.save();
 };
 
+// Instance method to publish a draft or scheduled post now
+// publishedAt is the publication time, so the post is ranked and listed as new.
+postSchema.methods.publish = function(now = new Date()) {
+  this.status = 'published';
+  this.publishAt = undefined;
+  this.publishedAt = now;
+  return this.save();
+};
+
 // Instance method to check if user liked the post
 postSchema.methods.isLikedBy = function(userId) {
   return this.likes.some(like => like.user.toString() === userId.toString());
 };
 
-// Static method to get feed posts
-postSchema.statics.getFeedPosts = function(userId, page = 1, limit = 10) {
-  const skip = (page - 1) * limit;
-  
-  return this.find({ 
-    status: 'published',
-    visibility: 'public'
-  })
-  .populate('author', 'fullName profilePicture role islamicProfile')
-  .sort({ isPinned: -1, createdAt: -1 })
-  .skip(skip)
-  .limit(limit);
+// Feed ranking configuration
+const FEED_WINDOW_DAYS = 30; // only rank posts published in the last 30 days
+export const FEED_MAX_POSTS = 200; // posts ranked at once; a scrolling session ranks more when it runs out
+const FEED_GRAVITY = 1.5; // how fast older posts sink
+const FEED_LIKE_WEIGHT = 1;
+const FEED_COMMENT_WEIGHT = 2; // comments signal more engagement than likes
+const FEED_PINNED_BOOST = 2;
+const FEED_AFFINITY = {
+  self: 1.5,
+  'student-teacher': 3,
+  'mentor-mentee': 2,
+  peer: 1.5,
+  follow: 1 // one-way follows rank below mutual connections
+};
+
+// Load who a viewer is connected with, follows, blocked and muted
+const getFeedAudience = async (viewerId) => {
+  const [connections, followingIds, blockedIds, mutedIds] = await Promise.all([
+    getConnections(viewerId),
+    Follow.getFollowingIds(viewerId),
+    Block.getBlockedIds(viewerId),
+    Mute.getMutedIds(viewerId)
+  ]);
+
+  // Followed authors only rank higher; their followers-only posts need a connection.
+  // Muted authors are only left out of the feed.
+  const filter = buildVisibilityFilter(
+    viewerId,
+    connections.map(connection => connection.userId),
+    [...blockedIds, ...mutedIds]
+  );
+
+  return { connections, followingIds, filter };
+};
+
+// Store every published post without a publication time as published when created.
+// Posts published before publishedAt existed had createdAt moved to their publication.
+postSchema.statics.backfillPublishedAt = async function() {
+  const result = await this.updateMany(
+    { status: { $in: ['published', 'archived', 'hidden'] }, publishedAt: { $exists: false } },
+    [{ $set: { publishedAt: '$createdAt' } }]
+  );
+  return result.modifiedCount;
+};
+
+// Static method to rank the feed of a user
+// Only posts of the user, their connections and the users they follow are
+// ranked; other posts are found through the post list, tags and search.
+// Returns the IDs of the best FEED_MAX_POSTS posts published up to asOf, best
+// first, leaving out excludeIds. The ranking is taken once per scrolling
+// session, and continued with the next posts once used up; see FeedSnapshot.
+postSchema.statics.rankFeed = async function(userId, asOf = new Date(), excludeIds = []) {
+  const viewerId = new mongoose.Types.ObjectId(userId.toString());
+  const { connections, followingIds, filter } = await getFeedAudience(viewerId);
+  const networkIds = [viewerId, ...connections.map(connection => connection.userId), ...followingIds];
+
+  // Group connected user IDs by connection type
+  const connectedByType = {};
+  connections.forEach(connection => {
+    connectedByType[connection.type] = connectedByType[connection.type] || [];
+    connectedByType[connection.type].push(connection.userId);
+  });
+
+  // Connections come first, so a followed connection gets the connection affinity
+  const affinityBranches = [
+    { case: { $eq: ['$author', viewerId] }, then: FEED_AFFINITY.self },
+    ...Object.entries(connectedByType).map(([type, ids]) => ({
+      case: { $in: ['$author', ids] },
+      then: FEED_AFFINITY[type] || 0
+    })),
+    ...(followingIds.length > 0
+      ? [{ case: { $in: ['$author', followingIds] }, then: FEED_AFFINITY.follow }]
+      : [])
+  ];
+
+  const ageInHours = { $divide: [{ $subtract: [asOf, '$publishedAt'] }, 60 * 60 * 1000] };
+
+  const results = await this.aggregate([
+    {
+      $match: {
+        _id: { $nin: excludeIds },
+        status: 'published',
+        publishedAt: {
+          $lte: asOf,
+          $gte: new Date(asOf.getTime() - FEED_WINDOW_DAYS * 24 * 60 * 60 * 1000)
+        },
+        $and: [{ author: { $in: networkIds } }, filter]
+      }
+    },
+    {
+      $project: {
+        feedScore: {
+          $divide: [
+            {
+              $add: [
+                1,
+                { $multiply: [FEED_LIKE_WEIGHT, { $ln: { $add: [1, '$likesCount'] } }] },
+                { $multiply: [FEED_COMMENT_WEIGHT, { $ln: { $add: [1, '$commentsCount'] } }] },
+                { $switch: { branches: affinityBranches, default: 0 } },
+                { $cond: ['$isPinned', FEED_PINNED_BOOST, 0] }
+              ]
+            },
+            { $pow: [{ $add: [ageInHours, 2] }, FEED_GRAVITY] }
+          ]
+        }
+      }
+    },
+    { $sort: { feedScore: -1, _id: -1 } },
+    { $limit: FEED_MAX_POSTS }
+  ]);
+
+  return results.map(result => result._id);
+};
+
+// Static method to load a page of a ranked feed
+// Visibility, blocks and mutes are checked again, since they may have changed
+// after the ranking was taken; posts that no longer qualify are left out.
+postSchema.statics.getFeedPosts = async function(userId, postIds) {
+  const viewerId = new mongoose.Types.ObjectId(userId.toString());
+  const { filter } = await getFeedAudience(viewerId);
+
+  const posts = await this.find({ _id: { $in: postIds }, status: 'published', ...filter })
+    .populate('author', 'fullName profilePicture role islamicProfile');
+
+  // Keep the ranked order
+  const byId = new Map(posts.map(post => [post._id.toString(), post]));
+  return postIds.map(id => byId.get(id.toString())).filter(Boolean);
 };
 
 // Static method to get posts by user
-postSchema.statics.getUserPosts = function(userId, page = 1, limit = 10) {
+postSchema.statics.getUserPosts = function(userId, page = 1, limit = 10, visibilityFilter = {}) {
   const skip = (page - 1) * limit;
   
   return this.find({ 
     author: userId,
-    status: 'published'
+    status: 'published',
+    $and: [visibilityFilter]
   })
   .populate('author', 'fullName profilePicture role islamicProfile')
-  .sort({ createdAt: -1 })
+  .sort({ publishedAt: -1 })
   .skip(skip)
   .limit(limit);
 };
 
-// Static method to search posts
-postSchema.statics.searchPosts = function(query, page = 1, limit = 10) {
+// Static method to search posts by relevance
+// Returns the page of posts (ordered by text score), the total and facet counts by type.
+postSchema.statics.searchPosts = async function(query, { page = 1, limit = 10, type = null, visibilityFilter = {} } = {}) {
   const skip = (page - 1) * limit;
-  
-  return this.find({
-    $or: [
-      { content: { $regex: query, $options: 'i' } },
-      { tags: { $in: [new RegExp(query, 'i')] } },
-      { 'lessonInfo.title': { $regex: query, $options: 'i' } }
-    ],
-    status: 'published'
-  })
-  .populate('author', 'fullName profilePicture role islamicProfile')
-  .sort({ createdAt: -1 })
-  .skip(skip)
-  .limit(limit);
+  const typeFilter = type ? [{ $match: { type } }] : [];
+
+  const [result] = await this.aggregate([
+    {
+      $match: {
+        $text: { $search: query },
+        status: 'published',
+        $and: [visibilityFilter]
+      }
+    },
+    { $project: { type: 1, createdAt: 1, score: { $meta: 'textScore' } } },
+    {
+      $facet: {
+        hits: [...typeFilter, { $sort: { score: -1, createdAt: -1 } }, { $skip: skip }, { $limit: limit }],
+        total: [...typeFilter, { $count: 'count' }],
+        types: [{ $group: { _id: '$type', count: { $sum: 1 } } }]
+      }
+    }
+  ]);
+
+  // Keep the ranking order of the aggregation
+  const rank = new Map(result.hits.map((hit, index) => [hit._id.toString(), index]));
+  const posts = await this.find({ _id: { $in: result.hits.map(hit => hit._id) } })
+    .populate('author', 'fullName profilePicture role islamicProfile');
+
+  posts.sort((a, b) => rank.get(a._id.toString()) - rank.get(b._id.toString()));
+
+  return {
+    posts,
+    total: result.total.length > 0 ? result.total[0].count : 0,
+    facets: {
+      type: Object.fromEntries(result.types.map(facet => [facet._id, facet.count]))
+    }
+  };
 };
 
 const Post = mongoose.model('Post', postSchema);
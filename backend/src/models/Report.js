@@ -0,0 +1,200 @@
+import mongoose from 'mongoose';
+import { REVIEW_REPORT_THRESHOLD } from './Review.js';
+
+// Distinct reports on one piece of content before it is hidden pending review
+export const REPORT_AUTO_HIDE_THRESHOLD = parseInt(process.env.REPORT_AUTO_HIDE_THRESHOLD) || 5;
+
+export const REPORT_REASONS = [
+  'misinformation',
+  'harassment',
+  'spam',
+  'hate_speech',
+  'inappropriate',
+  'impersonation',
+  'fake',
+  'other'
+];
+
+export const REPORT_TARGET_TYPES = ['post', 'comment', 'review', 'user'];
+
+// Model referenced by each target type
+const TARGET_MODELS = { post: 'Post', comment: 'Comment', review: 'Review', user: 'User' };
+
+// Reviews are hidden after fewer reports, since one review weighs on a rating
+const getAutoHideThreshold = (targetType) => (
+  targetType === 'review' ? REVIEW_REPORT_THRESHOLD : REPORT_AUTO_HIDE_THRESHOLD
+);
+
+const reportSchema = new mongoose.Schema({
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Reporter is required']
+  },
+  targetType: {
+    type: String,
+    enum: REPORT_TARGET_TYPES,
+    required: [true, 'Target type is required']
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Target is required'],
+    ref: function() {
+      return TARGET_MODELS[this.targetType];
+    }
+  },
+  // Author of the reported content (the user itself for profile reports)
+  targetAuthor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: REPORT_REASONS,
+    required: [true, 'Report reason is required']
+  },
+  details: {
+    type: String,
+    maxlength: [500, 'Details cannot exceed 500 characters'],
+    trim: true,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'dismissed', 'actioned'],
+    default: 'pending'
+  },
+  // Set when the report pushed the content over the auto-hide threshold
+  autoHidden: {
+    type: Boolean,
+    default: false
+  },
+  resolution: {
+    action: {
+      type: String,
+      enum: ['dismiss', 'hide', 'unhide', 'suspend']
+    },
+    notes: String,
+    moderator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+reportSchema.index({ reporter: 1, targetType: 1, target: 1 }, { unique: true });
+reportSchema.index({ targetType: 1, target: 1, status: 1 });
+reportSchema.index({ status: 1, createdAt: 1 });
+
+// Static method to count distinct pending reports on a target
+reportSchema.statics.countPending = function(targetType, target) {
+  return this.countDocuments({ targetType, target, status: 'pending' });
+};
+
+// Set the status of reported content; returns true if it changed
+// Profiles have no status, they are handled by suspending the user.
+const setTargetStatus = async (targetType, targetId, from, to) => {
+  if (targetType === 'user') return false;
+
+  const Model = mongoose.model(TARGET_MODELS[targetType]);
+  const target = await Model.findOneAndUpdate({ _id: targetId, status: from }, { status: to });
+  if (!target) return false;
+
+  // Only published reviews count towards the rating
+  if (targetType === 'review') {
+    await Model.recalculateRating(target.imaam);
+  }
+
+  return true;
+};
+
+// Static method to hide reported content
+reportSchema.statics.hideTarget = function(targetType, targetId) {
+  return setTargetStatus(targetType, targetId, 'published', 'hidden');
+};
+
+// Static method to publish hidden content again
+reportSchema.statics.restoreTarget = function(targetType, targetId) {
+  return setTargetStatus(targetType, targetId, 'hidden', 'published');
+};
+
+// Static method to file a report
+// The target is hidden once enough distinct users have reported it. Returns
+// null when the reporter already reported the target.
+reportSchema.statics.submit = async function(fields) {
+  let report;
+  try {
+    report = await this.create(fields);
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  const pendingReports = await this.countPending(report.targetType, report.target);
+  if (pendingReports >= getAutoHideThreshold(report.targetType) &&
+    await this.hideTarget(report.targetType, report.target)) {
+    report.autoHidden = true;
+    await report.save();
+  }
+
+  return report;
+};
+
+// Static method to get the moderation queue, one entry per reported target
+reportSchema.statics.getQueue = async function(filter = {}, page = 1, limit = 20) {
+  const skip = (page - 1) * limit;
+  const match = { status: 'pending', ...filter };
+
+  const [result] = await this.aggregate([
+    { $match: match },
+    { $sort: { createdAt: 1 } },
+    {
+      $group: {
+        _id: { targetType: '$targetType', target: '$target' },
+        reportId: { $first: '$_id' },
+        targetAuthor: { $first: '$targetAuthor' },
+        reportsCount: { $sum: 1 },
+        reasons: { $addToSet: '$reason' },
+        autoHidden: { $max: '$autoHidden' },
+        firstReportedAt: { $first: '$createdAt' },
+        lastReportedAt: { $last: '$createdAt' }
+      }
+    },
+    // Most reported first, then oldest
+    { $sort: { reportsCount: -1, firstReportedAt: 1 } },
+    {
+      $facet: {
+        items: [{ $skip: skip }, { $limit: limit }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  const items = result.items.map(item => ({
+    targetType: item._id.targetType,
+    target: item._id.target,
+    reportId: item.reportId,
+    targetAuthor: item.targetAuthor,
+    reportsCount: item.reportsCount,
+    reasons: item.reasons,
+    autoHidden: item.autoHidden,
+    firstReportedAt: item.firstReportedAt,
+    lastReportedAt: item.lastReportedAt
+  }));
+
+  return {
+    items,
+    total: result.total.length > 0 ? result.total[0].count : 0
+  };
+};
+
+const Report = mongoose.model('Report', reportSchema);
+
+export default Report;
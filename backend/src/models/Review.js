@@ -0,0 +1,137 @@
+import mongoose from 'mongoose';
+
+// Reports needed before a review is hidden pending moderation (see Report)
+export const REVIEW_REPORT_THRESHOLD = parseInt(process.env.REVIEW_REPORT_THRESHOLD) || 3;
+
+const reviewSchema = new mongoose.Schema({
+  imaam: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Imaam is required']
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Student is required']
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be at least 1'],
+    max: [5, 'Rating cannot exceed 5']
+  },
+  comment: {
+    type: String,
+    maxlength: [1000, 'Review cannot exceed 1000 characters'],
+    trim: true,
+    default: ''
+  },
+  // Public reply from the reviewed imaam
+  reply: {
+    content: {
+      type: String,
+      maxlength: [1000, 'Reply cannot exceed 1000 characters'],
+      trim: true
+    },
+    repliedAt: Date
+  },
+  status: {
+    type: String,
+    enum: ['published', 'hidden'],
+    default: 'published'
+  },
+  isEdited: {
+    type: Boolean,
+    default: false
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+reviewSchema.index({ imaam: 1, student: 1 }, { unique: true });
+reviewSchema.index({ imaam: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ student: 1, createdAt: -1 });
+
+// Keep the imaam's rating in sync with the stored reviews
+reviewSchema.post('save', async function() {
+  await this.constructor.recalculateRating(this.imaam);
+});
+
+reviewSchema.post('deleteOne', { document: true, query: false }, async function() {
+  await this.constructor.recalculateRating(this.imaam);
+});
+
+// Static method to recompute an imaam's rating from published reviews
+// The average is rebuilt from scratch, so it cannot drift the way an
+// incremental running average does. Reading the reviews and writing the
+// rating is one server-side operation rather than a read and a later write
+// from here, which could store a rating read before a concurrent change.
+reviewSchema.statics.recalculateRating = async function(imaamId) {
+  const User = mongoose.model('User');
+
+  await User.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(imaamId.toString()) } },
+    {
+      $lookup: {
+        from: this.collection.name,
+        let: { imaamId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$imaam', '$$imaamId'] }, status: 'published' } },
+          { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+        ],
+        as: 'stats'
+      }
+    },
+    { $unwind: { path: '$stats', preserveNullAndEmptyArrays: true } },
+    {
+      $project: {
+        rating: {
+          average: { $round: [{ $ifNull: ['$stats.average', 0] }, 1] },
+          count: { $ifNull: ['$stats.count', 0] }
+        }
+      }
+    },
+    { $merge: { into: User.collection.name, on: '_id', whenMatched: 'merge', whenNotMatched: 'discard' } }
+  ]);
+};
+
+// Static method to get the rating breakdown (1-5 stars) for an imaam
+reviewSchema.statics.getRatingBreakdown = async function(imaamId) {
+  const results = await this.aggregate([
+    { $match: { imaam: new mongoose.Types.ObjectId(imaamId), status: 'published' } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } }
+  ]);
+
+  const breakdown = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  results.forEach(result => {
+    breakdown[result._id] = result.count;
+  });
+
+  return breakdown;
+};
+
+// Static method to get published reviews for an imaam
+reviewSchema.statics.getImaamReviews = function(imaamId, page = 1, limit = 10) {
+  const skip = (page - 1) * limit;
+
+  return this.find({
+    imaam: imaamId,
+    status: 'published'
+  })
+  .select('-reports')
+  .populate('student', 'fullName profilePicture role islamicProfile')
+  .sort({ createdAt: -1 })
+  .skip(skip)
+  .limit(limit);
+};
+
+const Review = mongoose.model('Review', reviewSchema);
+
+export default Review;
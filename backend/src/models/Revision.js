@@ -0,0 +1,136 @@
+import mongoose from 'mongoose';
+import { diffWords } from '../utils/diff.js';
+
+// One version of the content of an edited post or comment. The first edit
+// also stores the original as version 1, so the latest version is always
+// the current content.
+const revisionSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    enum: ['post', 'comment'],
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  content: {
+    type: String,
+    default: ''
+  },
+  // The user who wrote this version
+  editor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  editedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set when an admin restored an older version
+  restoredFrom: Number
+});
+
+revisionSchema.index({ targetType: 1, target: 1, version: 1 }, { unique: true });
+revisionSchema.index({ editor: 1 });
+
+/**
+ * Record an edit of a post or comment, after it was saved
+ * @param {string} targetType - post or comment
+ * @param {Object} target - Edited document, with its new content
+ * @param {string} previousContent - Content before the edit
+ * @param {Object} options - editor (user ID) and restoredFrom (version)
+ * @returns {Promise<Object>} The new revision
+ */
+revisionSchema.statics.record = async function(targetType, target, previousContent, { editor, restoredFrom } = {}) {
+  const latest = await this.findOne({ targetType, target: target._id }).sort({ version: -1 });
+  let version = latest ? latest.version : 1;
+
+  // The original is kept on the first edit
+  if (!latest) {
+    await this.create({
+      targetType,
+      target: target._id,
+      version,
+      content: previousContent,
+      editor: target.author,
+      editedAt: target.createdAt
+    });
+  }
+
+  return this.create({
+    targetType,
+    target: target._id,
+    version: version + 1,
+    content: target.content,
+    editor,
+    editedAt: target.editedAt,
+    restoredFrom
+  });
+};
+
+/**
+ * Get every version of a post or comment, oldest first
+ * Content that was never edited has a single version.
+ * @param {string} targetType - post or comment
+ * @param {Object} target - Post or comment document
+ * @returns {Promise<Array>} Revisions
+ */
+revisionSchema.statics.getHistory = async function(targetType, target) {
+  const revisions = await this.find({ targetType, target: target._id })
+    .populate('editor', 'fullName profilePicture role')
+    .sort({ version: 1 });
+
+  if (revisions.length > 0) {
+    return revisions;
+  }
+
+  const original = new this({
+    targetType,
+    target: target._id,
+    version: 1,
+    content: target.content,
+    editor: target.author,
+    editedAt: target.createdAt
+  });
+  await original.populate('editor', 'fullName profilePicture role');
+  return [original];
+};
+
+/**
+ * Compare two versions of a post or comment word by word
+ * @param {Array} revisions - History from getHistory
+ * @param {number} from - Earlier version (default: the one before `to`)
+ * @param {number} to - Later version (default: the latest)
+ * @returns {Object|null} Diff, or null if a version does not exist
+ */
+revisionSchema.statics.compare = function(revisions, from, to) {
+  const toVersion = to || revisions[revisions.length - 1].version;
+  const fromVersion = from || Math.max(toVersion - 1, 1);
+
+  const older = revisions.find(revision => revision.version === fromVersion);
+  const newer = revisions.find(revision => revision.version === toVersion);
+  if (!older || !newer) {
+    return null;
+  }
+
+  const summary = (revision) => ({
+    version: revision.version,
+    editor: revision.editor,
+    editedAt: revision.editedAt
+  });
+
+  return {
+    from: summary(older),
+    to: summary(newer),
+    ...diffWords(older.content, newer.content)
+  };
+};
+
+const Revision = mongoose.model('Revision', revisionSchema);
+
+export default Revision;
@@ -0,0 +1,113 @@
+import mongoose from 'mongoose';
+import { hashToken } from '../utils/helpers.js';
+import { closeSessionClients } from '../utils/notificationStream.js';
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  // Hash of the only refresh token of this session that may still be used
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'token_reuse', 'password_reset', 'password_change', 'two_factor_required', 'account_deletion']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+sessionSchema.index({ user: 1, revokedAt: 1, expiresAt: 1 });
+// Remove sessions once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Query for the active sessions of a user
+const activeFilter = (filter = {}) => ({
+  ...filter,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+});
+
+// Static method to check that a session can still be used
+sessionSchema.statics.isActive = async function(sessionId) {
+  return Boolean(await this.exists(activeFilter({ _id: sessionId })));
+};
+
+// Static method to list the active sessions of a user
+sessionSchema.statics.getActiveSessions = function(userId) {
+  return this.find(activeFilter({ user: userId })).sort({ lastUsedAt: -1 });
+};
+
+/**
+ * Static method to rotate the refresh token of a session
+ * Returns the updated session, or null when the presented token is not the
+ * current one. Presenting a token that was already rotated means it leaked,
+ * so the whole session (the token family) is revoked.
+ */
+sessionSchema.statics.rotate = async function(sessionId, presentedToken, nextToken, { expiresAt, ip, userAgent }) {
+  const session = await this.findOneAndUpdate(
+    activeFilter({ _id: sessionId, refreshTokenHash: hashToken(presentedToken) }),
+    {
+      refreshTokenHash: hashToken(nextToken),
+      expiresAt,
+      lastUsedAt: new Date(),
+      ip,
+      userAgent
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    await this.updateOne(
+      activeFilter({ _id: sessionId }),
+      { revokedAt: new Date(), revokedReason: 'token_reuse' }
+    );
+  }
+
+  return session;
+};
+
+// Static method to revoke sessions of a user
+// Their open notification streams are closed too.
+sessionSchema.statics.revoke = async function(filter, reason) {
+  const sessionIds = await this.distinct('_id', activeFilter(filter));
+
+  const result = await this.updateMany(activeFilter(filter), {
+    revokedAt: new Date(),
+    revokedReason: reason
+  });
+
+  closeSessionClients(sessionIds, reason);
+
+  return result.modifiedCount;
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
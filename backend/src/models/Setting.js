@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+// Platform settings changed by admins at runtime, one document per key
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Setting key is required'],
+    unique: true,
+    trim: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to get a setting value
+settingSchema.statics.getValue = async function(key, defaultValue = null) {
+  const setting = await this.findOne({ key }).lean();
+  return setting ? setting.value : defaultValue;
+};
+
+// Static method to set a setting value
+settingSchema.statics.setValue = function(key, value, userId) {
+  return this.findOneAndUpdate(
+    { key },
+    { value, updatedBy: userId },
+    { new: true, upsert: true, runValidators: true }
+  );
+};
+
+// Static method to get the roles that must use two-factor authentication
+settingSchema.statics.getTwoFactorRequiredRoles = function() {
+  return this.getValue('twoFactorRequiredRoles', []);
+};
+
+const Setting = mongoose.model('Setting', settingSchema);
+
+export default Setting;
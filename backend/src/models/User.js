@@ -1,5 +1,47 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import { hashToken } from '../utils/helpers.js';
+import { verifyCode } from '../utils/totp.js';
+import { getFileUrl } from '../utils/storage.js';
+import { closeUserClients } from '../utils/notificationStream.js';
+import { passwordPolicy } from '../config/passwordPolicy.js';
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Failed sign-ins allowed before the account is locked
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+// First lockout length; each further lockout in a row doubles it, up to the maximum
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const LOGIN_LOCKOUT_MAX_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || 24 * 60;
+
+// Handles are what users are @mentioned by
+export const HANDLE_PATTERN = /^[a-z0-9_]{3,30}$/;
+const HANDLE_MAX_LENGTH = 30;
+
+// Users younger than this need a guardian-linked account
+export const MINOR_AGE = parseInt(process.env.MINOR_AGE) || 18;
+
+// Days between a deletion request and the account being erased
+export const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+
+// Profile fields other users see; security, moderation, guardian and account
+// lifecycle fields are only returned to the user and to admins
+export const PUBLIC_PROFILE_FIELDS = [
+  'fullName', 'handle', 'role', 'islamicProfile', 'bio', 'profilePicture', 'isVerified', 'isActive',
+  'specializations', 'experience', 'rating', 'studentsCount', 'connectionsCount', 'followersCount',
+  'followingCount', 'socialLinks', 'location', 'createdAt'
+].join(' ');
+
+// Leave out virtuals whose fields were not loaded, rather than report them as false
+const omitUnloadedVirtuals = (doc, ret) => {
+  if (!doc.isSelected('guardian')) delete ret.isChild;
+  if (!doc.isSelected('loginSecurity')) delete ret.isLocked;
+  return ret;
+};
+
+// Recovery codes are compared without case or separators
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
 
 const userSchema = new mongoose.Schema({
   fullName: {
@@ -8,6 +50,15 @@ const userSchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'Full name cannot exceed 100 characters']
   },
+  // Unique @handle, generated from the name when not chosen
+  handle: {
+    type: String,
+    unique: true,
+    sparse: true,
+    lowercase: true,
+    trim: true,
+    match: [HANDLE_PATTERN, 'Handle must be 3-30 letters, numbers or underscores']
+  },
   email: {
     type: String,
     required: [true, 'Email is required'],
@@ -22,9 +73,14 @@ const userSchema = new mongoose.Schema({
     minlength: [6, 'Password must be at least 6 characters'],
     select: false // Don't include password in queries by default
   },
+  // Hashes of earlier passwords, newest first, kept for the reuse check
+  passwordHistory: {
+    type: [String],
+    select: false
+  },
   role: {
     type: String,
-    enum: ['student', 'imaam', 'admin'],
+    enum: ['student', 'imaam', 'admin', 'guardian'],
     default: 'student',
     required: true
   },
@@ -52,18 +108,122 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Imaam verification, granted by an admin (see VerificationApplication)
   isVerified: {
     type: Boolean,
     default: false
   },
+  isEmailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpire: {
+    type: Date,
+    select: false
+  },
+  resetPasswordToken: {
+    type: String,
+    select: false
+  },
+  resetPasswordExpire: {
+    type: Date,
+    select: false
+  },
   isActive: {
     type: Boolean,
     default: true
   },
+  // Set when an admin suspends the account (isActive = false)
+  suspension: {
+    reason: String,
+    suspendedAt: Date,
+    suspendedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  dateOfBirth: {
+    type: Date,
+    default: null
+  },
+  // Guardian responsible for this child student account
+  guardian: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Guardian waiting for this account to accept being linked
+  guardianRequest: {
+    guardian: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    requestedAt: Date
+  },
   lastLogin: {
     type: Date,
     default: null
   },
+  // Set while the account waits out the grace period before being erased (isActive = false)
+  deletion: {
+    requestedAt: Date,
+    scheduledFor: Date,
+    // What happens to posts and comments: kept under a "Deleted User" name, or removed
+    contentAction: {
+      type: String,
+      enum: ['anonymize', 'delete']
+    },
+    // Set by the worker erasing the account
+    claimedAt: Date
+  },
+  // Marks the placeholder account that anonymized content is moved to
+  systemAccount: {
+    type: String,
+    enum: ['deleted_user']
+  },
+  // Failed sign-in tracking for account lockout
+  loginSecurity: {
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    // Lockouts since the last successful sign-in, for exponential backoff
+    lockCount: {
+      type: Number,
+      default: 0
+    },
+    lockedUntil: Date,
+    unlockToken: {
+      type: String,
+      select: false
+    }
+  },
+  // Two-factor authentication (TOTP); the secret is set at setup and used once enabled
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Time step of the last accepted code, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    // Hashes of unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    enabledAt: Date
+  },
   // For Imaam specific fields
   specializations: [{
     type: String,
@@ -90,6 +250,20 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Accepted mutual connections
+  connectionsCount: {
+    type: Number,
+    default: 0
+  },
+  // One-way follows
+  followersCount: {
+    type: Number,
+    default: 0
+  },
+  followingCount: {
+    type: Number,
+    default: 0
+  },
   // Social media links
   socialLinks: {
     website: String,
@@ -123,8 +297,8 @@ const userSchema = new mongoose.Schema({
   }
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
-  toObject: { virtuals: true }
+  toJSON: { virtuals: true, transform: omitUnloadedVirtuals },
+  toObject: { virtuals: true, transform: omitUnloadedVirtuals }
 });
 
 // Indexes for better performance
@@ -133,15 +307,42 @@ userSchema.index({ role: 1 });
 userSchema.index({ islamicProfile: 1 });
 userSchema.index({ 'rating.average': -1 });
 userSchema.index({ createdAt: -1 });
+userSchema.index({ guardian: 1 });
+userSchema.index({ 'deletion.scheduledFor': 1 }, { sparse: true });
+userSchema.index({ systemAccount: 1 }, { unique: true, sparse: true });
+
+// Full-text search over imaam profiles, weighted towards names
+userSchema.index(
+  { fullName: 'text', specializations: 'text', bio: 'text' },
+  {
+    name: 'user_text_search',
+    weights: { fullName: 10, specializations: 5, bio: 1 },
+    // No stemming or stop words, which would only suit English content
+    default_language: 'none',
+    language_override: 'textLanguage'
+  }
+);
+
+// Virtual for child accounts, which act under a guardian's supervision
+userSchema.virtual('isChild').get(function() {
+  return Boolean(this.guardian);
+});
 
 // Virtual for full profile URL
 userSchema.virtual('profilePictureUrl').get(function() {
-  if (this.profilePicture) {
-    return this.profilePicture.startsWith('http') 
-      ? this.profilePicture 
-      : `${process.env.BACKEND_URL}/uploads/${this.profilePicture}`;
+  return this.profilePicture ? getFileUrl(this.profilePicture) : null;
+});
+
+// Give users without a handle one; accounts created before handles get theirs on their next save
+userSchema.pre('validate', async function(next) {
+  if (this.handle) return next();
+
+  try {
+    this.handle = await this.constructor.generateHandle(this.fullName);
+    next();
+  } catch (error) {
+    next(error);
   }
-  return null;
 });
 
 // Pre-save middleware to hash password
@@ -150,6 +351,15 @@ userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
   
   try {
+    // Keep the outgoing hash so recent passwords cannot be reused
+    if (!this.isNew && passwordPolicy.historySize > 1) {
+      const previous = await this.constructor.findById(this._id).select('+password +passwordHistory');
+      if (previous && previous.password) {
+        this.passwordHistory = [previous.password, ...(previous.passwordHistory || [])]
+          .slice(0, passwordPolicy.historySize - 1);
+      }
+    }
+
     // Hash password with cost of 12
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
@@ -164,14 +374,155 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Instance method to check a new password against the last passwords in the policy
+userSchema.methods.isPasswordReused = async function(candidatePassword) {
+  if (passwordPolicy.historySize < 1) return false;
+
+  const user = await this.constructor.findById(this._id).select('+password +passwordHistory');
+  if (!user) return false;
+
+  const hashes = [user.password, ...(user.passwordHistory || [])].slice(0, passwordPolicy.historySize);
+  for (const hash of hashes) {
+    if (hash && await bcrypt.compare(candidatePassword, hash)) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
 // Instance method to get public profile
 userSchema.methods.getPublicProfile = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.passwordHistory;
   delete userObject.__v;
+  if (userObject.twoFactor) {
+    delete userObject.twoFactor.secret;
+    delete userObject.twoFactor.lastUsedStep;
+    delete userObject.twoFactor.recoveryCodes;
+  }
   return userObject;
 };
 
+// Virtual for whether sign-in is currently locked
+userSchema.virtual('isLocked').get(function() {
+  return Boolean(this.loginSecurity && this.loginSecurity.lockedUntil && this.loginSecurity.lockedUntil > new Date());
+});
+
+/**
+ * Instance method to count a failed sign-in
+ * Locks the account once the limit is reached. Returns { lockedUntil, unlockToken }
+ * when this attempt locked it, otherwise null.
+ */
+userSchema.methods.recordFailedLogin = async function() {
+  const updated = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { 'loginSecurity.failedAttempts': 1 } },
+    { new: true }
+  );
+
+  if (updated.loginSecurity.failedAttempts < LOGIN_MAX_ATTEMPTS) {
+    return null;
+  }
+
+  const lockMinutes = Math.min(
+    LOGIN_LOCKOUT_MINUTES * 2 ** updated.loginSecurity.lockCount,
+    LOGIN_LOCKOUT_MAX_MINUTES
+  );
+  const lockedUntil = new Date(Date.now() + lockMinutes * 60 * 1000);
+  const unlockToken = crypto.randomBytes(32).toString('hex');
+
+  // Only one of several concurrent failures gets to lock
+  const result = await this.constructor.updateOne(
+    { _id: this._id, 'loginSecurity.failedAttempts': { $gte: LOGIN_MAX_ATTEMPTS } },
+    {
+      $set: {
+        'loginSecurity.failedAttempts': 0,
+        'loginSecurity.lockedUntil': lockedUntil,
+        'loginSecurity.unlockToken': hashToken(unlockToken)
+      },
+      $inc: { 'loginSecurity.lockCount': 1 }
+    }
+  );
+
+  return result.modifiedCount > 0 ? { lockedUntil, unlockToken } : null;
+};
+
+// Instance method to reset failed sign-in tracking after a successful sign-in
+userSchema.methods.resetLoginSecurity = function() {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $set: { 'loginSecurity.failedAttempts': 0, 'loginSecurity.lockCount': 0 },
+      $unset: { 'loginSecurity.lockedUntil': 1, 'loginSecurity.unlockToken': 1 }
+    }
+  );
+};
+
+// Instance method to check a two-factor code or recovery code (requires +twoFactor.secret)
+// Returns 'totp' or 'recovery' when accepted and consumed, or null
+userSchema.methods.verifyTwoFactorCode = async function(code) {
+  const step = verifyCode(this.twoFactor.secret, code);
+
+  if (step !== null) {
+    // Accept each time step once, even across concurrent requests
+    const result = await this.constructor.updateOne(
+      { _id: this._id, 'twoFactor.lastUsedStep': { $not: { $gte: step } } },
+      { 'twoFactor.lastUsedStep': step }
+    );
+    return result.modifiedCount > 0 ? 'totp' : null;
+  }
+
+  const codeHash = hashToken(normalizeRecoveryCode(code));
+  const result = await this.constructor.updateOne(
+    { _id: this._id, 'twoFactor.recoveryCodes': codeHash },
+    { $pull: { 'twoFactor.recoveryCodes': codeHash } }
+  );
+  return result.modifiedCount > 0 ? 'recovery' : null;
+};
+
+// Instance method to replace the recovery codes, returning the new codes once
+userSchema.methods.generateRecoveryCodes = function() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+
+  this.twoFactor.recoveryCodes = codes.map(code => hashToken(normalizeRecoveryCode(code)));
+
+  return codes;
+};
+
+// Static method to unlock an account with the token from the lockout email
+userSchema.statics.unlockWithToken = function(token) {
+  return this.findOneAndUpdate(
+    { 'loginSecurity.unlockToken': hashToken(token), 'loginSecurity.lockedUntil': { $gt: new Date() } },
+    {
+      $set: { 'loginSecurity.failedAttempts': 0 },
+      $unset: { 'loginSecurity.lockedUntil': 1, 'loginSecurity.unlockToken': 1 }
+    },
+    { new: true }
+  );
+};
+
+// Static method to pick a free handle based on a name, e.g. "Ahmed Hassan" -> "ahmedhassan"
+userSchema.statics.generateHandle = async function(name) {
+  const base = String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9_]/g, '')
+    .slice(0, HANDLE_MAX_LENGTH - 5);
+  const stem = base.length >= 3 ? base : `user${base}`;
+
+  let handle = stem;
+  while (await this.exists({ handle })) {
+    handle = `${stem}${crypto.randomInt(10000, 100000)}`;
+  }
+  return handle;
+};
+
 // Static method to find users by role
 userSchema.statics.findByRole = function(role) {
   return this.find({ role, isActive: true });
@@ -186,14 +537,107 @@ userSchema.statics.findVerifiedImaam = function() {
   }).sort({ 'rating.average': -1, studentsCount: -1 });
 };
 
-// Update rating when new rating is added
-userSchema.methods.updateRating = function(newRating) {
-  const totalRating = this.rating.average * this.rating.count + newRating;
-  this.rating.count += 1;
-  this.rating.average = totalRating / this.rating.count;
+// Static method to search verified imaam by relevance
+// Returns the page of imaam (ordered by text score), the total and facet counts by islamicProfile.
+userSchema.statics.searchImaam = async function(query, { page = 1, limit = 10, islamicProfile = null, excludeIds = [] } = {}) {
+  const skip = (page - 1) * limit;
+  const profileFilter = islamicProfile ? [{ $match: { islamicProfile } }] : [];
+
+  const [result] = await this.aggregate([
+    {
+      $match: {
+        $text: { $search: query },
+        role: 'imaam',
+        isVerified: true,
+        isActive: true,
+        _id: { $nin: excludeIds }
+      }
+    },
+    { $project: { islamicProfile: 1, rating: 1, score: { $meta: 'textScore' } } },
+    {
+      $facet: {
+        hits: [...profileFilter, { $sort: { score: -1, 'rating.average': -1 } }, { $skip: skip }, { $limit: limit }],
+        total: [...profileFilter, { $count: 'count' }],
+        profiles: [{ $group: { _id: '$islamicProfile', count: { $sum: 1 } } }]
+      }
+    }
+  ]);
+
+  // Keep the ranking order of the aggregation
+  const rank = new Map(result.hits.map((hit, index) => [hit._id.toString(), index]));
+  const imaam = await this.find({ _id: { $in: result.hits.map(hit => hit._id) } })
+    .select(PUBLIC_PROFILE_FIELDS);
+
+  imaam.sort((a, b) => rank.get(a._id.toString()) - rank.get(b._id.toString()));
+
+  return {
+    imaam,
+    total: result.total.length > 0 ? result.total[0].count : 0,
+    facets: {
+      islamicProfile: Object.fromEntries(result.profiles.map(facet => [facet._id, facet.count]))
+    }
+  };
+};
+
+// Instance method to suspend the account
+// Open notification streams are closed, since they were authorized when opened.
+userSchema.methods.suspend = async function(adminId, reason) {
+  this.isActive = false;
+  this.suspension = {
+    reason,
+    suspendedAt: new Date(),
+    suspendedBy: adminId
+  };
+  await this.save();
+
+  closeUserClients(this._id, 'suspended');
+  return this;
+};
+
+// Instance method to schedule the account for deletion after the grace period
+userSchema.methods.scheduleDeletion = function(contentAction = 'anonymize') {
+  const now = new Date();
+  this.isActive = false;
+  this.deletion = {
+    requestedAt: now,
+    scheduledFor: new Date(now.getTime() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000),
+    contentAction
+  };
   return this.save();
 };
 
+// Instance method to cancel a scheduled deletion during the grace period
+userSchema.methods.restoreFromDeletion = function() {
+  this.isActive = true;
+  this.deletion = undefined;
+  return this.save();
+};
+
+// Static method to get the "Deleted User" account that anonymized content belongs to
+userSchema.statics.getDeletedUserPlaceholder = async function() {
+  const existing = await this.findOne({ systemAccount: 'deleted_user' });
+  if (existing) return existing;
+
+  try {
+    return await this.create({
+      fullName: 'Deleted User',
+      email: `deleted-user-${crypto.randomBytes(6).toString('hex')}@deenverse.com`,
+      // Random and never shown, so nobody can sign in to the placeholder
+      password: crypto.randomBytes(32).toString('base64url'),
+      role: 'student',
+      islamicProfile: 'other',
+      isActive: false,
+      systemAccount: 'deleted_user'
+    });
+  } catch (error) {
+    // Another worker created it first
+    if (error.code === 11000) {
+      return this.findOne({ systemAccount: 'deleted_user' });
+    }
+    throw error;
+  }
+};
+
 const User = mongoose.model('User', userSchema);
 
 export default User;
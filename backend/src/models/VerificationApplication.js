@@ -0,0 +1,150 @@
+import mongoose from 'mongoose';
+import { getBackendUrl } from '../utils/storage.js';
+
+// Replace the storage location of each document with its download link
+const withDocumentLinks = (ret) => {
+  ret.documents = (ret.documents || []).map(({ url, publicId, ...document }, index) => ({
+    ...document,
+    url: VerificationApplication.getDocumentUrl(ret._id, index)
+  }));
+  return ret;
+};
+
+const verificationApplicationSchema = new mongoose.Schema({
+  applicant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Applicant is required']
+  },
+  // Uploaded credential documents (ijazah, certificates), stored as private
+  // files and only served by GET /api/verification/:id/documents/:index
+  documents: [{
+    _id: false,
+    category: {
+      type: String,
+      enum: ['ijazah', 'certificate'],
+      required: true
+    },
+    url: {
+      type: String,
+      required: true
+    },
+    publicId: String,
+    originalName: String,
+    mimeType: String,
+    size: Number
+  }],
+  statement: {
+    type: String,
+    maxlength: [1000, 'Statement cannot exceed 1000 characters'],
+    trim: true,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewerNotes: {
+    type: String,
+    maxlength: [1000, 'Reviewer notes cannot exceed 1000 characters'],
+    trim: true,
+    default: ''
+  },
+  // Audit trail of every action taken on the application
+  history: [{
+    _id: false,
+    action: {
+      type: String,
+      enum: ['submitted', 'approved', 'rejected'],
+      required: true
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    notes: {
+      type: String,
+      default: ''
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true, getters: true, transform: (doc, ret) => withDocumentLinks(ret) },
+  toObject: { virtuals: true, getters: true }
+});
+
+// Indexes for better performance
+verificationApplicationSchema.index({ status: 1, createdAt: 1 });
+verificationApplicationSchema.index({ applicant: 1, createdAt: -1 });
+// Only one pending application per applicant
+verificationApplicationSchema.index(
+  { applicant: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+// Pre-save middleware to record the submission
+verificationApplicationSchema.pre('save', function(next) {
+  if (this.isNew && this.history.length === 0) {
+    this.history.push({ action: 'submitted', actor: this.applicant });
+  }
+  next();
+});
+
+// Static method to record a decision on a pending application
+// Returns null if the application was already decided.
+verificationApplicationSchema.statics.decide = function(applicationId, reviewerId, status, notes = '') {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    { _id: applicationId, status: 'pending' },
+    {
+      $set: {
+        status,
+        reviewedBy: reviewerId,
+        reviewedAt: now,
+        reviewerNotes: notes
+      },
+      $push: {
+        history: { action: status, actor: reviewerId, notes, at: now }
+      }
+    },
+    { new: true, runValidators: true }
+  );
+};
+
+// Static method to get the download link of a document
+verificationApplicationSchema.statics.getDocumentUrl = function(applicationId, index) {
+  return `${getBackendUrl()}/api/verification/${applicationId}/documents/${index}`;
+};
+
+// Static method to get the review queue
+verificationApplicationSchema.statics.getQueue = function(status = 'pending', page = 1, limit = 10) {
+  const skip = (page - 1) * limit;
+
+  return this.find({ status })
+    .populate('applicant', 'fullName email profilePicture islamicProfile specializations experience')
+    .populate('reviewedBy', 'fullName')
+    // Oldest pending applications first
+    .sort({ createdAt: status === 'pending' ? 1 : -1 })
+    .skip(skip)
+    .limit(limit);
+};
+
+const VerificationApplication = mongoose.model('VerificationApplication', verificationApplicationSchema);
+
+export default VerificationApplication;
@@ -0,0 +1,559 @@
+import express from 'express';
+import {
+  searchUsers,
+  suspendUser,
+  reactivateUser,
+  changeUserRole,
+  featurePost,
+  pinPost,
+  hideComment,
+  unhideComment,
+  restorePostRevision,
+  restoreCommentRevision,
+  getStats,
+  getAuditLogs,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy
+} from '../controllers/adminController.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { validate, validateQuery, validationSchemas } from '../middleware/validation.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admin
+ *   description: Moderation console (admin only, every action is audit logged)
+ */
+
+/**
+ * @swagger
+ * /api/admin/users:
+ *   get:
+ *     summary: Search users
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Name or email
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [student, imaam, guardian, admin]
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: isVerified
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of users per page
+ *     responses:
+ *       200:
+ *         description: Users retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied - admin only
+ */
+router.get('/users', protect, authorize('admin'), validateQuery(validationSchemas.adminUserQuery), searchUsers);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/suspend:
+ *   post:
+ *     summary: Suspend a user
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *                 example: "Repeated harassment of other users"
+ *     responses:
+ *       200:
+ *         description: User suspended successfully
+ *       400:
+ *         description: User already inactive or own account
+ *       404:
+ *         description: User not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied - admin only
+ */
+router.post('/users/:id/suspend', protect, authorize('admin'), validate(validationSchemas.suspendUser), suspendUser);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/reactivate:
+ *   post:
+ *     summary: Reactivate a suspended user
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User reactivated successfully
+ *       400:
+ *         description: User is not suspended
+ *       404:
+ *         description: User not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied - admin only
+ */
+router.post('/users/:id/reactivate', protect, authorize('admin'), reactivateUser);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/role:
+ *   put:
+ *     summary: Change a user's role
+ *     description: The verification badge is removed, so a user made Imaam has to apply for verification.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [student, imaam, guardian, admin]
+ *     responses:
+ *       200:
+ *         description: User role updated successfully
+ *       400:
+ *         description: Validation error, same role or own account
+ *       404:
+ *         description: User not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied - admin only
+ */
+router.put('/users/:id/role', protect, authorize('admin'), validate(validationSchemas.changeRole), changeUserRole);
+
+/**
+ * @swagger
+ * /api/admin/posts/{id}/feature:
+ *   put:
+ *     summary: Feature or unfeature a post
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - isFeatured
+ *             properties:
+ *               isFeatured:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Post updated successfully
+ *       404:
+ *         description: Post not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied - admin only
+ */
+router.put('/posts/:id/feature', protect, authorize('admin'), validate(validationSchemas.featurePost), featurePost);
+
+/**
+ * @swagger
+ * /api/admin/posts/{id}/pin:
+ *   put:
+ *     summary: Pin or unpin a post
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - isPinned
+ *             properties:
+ *               isPinned:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Post updated successfully
+ *       404:
+ *         description: Post not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied - admin only
+ */
+router.put('/posts/:id/pin', protect, authorize('admin'), validate(validationSchemas.pinPost), pinPost);
+
+/**
+ * @swagger
+ * /api/admin/comments/{id}/hide:
+ *   post:
+ *     summary: Hide a comment
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comment ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Comment hidden successfully
+ *       404:
+ *         description: Published comment not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied - admin only
+ */
+router.post('/comments/:id/hide', protect, authorize('admin'), validate(validationSchemas.hideComment), hideComment);
+
+/**
+ * @swagger
+ * /api/admin/comments/{id}/unhide:
+ *   post:
+ *     summary: Restore a hidden comment
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comment ID
+ *     responses:
+ *       200:
+ *         description: Comment restored successfully
+ *       404:
+ *         description: Hidden comment not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied - admin only
+ */
+router.post('/comments/:id/unhide', protect, authorize('admin'), unhideComment);
+
+/**
+ * @swagger
+ * /api/admin/posts/{id}/revisions/{version}/restore:
+ *   post:
+ *     summary: Restore an older version of a post
+ *     description: The restored content becomes a new revision, so the history is kept.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Version to restore
+ *     responses:
+ *       200:
+ *         description: Post revision restored successfully
+ *       400:
+ *         description: This revision is already the current content
+ *       404:
+ *         description: Post or revision not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied - admin only
+ */
+router.post('/posts/:id/revisions/:version/restore', protect, authorize('admin'), restorePostRevision);
+
+/**
+ * @swagger
+ * /api/admin/comments/{id}/revisions/{version}/restore:
+ *   post:
+ *     summary: Restore an older version of a comment
+ *     description: The restored content becomes a new revision, so the history is kept.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comment ID
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Version to restore
+ *     responses:
+ *       200:
+ *         description: Comment revision restored successfully
+ *       400:
+ *         description: This revision is already the current content
+ *       404:
+ *         description: Comment or revision not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied - admin only
+ */
+router.post('/comments/:id/revisions/:version/restore', protect, authorize('admin'), restoreCommentRevision);
+
+/**
+ * @swagger
+ * /api/admin/stats:
+ *   get:
+ *     summary: Get platform statistics
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Statistics retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied - admin only
+ */
+router.get('/stats', protect, authorize('admin'), getStats);
+
+/**
+ * @swagger
+ * /api/admin/audit-logs:
+ *   get:
+ *     summary: Get audit log entries
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *         description: Admin user ID
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: Action name (e.g. user.suspend)
+ *       - in: query
+ *         name: targetType
+ *         schema:
+ *           type: string
+ *           enum: [user, post, comment, verification, review, system]
+ *       - in: query
+ *         name: targetId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of entries per page
+ *     responses:
+ *       200:
+ *         description: Audit log retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     logs:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AuditLog'
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied - admin only
+ */
+router.get('/audit-logs', protect, authorize('admin'), validateQuery(validationSchemas.auditLogQuery), getAuditLogs);
+
+/**
+ * @swagger
+ * /api/admin/settings/two-factor:
+ *   get:
+ *     summary: Get the roles that must use two-factor authentication
+ *     description: Also returns how many active users of each role have it enabled. Viewing is recorded in the audit log.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Two-factor policy retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     requiredRoles:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                         enum: [student, imaam, guardian, admin]
+ *                     enrollment:
+ *                       type: object
+ *                       example: { imaam: { total: 40, enabled: 12 } }
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied - admin only
+ *   put:
+ *     summary: Set the roles that must use two-factor authentication
+ *     description: |
+ *       Users of a newly required role who have not set up two-factor
+ *       authentication are signed out, and must set it up at their next login.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - roles
+ *             properties:
+ *               roles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [student, imaam, guardian, admin]
+ *                 example: ["imaam", "admin"]
+ *     responses:
+ *       200:
+ *         description: Two-factor policy updated successfully
+ *       400:
+ *         description: Validation error, or the acting admin has not enabled two-factor authentication
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied - admin only
+ */
+router.get('/settings/two-factor', protect, authorize('admin'), getTwoFactorPolicy);
+router.put('/settings/two-factor', protect, authorize('admin'), validate(validationSchemas.twoFactorPolicy), updateTwoFactorPolicy);
+
+export default router;
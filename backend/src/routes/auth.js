@@ -6,11 +6,24 @@ import {
   refreshToken, 
   forgotPassword, 
   resetPassword,
+  changePassword,
   verifyEmail,
-  resendVerification
+  resendVerification,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+  verifyTwoFactorLogin,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  unlockAccount,
+  restoreAccount,
+  getLoginEvents
 } from '../controllers/authController.js';
-import { protect } from '../middleware/auth.js';
-import { validate, validationSchemas } from '../middleware/validation.js';
+import { protect, protectTwoFactorSetup } from '../middleware/auth.js';
+import { validate, validateQuery, validationSchemas } from '../middleware/validation.js';
 
 const router = express.Router();
 
@@ -49,11 +62,12 @@ const router = express.Router();
  *                 example: "ahmed@example.com"
  *               password:
  *                 type: string
- *                 minLength: 6
- *                 example: "password123"
+ *                 minLength: 8
+ *                 description: Must satisfy the password policy
+ *                 example: "Tajweed-2024!"
  *               role:
  *                 type: string
- *                 enum: [student, imaam, admin]
+ *                 enum: [student, imaam, guardian, admin]
  *                 example: "student"
  *               islamicProfile:
  *                 type: string
@@ -97,6 +111,17 @@ router.post('/register', validate(validationSchemas.register), register);
  * /api/auth/login:
  *   post:
  *     summary: Login user
+ *     description: |
+ *       When two-factor authentication is enabled the response has
+ *       `twoFactorRequired: true` and a short-lived `challengeToken` instead of
+ *       tokens; finish with POST /api/auth/2fa/login. When the user's role
+ *       requires two-factor authentication and it is not set up yet, the
+ *       response has `twoFactorSetupRequired: true` and a `challengeToken` for
+ *       POST /api/auth/2fa/setup and /api/auth/2fa/enable.
+ *
+ *       After too many failed attempts the account is locked (423) for a
+ *       period that doubles with each further lockout, and an unlock link is
+ *       emailed to the user.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -142,16 +167,368 @@ router.post('/register', validate(validationSchemas.register), register);
  *                       example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
  *       401:
  *         description: Invalid credentials
+ *       423:
+ *         description: Account locked after too many failed attempts
  *       500:
  *         description: Server error
  */
 router.post('/login', validate(validationSchemas.login), login);
 
+/**
+ * @swagger
+ * /api/auth/2fa/login:
+ *   post:
+ *     summary: Complete login with a two-factor code
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *               - code
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *                 description: Challenge token returned by POST /api/auth/login
+ *               code:
+ *                 type: string
+ *                 description: Code from the authenticator app, or an unused recovery code
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Login successful, returns the user, token and refreshToken
+ *       401:
+ *         description: Invalid code or expired challenge
+ *       423:
+ *         description: Account locked after too many failed attempts
+ */
+router.post('/2fa/login', validate(validationSchemas.twoFactorLogin), verifyTwoFactorLogin);
+
+/**
+ * @swagger
+ * /api/auth/unlock:
+ *   post:
+ *     summary: Unlock an account locked after failed sign-ins
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token from the account locked email
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *       400:
+ *         description: Invalid or expired unlock token
+ */
+router.post('/unlock', validate(validationSchemas.unlockAccount), unlockAccount);
+
+/**
+ * @swagger
+ * /api/auth/restore-account:
+ *   post:
+ *     summary: Restore an account scheduled for deletion
+ *     description: |
+ *       Cancels the deletion during the grace period and signs in. Responds like
+ *       login, so a two-factor step may follow.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: "ahmed@example.com"
+ *               password:
+ *                 type: string
+ *                 example: "Tajweed-2024!"
+ *     responses:
+ *       200:
+ *         description: Account restored and signed in, or two-factor code required
+ *       400:
+ *         description: Account is not scheduled for deletion
+ *       401:
+ *         description: Invalid credentials
+ *       410:
+ *         description: The grace period is over
+ *       423:
+ *         description: Account locked after too many failed attempts
+ */
+router.post('/restore-account', validate(validationSchemas.restoreAccount), restoreAccount);
+
+/**
+ * @swagger
+ * /api/auth/login-events:
+ *   get:
+ *     summary: Get sign-in history of the current user
+ *     description: Successful and failed sign-ins to the account, newest first.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of events per page
+ *     responses:
+ *       200:
+ *         description: Sign-in history retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     events:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/LoginEvent'
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/login-events', protect, validateQuery(validationSchemas.pagination), getLoginEvents);
+
+/**
+ * @swagger
+ * /api/auth/2fa:
+ *   get:
+ *     summary: Get two-factor status of the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Two-factor status retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     enabled:
+ *                       type: boolean
+ *                     enabledAt:
+ *                       type: string
+ *                       format: date-time
+ *                     required:
+ *                       type: boolean
+ *                       description: Whether the user's role must use two-factor authentication
+ *                     recoveryCodesRemaining:
+ *                       type: number
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/2fa', protect, getTwoFactorStatus);
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor setup
+ *     description: |
+ *       Generates a new TOTP secret. Show `otpauthUri` as a QR code for the
+ *       authenticator app (or let the user type the secret), then confirm with
+ *       POST /api/auth/2fa/enable. Authenticate with a bearer token, or with
+ *       the `challengeToken` from login when setup is required.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Secret generated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                       example: "JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP"
+ *                     otpauthUri:
+ *                       type: string
+ *                       example: "otpauth://totp/DeenVerse%3Aahmed%40example.com?secret=JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP&issuer=DeenVerse&algorithm=SHA1&digits=6&period=30"
+ *       400:
+ *         description: Two-factor authentication is already enabled
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/2fa/setup', validate(validationSchemas.twoFactorSetup), protectTwoFactorSetup, setupTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm two-factor setup
+ *     description: |
+ *       Turns on two-factor authentication once a code from the authenticator
+ *       app matches, and returns one-time recovery codes. When authenticated
+ *       with a setup `challengeToken`, the response also contains the login
+ *       tokens.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recoveryCodes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: ["3f9a2-c81d0", "7be41-09fa3"]
+ *       400:
+ *         description: Invalid code or setup not started
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/2fa/enable', validate(validationSchemas.twoFactorCode), protectTwoFactorSetup, enableTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Turn off two-factor authentication
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: Code from the authenticator app, or an unused recovery code
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Two-factor authentication is not enabled
+ *       401:
+ *         description: Incorrect password or code
+ *       403:
+ *         description: Two-factor authentication is required for the user's role
+ */
+router.post('/2fa/disable', protect, validate(validationSchemas.twoFactorDisable), disableTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace recovery codes
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: Code from the authenticator app
+ *     responses:
+ *       200:
+ *         description: New recovery codes generated
+ *       400:
+ *         description: Two-factor authentication is not enabled
+ *       401:
+ *         description: Invalid code
+ */
+router.post('/2fa/recovery-codes', protect, validate(validationSchemas.twoFactorCode), regenerateRecoveryCodes);
+
 /**
  * @swagger
  * /api/auth/logout:
  *   post:
  *     summary: Logout user
+ *     description: Signs out the current session. Its access and refresh tokens stop working immediately.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -179,6 +556,11 @@ router.post('/logout', protect, logout);
  * /api/auth/refresh:
  *   post:
  *     summary: Refresh access token
+ *     description: |
+ *       Rotates the refresh token: the response contains a new refresh token and
+ *       the one sent can no longer be used. Sending a refresh token that was
+ *       already rotated signs out the whole session, since it means the token
+ *       was copied.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -209,11 +591,85 @@ router.post('/logout', protect, logout);
  *                     token:
  *                       type: string
  *                       example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *                     refreshToken:
+ *                       type: string
+ *                       example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
  *       401:
- *         description: Invalid refresh token
+ *         description: Invalid, expired or revoked refresh token
  */
 router.post('/refresh', refreshToken);
 
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: Get active sessions of the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Session'
+ *       401:
+ *         description: Unauthorized
+ *   delete:
+ *     summary: Sign out all sessions of the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: keepCurrent
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Stay signed in on the device making the request
+ *     responses:
+ *       200:
+ *         description: Sessions signed out successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions', protect, revokeAllSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Sign out one session of the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session signed out successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Active session not found
+ */
+router.delete('/sessions/:id', protect, revokeSession);
+
 /**
  * @swagger
  * /api/auth/forgot-password:
@@ -233,9 +689,12 @@ router.post('/refresh', refreshToken);
  *                 type: string
  *                 format: email
  *                 example: "ahmed@example.com"
+ *     description: |
+ *       Emails a reset link valid for 10 minutes. The response is the same
+ *       whether or not an account exists for the email.
  *     responses:
  *       200:
- *         description: Password reset email sent
+ *         description: Password reset email queued if the account exists
  *         content:
  *           application/json:
  *             schema:
@@ -246,17 +705,19 @@ router.post('/refresh', refreshToken);
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: "Password reset email sent"
- *       404:
- *         description: User not found
+ *                   example: "If an account exists for that email, a password reset link has been sent"
  */
-router.post('/forgot-password', forgotPassword);
+router.post('/forgot-password', validate(validationSchemas.forgotPassword), forgotPassword);
 
 /**
  * @swagger
  * /api/auth/reset-password:
  *   post:
  *     summary: Reset password with token
+ *     description: |
+ *       Signs out every session, then continues like a login: the response has
+ *       new tokens, or a `challengeToken` when two-factor authentication is
+ *       enabled or must be set up first. Deactivated accounts get no tokens.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -273,15 +734,73 @@ router.post('/forgot-password', forgotPassword);
  *                 example: "reset-token-here"
  *               password:
  *                 type: string
- *                 minLength: 6
- *                 example: "newpassword123"
+ *                 minLength: 8
+ *                 description: Must satisfy the password policy and differ from recent passwords
+ *                 example: "Qiraat-Fajr-1446"
  *     responses:
  *       200:
  *         description: Password reset successful
  *       400:
- *         description: Invalid or expired token
+ *         description: Invalid or expired token, or password rejected by the policy
+ */
+router.post('/reset-password', validate(validationSchemas.resetPassword), resetPassword);
+
+/**
+ * @swagger
+ * /api/auth/change-password:
+ *   post:
+ *     summary: Change password of the current user
+ *     description: |
+ *       The new password must satisfy the password policy and cannot be one of
+ *       the recent passwords. Signs out every other session; the current one
+ *       stays signed in.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 example: "Tajweed-2024!"
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 8
+ *                 example: "Qiraat-Fajr-1446"
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Password changed successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     revoked:
+ *                       type: number
+ *                       description: Other sessions signed out
+ *                       example: 2
+ *       400:
+ *         description: Password rejected by the policy or used recently
+ *       401:
+ *         description: Current password is incorrect
  */
-router.post('/reset-password', resetPassword);
+router.post('/change-password', protect, validate(validationSchemas.changePassword), changePassword);
 
 /**
  * @swagger
@@ -314,6 +833,7 @@ router.post('/verify-email', verifyEmail);
  * /api/auth/resend-verification:
  *   post:
  *     summary: Resend email verification
+ *     description: Emails a new verification link valid for 24 hours.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -7,10 +7,12 @@ import {
   deleteComment, 
   likeComment, 
   unlikeComment,
-  getCommentReplies
+  getCommentReplies,
+  getCommentRevisions,
+  getCommentRevisionDiff
 } from '../controllers/commentController.js';
-import { protect, checkResourceAccess } from '../middleware/auth.js';
-import { validate, validationSchemas } from '../middleware/validation.js';
+import { protect } from '../middleware/auth.js';
+import { validate, validateQuery, validationSchemas } from '../middleware/validation.js';
 
 const router = express.Router();
 
@@ -141,7 +143,7 @@ router.get('/post/:postId', protect, getComments);
  *       200:
  *         description: Comment replies retrieved successfully
  *       404:
- *         description: Comment not found
+ *         description: Comment not found, not visible, or its post is not published
  *       401:
  *         description: Unauthorized
  */
@@ -166,7 +168,7 @@ router.get('/:id/replies', protect, getCommentReplies);
  *       200:
  *         description: Comment retrieved successfully
  *       404:
- *         description: Comment not found
+ *         description: Comment not found, not visible, or its post is not published
  *       401:
  *         description: Unauthorized
  */
@@ -210,7 +212,7 @@ router.get('/:id', protect, getCommentById);
  *       401:
  *         description: Unauthorized
  */
-router.put('/:id', protect, checkResourceAccess('author'), validate(validationSchemas.createComment), updateComment);
+router.put('/:id', protect, validate(validationSchemas.createComment), updateComment);
 
 /**
  * @swagger
@@ -237,7 +239,96 @@ router.put('/:id', protect, checkResourceAccess('author'), validate(validationSc
  *       401:
  *         description: Unauthorized
  */
-router.delete('/:id', protect, checkResourceAccess('author'), deleteComment);
+router.delete('/:id', protect, deleteComment);
+
+/**
+ * @swagger
+ * /api/comments/{id}/revisions:
+ *   get:
+ *     summary: Get the edit history of a comment
+ *     description: Every version with its editor and time, oldest first. Version 1 is the original.
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comment ID
+ *     responses:
+ *       200:
+ *         description: Revisions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     isEdited:
+ *                       type: boolean
+ *                     revisions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Revision'
+ *       404:
+ *         description: Comment not found, not visible, or its post is not published
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:id/revisions', protect, getCommentRevisions);
+
+/**
+ * @swagger
+ * /api/comments/{id}/revisions/diff:
+ *   get:
+ *     summary: Compare two versions of a comment
+ *     description: Word-level diff between two versions. Without parameters, compares the latest version with the one before it.
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comment ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: integer
+ *         description: Earlier version (default - the one before `to`)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: integer
+ *         description: Later version (default - the latest)
+ *     responses:
+ *       200:
+ *         description: Diff retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/RevisionDiff'
+ *       404:
+ *         description: Comment or revision not found, or the post is not published
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:id/revisions/diff', protect, validateQuery(validationSchemas.revisionDiffQuery), getCommentRevisionDiff);
 
 /**
  * @swagger
@@ -258,7 +349,7 @@ router.delete('/:id', protect, checkResourceAccess('author'), deleteComment);
  *       200:
  *         description: Comment liked successfully
  *       404:
- *         description: Comment not found
+ *         description: Comment not found, not visible, or its post is not published
  *       401:
  *         description: Unauthorized
  */
@@ -283,7 +374,7 @@ router.post('/:id/like', protect, likeComment);
  *       200:
  *         description: Comment unliked successfully
  *       404:
- *         description: Comment not found
+ *         description: Comment not found, not visible, or its post is not published
  *       401:
  *         description: Unauthorized
  */
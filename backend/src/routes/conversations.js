@@ -0,0 +1,264 @@
+import express from 'express';
+import {
+  createConversation,
+  getConversations,
+  getUnreadMessagesCount,
+  getConversationById,
+  getMessages,
+  sendMessage,
+  markConversationRead
+} from '../controllers/conversationController.js';
+import { protect } from '../middleware/auth.js';
+import { validate, validateQuery, validationSchemas } from '../middleware/validation.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Messages
+ *   description: Direct and group messaging between connected users
+ */
+
+/**
+ * @swagger
+ * /api/conversations:
+ *   post:
+ *     summary: Start a direct or group conversation
+ *     description: |
+ *       One participant starts (or returns the existing) direct conversation;
+ *       several participants start a group conversation. Every participant,
+ *       including the current user, must have an accepted connection with
+ *       every other participant.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - participants
+ *             properties:
+ *               participants:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["60f7b3b3b3b3b3b3b3b3b3b4"]
+ *               title:
+ *                 type: string
+ *                 maxLength: 100
+ *                 example: "Tajweed Study Circle"
+ *     responses:
+ *       201:
+ *         description: Conversation created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Conversation'
+ *       200:
+ *         description: Direct conversation already exists
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Participants are not all connected with each other, or not allowed for a child account
+ *       404:
+ *         description: User not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/', protect, validate(validationSchemas.createConversation), createConversation);
+
+/**
+ * @swagger
+ * /api/conversations:
+ *   get:
+ *     summary: Get current user's conversations
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of conversations per page
+ *     responses:
+ *       200:
+ *         description: Conversations retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', protect, validateQuery(validationSchemas.pagination), getConversations);
+
+/**
+ * @swagger
+ * /api/conversations/unread-count:
+ *   get:
+ *     summary: Get total number of unread messages
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Unread count retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/unread-count', protect, getUnreadMessagesCount);
+
+/**
+ * @swagger
+ * /api/conversations/{id}:
+ *   get:
+ *     summary: Get conversation by ID
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Conversation ID
+ *     responses:
+ *       200:
+ *         description: Conversation retrieved successfully
+ *       404:
+ *         description: Conversation not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:id', protect, getConversationById);
+
+/**
+ * @swagger
+ * /api/conversations/{id}/messages:
+ *   get:
+ *     summary: Get messages of a conversation (newest first)
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Conversation ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *         description: Number of messages per page
+ *     responses:
+ *       200:
+ *         description: Messages retrieved successfully
+ *       404:
+ *         description: Conversation not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:id/messages', protect, validateQuery(validationSchemas.pagination), getMessages);
+
+/**
+ * @swagger
+ * /api/conversations/{id}/messages:
+ *   post:
+ *     summary: Send a message
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Conversation ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - content
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 maxLength: 2000
+ *                 example: "Assalamu Alaikum, see you at the next class."
+ *     responses:
+ *       201:
+ *         description: Message sent successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Message'
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: No longer connected with, or blocked by, a participant, or not allowed for a child account
+ *       404:
+ *         description: Conversation not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:id/messages', protect, validate(validationSchemas.sendMessage), sendMessage);
+
+/**
+ * @swagger
+ * /api/conversations/{id}/read:
+ *   post:
+ *     summary: Mark all messages of a conversation as read
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Conversation ID
+ *     responses:
+ *       200:
+ *         description: Conversation marked as read
+ *       404:
+ *         description: Conversation not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:id/read', protect, markConversationRead);
+
+export default router;
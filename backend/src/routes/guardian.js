@@ -0,0 +1,354 @@
+import express from 'express';
+import {
+  getChildren,
+  createChild,
+  linkChild,
+  unlinkChild,
+  getApprovals,
+  approveRequest,
+  rejectRequest,
+  getChildConversations,
+  getChildMessages
+} from '../controllers/guardianController.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { validate, validateQuery, validationSchemas } from '../middleware/validation.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Guardian
+ *   description: Parent and guardian supervision of child student accounts
+ */
+
+/**
+ * @swagger
+ * /api/guardian/children:
+ *   get:
+ *     summary: Get linked child accounts
+ *     tags: [Guardian]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Child accounts retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Guardian accounts only
+ */
+router.get('/children', protect, authorize('guardian'), getChildren);
+
+/**
+ * @swagger
+ * /api/guardian/children:
+ *   post:
+ *     summary: Create a child student account
+ *     description: |
+ *       The new student account is linked to the current guardian. Its
+ *       connection requests and lesson bookings need the guardian's approval,
+ *       it can only message imaams and cannot post publicly.
+ *     tags: [Guardian]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fullName
+ *               - email
+ *               - password
+ *               - dateOfBirth
+ *             properties:
+ *               fullName:
+ *                 type: string
+ *                 example: "Yusuf Hassan"
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: "yusuf@example.com"
+ *               password:
+ *                 type: string
+ *                 example: "Tajweed-2024!"
+ *               dateOfBirth:
+ *                 type: string
+ *                 format: date
+ *                 example: "2014-03-21"
+ *               islamicProfile:
+ *                 type: string
+ *                 enum: [student, hafiz, qari, other]
+ *               bio:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       201:
+ *         description: Child account created successfully
+ *       400:
+ *         description: Validation error or email already in use
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Guardian accounts only
+ */
+router.post('/children', protect, authorize('guardian'), validate(validationSchemas.createChildAccount), createChild);
+
+/**
+ * @swagger
+ * /api/guardian/children/link:
+ *   post:
+ *     summary: Ask an existing student account to link to the current guardian
+ *     description: The account is linked once the student accepts the request.
+ *     tags: [Guardian]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: "yusuf@example.com"
+ *     responses:
+ *       200:
+ *         description: Link request sent
+ *       400:
+ *         description: Account already linked to a guardian
+ *       404:
+ *         description: Student account not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/children/link', protect, authorize('guardian'), validate(validationSchemas.linkChildAccount), linkChild);
+
+/**
+ * @swagger
+ * /api/guardian/children/{id}:
+ *   delete:
+ *     summary: Unlink a child account that has come of age
+ *     tags: [Guardian]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Child user ID
+ *     responses:
+ *       200:
+ *         description: Child account unlinked successfully
+ *       400:
+ *         description: The child is still a minor
+ *       404:
+ *         description: Child account not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/children/:id', protect, authorize('guardian'), unlinkChild);
+
+/**
+ * @swagger
+ * /api/guardian/children/{id}/conversations:
+ *   get:
+ *     summary: Get the conversations of a child
+ *     tags: [Guardian]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Child user ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Conversations retrieved successfully
+ *       404:
+ *         description: Child account not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/children/:id/conversations', protect, authorize('guardian'), validateQuery(validationSchemas.pagination), getChildConversations);
+
+/**
+ * @swagger
+ * /api/guardian/children/{id}/conversations/{conversationId}/messages:
+ *   get:
+ *     summary: Read the messages of a child's conversation (newest first)
+ *     description: Read-only; the child's read receipts are not changed.
+ *     tags: [Guardian]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Child user ID
+ *       - in: path
+ *         name: conversationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Conversation ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *     responses:
+ *       200:
+ *         description: Messages retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     messages:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Message'
+ *       404:
+ *         description: Child account or conversation not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/children/:id/conversations/:conversationId/messages', protect, authorize('guardian'), validateQuery(validationSchemas.pagination), getChildMessages);
+
+/**
+ * @swagger
+ * /api/guardian/approvals:
+ *   get:
+ *     summary: Get connection requests and lesson bookings of children
+ *     tags: [Guardian]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, expired]
+ *           default: pending
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Approvals retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     approvals:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/GuardianApproval'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/approvals', protect, authorize('guardian'), validateQuery(validationSchemas.guardianApprovalQuery), getApprovals);
+
+/**
+ * @swagger
+ * /api/guardian/approvals/{id}/approve:
+ *   post:
+ *     summary: Approve a child's request
+ *     description: |
+ *       Sends the connection request to the imaam, or books the lesson seat.
+ *     tags: [Guardian]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Approval ID
+ *     responses:
+ *       200:
+ *         description: Request approved
+ *       404:
+ *         description: Pending approval not found
+ *       409:
+ *         description: Already connected, or the lesson is full or has started
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/approvals/:id/approve', protect, authorize('guardian'), approveRequest);
+
+/**
+ * @swagger
+ * /api/guardian/approvals/{id}/reject:
+ *   post:
+ *     summary: Decline a child's request
+ *     tags: [Guardian]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Approval ID
+ *     responses:
+ *       200:
+ *         description: Request declined
+ *       404:
+ *         description: Pending approval not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/approvals/:id/reject', protect, authorize('guardian'), rejectRequest);
+
+export default router;
@@ -10,8 +10,9 @@ import {
   acceptConnection,
   rejectConnection
 } from '../controllers/imaamController.js';
+import { getImaamReviews, createReview } from '../controllers/reviewController.js';
 import { protect, authorize } from '../middleware/auth.js';
-import { validateQuery, validationSchemas } from '../middleware/validation.js';
+import { validate, validateQuery, validationSchemas } from '../middleware/validation.js';
 
 const router = express.Router();
 
@@ -109,7 +110,11 @@ router.get('/featured', protect, getFeaturedImaam);
  * @swagger
  * /api/imaam/search:
  *   get:
- *     summary: Search Imaam by name or specialization
+ *     summary: Search Imaam by name, specialization or bio
+ *     description: |
+ *       Ranks Imaam with a weighted text index (name, then specializations,
+ *       then bio). Each result has an HTML `highlight` snippet of the bio and
+ *       the response includes counts per Islamic profile.
  *     tags: [Imaam]
  *     security:
  *       - bearerAuth: []
@@ -121,6 +126,11 @@ router.get('/featured', protect, getFeaturedImaam);
  *           type: string
  *         description: Search query
  *       - in: query
+ *         name: islamicProfile
+ *         schema:
+ *           type: string
+ *         description: Filter by Islamic profile
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -231,6 +241,8 @@ router.get('/:id', protect, getImaamById);
  *     responses:
  *       201:
  *         description: Connection request sent successfully
+ *       202:
+ *         description: Child account; request sent to the guardian for approval
  *       400:
  *         description: Cannot connect to yourself or already connected
  *       404:
@@ -240,6 +252,102 @@ router.get('/:id', protect, getImaamById);
  */
 router.post('/:id/connect', protect, requestConnection);
 
+/**
+ * @swagger
+ * /api/imaam/{id}/reviews:
+ *   get:
+ *     summary: Get reviews of an Imaam
+ *     description: Returns the rating aggregate, a 1-5 star breakdown and the current user's own review.
+ *     tags: [Imaam]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Imaam ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of reviews per page
+ *     responses:
+ *       200:
+ *         description: Reviews retrieved successfully
+ *       404:
+ *         description: Imaam not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:id/reviews', protect, validateQuery(validationSchemas.pagination), getImaamReviews);
+
+/**
+ * @swagger
+ * /api/imaam/{id}/reviews:
+ *   post:
+ *     summary: Review an Imaam
+ *     description: One review per student, only after an accepted connection.
+ *     tags: [Imaam]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Imaam ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rating
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *                 example: 5
+ *               comment:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 example: "Very patient teacher, my recitation improved a lot"
+ *     responses:
+ *       201:
+ *         description: Review submitted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Review'
+ *       400:
+ *         description: Validation error or already reviewed
+ *       403:
+ *         description: Not connected with this Imaam
+ *       404:
+ *         description: Imaam not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:id/reviews', protect, validate(validationSchemas.createReview), createReview);
+
 /**
  * @swagger
  * /api/imaam/connections/requests:
@@ -0,0 +1,378 @@
+import express from 'express';
+import {
+  createLesson,
+  getLessons,
+  getMyLessons,
+  getLessonById,
+  updateLesson,
+  cancelLesson,
+  bookLesson,
+  cancelBooking,
+  rescheduleBooking
+} from '../controllers/lessonController.js';
+import { protect, authorize, requireVerification } from '../middleware/auth.js';
+import { validate, validateQuery, validationSchemas } from '../middleware/validation.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Lessons
+ *   description: Lesson scheduling and booking with Imaam
+ */
+
+/**
+ * @swagger
+ * /api/lessons:
+ *   post:
+ *     summary: Publish an availability slot (verified Imaam only)
+ *     description: |
+ *       The start time is a local wall-clock time in the Imaam's profile time
+ *       zone (`location.timezone`) and is stored in UTC.
+ *     tags: [Lessons]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *               - startTime
+ *               - duration
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 maxLength: 200
+ *                 example: "Introduction to Tajweed"
+ *               description:
+ *                 type: string
+ *                 maxLength: 1000
+ *               difficulty:
+ *                 type: string
+ *                 enum: [beginner, intermediate, advanced]
+ *               topics:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["tajweed", "quran"]
+ *               startTime:
+ *                 type: string
+ *                 example: "2025-10-20T18:00"
+ *               duration:
+ *                 type: number
+ *                 example: 60
+ *               capacity:
+ *                 type: number
+ *                 default: 1
+ *                 example: 5
+ *               post:
+ *                 type: string
+ *                 description: ID of a lesson post announcing this session
+ *     responses:
+ *       201:
+ *         description: Lesson published successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Lesson'
+ *       400:
+ *         description: Validation error or overlapping slot
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied - verified Imaam required
+ */
+router.post('/', protect, authorize('imaam'), requireVerification, validate(validationSchemas.createLesson), createLesson);
+
+/**
+ * @swagger
+ * /api/lessons:
+ *   get:
+ *     summary: Get upcoming lessons
+ *     tags: [Lessons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: imaam
+ *         schema:
+ *           type: string
+ *         description: Filter by Imaam ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Earliest start time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Latest start time
+ *       - in: query
+ *         name: available
+ *         schema:
+ *           type: boolean
+ *         description: Only lessons with free seats
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of lessons per page
+ *     responses:
+ *       200:
+ *         description: Lessons retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', protect, validateQuery(validationSchemas.lessonQuery), getLessons);
+
+/**
+ * @swagger
+ * /api/lessons/mine:
+ *   get:
+ *     summary: Get current user's upcoming lessons (taught or booked)
+ *     tags: [Lessons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of lessons per page
+ *     responses:
+ *       200:
+ *         description: Lessons retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/mine', protect, validateQuery(validationSchemas.pagination), getMyLessons);
+
+/**
+ * @swagger
+ * /api/lessons/{id}:
+ *   get:
+ *     summary: Get lesson by ID
+ *     tags: [Lessons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Lesson ID
+ *     responses:
+ *       200:
+ *         description: Lesson retrieved successfully
+ *       404:
+ *         description: Lesson not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:id', protect, getLessonById);
+
+/**
+ * @swagger
+ * /api/lessons/{id}:
+ *   put:
+ *     summary: Update a lesson slot
+ *     description: Booked students are notified when the start time changes.
+ *     tags: [Lessons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Lesson ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               startTime:
+ *                 type: string
+ *                 example: "2025-10-21T18:00"
+ *               duration:
+ *                 type: number
+ *               capacity:
+ *                 type: number
+ *     responses:
+ *       200:
+ *         description: Lesson updated successfully
+ *       400:
+ *         description: Validation error or overlapping slot
+ *       404:
+ *         description: Lesson not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/:id', protect, authorize('imaam', 'admin'), validate(validationSchemas.updateLesson), updateLesson);
+
+/**
+ * @swagger
+ * /api/lessons/{id}:
+ *   delete:
+ *     summary: Cancel a lesson slot
+ *     description: Booked students are notified.
+ *     tags: [Lessons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Lesson ID
+ *     responses:
+ *       200:
+ *         description: Lesson cancelled successfully
+ *       404:
+ *         description: Lesson not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:id', protect, authorize('imaam', 'admin'), cancelLesson);
+
+/**
+ * @swagger
+ * /api/lessons/{id}/book:
+ *   post:
+ *     summary: Book a seat in a lesson
+ *     description: Requires an accepted student-teacher connection with the Imaam.
+ *     tags: [Lessons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Lesson ID
+ *     responses:
+ *       200:
+ *         description: Lesson booked successfully
+ *       202:
+ *         description: Child account; booking sent to the guardian for approval
+ *       400:
+ *         description: Lesson full, started or already booked
+ *       403:
+ *         description: Not connected with the Imaam as a student
+ *       404:
+ *         description: Lesson not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:id/book', protect, bookLesson);
+
+/**
+ * @swagger
+ * /api/lessons/{id}/book:
+ *   delete:
+ *     summary: Cancel a booking
+ *     tags: [Lessons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Lesson ID
+ *     responses:
+ *       200:
+ *         description: Booking cancelled successfully
+ *       404:
+ *         description: Booking not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:id/book', protect, cancelBooking);
+
+/**
+ * @swagger
+ * /api/lessons/{id}/reschedule:
+ *   post:
+ *     summary: Move a booking to another slot of the same Imaam
+ *     description: |
+ *       Requires a student-teacher connection with the Imaam, as booking does.
+ *       For child accounts the move waits for the guardian's approval and the
+ *       current seat is kept until then.
+ *     tags: [Lessons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the currently booked lesson
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - lessonId
+ *             properties:
+ *               lessonId:
+ *                 type: string
+ *                 description: ID of the lesson to move to
+ *     responses:
+ *       200:
+ *         description: Booking rescheduled successfully
+ *       202:
+ *         description: Child account; booking change sent to the guardian for approval
+ *       400:
+ *         description: Selected lesson not available
+ *       403:
+ *         description: Not connected with the Imaam as a student
+ *       404:
+ *         description: Booking or lesson not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:id/reschedule', protect, validate(validationSchemas.rescheduleBooking), rescheduleBooking);
+
+export default router;
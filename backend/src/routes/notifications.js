@@ -0,0 +1,207 @@
+import express from 'express';
+import {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  streamNotifications,
+  createStreamTicket
+} from '../controllers/notificationController.js';
+import { protect, protectStream } from '../middleware/auth.js';
+import { validateQuery, validationSchemas } from '../middleware/validation.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Notifications
+ *   description: User notifications and real-time delivery
+ */
+
+/**
+ * @swagger
+ * /api/notifications:
+ *   get:
+ *     summary: Get current user's notifications
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of notifications per page
+ *       - in: query
+ *         name: unreadOnly
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Only return unread notifications
+ *     responses:
+ *       200:
+ *         description: Notifications retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     notifications:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Notification'
+ *                     unreadCount:
+ *                       type: number
+ *                       example: 3
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', protect, validateQuery(validationSchemas.notificationQuery), getNotifications);
+
+/**
+ * @swagger
+ * /api/notifications/unread-count:
+ *   get:
+ *     summary: Get number of unread notifications
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Unread count retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/unread-count', protect, getUnreadCount);
+
+/**
+ * @swagger
+ * /api/notifications/stream:
+ *   get:
+ *     summary: Subscribe to real-time notifications (Server-Sent Events)
+ *     description: |
+ *       Keeps the connection open and sends a `ready` event with the current
+ *       unread count, a `notification` event for every new notification and an
+ *       `unread_count` event when notifications are read in another session.
+ *       Chat clients also receive `message` and `messages_read` events.
+ *       Browsers' EventSource cannot set headers, so pass a stream ticket
+ *       from `POST /api/notifications/stream/ticket` as the `ticket` query
+ *       parameter instead. Access tokens are never accepted in the URL.
+ *       The stream ends with a `session_ended` event, giving the reason, when
+ *       its session is signed out or revoked or the account is suspended.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: ticket
+ *         schema:
+ *           type: string
+ *         description: Stream ticket (alternative to the Authorization header)
+ *     responses:
+ *       200:
+ *         description: Event stream opened
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/stream', protectStream, streamNotifications);
+
+/**
+ * @swagger
+ * /api/notifications/stream/ticket:
+ *   post:
+ *     summary: Get a ticket for opening the notification stream
+ *     description: |
+ *       The ticket is valid for one minute (STREAM_TICKET_EXPIRE) and only
+ *       opens the event stream of the current session, so it is safe to put
+ *       in the stream URL where proxies and access logs may record it.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Ticket issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     ticket:
+ *                       type: string
+ *                     expiresIn:
+ *                       type: number
+ *                       description: Seconds until the ticket expires
+ *                       example: 60
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/stream/ticket', protect, createStreamTicket);
+
+/**
+ * @swagger
+ * /api/notifications/read-all:
+ *   put:
+ *     summary: Mark all notifications as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All notifications marked as read
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/read-all', protect, markAllAsRead);
+
+/**
+ * @swagger
+ * /api/notifications/{id}/read:
+ *   put:
+ *     summary: Mark a notification as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Notification ID
+ *     responses:
+ *       200:
+ *         description: Notification marked as read
+ *       404:
+ *         description: Notification not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/:id/read', protect, markAsRead);
+
+export default router;
@@ -9,11 +9,20 @@ import {
   unlikePost,
   getFeed,
   getUserPosts,
-  searchPosts
+  searchPosts,
+  getDrafts,
+  getScheduledPosts,
+  autosaveDraft,
+  publishPost,
+  unschedulePost,
+  archivePost,
+  unarchivePost,
+  getPostRevisions,
+  getPostRevisionDiff
 } from '../controllers/postController.js';
-import { protect, checkResourceAccess } from '../middleware/auth.js';
+import { protect } from '../middleware/auth.js';
 import { validate, validateQuery, validationSchemas } from '../middleware/validation.js';
-import { upload } from '../middleware/upload.js';
+import { upload, handleUploadError, parseJsonFields } from '../middleware/upload.js';
 
 const router = express.Router();
 
@@ -60,6 +69,16 @@ const router = express.Router();
  *                 enum: [public, followers, private]
  *                 default: public
  *                 example: "public"
+ *               status:
+ *                 type: string
+ *                 enum: [published, draft]
+ *                 default: published
+ *                 description: Save as a draft instead of publishing; drafts may have empty content
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Schedule the post for a future time (not with status draft)
+ *                 example: "2026-11-06T17:00:00Z"
  *               lessonInfo:
  *                 type: object
  *                 properties:
@@ -78,6 +97,38 @@ const router = express.Router();
  *                     items:
  *                       type: string
  *                     example: ["tajweed", "quran"]
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - content
+ *             description: Same fields as the JSON body; tags, lessonInfo and imageDetails are sent as JSON strings
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 maxLength: 2000
+ *               type:
+ *                 type: string
+ *                 enum: [general, question, announcement, lesson, inspiration]
+ *               tags:
+ *                 type: string
+ *                 example: '["quran", "learning"]'
+ *               visibility:
+ *                 type: string
+ *                 enum: [public, followers, private]
+ *               lessonInfo:
+ *                 type: string
+ *                 example: '{"title": "Introduction to Tajweed", "duration": 60}'
+ *               images:
+ *                 type: array
+ *                 description: Up to POST_MAX_IMAGES images (default 4) of at most 5MB each, in display order
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *               imageDetails:
+ *                 type: string
+ *                 description: Alt text and caption for each uploaded image, in upload order
+ *                 example: '[{"alt": "Students reciting in the masjid", "caption": "Our Saturday class"}]'
  *     responses:
  *       201:
  *         description: Post created successfully
@@ -98,8 +149,18 @@ const router = express.Router();
  *         description: Validation error
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Child accounts cannot publish public posts
  */
-router.post('/', protect, validate(validationSchemas.createPost), createPost);
+router.post(
+  '/',
+  protect,
+  upload.array('images'),
+  handleUploadError,
+  parseJsonFields('tags', 'lessonInfo', 'imageDetails'),
+  validate(validationSchemas.createPost),
+  createPost
+);
 
 /**
  * @swagger
@@ -146,16 +207,25 @@ router.get('/', protect, validateQuery(validationSchemas.pagination), getPosts);
  * /api/posts/feed:
  *   get:
  *     summary: Get personalized feed for current user
+ *     description: |
+ *       Posts from the user, their accepted connections and the users they follow,
+ *       published in the last 30 days and ranked by recency, likes, comments and
+ *       connection type. Followers-only posts are shown to connections only.
+ *       Posts from outside the network are found through `GET /api/posts`, tags
+ *       and search. Pass `nextCursor` from the previous response to load the next
+ *       page. The first page ranks up to 200 posts and later pages keep that
+ *       ranking for an hour, so posts are neither repeated nor skipped while new
+ *       posts, likes and comments arrive. Once the 200 posts are used up, the next
+ *       200 are ranked as of the first page.
  *     tags: [Posts]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
- *         name: page
+ *         name: cursor
  *         schema:
- *           type: integer
- *           default: 1
- *         description: Page number
+ *           type: string
+ *         description: Cursor returned as pagination.nextCursor
  *       - in: query
  *         name: limit
  *         schema:
@@ -165,16 +235,49 @@ router.get('/', protect, validateQuery(validationSchemas.pagination), getPosts);
  *     responses:
  *       200:
  *         description: Feed retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     posts:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Post'
+ *                     pagination:
+ *                       type: object
+ *                       properties:
+ *                         limit:
+ *                           type: number
+ *                           example: 10
+ *                         hasNext:
+ *                           type: boolean
+ *                           example: true
+ *                         nextCursor:
+ *                           type: string
+ *                           nullable: true
+ *       400:
+ *         description: Invalid or expired feed cursor
  *       401:
  *         description: Unauthorized
  */
-router.get('/feed', protect, validateQuery(validationSchemas.pagination), getFeed);
+router.get('/feed', protect, validateQuery(validationSchemas.feedQuery), getFeed);
 
 /**
  * @swagger
  * /api/posts/search:
  *   get:
- *     summary: Search posts
+ *     summary: Search posts by relevance
+ *     description: |
+ *       Ranks published posts visible to the user with a weighted text index
+ *       (lesson title, then tags, then content). Each post has an HTML
+ *       `highlight` snippet and the response includes counts per post type.
  *     tags: [Posts]
  *     security:
  *       - bearerAuth: []
@@ -186,6 +289,12 @@ router.get('/feed', protect, validateQuery(validationSchemas.pagination), getFee
  *           type: string
  *         description: Search query
  *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [general, question, announcement, lesson, inspiration]
+ *         description: Filter by post type
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -207,6 +316,101 @@ router.get('/feed', protect, validateQuery(validationSchemas.pagination), getFee
  */
 router.get('/search', protect, validateQuery(validationSchemas.search), searchPosts);
 
+/**
+ * @swagger
+ * /api/posts/drafts:
+ *   get:
+ *     summary: Get my drafts
+ *     description: Drafts of the current user, most recently edited first
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Drafts retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     drafts:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Post'
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/drafts', protect, validateQuery(validationSchemas.pagination), getDrafts);
+
+/**
+ * @swagger
+ * /api/posts/scheduled:
+ *   get:
+ *     summary: Get my scheduled posts
+ *     description: Timeline of the current user's scheduled posts, soonest first. Filter by type to see upcoming lesson announcements.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [general, question, announcement, lesson, inspiration]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Scheduled posts retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     posts:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Post'
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/scheduled', protect, validateQuery(validationSchemas.scheduledPostsQuery), getScheduledPosts);
+
 /**
  * @swagger
  * /api/posts/user/{userId}:
@@ -304,9 +508,45 @@ router.get('/:id', protect, getPostById);
  *               visibility:
  *                 type: string
  *                 enum: [public, followers, private]
+ *               existingImages:
+ *                 type: array
+ *                 description: Images to keep, in display order. Images left out are deleted; omit to keep all images.
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - _id
+ *                   properties:
+ *                     _id:
+ *                       type: string
+ *                     alt:
+ *                       type: string
+ *                       maxLength: 300
+ *                     caption:
+ *                       type: string
+ *                       maxLength: 500
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             description: Same fields as the JSON body (JSON strings for arrays and objects), plus new images added after the kept ones
+ *             properties:
+ *               content:
+ *                 type: string
+ *               existingImages:
+ *                 type: string
+ *                 example: '[{"_id": "60f7b3b3b3b3b3b3b3b3b3b4", "alt": "Students reciting"}]'
+ *               images:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *               imageDetails:
+ *                 type: string
+ *                 example: '[{"alt": "Certificates of the graduates"}]'
  *     responses:
  *       200:
  *         description: Post updated successfully
+ *       400:
+ *         description: Validation error, unknown image or too many images
  *       403:
  *         description: Access denied - can only update your own posts
  *       404:
@@ -314,7 +554,15 @@ router.get('/:id', protect, getPostById);
  *       401:
  *         description: Unauthorized
  */
-router.put('/:id', protect, checkResourceAccess('author'), validate(validationSchemas.createPost), updatePost);
+router.put(
+  '/:id',
+  protect,
+  upload.array('images'),
+  handleUploadError,
+  parseJsonFields('tags', 'lessonInfo', 'imageDetails', 'existingImages'),
+  validate(validationSchemas.updatePost),
+  updatePost
+);
 
 /**
  * @swagger
@@ -341,7 +589,277 @@ router.put('/:id', protect, checkResourceAccess('author'), validate(validationSc
  *       401:
  *         description: Unauthorized
  */
-router.delete('/:id', protect, checkResourceAccess('author'), deletePost);
+router.delete('/:id', protect, deletePost);
+
+/**
+ * @swagger
+ * /api/posts/{id}/autosave:
+ *   patch:
+ *     summary: Autosave a draft
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: Any of the post fields; content may be empty
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 maxLength: 2000
+ *               type:
+ *                 type: string
+ *                 enum: [general, question, announcement, lesson, inspiration]
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               visibility:
+ *                 type: string
+ *                 enum: [public, followers, private]
+ *               lessonInfo:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: Draft saved
+ *       400:
+ *         description: Post is not a draft or scheduled post
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied - can only manage your own posts
+ *       404:
+ *         description: Post not found
+ */
+router.patch('/:id/autosave', protect, validate(validationSchemas.autosaveDraft), autosaveDraft);
+
+/**
+ * @swagger
+ * /api/posts/{id}/publish:
+ *   post:
+ *     summary: Publish or schedule a draft
+ *     description: Publishes a draft or scheduled post now, or schedules it for publishAt. Scheduled posts are published by a background job.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Schedule the post instead of publishing it now
+ *                 example: "2026-11-06T17:00:00Z"
+ *     responses:
+ *       200:
+ *         description: Post published or scheduled successfully
+ *       400:
+ *         description: Post is not a draft or scheduled post, or content is empty
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied - can only manage your own posts
+ *       404:
+ *         description: Post not found
+ */
+router.post('/:id/publish', protect, validate(validationSchemas.publishPost), publishPost);
+
+/**
+ * @swagger
+ * /api/posts/{id}/unschedule:
+ *   post:
+ *     summary: Move a scheduled post back to drafts
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *     responses:
+ *       200:
+ *         description: Post moved to drafts
+ *       400:
+ *         description: Post is not scheduled
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied - can only manage your own posts
+ *       404:
+ *         description: Post not found
+ */
+router.post('/:id/unschedule', protect, unschedulePost);
+
+/**
+ * @swagger
+ * /api/posts/{id}/archive:
+ *   post:
+ *     summary: Archive a post
+ *     description: Hides a published post from everyone but its author until it is unarchived
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *     responses:
+ *       200:
+ *         description: Post archived successfully
+ *       400:
+ *         description: Only published posts can be archived
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied - can only manage your own posts
+ *       404:
+ *         description: Post not found
+ */
+router.post('/:id/archive', protect, archivePost);
+
+/**
+ * @swagger
+ * /api/posts/{id}/unarchive:
+ *   post:
+ *     summary: Unarchive a post
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *     responses:
+ *       200:
+ *         description: Post restored successfully
+ *       400:
+ *         description: Post is not archived
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied - can only manage your own posts
+ *       404:
+ *         description: Post not found
+ */
+router.post('/:id/unarchive', protect, unarchivePost);
+
+/**
+ * @swagger
+ * /api/posts/{id}/revisions:
+ *   get:
+ *     summary: Get the edit history of a post
+ *     description: Every version with its editor and time, oldest first. Version 1 is the original.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *     responses:
+ *       200:
+ *         description: Revisions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     isEdited:
+ *                       type: boolean
+ *                     revisions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Revision'
+ *       404:
+ *         description: Post not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:id/revisions', protect, getPostRevisions);
+
+/**
+ * @swagger
+ * /api/posts/{id}/revisions/diff:
+ *   get:
+ *     summary: Compare two versions of a post
+ *     description: Word-level diff between two versions. Without parameters, compares the latest version with the one before it.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: integer
+ *         description: Earlier version (default - the one before `to`)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: integer
+ *         description: Later version (default - the latest)
+ *     responses:
+ *       200:
+ *         description: Diff retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/RevisionDiff'
+ *       404:
+ *         description: Post or revision not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:id/revisions/diff', protect, validateQuery(validationSchemas.revisionDiffQuery), getPostRevisionDiff);
 
 /**
  * @swagger
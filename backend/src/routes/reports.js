@@ -0,0 +1,187 @@
+import express from 'express';
+import {
+  createReport,
+  getReportQueue,
+  getReportById,
+  resolveReport
+} from '../controllers/reportController.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { validate, validateQuery, validationSchemas } from '../middleware/validation.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Reports
+ *   description: Content reporting and moderation queue
+ */
+
+/**
+ * @swagger
+ * /api/reports:
+ *   post:
+ *     summary: Report a post, comment, review or user
+ *     description: |
+ *       Each user can report the same target once. Posts, comments and reviews
+ *       are hidden automatically once enough users have reported them. Imaams
+ *       cannot report reviews of their own profile.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - targetType
+ *               - targetId
+ *               - reason
+ *             properties:
+ *               targetType:
+ *                 type: string
+ *                 enum: [post, comment, review, user]
+ *               targetId:
+ *                 type: string
+ *                 example: "60f7b3b3b3b3b3b3b3b3b3b3"
+ *               reason:
+ *                 type: string
+ *                 enum: [misinformation, harassment, spam, hate_speech, inappropriate, impersonation, fake, other]
+ *               details:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       201:
+ *         description: Report submitted successfully
+ *       400:
+ *         description: Validation error, own content or already reported
+ *       404:
+ *         description: Content not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/', protect, validate(validationSchemas.createReport), createReport);
+
+/**
+ * @swagger
+ * /api/reports:
+ *   get:
+ *     summary: Get the moderation queue (admin only)
+ *     description: Pending reports grouped by target, most reported first.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: targetType
+ *         schema:
+ *           type: string
+ *           enum: [post, comment, review, user]
+ *       - in: query
+ *         name: reason
+ *         schema:
+ *           type: string
+ *           enum: [misinformation, harassment, spam, hate_speech, inappropriate, impersonation, fake, other]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of targets per page
+ *     responses:
+ *       200:
+ *         description: Queue retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied - admin only
+ */
+router.get('/', protect, authorize('admin'), validateQuery(validationSchemas.reportQuery), getReportQueue);
+
+/**
+ * @swagger
+ * /api/reports/{id}:
+ *   get:
+ *     summary: Get a report with all reports on the same target (admin only)
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Report ID
+ *     responses:
+ *       200:
+ *         description: Report retrieved successfully
+ *       404:
+ *         description: Report not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied - admin only
+ */
+router.get('/:id', protect, authorize('admin'), getReportById);
+
+/**
+ * @swagger
+ * /api/reports/{id}/resolve:
+ *   post:
+ *     summary: Resolve all pending reports on a target (admin only)
+ *     description: |
+ *       - dismiss: no violation, content hidden by the report threshold is restored
+ *       - hide: hide the post, comment or review
+ *       - unhide: publish hidden content again, also after its reports were resolved
+ *       - suspend: suspend the author (or the reported user)
+ *
+ *       Every reporter of a pending report is notified of the outcome.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Report ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [dismiss, hide, unhide, suspend]
+ *               notes:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       200:
+ *         description: Reports resolved successfully
+ *       400:
+ *         description: Already resolved or action not applicable
+ *       404:
+ *         description: Report not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied - admin only
+ */
+router.post('/:id/resolve', protect, authorize('admin'), validate(validationSchemas.resolveReport), resolveReport);
+
+export default router;
@@ -0,0 +1,174 @@
+import express from 'express';
+import {
+  updateReview,
+  deleteReview,
+  replyToReview,
+  reportReview
+} from '../controllers/reviewController.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { validate, validationSchemas } from '../middleware/validation.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Reviews
+ *   description: Imaam reviews and ratings
+ */
+
+/**
+ * @swagger
+ * /api/reviews/{id}:
+ *   put:
+ *     summary: Update own review
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Review ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               comment:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       200:
+ *         description: Review updated successfully
+ *       403:
+ *         description: Not the author of the review
+ *       404:
+ *         description: Review not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/:id', protect, validate(validationSchemas.updateReview), updateReview);
+
+/**
+ * @swagger
+ * /api/reviews/{id}:
+ *   delete:
+ *     summary: Delete a review (author or admin)
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Review ID
+ *     responses:
+ *       200:
+ *         description: Review deleted successfully
+ *       403:
+ *         description: Not the author of the review
+ *       404:
+ *         description: Review not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:id', protect, deleteReview);
+
+/**
+ * @swagger
+ * /api/reviews/{id}/reply:
+ *   put:
+ *     summary: Reply to a review of your profile (Imaam only)
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Review ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - content
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 example: "JazakAllah khair, keep practising!"
+ *     responses:
+ *       200:
+ *         description: Reply saved successfully
+ *       403:
+ *         description: Review is not about you
+ *       404:
+ *         description: Review not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/:id/reply', protect, authorize('imaam'), validate(validationSchemas.reviewReply), replyToReview);
+
+/**
+ * @swagger
+ * /api/reviews/{id}/report:
+ *   post:
+ *     summary: Report an abusive review
+ *     description: |
+ *       The report goes to the moderation queue (see Reports) and the review is
+ *       hidden once it reaches the report threshold. The reviewed Imaam cannot
+ *       report reviews of their own profile.
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Review ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 enum: [spam, harassment, inappropriate, fake, other]
+ *               details:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Review reported successfully
+ *       400:
+ *         description: Already reported, own review or review of your own profile
+ *       404:
+ *         description: Review not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:id/report', protect, validate(validationSchemas.reportReview), reportReview);
+
+export default router;
@@ -0,0 +1,114 @@
+import express from 'express';
+import { search } from '../controllers/searchController.js';
+import { protect } from '../middleware/auth.js';
+import { validateQuery, validationSchemas } from '../middleware/validation.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Search
+ *   description: Full-text search across posts and Imaam
+ */
+
+/**
+ * @swagger
+ * /api/search:
+ *   get:
+ *     summary: Search posts and Imaam by relevance
+ *     description: |
+ *       Uses weighted text indexes (lesson titles and tags, then post content;
+ *       Imaam names, then specializations and bio). Matching ignores case and
+ *       diacritics in both English and Arabic. Quote phrases ("tajweed rules")
+ *       and prefix a word with - to exclude it. Each result has an HTML
+ *       `highlight` snippet with matched words wrapped in `<mark>`, and facet
+ *       counts are returned by post type and Islamic profile.
+ *     tags: [Search]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Search query
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [all, posts, imaam]
+ *           default: all
+ *         description: What to search
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [general, question, announcement, lesson, inspiration]
+ *         description: Filter posts by type
+ *       - in: query
+ *         name: islamicProfile
+ *         schema:
+ *           type: string
+ *         description: Filter Imaam by Islamic profile
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of results per page
+ *     responses:
+ *       200:
+ *         description: Search results retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     query:
+ *                       type: string
+ *                     posts:
+ *                       type: object
+ *                       properties:
+ *                         results:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Post'
+ *                         total:
+ *                           type: number
+ *                         facets:
+ *                           type: object
+ *                           example: { type: { lesson: 4, question: 2 } }
+ *                     imaam:
+ *                       type: object
+ *                       properties:
+ *                         results:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Imaam'
+ *                         total:
+ *                           type: number
+ *                         facets:
+ *                           type: object
+ *                           example: { islamicProfile: { qari: 3, mufti: 1 } }
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', protect, validateQuery(validationSchemas.search), search);
+
+export default router;
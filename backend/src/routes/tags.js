@@ -0,0 +1,74 @@
+import express from 'express';
+import { getTagPosts } from '../controllers/postController.js';
+import { protect } from '../middleware/auth.js';
+import { validateQuery, validationSchemas } from '../middleware/validation.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Tags
+ *   description: Posts by tag; #hashtags in post content are added to its tags
+ */
+
+/**
+ * @swagger
+ * /api/tags/{tag}:
+ *   get:
+ *     summary: Get posts with a tag
+ *     description: Published posts the current user can see, newest first. Matching ignores case and a leading #.
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tag
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Tag or hashtag
+ *         example: "ramadan"
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of posts per page
+ *     responses:
+ *       200:
+ *         description: Posts retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     tag:
+ *                       type: string
+ *                       example: "ramadan"
+ *                     posts:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Post'
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:tag', protect, validateQuery(validationSchemas.pagination), getTagPosts);
+
+export default router;
@@ -4,12 +4,24 @@ import {
   updateProfile, 
   uploadProfilePicture,
   deleteProfile,
+  requestDataExport,
+  getDataExport,
+  downloadDataExport,
+  acceptGuardianRequest,
+  declineGuardianRequest,
   getUserById,
+  getUserByHandle,
   getUsers,
   followUser,
   unfollowUser,
   getFollowers,
-  getFollowing
+  getFollowing,
+  blockUser,
+  unblockUser,
+  getBlockedUsers,
+  muteUser,
+  unmuteUser,
+  getMutedUsers
 } from '../controllers/userController.js';
 import { protect, authorize, checkResourceAccess } from '../middleware/auth.js';
 import { validate, validateQuery, validationSchemas } from '../middleware/validation.js';
@@ -68,6 +80,11 @@ router.get('/profile', protect, getProfile);
  *               fullName:
  *                 type: string
  *                 example: "Ahmed Hassan"
+ *               handle:
+ *                 type: string
+ *                 pattern: '^[a-zA-Z0-9_]{3,30}$'
+ *                 description: Unique @handle; stored in lowercase
+ *                 example: "ahmed_hassan"
  *               bio:
  *                 type: string
  *                 example: "Updated bio"
@@ -101,7 +118,7 @@ router.get('/profile', protect, getProfile);
  *       200:
  *         description: Profile updated successfully
  *       400:
- *         description: Validation error
+ *         description: Validation error or handle already taken
  *       401:
  *         description: Unauthorized
  */
@@ -135,27 +152,301 @@ router.put('/profile', protect, validate(validationSchemas.updateProfile), updat
  */
 router.post('/profile/picture', protect, upload.single('profilePicture'), uploadProfilePicture);
 
+/**
+ * @swagger
+ * /api/users/profile/export:
+ *   post:
+ *     summary: Request an export of your data
+ *     description: |
+ *       Builds a ZIP archive in the background with your profile, posts,
+ *       comments, likes, connections, notifications and uploaded image URLs,
+ *       each as JSON and CSV. Likes list the liked post or comment ID and
+ *       when it was liked, not the content of others. A notification with a
+ *       signed download link is sent when the archive is ready.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       202:
+ *         description: Export requested
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Data export requested. You will be notified when it is ready to download."
+ *                 data:
+ *                   $ref: '#/components/schemas/DataExport'
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: An export is already being prepared
+ *   get:
+ *     summary: Get the status of your latest data export
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Export retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/DataExport'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: No data export requested
+ */
+router.post('/profile/export', protect, requestDataExport);
+router.get('/profile/export', protect, getDataExport);
+
+/**
+ * @swagger
+ * /api/users/profile/export/{id}/download:
+ *   get:
+ *     summary: Download a data export
+ *     description: Uses the signed link from the notification or export status; no access token is needed.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Data export ID
+ *       - in: query
+ *         name: expires
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Link expiry (Unix seconds)
+ *       - in: query
+ *         name: signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Link signature
+ *     responses:
+ *       200:
+ *         description: ZIP archive
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: Invalid or expired download link
+ *       404:
+ *         description: Data export not found or expired
+ */
+router.get('/profile/export/:id/download', downloadDataExport);
+
 /**
  * @swagger
  * /api/users/profile:
  *   delete:
  *     summary: Delete current user account
+ *     description: |
+ *       Hides the account and signs out every session. After a 30-day grace
+ *       period (ACCOUNT_DELETION_GRACE_DAYS) the account is erased: posts,
+ *       comments and reviews are moved to a "Deleted User" account or removed,
+ *       as chosen here, and likes and connections are removed. Until then the
+ *       account can be restored through /api/auth/restore-account.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 example: "Tajweed-2024!"
+ *               contentAction:
+ *                 type: string
+ *                 enum: [anonymize, delete]
+ *                 default: anonymize
+ *                 description: Keep authored content under a "Deleted User" name, or remove it
+ *     responses:
+ *       200:
+ *         description: Account scheduled for deletion
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     scheduledFor:
+ *                       type: string
+ *                       format: date-time
+ *                     contentAction:
+ *                       type: string
+ *                       enum: [anonymize, delete]
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized or incorrect password
+ */
+router.delete('/profile', protect, validate(validationSchemas.deleteAccount), deleteProfile);
+
+/**
+ * @swagger
+ * /api/users/profile/guardian/accept:
+ *   post:
+ *     summary: Accept a guardian's request to link your account
+ *     description: |
+ *       Only student accounts can be linked. Once linked, connection requests
+ *       and lesson bookings need the guardian's approval, and the guardian can
+ *       read your conversations. Public posts become followers-only, follows
+ *       are removed both ways, and only student-teacher connections with
+ *       imaams are kept.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Guardian linked successfully
+ *       400:
+ *         description: Only student accounts can be linked to a guardian
+ *       404:
+ *         description: No pending guardian request
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/profile/guardian/accept', protect, acceptGuardianRequest);
+
+/**
+ * @swagger
+ * /api/users/profile/guardian/decline:
+ *   post:
+ *     summary: Decline a guardian's request to link your account
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: Account deleted successfully
+ *         description: Guardian request declined
+ *       404:
+ *         description: No pending guardian request
  *       401:
  *         description: Unauthorized
  */
-router.delete('/profile', protect, deleteProfile);
+router.post('/profile/guardian/decline', protect, declineGuardianRequest);
+
+/**
+ * @swagger
+ * /api/users/profile/blocked:
+ *   get:
+ *     summary: Get users you have blocked
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of users per page
+ *     responses:
+ *       200:
+ *         description: Blocked users retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/profile/blocked', protect, validateQuery(validationSchemas.pagination), getBlockedUsers);
+
+/**
+ * @swagger
+ * /api/users/profile/muted:
+ *   get:
+ *     summary: Get users you have muted
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of users per page
+ *     responses:
+ *       200:
+ *         description: Muted users retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/profile/muted', protect, validateQuery(validationSchemas.pagination), getMutedUsers);
+
+/**
+ * @swagger
+ * /api/users/handle/{handle}:
+ *   get:
+ *     summary: Get user by @handle
+ *     description: Other users' profiles only include public profile fields; admins get the full profile.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: handle
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Handle, without the @
+ *     responses:
+ *       200:
+ *         description: User retrieved successfully
+ *       404:
+ *         description: User not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/handle/:handle', protect, getUserByHandle);
 
 /**
  * @swagger
  * /api/users/{id}:
  *   get:
  *     summary: Get user by ID
+ *     description: Other users' profiles only include public profile fields; admins get the full profile.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -181,6 +472,7 @@ router.get('/:id', protect, getUserById);
  * /api/users:
  *   get:
  *     summary: Get all users with pagination and filtering
+ *     description: Users only include public profile fields, except for admins.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -201,7 +493,7 @@ router.get('/:id', protect, getUserById);
  *         name: role
  *         schema:
  *           type: string
- *           enum: [student, imaam, admin]
+ *           enum: [student, imaam, guardian, admin]
  *         description: Filter by role
  *       - in: query
  *         name: islamicProfile
@@ -226,6 +518,10 @@ router.get('/', protect, validateQuery(validationSchemas.pagination), getUsers);
  * /api/users/{id}/follow:
  *   post:
  *     summary: Follow a user
+ *     description: |
+ *       One-way and immediate, no approval needed. Updates the follower and
+ *       following counters of both users. Mutual connections with an Imaam go
+ *       through /api/imaam/{id}/connect instead.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -241,6 +537,8 @@ router.get('/', protect, validateQuery(validationSchemas.pagination), getUsers);
  *         description: User followed successfully
  *       400:
  *         description: Cannot follow yourself or already following
+ *       403:
+ *         description: Child accounts cannot follow or be followed
  *       404:
  *         description: User not found
  *       401:
@@ -267,7 +565,7 @@ router.post('/:id/follow', protect, followUser);
  *       200:
  *         description: User unfollowed successfully
  *       404:
- *         description: User not found or not following
+ *         description: Not following this user
  *       401:
  *         description: Unauthorized
  */
@@ -347,4 +645,116 @@ router.get('/:id/followers', protect, validateQuery(validationSchemas.pagination
  */
 router.get('/:id/following', protect, validateQuery(validationSchemas.pagination), getFollowing);
 
+/**
+ * @swagger
+ * /api/users/{id}/block:
+ *   post:
+ *     summary: Block a user
+ *     description: |
+ *       Works both ways: neither user sees the other's posts, comments or
+ *       profile in lists and search, and they cannot follow, connect, comment,
+ *       like or notify each other. Follows and connections between them are
+ *       removed.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID to block
+ *     responses:
+ *       200:
+ *         description: User blocked successfully
+ *       400:
+ *         description: Cannot block yourself or already blocked
+ *       404:
+ *         description: User not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:id/block', protect, blockUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/block:
+ *   delete:
+ *     summary: Unblock a user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID to unblock
+ *     responses:
+ *       200:
+ *         description: User unblocked successfully
+ *       404:
+ *         description: User is not blocked
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:id/block', protect, unblockUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/mute:
+ *   post:
+ *     summary: Mute a user
+ *     description: |
+ *       Hides the user's posts from your feed only. The muted user is not
+ *       told and everything else keeps working.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID to mute
+ *     responses:
+ *       200:
+ *         description: User muted successfully
+ *       400:
+ *         description: Cannot mute yourself or already muted
+ *       404:
+ *         description: User not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:id/mute', protect, muteUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/mute:
+ *   delete:
+ *     summary: Unmute a user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID to unmute
+ *     responses:
+ *       200:
+ *         description: User unmuted successfully
+ *       404:
+ *         description: User is not muted
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:id/mute', protect, unmuteUser);
+
 export default router;
@@ -0,0 +1,282 @@
+import express from 'express';
+import {
+  submitApplication,
+  getMyApplications,
+  getApplications,
+  getApplicationById,
+  getApplicationDocument,
+  approveApplication,
+  rejectApplication
+} from '../controllers/verificationController.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { validate, validateQuery, validationSchemas } from '../middleware/validation.js';
+import { documentUpload, handleUploadError } from '../middleware/upload.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Verification
+ *   description: Imaam verification applications and admin review
+ */
+
+/**
+ * @swagger
+ * /api/verification:
+ *   post:
+ *     summary: Submit a verification application (Imaam only)
+ *     description: Upload ijazah and/or certificate documents (images or PDF, max 5 files of 5MB).
+ *     tags: [Verification]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ijazah:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *               certificate:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *               statement:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 example: "Hafiz with ijazah in Hafs an Asim, teaching for 10 years"
+ *     responses:
+ *       201:
+ *         description: Application submitted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/VerificationApplication'
+ *       400:
+ *         description: No documents, already verified or application pending
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied - Imaam only
+ */
+router.post(
+  '/',
+  protect,
+  authorize('imaam'),
+  documentUpload.fields([
+    { name: 'ijazah', maxCount: 5 },
+    { name: 'certificate', maxCount: 5 }
+  ]),
+  handleUploadError,
+  validate(validationSchemas.verificationApplication),
+  submitApplication
+);
+
+/**
+ * @swagger
+ * /api/verification/mine:
+ *   get:
+ *     summary: Get current user's verification applications
+ *     tags: [Verification]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Applications retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/mine', protect, getMyApplications);
+
+/**
+ * @swagger
+ * /api/verification:
+ *   get:
+ *     summary: Get the verification review queue (admin only)
+ *     tags: [Verification]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *           default: pending
+ *         description: Application status
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of applications per page
+ *     responses:
+ *       200:
+ *         description: Applications retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied - admin only
+ */
+router.get('/', protect, authorize('admin'), validateQuery(validationSchemas.verificationQuery), getApplications);
+
+/**
+ * @swagger
+ * /api/verification/{id}:
+ *   get:
+ *     summary: Get verification application by ID (applicant or admin)
+ *     tags: [Verification]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Application ID
+ *     responses:
+ *       200:
+ *         description: Application retrieved successfully
+ *       404:
+ *         description: Application not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:id', protect, getApplicationById);
+
+/**
+ * @swagger
+ * /api/verification/{id}/documents/{index}:
+ *   get:
+ *     summary: Download a document of an application (applicant or admin)
+ *     description: |
+ *       Verification documents are private files. Local storage serves the
+ *       file itself; Cloudinary storage redirects to a signed URL.
+ *     tags: [Verification]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Application ID
+ *       - in: path
+ *         name: index
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Position of the document in the application
+ *     responses:
+ *       200:
+ *         description: Document file
+ *       302:
+ *         description: Redirect to a signed Cloudinary URL
+ *       404:
+ *         description: Application or document not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:id/documents/:index', protect, getApplicationDocument);
+
+/**
+ * @swagger
+ * /api/verification/{id}/approve:
+ *   post:
+ *     summary: Approve a pending application (admin only)
+ *     description: Marks the Imaam as verified and notifies them in-app and by email.
+ *     tags: [Verification]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Application ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       200:
+ *         description: Application approved
+ *       404:
+ *         description: Pending application not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied - admin only
+ */
+router.post('/:id/approve', protect, authorize('admin'), validate(validationSchemas.verificationApproval), approveApplication);
+
+/**
+ * @swagger
+ * /api/verification/{id}/reject:
+ *   post:
+ *     summary: Reject a pending application (admin only)
+ *     description: The applicant is notified in-app and by email and may apply again.
+ *     tags: [Verification]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Application ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - notes
+ *             properties:
+ *               notes:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 example: "Certificate scan is not legible, please upload a clearer copy"
+ *     responses:
+ *       200:
+ *         description: Application rejected
+ *       400:
+ *         description: Notes are required
+ *       404:
+ *         description: Pending application not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied - admin only
+ */
+router.post('/:id/reject', protect, authorize('admin'), validate(validationSchemas.verificationRejection), rejectApplication);
+
+export default router;
@@ -1,3 +1,5 @@
+// Load environment variables before any module reads them at import time
+import 'dotenv/config';
 import express from 'express';
 import mongoose from 'mongoose';
 import cors from 'cors';
@@ -5,7 +7,6 @@ import helmet from 'helmet';
 import compression from 'compression';
 import morgan from 'morgan';
 import rateLimit from 'express-rate-limit';
-import dotenv from 'dotenv';
 import swaggerJsdoc from 'swagger-jsdoc';
 import swaggerUi from 'swagger-ui-express';
 
@@ -15,13 +16,34 @@ import userRoutes from './routes/users.js';
 import imaamRoutes from './routes/imaam.js';
 import postRoutes from './routes/posts.js';
 import commentRoutes from './routes/comments.js';
+import notificationRoutes from './routes/notifications.js';
+import conversationRoutes from './routes/conversations.js';
+import lessonRoutes from './routes/lessons.js';
+import reviewRoutes from './routes/reviews.js';
+import verificationRoutes from './routes/verification.js';
+import adminRoutes from './routes/admin.js';
+import reportRoutes from './routes/reports.js';
+import searchRoutes from './routes/search.js';
+import tagRoutes from './routes/tags.js';
+import guardianRoutes from './routes/guardian.js';
 
 // Import middleware
 import { errorHandler } from './middleware/errorHandler.js';
 import { notFound } from './middleware/notFound.js';
 
-// Load environment variables
-dotenv.config();
+// Import models with startup migrations
+import Post from './models/Post.js';
+
+// Import real-time delivery
+import { closeAllClients } from './utils/notificationStream.js';
+import { UPLOAD_DIR } from './utils/storage.js';
+
+// Import background jobs
+import { startLessonReminderScheduler, stopLessonReminderScheduler } from './jobs/lessonReminders.js';
+import { startEmailOutboxWorker, stopEmailOutboxWorker } from './jobs/emailOutbox.js';
+import { startDataExportWorker, stopDataExportWorker } from './jobs/dataExports.js';
+import { startAccountDeletionWorker, stopAccountDeletionWorker } from './jobs/accountDeletions.js';
+import { startScheduledPostsWorker, stopScheduledPostsWorker } from './jobs/scheduledPosts.js';
 
 const app = express();
 
@@ -109,9 +131,19 @@ app.use('/api/users', userRoutes);
 app.use('/api/imaam', imaamRoutes);
 app.use('/api/posts', postRoutes);
 app.use('/api/comments', commentRoutes);
-
-// Serve static files (for uploaded images)
-app.use('/uploads', express.static('uploads'));
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/lessons', lessonRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/verification', verificationRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/guardian', guardianRoutes);
+
+// Serve static files (uploads of the local storage driver)
+app.use('/uploads', express.static(UPLOAD_DIR));
 
 // Error handling middleware
 app.use(notFound);
@@ -135,12 +167,24 @@ const connectDB = async () => {
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('\n🛑 Shutting down server...');
+  closeAllClients();
+  stopLessonReminderScheduler();
+  stopEmailOutboxWorker();
+  stopDataExportWorker();
+  stopAccountDeletionWorker();
+  stopScheduledPostsWorker();
   await mongoose.connection.close();
   process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
   console.log('\n🛑 Shutting down server...');
+  closeAllClients();
+  stopLessonReminderScheduler();
+  stopEmailOutboxWorker();
+  stopDataExportWorker();
+  stopAccountDeletionWorker();
+  stopScheduledPostsWorker();
   await mongoose.connection.close();
   process.exit(0);
 });
@@ -150,6 +194,17 @@ const PORT = process.env.PORT || 5000;
 
 const startServer = async () => {
   await connectDB();
+
+  if (process.env.NODE_ENV !== 'test') {
+    // Posts published before publishedAt existed
+    await Post.backfillPublishedAt();
+
+    startLessonReminderScheduler();
+    startEmailOutboxWorker();
+    startDataExportWorker();
+    startAccountDeletionWorker();
+    startScheduledPostsWorker();
+  }
   
   app.listen(PORT, () => {
     console.log(`🚀 Server running on port ${PORT}`);
@@ -0,0 +1,310 @@
+import User from '../models/User.js';
+import Post from '../models/Post.js';
+import Comment from '../models/Comment.js';
+import Connection from '../models/Connection.js';
+import Follow from '../models/Follow.js';
+import Block from '../models/Block.js';
+import Mute from '../models/Mute.js';
+import Notification from '../models/Notification.js';
+import Review from '../models/Review.js';
+import Revision from '../models/Revision.js';
+import Session from '../models/Session.js';
+import LoginEvent from '../models/LoginEvent.js';
+import DataExport from '../models/DataExport.js';
+import GuardianApproval from '../models/GuardianApproval.js';
+import FeedSnapshot from '../models/FeedSnapshot.js';
+import Conversation from '../models/Conversation.js';
+import Message from '../models/Message.js';
+import Lesson from '../models/Lesson.js';
+import Report from '../models/Report.js';
+import VerificationApplication from '../models/VerificationApplication.js';
+import EmailMessage from '../models/EmailMessage.js';
+import { removeArchive } from './dataExport.js';
+import { deletePostImages } from './postImages.js';
+import { deleteFile } from './storage.js';
+import { truncate } from './helpers.js';
+
+/**
+ * Account erasure
+ *
+ * Runs when the deletion grace period of an account is over. Authored posts,
+ * comments, reviews, messages and lessons are either moved to the shared
+ * "Deleted User" account or removed, as the user chose when requesting
+ * deletion. Likes, follows, connections, bookings, reports, verification
+ * applications and queued emails are always removed and the counters that
+ * include them are kept in step, then the user document itself is deleted.
+ *
+ * A failed erasure is retried from the start, so every step only touches
+ * what a previous attempt has not already handled.
+ */
+
+// Remove a user's likes from posts or comments and recount likesCount
+const removeLikes = (Model, userId) => {
+  return Model.updateMany({ 'likes.user': userId }, [
+    { $set: { likes: { $filter: { input: '$likes', cond: { $ne: ['$$this.user', userId] } } } } },
+    { $set: { likesCount: { $size: '$likes' } } }
+  ]);
+};
+
+// Recount commentsCount of posts from their remaining comments
+const recountComments = async (postIds) => {
+  for (const postId of postIds) {
+    const count = await Comment.countDocuments({ post: postId, status: { $ne: 'deleted' } });
+    await Post.updateOne({ _id: postId }, { commentsCount: count });
+  }
+};
+
+// Remove posts and comments of the user
+const deleteContent = async (userId) => {
+  const postDocs = await Post.find({ author: userId }).select('images');
+  const posts = postDocs.map(post => post._id);
+  const comments = await Comment.find({ author: userId }).select('_id post');
+  const commentIds = comments.map(comment => comment._id);
+
+  // Replies by other users stay, as top-level comments
+  await Comment.updateMany({ parentComment: { $in: commentIds } }, { parentComment: null });
+  await Comment.updateMany({ replies: { $in: commentIds } }, { $pull: { replies: { $in: commentIds } } });
+
+  const removedComments = { $or: [{ author: userId }, { post: { $in: posts } }] };
+  const removedCommentIds = await Comment.find(removedComments).distinct('_id');
+
+  // Images first, so a retry still finds the posts they belong to
+  await deletePostImages(postDocs.flatMap(post => post.images));
+  await Comment.deleteMany(removedComments);
+  await Post.deleteMany({ _id: { $in: posts } });
+
+  await Report.deleteMany({
+    $or: [
+      { targetType: 'post', target: { $in: posts } },
+      { targetType: 'comment', target: { $in: removedCommentIds } }
+    ]
+  });
+
+  // Edit history goes with the content; edits of other content lose their editor
+  await Revision.deleteMany({
+    $or: [
+      { targetType: 'post', target: { $in: posts } },
+      { targetType: 'comment', target: { $in: removedCommentIds } }
+    ]
+  });
+  await Revision.updateMany({ editor: userId }, { editor: null });
+
+  const otherPosts = [...new Set(comments.map(comment => comment.post.toString()))]
+    .filter(postId => !posts.some(id => id.toString() === postId));
+  await recountComments(otherPosts);
+
+  // Ratings are rebuilt from the reviews that remain
+  const reviewed = await Review.find({ student: userId }).distinct('imaam');
+  const reviewIds = await Review.find({ student: userId }).distinct('_id');
+  await Report.deleteMany({ targetType: 'review', target: { $in: reviewIds } });
+  await Review.deleteMany({ student: userId });
+  for (const imaamId of reviewed) {
+    await Review.recalculateRating(imaamId);
+  }
+
+  await Message.deleteMany({ sender: userId });
+};
+
+// Move posts, comments, reviews and messages of the user to the "Deleted User" account
+const anonymizeContent = async (userId, placeholder) => {
+  await Post.updateMany({ author: userId }, { author: placeholder._id });
+  await Comment.updateMany({ author: userId }, { author: placeholder._id });
+  await Revision.updateMany({ editor: userId }, { editor: placeholder._id });
+  await Message.updateMany({ sender: userId }, { sender: placeholder._id });
+  await Report.updateMany({ targetAuthor: userId }, { targetAuthor: placeholder._id });
+
+  // The placeholder can hold one review per imaam; later reviews of the same imaam are removed
+  const reviews = await Review.find({ student: userId }).select('imaam');
+  for (const review of reviews) {
+    const taken = await Review.exists({ imaam: review.imaam, student: placeholder._id });
+
+    if (taken) {
+      await Report.deleteMany({ targetType: 'review', target: review._id });
+      await Review.deleteOne({ _id: review._id });
+      await Review.recalculateRating(review.imaam);
+    } else {
+      await Review.updateOne({ _id: review._id }, { student: placeholder._id });
+    }
+  }
+};
+
+// Take the user out of conversations
+// Direct conversations keep their history for the other participant, with the
+// "Deleted User" account in place of the user, but can no longer be written to.
+const leaveConversations = async (userId, placeholder) => {
+  const conversations = await Conversation.find({ participants: userId }).select('type participants');
+
+  for (const conversation of conversations) {
+    const others = conversation.participants.filter(id => !id.equals(userId) && !id.equals(placeholder._id));
+
+    if (others.length === 0 || (conversation.type === 'group' && others.length < 2)) {
+      await Message.deleteMany({ conversation: conversation._id });
+      await Conversation.deleteOne({ _id: conversation._id });
+      continue;
+    }
+
+    if (conversation.type === 'direct') {
+      await Conversation.updateOne(
+        { _id: conversation._id },
+        { $set: { 'participants.$[user]': placeholder._id }, $unset: { directKey: 1 } },
+        { arrayFilters: [{ user: userId }] }
+      );
+    } else {
+      await Conversation.updateOne({ _id: conversation._id }, { $pull: { participants: userId } });
+    }
+
+    await Conversation.updateOne({ _id: conversation._id }, { $pull: { participantState: { user: userId } } });
+  }
+
+  await Conversation.updateMany({ createdBy: userId }, { createdBy: placeholder._id });
+  await Message.updateMany({ 'readBy.user': userId }, { $pull: { readBy: { user: userId } } });
+
+  // Previews follow the messages that remain
+  const previews = await Conversation.find({ 'lastMessage.sender': userId }).select('_id');
+  for (const conversation of previews) {
+    const latest = await Message.findOne({ conversation: conversation._id }).sort({ createdAt: -1 });
+    await Conversation.updateOne(
+      { _id: conversation._id },
+      latest
+        ? { lastMessage: { content: truncate(latest.content, 100), sender: latest.sender, sentAt: latest.createdAt } }
+        : { $unset: { lastMessage: 1 } }
+    );
+  }
+};
+
+// Cancel the bookings of the user and the upcoming lessons the user teaches
+const cancelLessons = async (userId, placeholder, keepLessons) => {
+  await Lesson.updateMany({ 'attendees.student': userId }, { $pull: { attendees: { student: userId } } });
+
+  const upcoming = await Lesson.find({ imaam: userId, status: 'scheduled', startTime: { $gt: new Date() } }).select('_id');
+  for (const { _id } of upcoming) {
+    // Only the attempt that cancels a lesson notifies its students
+    const lesson = await Lesson.findOneAndUpdate({ _id, status: 'scheduled' }, { status: 'cancelled' }, { new: true });
+    if (!lesson) continue;
+
+    for (const attendee of lesson.attendees) {
+      await Notification.createNotification({
+        recipient: attendee.student,
+        type: 'lesson_update',
+        title: 'Lesson Cancelled',
+        message: `"${truncate(lesson.title, 80)}" has been cancelled because the teacher's account was deleted`,
+        relatedEntity: keepLessons ? lesson._id : undefined,
+        relatedEntityType: keepLessons ? 'lesson' : undefined,
+        actionData: {
+          lessonId: lesson._id,
+          startTime: lesson.startTime
+        }
+      });
+    }
+  }
+
+  if (keepLessons) {
+    await Lesson.updateMany({ imaam: userId }, { imaam: placeholder._id });
+  } else {
+    const lessonIds = await Lesson.find({ imaam: userId }).distinct('_id');
+    await GuardianApproval.deleteMany({ lesson: { $in: lessonIds } });
+    await Lesson.deleteMany({ _id: { $in: lessonIds } });
+  }
+};
+
+// Remove verification applications and their documents
+const deleteVerificationApplications = async (userId, placeholder) => {
+  const applications = await VerificationApplication.find({ applicant: userId }).select('documents');
+  for (const application of applications) {
+    for (const document of application.documents) {
+      await deleteFile(document.publicId, 'image', { isPrivate: true });
+    }
+    await VerificationApplication.deleteOne({ _id: application._id });
+  }
+
+  // Decisions the user took as an admin stay, without the admin
+  await VerificationApplication.updateMany({ reviewedBy: userId }, { reviewedBy: null });
+  await VerificationApplication.updateMany(
+    { 'history.actor': userId },
+    { $set: { 'history.$[entry].actor': placeholder._id } },
+    { arrayFilters: [{ 'entry.actor': userId }] }
+  );
+};
+
+/**
+ * Permanently erase an account whose deletion grace period is over
+ * @param {Object} user - User document
+ */
+export const eraseAccount = async (user) => {
+  const userId = user._id;
+  const placeholder = await User.getDeletedUserPlaceholder();
+  const keepContent = !user.deletion || user.deletion.contentAction !== 'delete';
+
+  if (keepContent) {
+    await anonymizeContent(userId, placeholder);
+  } else {
+    await deleteContent(userId);
+  }
+
+  await leaveConversations(userId, placeholder);
+  await cancelLessons(userId, placeholder, keepContent);
+
+  await removeLikes(Post, userId);
+  await removeLikes(Comment, userId);
+
+  // Mentions of the user are left as plain text
+  await Post.updateMany({ 'mentions.user': userId }, { $pull: { mentions: { user: userId } } });
+  await Comment.updateMany({ 'mentions.user': userId }, { $pull: { mentions: { user: userId } } });
+
+  // Counters of the other side are kept in step with the removed rows. Each
+  // row is removed before its counter changes, so a retry never counts it twice.
+  const connections = await Connection.find({ $or: [{ requester: userId }, { recipient: userId }] }).select('_id');
+  for (const { _id } of connections) {
+    const connection = await Connection.findOneAndDelete({ _id });
+    if (connection && connection.status === 'accepted') {
+      const otherId = connection.requester.equals(userId) ? connection.recipient : connection.requester;
+      await User.updateOne({ _id: otherId }, { $inc: { connectionsCount: -1 } });
+    }
+  }
+
+  const follows = await Follow.find({ $or: [{ follower: userId }, { following: userId }] }).select('_id');
+  for (const { _id } of follows) {
+    const follow = await Follow.findOneAndDelete({ _id });
+    if (!follow) continue;
+
+    if (follow.follower.equals(userId)) {
+      await User.updateOne({ _id: follow.following }, { $inc: { followersCount: -1 } });
+    } else {
+      await User.updateOne({ _id: follow.follower }, { $inc: { followingCount: -1 } });
+    }
+  }
+
+  await Block.deleteMany({ $or: [{ blocker: userId }, { blocked: userId }] });
+  await Mute.deleteMany({ $or: [{ muter: userId }, { muted: userId }] });
+
+  // Reviews of an imaam are meaningless without the imaam
+  const receivedReviewIds = await Review.find({ imaam: userId }).distinct('_id');
+  await Report.deleteMany({ targetType: 'review', target: { $in: receivedReviewIds } });
+  await Review.deleteMany({ imaam: userId });
+
+  await Notification.deleteMany({ $or: [{ recipient: userId }, { sender: userId }] });
+
+  // Reports by or about the user; moderation decisions stay, without the moderator
+  await Report.deleteMany({ $or: [{ reporter: userId }, { targetType: 'user', target: userId }] });
+  await Report.updateMany({ 'resolution.moderator': userId }, { 'resolution.moderator': null });
+
+  await deleteVerificationApplications(userId, placeholder);
+
+  const exports = await DataExport.find({ user: userId, fileName: { $exists: true } }).select('+fileName');
+  for (const dataExport of exports) {
+    await removeArchive(dataExport.fileName);
+  }
+  await DataExport.deleteMany({ user: userId });
+
+  // Children of an erased guardian are no longer supervised
+  await GuardianApproval.deleteMany({ $or: [{ guardian: userId }, { child: userId }] });
+  await User.updateMany({ guardian: userId }, { guardian: null });
+  await User.updateMany({ 'guardianRequest.guardian': userId }, { $unset: { guardianRequest: 1 } });
+
+  await Session.deleteMany({ user: userId });
+  await LoginEvent.deleteMany({ user: userId });
+  await FeedSnapshot.deleteMany({ user: userId });
+  await EmailMessage.deleteMany({ to: user.email });
+
+  await User.deleteOne({ _id: userId });
+};
@@ -39,12 +39,14 @@ export const uploadToCloudinary = async (fileBuffer, options = {}) => {
  * Delete file from Cloudinary
  * @param {string} publicId - Public ID of the file
  * @param {string} resourceType - Resource type (image, video, raw)
+ * @param {string} type - Delivery type (upload, or authenticated for private files)
  * @returns {Promise<Object>} Delete result
  */
-export const deleteFromCloudinary = async (publicId, resourceType = 'image') => {
+export const deleteFromCloudinary = async (publicId, resourceType = 'image', type = 'upload') => {
   try {
     const result = await cloudinary.uploader.destroy(publicId, {
-      resource_type: resourceType
+      resource_type: resourceType,
+      type
     });
 
     return result;
@@ -53,6 +55,21 @@ export const deleteFromCloudinary = async (publicId, resourceType = 'image') =>
   }
 };
 
+/**
+ * Get a signed URL of an authenticated (private) file
+ * @param {string} publicId - Public ID of the file
+ * @param {string} resourceType - Resource type (image, video, raw)
+ * @returns {string} Signed URL
+ */
+export const getSignedCloudinaryUrl = (publicId, resourceType = 'image') => {
+  return cloudinary.url(publicId, {
+    resource_type: resourceType,
+    type: 'authenticated',
+    sign_url: true,
+    secure: true
+  });
+};
+
 /**
  * Get Cloudinary public ID from URL
  * @param {string} url - Cloudinary URL
@@ -79,7 +96,11 @@ export const transformImageUrl = (url, transformations = {}) => {
     return url;
   }
 
+  // The URL names its own cloud, so it can be transformed even if the config is not loaded yet
+  const cloudName = url.match(/res\.cloudinary\.com\/([^/]+)\//);
+
   return cloudinary.url(publicId, {
+    ...(cloudName && { cloud_name: cloudName[1] }),
     ...transformations
   });
 };
@@ -0,0 +1,253 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import User from '../models/User.js';
+import Post from '../models/Post.js';
+import Comment from '../models/Comment.js';
+import Connection from '../models/Connection.js';
+import Follow from '../models/Follow.js';
+import Notification from '../models/Notification.js';
+import VerificationApplication from '../models/VerificationApplication.js';
+import { createZip } from './zip.js';
+import { toCsv } from './helpers.js';
+
+/**
+ * Personal data export
+ *
+ * Collects everything a user has put into DeenVerse into a ZIP archive with
+ * one JSON and one CSV file per dataset, stored in DATA_EXPORT_DIR until it
+ * expires. Archives are downloaded through signed links, so the link works
+ * from a notification or email without an access token.
+ */
+
+export const DATA_EXPORT_DIR = path.resolve(process.env.DATA_EXPORT_DIR || 'exports');
+
+// Key for download link signatures
+const getSigningKey = () => process.env.DATA_EXPORT_SECRET || process.env.JWT_SECRET;
+
+const sign = (exportId, expires) => {
+  return crypto.createHmac('sha256', getSigningKey())
+    .update(`${exportId}.${expires}`)
+    .digest('hex');
+};
+
+/**
+ * Create a signed download link for a ready export
+ * The link stops working when the archive expires.
+ * @param {Object} dataExport - DataExport document
+ * @returns {string} Download URL
+ */
+export const getDownloadUrl = (dataExport) => {
+  const expires = Math.floor(dataExport.expiresAt.getTime() / 1000);
+  const signature = sign(dataExport._id.toString(), expires);
+  const baseUrl = process.env.BACKEND_URL || '';
+
+  return `${baseUrl}/api/users/profile/export/${dataExport._id}/download?expires=${expires}&signature=${signature}`;
+};
+
+/**
+ * Check the signature and expiry of a download link
+ * @param {string} exportId - DataExport ID from the link
+ * @param {string} expires - Expiry from the link (Unix seconds)
+ * @param {string} signature - Signature from the link
+ * @returns {boolean} True if the link is authentic and has not expired
+ */
+export const verifyDownloadSignature = (exportId, expires, signature) => {
+  const expiresAt = parseInt(expires);
+  if (!expiresAt || !signature || expiresAt * 1000 <= Date.now()) {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(exportId, expiresAt), 'hex');
+  const actual = Buffer.from(String(signature), 'hex');
+
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+/**
+ * Get the path of an archive on disk
+ * @param {string} fileName - Archive file name
+ * @returns {string} Absolute path
+ */
+export const getArchivePath = (fileName) => path.join(DATA_EXPORT_DIR, path.basename(fileName));
+
+/**
+ * Delete an archive from disk, ignoring files that are already gone
+ * @param {string} fileName - Archive file name
+ */
+export const removeArchive = async (fileName) => {
+  try {
+    await fs.unlink(getArchivePath(fileName));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+/**
+ * Collect the datasets of a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Rows per dataset
+ */
+export const collectUserData = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const [posts, comments, likedPosts, likedComments, connections, follows, notifications, applications] = await Promise.all([
+    Post.find({ author: userId }).sort({ createdAt: 1 }).lean(),
+    Comment.find({ author: userId }).sort({ createdAt: 1 }).lean(),
+    // Liked content belongs to others and may no longer be visible, so only its ID is kept
+    Post.find({ 'likes.user': userId }).select('likes').lean(),
+    Comment.find({ 'likes.user': userId }).select('likes post').lean(),
+    Connection.find({ $or: [{ requester: userId }, { recipient: userId }] })
+      .populate('requester recipient', 'fullName')
+      .sort({ createdAt: 1 })
+      .lean(),
+    Follow.find({ $or: [{ follower: userId }, { following: userId }] })
+      .populate('follower following', 'fullName')
+      .sort({ createdAt: 1 })
+      .lean(),
+    Notification.find({ recipient: userId }).sort({ createdAt: 1 }).lean(),
+    VerificationApplication.find({ applicant: userId }).select('documents createdAt').lean()
+  ]);
+
+  const profile = user.getPublicProfile();
+
+  const likeOf = (item, type, postId) => {
+    const like = item.likes.find(entry => entry.user && entry.user.toString() === userId.toString());
+    return {
+      type,
+      post: postId,
+      comment: type === 'comment' ? item._id : undefined,
+      likedAt: like && like.likedAt
+    };
+  };
+
+  const images = [];
+  if (user.profilePicture) {
+    images.push({ source: 'profile', id: user._id, url: user.profilePictureUrl || user.profilePicture });
+  }
+  for (const post of posts) {
+    for (const image of post.images || []) {
+      images.push({ source: 'post', id: post._id, url: image.url, alt: image.alt, caption: image.caption, createdAt: post.createdAt });
+    }
+  }
+  for (const application of applications) {
+    (application.documents || []).forEach((document, index) => {
+      const url = VerificationApplication.getDocumentUrl(application._id, index);
+      images.push({ source: `verification ${document.category}`, id: application._id, url, createdAt: application.createdAt });
+    });
+  }
+
+  return {
+    profile: [profile],
+    posts: posts.map(post => ({
+      id: post._id,
+      content: post.content,
+      type: post.type,
+      visibility: post.visibility,
+      status: post.status,
+      tags: post.tags,
+      images: (post.images || []).map(image => image.url),
+      likesCount: post.likesCount,
+      commentsCount: post.commentsCount,
+      publishedAt: post.publishedAt,
+      createdAt: post.createdAt,
+      updatedAt: post.updatedAt
+    })),
+    comments: comments.map(comment => ({
+      id: comment._id,
+      post: comment.post,
+      parentComment: comment.parentComment,
+      content: comment.content,
+      status: comment.status,
+      likesCount: comment.likesCount,
+      createdAt: comment.createdAt,
+      updatedAt: comment.updatedAt
+    })),
+    likes: [
+      ...likedPosts.map(post => likeOf(post, 'post', post._id)),
+      ...likedComments.map(comment => likeOf(comment, 'comment', comment.post))
+    ],
+    connections: connections.map(connection => {
+      const outgoing = idOf(connection.requester).toString() === userId.toString();
+      const other = outgoing ? connection.recipient : connection.requester;
+      return {
+        id: connection._id,
+        direction: outgoing ? 'sent' : 'received',
+        user: idOf(other),
+        userName: other && other.fullName,
+        type: connection.type,
+        status: connection.status,
+        message: connection.message,
+        acceptedAt: connection.acceptedAt,
+        createdAt: connection.createdAt
+      };
+    }),
+    follows: follows.map(follow => {
+      const outgoing = idOf(follow.follower).toString() === userId.toString();
+      const other = outgoing ? follow.following : follow.follower;
+      return {
+        id: follow._id,
+        direction: outgoing ? 'following' : 'follower',
+        user: idOf(other),
+        userName: other && other.fullName,
+        createdAt: follow.createdAt
+      };
+    }),
+    notifications: notifications.map(notification => ({
+      id: notification._id,
+      type: notification.type,
+      title: notification.title,
+      message: notification.message,
+      isRead: notification.isRead,
+      createdAt: notification.createdAt
+    })),
+    images
+  };
+};
+
+const CSV_COLUMNS = {
+  posts: ['id', 'content', 'type', 'visibility', 'status', 'tags', 'images', 'likesCount', 'commentsCount', 'publishedAt', 'createdAt', 'updatedAt'],
+  comments: ['id', 'post', 'parentComment', 'content', 'status', 'likesCount', 'createdAt', 'updatedAt'],
+  likes: ['type', 'post', 'comment', 'likedAt'],
+  connections: ['id', 'direction', 'user', 'userName', 'type', 'status', 'message', 'acceptedAt', 'createdAt'],
+  follows: ['id', 'direction', 'user', 'userName', 'createdAt'],
+  notifications: ['id', 'type', 'title', 'message', 'isRead', 'createdAt'],
+  images: ['source', 'id', 'url', 'alt', 'caption', 'createdAt']
+};
+
+const README = `DeenVerse data export
+
+Every dataset is included twice: as JSON, and as CSV for spreadsheets.
+
+profile        Your account and profile details
+posts          Posts you wrote
+comments       Comments and replies you wrote
+likes          Posts and comments you liked
+connections    Connection requests you sent and received
+follows        Users you follow and users who follow you
+notifications  Notifications you received
+images         URLs of images you uploaded
+`;
+
+/**
+ * Build the export archive of a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Buffer>} ZIP archive
+ */
+export const buildUserArchive = async (userId) => {
+  const data = await collectUserData(userId);
+  const entries = [{ name: 'README.txt', data: README }];
+
+  for (const [name, rows] of Object.entries(data)) {
+    const columns = CSV_COLUMNS[name] || Object.keys(rows[0] || {});
+    entries.push({ name: `${name}.json`, data: JSON.stringify(name === 'profile' ? rows[0] : rows, null, 2) });
+    entries.push({ name: `${name}.csv`, data: toCsv(rows, columns) });
+  }
+
+  return createZip(entries);
+};
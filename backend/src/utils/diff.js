@@ -0,0 +1,66 @@
+/**
+ * Word-level diff
+ *
+ * Texts are split into words and the whitespace between them, and compared
+ * with a longest common subsequence. Joining the text of the equal and added
+ * parts gives the new text; equal and removed parts give the old one.
+ */
+
+// Split text into words and runs of whitespace
+const tokenize = (text) => (text || '').match(/\s+|\S+/g) || [];
+
+// Count the words of a text part
+const countWords = (text) => (text.match(/\S+/g) || []).length;
+
+/**
+ * Compare two texts word by word
+ * @param {string} oldText - Earlier text
+ * @param {string} newText - Later text
+ * @returns {Object} { changes: [{ type: 'equal' | 'added' | 'removed', text }], added, removed } with word counts
+ */
+export const diffWords = (oldText, newText) => {
+  const a = tokenize(oldText);
+  const b = tokenize(newText);
+
+  // lengths[i][j] is the LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  const push = (type, text) => {
+    const last = changes[changes.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      changes.push({ type, text });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('equal', a[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push('removed', a[i++]);
+    } else {
+      push('added', b[j++]);
+    }
+  }
+  while (i < a.length) push('removed', a[i++]);
+  while (j < b.length) push('added', b[j++]);
+
+  return {
+    changes,
+    added: changes.filter(change => change.type === 'added').reduce((sum, change) => sum + countWords(change.text), 0),
+    removed: changes.filter(change => change.type === 'removed').reduce((sum, change) => sum + countWords(change.text), 0)
+  };
+};
@@ -1,52 +1,91 @@
 import nodemailer from 'nodemailer';
-import { AppError } from '../middleware/errorHandler.js';
+import EmailMessage from '../models/EmailMessage.js';
+import { escapeHtml } from './helpers.js';
 
-// Create transporter
-const createTransporter = () => {
-  return nodemailer.createTransporter({
+/**
+ * Email
+ *
+ * Messages are rendered from the templates below and queued in the
+ * EmailMessage outbox; the outbox job (jobs/emailOutbox.js) delivers them
+ * through the configured transport and retries failures with backoff.
+ *
+ * EMAIL_TRANSPORT selects the transport:
+ * - smtp (default): EMAIL_HOST/EMAIL_PORT, with EMAIL_USER/EMAIL_PASS when the
+ *   server needs auth. Point it at a local catcher such as Mailpit
+ *   (localhost:1025) in development and tests.
+ * - json: renders messages without sending them, for environments without mail.
+ */
+
+let transport = null;
+
+// Create the transport selected by the environment
+const createTransport = () => {
+  if (process.env.EMAIL_TRANSPORT === 'json') {
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  return nodemailer.createTransport({
     host: process.env.EMAIL_HOST,
-    port: process.env.EMAIL_PORT,
-    secure: false, // true for 465, false for other ports
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASS
-    }
+    port: parseInt(process.env.EMAIL_PORT) || 587,
+    secure: process.env.EMAIL_SECURE === 'true', // true for 465, false for other ports
+    auth: process.env.EMAIL_USER
+      ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS }
+      : undefined
   });
 };
 
 /**
- * Send email
+ * Replace the transport, e.g. with a capturing transport in tests
+ * @param {Object|null} customTransport - Object with a sendMail(message) method, or null for the default
+ */
+export const setEmailTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+/**
+ * Deliver a queued message through the transport
+ * @param {Object} message - EmailMessage document
+ * @returns {Promise<Object>} Transport result
+ */
+export const deliverEmail = async (message) => {
+  if (!transport) {
+    transport = createTransport();
+  }
+
+  return transport.sendMail({
+    from: process.env.EMAIL_FROM || `"DeenVerse" <${process.env.EMAIL_USER}>`,
+    to: message.to,
+    subject: message.subject,
+    text: message.text,
+    html: message.html
+  });
+};
+
+/**
+ * Queue an email for delivery
  * @param {Object} options - Email options
  * @param {string} options.to - Recipient email
+ * @param {string} options.template - Template name
  * @param {string} options.subject - Email subject
  * @param {string} options.text - Plain text content
  * @param {string} options.html - HTML content
- * @returns {Promise<Object>} Send result
+ * @returns {Promise<Object>} Queued EmailMessage
  */
 export const sendEmail = async (options) => {
-  try {
-    const transporter = createTransporter();
-
-    const mailOptions = {
-      from: `"DeenVerse" <${process.env.EMAIL_USER}>`,
-      to: options.to,
-      subject: options.subject,
-      text: options.text,
-      html: options.html
-    };
-
-    const result = await transporter.sendMail(mailOptions);
-    return result;
-  } catch (error) {
-    throw new AppError('Failed to send email', 500);
-  }
+  return EmailMessage.create({
+    to: options.to,
+    template: options.template,
+    subject: options.subject,
+    text: options.text,
+    html: options.html
+  });
 };
 
 /**
  * Send welcome email
  * @param {string} email - User email
  * @param {string} name - User name
- * @returns {Promise<Object>} Send result
+ * @returns {Promise<Object>} Queued EmailMessage
  */
 export const sendWelcomeEmail = async (email, name) => {
   const subject = 'Welcome to DeenVerse!';
@@ -54,7 +93,7 @@ export const sendWelcomeEmail = async (email, name) => {
   const html = `
     <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
       <h2 style="color: #2c5530;">Welcome to DeenVerse!</h2>
-      <p>Assalamu Alaikum ${name},</p>
+      <p>Assalamu Alaikum ${escapeHtml(name)},</p>
       <p>Welcome to DeenVerse! We're excited to have you join our Islamic learning community.</p>
       <p>You can now:</p>
       <ul>
@@ -68,7 +107,7 @@ export const sendWelcomeEmail = async (email, name) => {
     </div>
   `;
 
-  return sendEmail({ to: email, subject, text, html });
+  return sendEmail({ to: email, template: 'welcome', subject, text, html });
 };
 
 /**
@@ -76,7 +115,7 @@ export const sendWelcomeEmail = async (email, name) => {
  * @param {string} email - User email
  * @param {string} name - User name
  * @param {string} resetToken - Reset token
- * @returns {Promise<Object>} Send result
+ * @returns {Promise<Object>} Queued EmailMessage
  */
 export const sendPasswordResetEmail = async (email, name, resetToken) => {
   const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`;
@@ -85,7 +124,7 @@ export const sendPasswordResetEmail = async (email, name, resetToken) => {
   const html = `
     <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
       <h2 style="color: #2c5530;">Password Reset Request</h2>
-      <p>Assalamu Alaikum ${name},</p>
+      <p>Assalamu Alaikum ${escapeHtml(name)},</p>
       <p>You requested a password reset for your DeenVerse account.</p>
       <p>Click the button below to reset your password:</p>
       <div style="text-align: center; margin: 30px 0;">
@@ -99,7 +138,7 @@ export const sendPasswordResetEmail = async (email, name, resetToken) => {
     </div>
   `;
 
-  return sendEmail({ to: email, subject, text, html });
+  return sendEmail({ to: email, template: 'password_reset', subject, text, html });
 };
 
 /**
@@ -107,7 +146,7 @@ export const sendPasswordResetEmail = async (email, name, resetToken) => {
  * @param {string} email - User email
  * @param {string} name - User name
  * @param {string} verificationToken - Verification token
- * @returns {Promise<Object>} Send result
+ * @returns {Promise<Object>} Queued EmailMessage
  */
 export const sendVerificationEmail = async (email, name, verificationToken) => {
   const verificationUrl = `${process.env.FRONTEND_URL}/verify-email?token=${verificationToken}`;
@@ -116,7 +155,7 @@ export const sendVerificationEmail = async (email, name, verificationToken) => {
   const html = `
     <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
       <h2 style="color: #2c5530;">Verify Your Email Address</h2>
-      <p>Assalamu Alaikum ${name},</p>
+      <p>Assalamu Alaikum ${escapeHtml(name)},</p>
       <p>Thank you for registering with DeenVerse! Please verify your email address to complete your registration.</p>
       <div style="text-align: center; margin: 30px 0;">
         <a href="${verificationUrl}" style="background-color: #2c5530; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">Verify Email</a>
@@ -128,7 +167,7 @@ export const sendVerificationEmail = async (email, name, verificationToken) => {
     </div>
   `;
 
-  return sendEmail({ to: email, subject, text, html });
+  return sendEmail({ to: email, template: 'verify_email', subject, text, html });
 };
 
 /**
@@ -136,7 +175,7 @@ export const sendVerificationEmail = async (email, name, verificationToken) => {
  * @param {string} email - Imaam email
  * @param {string} imaamName - Imaam name
  * @param {string} studentName - Student name
- * @returns {Promise<Object>} Send result
+ * @returns {Promise<Object>} Queued EmailMessage
  */
 export const sendConnectionRequestEmail = async (email, imaamName, studentName) => {
   const loginUrl = `${process.env.FRONTEND_URL}/login`;
@@ -145,8 +184,8 @@ export const sendConnectionRequestEmail = async (email, imaamName, studentName)
   const html = `
     <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
       <h2 style="color: #2c5530;">New Connection Request</h2>
-      <p>Assalamu Alaikum ${imaamName},</p>
-      <p><strong>${studentName}</strong> wants to connect with you on DeenVerse.</p>
+      <p>Assalamu Alaikum ${escapeHtml(imaamName)},</p>
+      <p><strong>${escapeHtml(studentName)}</strong> wants to connect with you on DeenVerse.</p>
       <p>Log in to your account to view and respond to the connection request.</p>
       <div style="text-align: center; margin: 30px 0;">
         <a href="${loginUrl}" style="background-color: #2c5530; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">View Request</a>
@@ -155,5 +194,143 @@ export const sendConnectionRequestEmail = async (email, imaamName, studentName)
     </div>
   `;
 
-  return sendEmail({ to: email, subject, text, html });
+  return sendEmail({ to: email, template: 'connection_request', subject, text, html });
+};
+
+/**
+ * Send lesson reminder email
+ * @param {string} email - Recipient email
+ * @param {string} name - Recipient name
+ * @param {Object} lesson - Lesson details
+ * @param {string} lesson.title - Lesson title
+ * @param {Date} lesson.startTime - Lesson start (UTC)
+ * @param {number} lesson.duration - Duration in minutes
+ * @param {string} lesson.timezone - Time zone to display the start time in
+ * @param {string} lesson.imaamName - Teaching imaam's name
+ * @returns {Promise<Object>} Queued EmailMessage
+ */
+export const sendLessonReminderEmail = async (email, name, lesson) => {
+  const lessonsUrl = `${process.env.FRONTEND_URL}/lessons`;
+  const startTime = new Intl.DateTimeFormat('en-US', {
+    dateStyle: 'full',
+    timeStyle: 'short',
+    timeZone: lesson.timezone || 'UTC'
+  }).format(lesson.startTime);
+  const subject = `Lesson Reminder: ${lesson.title} - DeenVerse`;
+  const text = `Hello ${name}, this is a reminder that "${lesson.title}" with ${lesson.imaamName} starts on ${startTime} (${lesson.timezone || 'UTC'}) and lasts ${lesson.duration} minutes.`;
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2c5530;">Upcoming Lesson</h2>
+      <p>Assalamu Alaikum ${escapeHtml(name)},</p>
+      <p>This is a reminder about your upcoming lesson:</p>
+      <ul>
+        <li><strong>Lesson:</strong> ${escapeHtml(lesson.title)}</li>
+        <li><strong>Teacher:</strong> ${escapeHtml(lesson.imaamName)}</li>
+        <li><strong>Starts:</strong> ${startTime} (${lesson.timezone || 'UTC'})</li>
+        <li><strong>Duration:</strong> ${lesson.duration} minutes</li>
+      </ul>
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${lessonsUrl}" style="background-color: #2c5530; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">View Lesson</a>
+      </div>
+      <p>May Allah make it beneficial for you.</p>
+      <p>Best regards,<br>The DeenVerse Team</p>
+    </div>
+  `;
+
+  return sendEmail({ to: email, template: 'lesson_reminder', subject, text, html });
+};
+
+/**
+ * Send Imaam verification decision email
+ * @param {string} email - Applicant email
+ * @param {string} name - Applicant name
+ * @param {string} status - Decision (approved or rejected)
+ * @param {string} notes - Reviewer notes
+ * @returns {Promise<Object>} Queued EmailMessage
+ */
+export const sendVerificationDecisionEmail = async (email, name, status, notes = '') => {
+  const verificationUrl = `${process.env.FRONTEND_URL}/verification`;
+  const approved = status === 'approved';
+  const subject = approved
+    ? 'Your Imaam Account is Verified - DeenVerse'
+    : 'Update on Your Verification Application - DeenVerse';
+  const summary = approved
+    ? 'your verification application has been approved. Your profile now appears in the Imaam directory and students can connect with you.'
+    : 'we were unable to approve your verification application. You are welcome to submit a new application with updated documents.';
+  const text = `Hello ${name}, ${summary}${notes ? ` Reviewer notes: ${notes}` : ''}`;
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2c5530;">${approved ? 'Verification Approved' : 'Verification Not Approved'}</h2>
+      <p>Assalamu Alaikum ${escapeHtml(name)},</p>
+      <p>Regarding your Imaam verification application, ${summary}</p>
+      ${notes ? `<p><strong>Reviewer notes:</strong> ${escapeHtml(notes)}</p>` : ''}
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${verificationUrl}" style="background-color: #2c5530; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">View Application</a>
+      </div>
+      <p>Best regards,<br>The DeenVerse Team</p>
+    </div>
+  `;
+
+  return sendEmail({ to: email, template: 'verification_decision', subject, text, html });
+};
+
+/**
+ * Send account locked email with an unlock link
+ * @param {string} email - User email
+ * @param {string} name - User name
+ * @param {string} unlockToken - Unlock token
+ * @param {Date} lockedUntil - When the lock ends by itself
+ * @returns {Promise<Object>} Queued EmailMessage
+ */
+export const sendAccountLockedEmail = async (email, name, unlockToken, lockedUntil) => {
+  const unlockUrl = `${process.env.FRONTEND_URL}/unlock-account?token=${unlockToken}`;
+  const until = lockedUntil.toUTCString();
+  const subject = 'Your Account Has Been Locked - DeenVerse';
+  const text = `Hello ${name}, we locked your account until ${until} after several failed sign-in attempts. If this was you, unlock it now: ${unlockUrl}. If not, consider changing your password.`;
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2c5530;">Account Temporarily Locked</h2>
+      <p>Assalamu Alaikum ${escapeHtml(name)},</p>
+      <p>We noticed several failed attempts to sign in to your DeenVerse account, so we have locked it until <strong>${until}</strong>.</p>
+      <p>If this was you, you can unlock your account right away:</p>
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${unlockUrl}" style="background-color: #2c5530; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">Unlock Account</a>
+      </div>
+      <p>If the button doesn't work, copy and paste this link into your browser:</p>
+      <p style="word-break: break-all; color: #666;">${unlockUrl}</p>
+      <p>If this wasn't you, someone may be trying to guess your password. We recommend changing it once you are signed in.</p>
+      <p>Best regards,<br>The DeenVerse Team</p>
+    </div>
+  `;
+
+  return sendEmail({ to: email, template: 'account_locked', subject, text, html });
+};
+
+/**
+ * Send confirmation that the account will be deleted, with how to restore it
+ * @param {string} email - User email
+ * @param {string} name - User name
+ * @param {Date} scheduledFor - When the account is erased
+ * @returns {Promise<Object>} Queued EmailMessage
+ */
+export const sendAccountDeletionEmail = async (email, name, scheduledFor) => {
+  const restoreUrl = `${process.env.FRONTEND_URL}/restore-account`;
+  const until = scheduledFor.toUTCString();
+  const subject = 'Your Account Is Scheduled for Deletion - DeenVerse';
+  const text = `Hello ${name}, your DeenVerse account will be permanently deleted on ${until}. Changed your mind? Sign in at ${restoreUrl} before then to restore it.`;
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2c5530;">Account Scheduled for Deletion</h2>
+      <p>Assalamu Alaikum ${escapeHtml(name)},</p>
+      <p>As you requested, your DeenVerse account will be permanently deleted on <strong>${until}</strong>. Until then your profile and content are hidden.</p>
+      <p>If you change your mind, you can restore your account before that date:</p>
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${restoreUrl}" style="background-color: #2c5530; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">Restore Account</a>
+      </div>
+      <p>If you did not request this, restore your account and change your password right away.</p>
+      <p>Best regards,<br>The DeenVerse Team</p>
+    </div>
+  `;
+
+  return sendEmail({ to: email, template: 'account_deletion_scheduled', subject, text, html });
 };
@@ -0,0 +1,109 @@
+import GuardianApproval from '../models/GuardianApproval.js';
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import Post from '../models/Post.js';
+import Follow from '../models/Follow.js';
+import Connection from '../models/Connection.js';
+
+/**
+ * Guardian supervision of child accounts
+ *
+ * A child account is a student account linked to a guardian. Its connection
+ * requests and lesson bookings wait for the guardian's approval, it can only
+ * message imaams it is connected with, and it cannot post publicly. It cannot
+ * follow or be followed, and only connects with imaams as their student.
+ */
+
+/**
+ * Check whether a user is a child account
+ * @param {Object} user - User document
+ * @returns {boolean} True if the user has a guardian
+ */
+export const isChildAccount = (user) => Boolean(user && user.guardian);
+
+/**
+ * Ask a child's guardian to approve a request
+ * @param {Object} child - Child user document
+ * @param {Object} details - { type, connection } or { type, lesson }
+ * @param {string} summary - What is being asked, for the notification
+ * @returns {Promise<Object>} Created GuardianApproval
+ */
+export const requestGuardianApproval = async (child, details, summary) => {
+  const approval = await GuardianApproval.create({
+    guardian: child.guardian,
+    child: child._id,
+    ...details
+  });
+
+  await Notification.createNotification({
+    recipient: child.guardian,
+    sender: child._id,
+    type: 'guardian_approval',
+    title: 'Approval Needed',
+    message: summary,
+    relatedEntity: approval._id,
+    relatedEntityType: 'guardian_approval',
+    actionData: {
+      approvalId: approval._id,
+      approvalType: approval.type,
+      childId: child._id,
+      childName: child.fullName
+    }
+  });
+
+  return approval;
+};
+
+/**
+ * Bring an account that is being linked to a guardian within the child rules
+ * Public posts become followers-only, follows are removed both ways, and only
+ * accepted student-teacher connections with imaams are kept.
+ * @param {string} childId - ID of the account being linked
+ */
+export const applyChildRestrictions = async (childId) => {
+  await Post.updateMany({ author: childId, visibility: 'public' }, { visibility: 'followers' });
+
+  const follows = await Follow.find({ $or: [{ follower: childId }, { following: childId }] });
+  for (const follow of follows) {
+    await Follow.unfollow(follow.follower, follow.following);
+  }
+
+  // Blocked connections stay, they keep the block in force
+  const connections = await Connection.find({
+    $or: [{ requester: childId }, { recipient: childId }],
+    status: { $ne: 'blocked' }
+  });
+  for (const connection of connections) {
+    const otherId = connection.requester.equals(childId) ? connection.recipient : connection.requester;
+    const allowed = connection.status === 'accepted' && connection.type === 'student-teacher' &&
+      await User.exists({ _id: otherId, role: 'imaam' });
+    if (allowed) continue;
+
+    const removed = await Connection.findOneAndDelete({ _id: connection._id });
+    if (removed && removed.status === 'accepted') {
+      await User.updateMany({ _id: { $in: [childId, otherId] } }, { $inc: { connectionsCount: -1 } });
+    }
+  }
+};
+
+/**
+ * Check the messaging restrictions of child accounts in a conversation
+ * A child can only take part in direct conversations with an imaam.
+ * @param {Array} participants - User documents of every participant
+ * @returns {string|null} Reason the conversation is not allowed, or null
+ */
+export const getChildMessagingRestriction = (participants) => {
+  const children = participants.filter(isChildAccount);
+  if (children.length === 0) return null;
+
+  if (participants.length > 2) {
+    return 'Child accounts cannot take part in group conversations';
+  }
+
+  const others = participants.filter(user => !children.includes(user));
+  if (others.length === 0 || others.some(user => user.role !== 'imaam')) {
+    return 'Child accounts can only message their imaams';
+  }
+
+  return null;
+};
@@ -1,4 +1,5 @@
 import crypto from 'crypto';
+import { passwordPolicy, isCommonPassword } from '../config/passwordPolicy.js';
 
 /**
  * Generate random string
@@ -9,6 +10,15 @@ export const generateRandomString = (length = 32) => {
   return crypto.randomBytes(length).toString('hex');
 };
 
+/**
+ * Hash a token for storage
+ * @param {string} token - Token to hash
+ * @returns {string} SHA-256 hex digest
+ */
+export const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
 /**
  * Generate random number
  * @param {number} min - Minimum value
@@ -99,7 +109,7 @@ export const isValidEmail = (email) => {
 };
 
 /**
- * Validate password strength
+ * Validate password strength against the password policy
  * @param {string} password - Password to validate
  * @returns {Object} Validation result
  */
@@ -109,29 +119,37 @@ export const validatePassword = (password) => {
     errors: []
   };
 
-  if (password.length < 6) {
+  const fail = (message) => {
     result.isValid = false;
-    result.errors.push('Password must be at least 6 characters long');
+    result.errors.push(message);
+  };
+
+  if (password.length < passwordPolicy.minLength) {
+    fail(`Password must be at least ${passwordPolicy.minLength} characters long`);
   }
 
-  if (password.length > 128) {
-    result.isValid = false;
-    result.errors.push('Password cannot exceed 128 characters');
+  if (password.length > passwordPolicy.maxLength) {
+    fail(`Password cannot exceed ${passwordPolicy.maxLength} characters`);
   }
 
-  if (!/[A-Z]/.test(password)) {
-    result.isValid = false;
-    result.errors.push('Password must contain at least one uppercase letter');
+  if (passwordPolicy.requireUppercase && !/\p{Lu}/u.test(password)) {
+    fail('Password must contain at least one uppercase letter');
   }
 
-  if (!/[a-z]/.test(password)) {
-    result.isValid = false;
-    result.errors.push('Password must contain at least one lowercase letter');
+  if (passwordPolicy.requireLowercase && !/\p{Ll}/u.test(password)) {
+    fail('Password must contain at least one lowercase letter');
   }
 
-  if (!/\d/.test(password)) {
-    result.isValid = false;
-    result.errors.push('Password must contain at least one number');
+  if (passwordPolicy.requireNumber && !/\d/.test(password)) {
+    fail('Password must contain at least one number');
+  }
+
+  if (passwordPolicy.requireSymbol && !/[^\p{L}\p{N}]/u.test(password)) {
+    fail('Password must contain at least one symbol');
+  }
+
+  if (passwordPolicy.rejectCommon && isCommonPassword(password)) {
+    fail('Password is too common, please choose a less predictable one');
   }
 
   return result;
@@ -173,13 +191,33 @@ export const sanitizeHtml = (html) => {
     .replace(/javascript:/gi, '');
 };
 
+/**
+ * Escape HTML special characters
+ * @param {string} text - Plain text
+ * @returns {string} Text safe to embed in HTML
+ */
+export const escapeHtml = (text) => {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+// Hashtags can be written in any script: letters, combining marks (such as
+// Arabic harakat), digits and underscores. Handles stay ASCII (see
+// HANDLE_PATTERN), but neither may start or end inside a longer word.
+const MENTION_PATTERN = '(?<![\\p{L}\\p{M}\\p{N}_])@([A-Za-z0-9_]+)(?![\\p{L}\\p{M}\\p{N}_])';
+const HASHTAG_PATTERN = '(?<![\\p{L}\\p{M}\\p{N}_])#([\\p{L}\\p{M}\\p{N}_]+)';
+
 /**
  * Extract mentions from text
  * @param {string} text - Text to extract mentions from
  * @returns {Array} Array of mentioned usernames
  */
 export const extractMentions = (text) => {
-  const mentionRegex = /@(\w+)/g;
+  const mentionRegex = new RegExp(MENTION_PATTERN, 'gu');
   const mentions = [];
   let match;
 
@@ -196,7 +234,7 @@ export const extractMentions = (text) => {
  * @returns {Array} Array of hashtags
  */
 export const extractHashtags = (text) => {
-  const hashtagRegex = /#(\w+)/g;
+  const hashtagRegex = new RegExp(HASHTAG_PATTERN, 'gu');
   const hashtags = [];
   let match;
 
@@ -207,6 +245,82 @@ export const extractHashtags = (text) => {
   return [...new Set(hashtags)]; // Remove duplicates
 };
 
+/**
+ * Format post or comment text as HTML
+ * The text is escaped. Resolved mentions link to the user's profile and
+ * hashtags to the tag page; unresolved mentions stay plain text.
+ * @param {string} text - Plain text
+ * @param {Array} mentions - Resolved mentions, as { user, handle }
+ * @returns {string} HTML safe to render
+ */
+export const formatContent = (text, mentions = []) => {
+  const source = String(text || '');
+  const profiles = new Map(mentions.map(mention => [mention.handle, mention.user]));
+  const tokenRegex = new RegExp(`${HASHTAG_PATTERN}|${MENTION_PATTERN}`, 'gu');
+  let html = '';
+  let cursor = 0;
+  let match;
+
+  while ((match = tokenRegex.exec(source)) !== null) {
+    const [token, hashtag, handle] = match;
+    let link = null;
+
+    // Tokens are letters, marks, digits and underscores only, so they need no escaping
+    if (hashtag) {
+      link = `<a href="/tags/${encodeURIComponent(hashtag.toLowerCase())}" class="hashtag">${token}</a>`;
+    } else if (profiles.has(handle.toLowerCase())) {
+      link = `<a href="/users/${profiles.get(handle.toLowerCase())}" class="mention">${token}</a>`;
+    }
+
+    if (link) {
+      html += escapeHtml(source.slice(cursor, match.index)) + link;
+      cursor = match.index + token.length;
+    }
+  }
+
+  return html + escapeHtml(source.slice(cursor));
+};
+
+/**
+ * Escape regular expression metacharacters
+ * @param {string} text - User supplied text
+ * @returns {string} Text safe to embed in a RegExp
+ */
+export const escapeRegex = (text) => {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
+/**
+ * Convert rows to CSV (RFC 4180)
+ * Text cells that a spreadsheet would run as a formula are prefixed with a quote.
+ * @param {Array} rows - Objects to convert
+ * @param {Array} columns - Keys to include, in order
+ * @returns {string} CSV text with a header row
+ */
+export const toCsv = (rows, columns) => {
+  const cell = (value) => {
+    if (value === undefined || value === null) return '';
+
+    let text = value instanceof Date ? value.toISOString()
+      : Array.isArray(value) ? value.join('; ')
+      : Object.getPrototypeOf(value) === Object.prototype ? JSON.stringify(value)
+      : String(value);
+
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => cell(row[column])).join(','));
+  }
+
+  return `${lines.join('\r\n')}\r\n`;
+};
+
 /**
  * Calculate reading time
  * @param {string} text - Text to calculate reading time for
@@ -217,3 +331,99 @@ export const calculateReadingTime = (text) => {
   const wordCount = text.trim().split(/\s+/).length;
   return Math.ceil(wordCount / wordsPerMinute);
 };
+
+/**
+ * Encode a pagination cursor
+ * @param {Object} data - Cursor data
+ * @returns {string} Opaque base64url cursor
+ */
+export const encodeCursor = (data) => {
+  return Buffer.from(JSON.stringify(data)).toString('base64url');
+};
+
+/**
+ * Decode a pagination cursor
+ * @param {string} cursor - Cursor produced by encodeCursor
+ * @returns {Object|null} Cursor data, or null if the cursor is malformed
+ */
+export const decodeCursor = (cursor) => {
+  try {
+    const data = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return data && typeof data === 'object' ? data : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Calculate age in whole years
+ * @param {Date} dateOfBirth - Date of birth
+ * @param {Date} now - Date to calculate the age at
+ * @returns {number} Age in years
+ */
+export const getAge = (dateOfBirth, now = new Date()) => {
+  const birth = new Date(dateOfBirth);
+  const age = now.getUTCFullYear() - birth.getUTCFullYear();
+  const hadBirthday = now.getUTCMonth() > birth.getUTCMonth()
+    || (now.getUTCMonth() === birth.getUTCMonth() && now.getUTCDate() >= birth.getUTCDate());
+
+  return hadBirthday ? age : age - 1;
+};
+
+/**
+ * Check whether a string is a valid IANA time zone
+ * @param {string} timeZone - Time zone name (e.g. "Asia/Karachi")
+ * @returns {boolean} Is valid time zone
+ */
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get the offset of a time zone from UTC at a given instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - Time zone name
+ * @returns {number} Offset in milliseconds
+ */
+const getTimeZoneOffset = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  const value = (type) => parseInt(parts.find(part => part.type === type).value);
+  const asUtc = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+
+  return asUtc - (date.getTime() - date.getMilliseconds());
+};
+
+/**
+ * Convert a local wall-clock time in a time zone to a UTC date
+ * @param {string} localDateTime - Local time as "YYYY-MM-DDTHH:mm[:ss]"
+ * @param {string} timeZone - Time zone name
+ * @returns {Date|null} UTC date, or null if the input is malformed
+ */
+export const zonedTimeToUtc = (localDateTime, timeZone = 'UTC') => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/.exec(localDateTime);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second = '0'] = match;
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // Apply the offset, then correct once more in case it changed (DST transitions)
+  let utc = wallClock - getTimeZoneOffset(new Date(wallClock), timeZone);
+  utc = wallClock - getTimeZoneOffset(new Date(utc), timeZone);
+
+  return new Date(utc);
+};
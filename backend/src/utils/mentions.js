@@ -0,0 +1,80 @@
+import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+import { extractMentions } from './helpers.js';
+import { canViewPost } from './visibility.js';
+
+/**
+ * Mentions
+ *
+ * @handles in posts and comments are resolved to users whenever the content
+ * is saved. Each mention keeps the handle as written, so formatted content
+ * still links the right profile after the user changes their handle.
+ *
+ * Users are notified the first time they are mentioned in published content,
+ * unless they cannot see the post or a block stands between them and the
+ * author. Hashtags are handled by the Post model, which merges them into tags.
+ */
+
+/**
+ * Resolve the @handles in a text to active users
+ * @param {string} text - Post or comment content
+ * @returns {Promise<Array>} Mentions, as { user, handle }
+ */
+export const resolveMentions = async (text) => {
+  const handles = extractMentions(text || '').map(handle => handle.toLowerCase());
+  if (handles.length === 0) {
+    return [];
+  }
+
+  const users = await User.find({ handle: { $in: handles }, isActive: true }).select('handle');
+  return users.map(user => ({ user: user._id, handle: user.handle }));
+};
+
+/**
+ * Re-resolve the mentions of a post or comment after its content changed
+ * @param {Object} doc - Post or comment document, saved by the caller
+ * @returns {Promise<Array>} Mentions that were not there before
+ */
+export const updateMentions = async (doc) => {
+  const previous = new Set(doc.mentions.map(mention => mention.user.toString()));
+  doc.mentions = await resolveMentions(doc.content);
+  return doc.mentions.filter(mention => !previous.has(mention.user.toString()));
+};
+
+/**
+ * Notify mentioned users
+ * Nothing is sent while the post is unpublished; publishing it notifies everyone mentioned.
+ * @param {Array} mentions - Mentions to notify
+ * @param {Object} options - sender (user), post and, for a comment, comment
+ */
+export const notifyMentions = async (mentions, { sender, post, comment = null }) => {
+  if (mentions.length === 0 || post.status !== 'published') {
+    return;
+  }
+
+  const users = await User.find({
+    _id: { $in: mentions.map(mention => mention.user), $ne: sender._id }
+  }).select('role');
+
+  const where = comment ? 'a comment' : 'a post';
+
+  for (const user of users) {
+    if (!(await canViewPost(user, post))) continue;
+
+    // Not created when either user blocked the other
+    await Notification.createNotification({
+      recipient: user._id,
+      sender: sender._id,
+      type: 'mention',
+      title: 'New Mention',
+      message: `${sender.fullName} mentioned you in ${where}`,
+      relatedEntity: comment ? comment._id : post._id,
+      relatedEntityType: comment ? 'comment' : 'post',
+      actionData: {
+        postId: post._id,
+        ...(comment && { commentId: comment._id }),
+        mentionerName: sender.fullName
+      }
+    });
+  }
+};
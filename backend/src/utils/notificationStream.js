@@ -0,0 +1,168 @@
+/**
+ * Server-Sent Events hub for real-time notification delivery.
+ *
+ * Keeps the open event streams of every signed-in session in memory, keyed by
+ * user ID and tagged with their session ID, so they can be closed when the
+ * session is signed out or the account is suspended. This works for a single API process; running several instances
+ * behind a load balancer would need a shared pub/sub (e.g. Redis) in front of it.
+ */
+
+const HEARTBEAT_INTERVAL = 25 * 1000; // keep proxies from closing idle streams
+
+// userId -> Map of open response stream -> session ID
+const clients = new Map();
+
+/**
+ * Write a single SSE frame to a response
+ * @param {Object} res - Express response
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload
+ */
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+
+  // compression() buffers the body unless it is flushed explicitly
+  if (typeof res.flush === 'function') {
+    res.flush();
+  }
+};
+
+/**
+ * Register an SSE response for a session of a user and keep it open
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session the stream was opened with
+ * @param {Object} res - Express response
+ * @param {Object} initialData - Payload of the first `ready` event
+ */
+export const addClient = (userId, sessionId, res, initialData = {}) => {
+  const key = userId.toString();
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  if (!clients.has(key)) {
+    clients.set(key, new Map());
+  }
+  clients.get(key).set(res, sessionId ? sessionId.toString() : null);
+
+  writeEvent(res, 'ready', initialData);
+
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+    if (typeof res.flush === 'function') {
+      res.flush();
+    }
+  }, HEARTBEAT_INTERVAL);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    removeClient(key, res);
+  });
+};
+
+/**
+ * Remove an SSE response from the hub
+ * @param {string} userId - User ID
+ * @param {Object} res - Express response
+ */
+export const removeClient = (userId, res) => {
+  const key = userId.toString();
+  const userClients = clients.get(key);
+
+  if (!userClients) return;
+
+  userClients.delete(res);
+  if (userClients.size === 0) {
+    clients.delete(key);
+  }
+};
+
+/**
+ * Check whether a user has at least one open stream
+ * @param {string} userId - User ID
+ * @returns {boolean} Has open streams
+ */
+export const hasClients = (userId) => {
+  return clients.has(userId.toString());
+};
+
+/**
+ * Push an event to every open session of a user
+ * @param {string} userId - User ID
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload
+ * @returns {number} Number of sessions the event was sent to
+ */
+export const pushToUser = (userId, event, data) => {
+  const userClients = clients.get(userId.toString());
+
+  if (!userClients) return 0;
+
+  userClients.forEach((sessionId, res) => writeEvent(res, event, data));
+  return userClients.size;
+};
+
+/**
+ * Tell a stream why it ends and close it
+ * @param {Object} res - Express response
+ * @param {string} reason - Why the stream is closed
+ */
+const closeClient = (res, reason) => {
+  writeEvent(res, 'session_ended', { reason });
+  res.end();
+};
+
+/**
+ * Close the open streams of signed out or revoked sessions
+ * @param {Array} sessionIds - Session IDs
+ * @param {string} reason - Why the sessions ended
+ * @returns {number} Number of streams closed
+ */
+export const closeSessionClients = (sessionIds, reason) => {
+  const ended = new Set(sessionIds.map(id => id.toString()));
+  let closed = 0;
+
+  clients.forEach((userClients, key) => {
+    userClients.forEach((sessionId, res) => {
+      if (!ended.has(sessionId)) return;
+      closeClient(res, reason);
+      removeClient(key, res);
+      closed += 1;
+    });
+  });
+
+  return closed;
+};
+
+/**
+ * Close every open stream of a user, e.g. when the account is suspended
+ * @param {string} userId - User ID
+ * @param {string} reason - Why the streams are closed
+ * @returns {number} Number of streams closed
+ */
+export const closeUserClients = (userId, reason) => {
+  const key = userId.toString();
+  const userClients = clients.get(key);
+
+  if (!userClients) return 0;
+
+  const closed = userClients.size;
+  userClients.forEach((sessionId, res) => closeClient(res, reason));
+  clients.delete(key);
+  return closed;
+};
+
+/**
+ * Close every open stream (used on shutdown)
+ */
+export const closeAllClients = () => {
+  clients.forEach(userClients => {
+    userClients.forEach((sessionId, res) => res.end());
+  });
+  clients.clear();
+};
@@ -0,0 +1,40 @@
+import { storeFile, deleteFile } from './storage.js';
+
+/**
+ * Upload the images of a multipart post request
+ * @param {Array} files - Files from `upload.array('images')`
+ * @param {Array} details - Alt text and caption for each file, in the same order
+ * @returns {Promise<Array>} Image subdocuments for the post
+ */
+export const uploadPostImages = (files = [], details = []) => {
+  return Promise.all(files.map((file, index) =>
+    storeFile(file.buffer, { folder: 'post-images', resourceType: 'image', originalName: file.originalname, mimeType: file.mimetype })
+      .then(result => ({
+        url: result.url,
+        publicId: result.publicId,
+        alt: details[index]?.alt || '',
+        caption: details[index]?.caption || '',
+        width: result.width,
+        height: result.height
+      }))
+  ));
+};
+
+/**
+ * Delete post images from storage
+ * The post change has already been saved, so a failed deletion is logged and not thrown.
+ * @param {Array} images - Image subdocuments
+ */
+export const deletePostImages = async (images = []) => {
+  const results = await Promise.allSettled(
+    images
+      .filter(image => image.publicId)
+      .map(image => deleteFile(image.publicId))
+  );
+
+  for (const result of results) {
+    if (result.status === 'rejected') {
+      console.error('Failed to delete post image:', result.reason.message);
+    }
+  }
+};
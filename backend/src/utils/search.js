@@ -0,0 +1,112 @@
+import { escapeHtml } from './helpers.js';
+
+/**
+ * Search helpers
+ *
+ * Matching and ranking happen in MongoDB text indexes (see Post and User).
+ * Version 3 text indexes ignore case and diacritics, including Arabic harakat,
+ * and use no language so words are neither stemmed nor dropped as stop words
+ * in either English or Arabic. These helpers mirror exactly that folding to
+ * build highlighted snippets of the matched text; letter variants the index
+ * keeps apart (e.g. ى and ي) are kept apart here too.
+ */
+
+const SNIPPET_LENGTH = 160;
+const SNIPPET_CONTEXT = 60;
+
+// Fold a single character the way the text index does
+const foldChar = (char) => char
+  .normalize('NFD')
+  .replace(/[\p{Mn}ـ]/gu, '') // combining marks, harakat and tatweel
+  .toLowerCase();
+
+/**
+ * Fold text for matching, keeping a map back to the original positions
+ * @param {string} text - Original text
+ * @returns {Object} { folded, positions } where positions[i] is the index in text of folded[i]
+ */
+export const foldText = (text) => {
+  let folded = '';
+  const positions = [];
+  let index = 0;
+
+  for (const char of text) {
+    const foldedChar = foldChar(char);
+    for (let i = 0; i < foldedChar.length; i++) {
+      positions.push(index);
+    }
+    folded += foldedChar;
+    index += char.length;
+  }
+  positions.push(text.length);
+
+  return { folded, positions };
+};
+
+/**
+ * Get the terms of a search query
+ * Negated terms ("-word") are dropped, quoted phrases are split into words.
+ * @param {string} query - Search query
+ * @returns {Array} Folded search terms
+ */
+export const getSearchTerms = (query) => {
+  const terms = query
+    .split(/\s+/)
+    .filter(term => term && !term.startsWith('-'))
+    .map(term => foldText(term).folded.replace(/[^\p{L}\p{N}]/gu, ''))
+    .filter(Boolean);
+
+  return [...new Set(terms)];
+};
+
+// Without stemming, a word only matches the same term
+const matchesTerm = (word, terms) => terms.includes(word);
+
+/**
+ * Build an HTML-escaped snippet of text with matched terms wrapped in <mark>
+ * @param {string} text - Text to highlight
+ * @param {Array} terms - Terms from getSearchTerms
+ * @param {number} length - Maximum snippet length
+ * @returns {string} Highlighted snippet
+ */
+export const highlight = (text, terms, length = SNIPPET_LENGTH) => {
+  if (!text) return '';
+
+  const { folded, positions } = foldText(text);
+  const matches = [];
+  const wordRegex = /[\p{L}\p{N}]+/gu;
+  let word;
+
+  while ((word = wordRegex.exec(folded)) !== null) {
+    if (matchesTerm(word[0], terms)) {
+      matches.push({
+        start: positions[word.index],
+        end: positions[word.index + word[0].length]
+      });
+    }
+  }
+
+  // Center the snippet on the first match
+  let start = 0;
+  if (matches.length > 0 && text.length > length) {
+    start = Math.max(0, Math.min(matches[0].start - SNIPPET_CONTEXT, text.length - length));
+    // Do not cut a word in half
+    const boundary = text.slice(start).search(/\s/);
+    if (start > 0 && boundary !== -1 && boundary < SNIPPET_CONTEXT) {
+      start += boundary + 1;
+    }
+  }
+  const end = Math.min(text.length, start + length);
+
+  let snippet = '';
+  let cursor = start;
+  for (const match of matches) {
+    if (match.start < cursor || match.end > end) continue;
+    snippet += escapeHtml(text.slice(cursor, match.start));
+    snippet += `<mark>${escapeHtml(text.slice(match.start, match.end))}</mark>`;
+    cursor = match.end;
+  }
+  snippet += escapeHtml(text.slice(cursor, end));
+
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+};
@@ -0,0 +1,225 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import sharp from 'sharp';
+import { AppError } from '../middleware/errorHandler.js';
+import { uploadToCloudinary, deleteFromCloudinary, getSignedCloudinaryUrl, transformImageUrl } from './cloudinary.js';
+
+/**
+ * File storage
+ *
+ * Uploads go through a driver selected by STORAGE_DRIVER:
+ * - cloudinary (default): files are uploaded to Cloudinary, which also
+ *   serves resized variants through URL transformations.
+ * - local: files are written under UPLOAD_DIR (default "uploads"), which the
+ *   server serves at /uploads. Images are resized with sharp before they are
+ *   saved, so development and tests need no Cloudinary account.
+ *
+ * Stored URLs of the local driver are relative to /uploads; getFileUrl turns
+ * them into absolute URLs using BACKEND_URL.
+ *
+ * Private files (e.g. verification documents) are never publicly reachable:
+ * the local driver writes them under PRIVATE_UPLOAD_DIR (default
+ * "private-uploads"), which is not served, and Cloudinary stores them as
+ * authenticated assets. Routes that check access serve them through
+ * getPrivateFile.
+ *
+ * Resize options use Cloudinary's vocabulary:
+ * { width, height, crop: 'fill' | 'limit', gravity: 'face' | 'auto' }
+ */
+
+export const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || 'uploads');
+export const PRIVATE_UPLOAD_DIR = path.resolve(process.env.PRIVATE_UPLOAD_DIR || 'private-uploads');
+
+// Output formats kept as they are; other images are converted to JPEG
+const LOCAL_IMAGE_FORMATS = ['jpeg', 'png', 'webp', 'gif', 'avif'];
+
+const cloudinaryDriver = {
+  async store(buffer, { folder, resourceType, resize, isPrivate }) {
+    const result = await uploadToCloudinary(buffer, {
+      folder,
+      resource_type: resourceType,
+      ...(isPrivate && { type: 'authenticated' }),
+      ...(resize && { transformation: [resize] })
+    });
+
+    return {
+      url: result.secure_url,
+      publicId: result.public_id,
+      width: result.width,
+      height: result.height
+    };
+  },
+
+  remove(publicId, resourceType, { isPrivate } = {}) {
+    return deleteFromCloudinary(publicId, resourceType, isPrivate ? 'authenticated' : 'upload');
+  },
+
+  getPrivate(publicId, resourceType) {
+    return { url: getSignedCloudinaryUrl(publicId, resourceType) };
+  }
+};
+
+// Resize an image buffer like the Cloudinary transformation would
+const resizeImage = async (buffer, resize) => {
+  let image = sharp(buffer).rotate(); // apply EXIF orientation
+
+  const { format } = await image.metadata();
+  if (!LOCAL_IMAGE_FORMATS.includes(format)) {
+    image = image.jpeg();
+  }
+
+  if (resize) {
+    image = image.resize({
+      width: resize.width,
+      height: resize.height,
+      fit: resize.crop === 'fill' ? 'cover' : 'inside',
+      // sharp has no face detection; the attention strategy crops to the most salient region
+      position: resize.gravity ? sharp.strategy.attention : 'centre',
+      withoutEnlargement: resize.crop === 'limit'
+    });
+  }
+
+  return image.toBuffer({ resolveWithObject: true });
+};
+
+// Resolve a stored key inside the public or private upload directory
+const resolveLocalPath = (key, isPrivate = false) => {
+  const directory = isPrivate ? PRIVATE_UPLOAD_DIR : UPLOAD_DIR;
+  const filePath = path.resolve(directory, key);
+  if (!filePath.startsWith(directory + path.sep)) {
+    throw new AppError('Invalid file path', 400);
+  }
+  return filePath;
+};
+
+const localDriver = {
+  async store(buffer, { folder, resourceType, resize, originalName, mimeType, isPrivate }) {
+    let data = buffer;
+    let extension = path.extname(originalName || '').toLowerCase();
+    let width;
+    let height;
+
+    if (resourceType === 'image' || (resourceType === 'auto' && mimeType?.startsWith('image/'))) {
+      try {
+        const { data: resized, info } = await resizeImage(buffer, resize);
+        data = resized;
+        extension = info.format === 'jpeg' ? '.jpg' : `.${info.format}`;
+        width = info.width;
+        height = info.height;
+      } catch (error) {
+        throw new AppError('Invalid image file', 400);
+      }
+    }
+
+    const key = `${folder}/${crypto.randomUUID()}${extension}`;
+    const filePath = resolveLocalPath(key, isPrivate);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, data);
+
+    return { url: key, publicId: key, width, height };
+  },
+
+  async remove(publicId, resourceType, { isPrivate } = {}) {
+    await fs.rm(resolveLocalPath(publicId, isPrivate), { force: true });
+  },
+
+  getPrivate(publicId) {
+    return { path: resolveLocalPath(publicId, true) };
+  }
+};
+
+const DRIVERS = {
+  cloudinary: cloudinaryDriver,
+  local: localDriver
+};
+
+let driver = null;
+
+// Get the driver selected by the environment
+const getDriver = () => {
+  if (!driver) {
+    const name = process.env.STORAGE_DRIVER || 'cloudinary';
+    driver = DRIVERS[name];
+    if (!driver) {
+      throw new Error(`Unknown STORAGE_DRIVER "${name}"`);
+    }
+  }
+  return driver;
+};
+
+/**
+ * Replace the storage driver, e.g. in tests
+ * @param {Object|null} customDriver - Object with store and remove methods, or null for the default
+ */
+export const setStorageDriver = (customDriver) => {
+  driver = customDriver;
+};
+
+/**
+ * Store an uploaded file
+ * @param {Buffer} buffer - File contents
+ * @param {Object} options - Storage options
+ * @param {string} options.folder - Folder to store the file in
+ * @param {string} [options.resourceType='auto'] - image, raw or auto (images are detected by MIME type)
+ * @param {Object} [options.resize] - Resize images before storing them
+ * @param {string} [options.originalName] - Original file name, for the extension
+ * @param {string} [options.mimeType] - MIME type of the file
+ * @param {boolean} [options.isPrivate] - Keep the file out of public reach; see getPrivateFile
+ * @returns {Promise<Object>} url, publicId and, for images, width and height
+ */
+export const storeFile = (buffer, options) => {
+  return getDriver().store(buffer, { resourceType: 'auto', ...options });
+};
+
+/**
+ * Delete a stored file
+ * @param {string} publicId - Public ID returned by storeFile
+ * @param {string} [resourceType='image'] - Resource type the file was stored as
+ * @param {Object} [options] - isPrivate, if the file was stored as private
+ */
+export const deleteFile = (publicId, resourceType = 'image', options = {}) => {
+  return getDriver().remove(publicId, resourceType, options);
+};
+
+/**
+ * Locate a private file for a response, after access has been checked
+ * @param {string} publicId - Public ID returned by storeFile
+ * @param {string} [resourceType='image'] - Resource type the file was stored as
+ * @returns {Object} path of the local file, or a signed url to redirect to
+ */
+export const getPrivateFile = (publicId, resourceType = 'image') => {
+  return getDriver().getPrivate(publicId, resourceType);
+};
+
+/**
+ * Get the public base URL of this API
+ * @returns {string} Base URL, without a trailing slash
+ */
+export const getBackendUrl = () => {
+  return process.env.BACKEND_URL || `http://localhost:${process.env.PORT || 5000}`;
+};
+
+/**
+ * Get the absolute URL of a stored file
+ * @param {string} url - Stored URL, absolute or relative to /uploads
+ * @returns {string} Absolute URL
+ */
+export const getFileUrl = (url) => {
+  if (!url || /^https?:\/\//.test(url)) {
+    return url;
+  }
+  return `${getBackendUrl()}/uploads/${url}`;
+};
+
+/**
+ * Get the URL of a resized variant of a stored image
+ * Cloudinary images are transformed on the fly; local images are only
+ * resized when they are stored, so every variant is the stored file.
+ * @param {string} url - Stored image URL
+ * @param {Object} resize - Resize options
+ * @returns {string} Absolute URL of the variant
+ */
+export const getImageUrl = (url, resize) => {
+  return getFileUrl(transformImageUrl(url, { ...resize, quality: 'auto', fetch_format: 'auto', secure: true }));
+};
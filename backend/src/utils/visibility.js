@@ -0,0 +1,155 @@
+import mongoose from 'mongoose';
+import Connection from '../models/Connection.js';
+import Block from '../models/Block.js';
+
+/**
+ * Post visibility policy
+ *
+ * - public: everyone
+ * - followers: the author and users with an accepted connection to the author.
+ *   Follows are one-way and need no approval, so following alone does not
+ *   grant access.
+ * - private: the author only
+ *
+ * Posts and comments of users who blocked the viewer, or whom the viewer
+ * blocked, are hidden whatever their visibility.
+ *
+ * Admins can read everything. Every post and comment read path goes through
+ * this module so the rules live in one place.
+ */
+
+// Get the ID of a value that may be a populated document
+const toId = (value) => (value && value._id ? value._id : value);
+
+/**
+ * Get accepted connections of a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Array of { userId, type }
+ */
+export const getConnections = async (userId) => {
+  const connections = await Connection.find({
+    $or: [
+      { requester: userId, status: 'accepted' },
+      { recipient: userId, status: 'accepted' }
+    ]
+  }).select('requester recipient type');
+
+  return connections.map(connection => ({
+    userId: connection.requester.toString() === userId.toString()
+      ? connection.recipient
+      : connection.requester,
+    type: connection.type
+  }));
+};
+
+/**
+ * Build the post filter for a viewer, without the admin override
+ * @param {string} viewerId - Viewer user ID
+ * @param {Array} audienceIds - IDs of authors whose followers-only posts the viewer may read (accepted connections)
+ * @param {Array} hiddenAuthorIds - IDs of authors whose posts are hidden from the viewer
+ * @returns {Object} MongoDB filter
+ */
+export const buildVisibilityFilter = (viewerId, audienceIds = [], hiddenAuthorIds = []) => {
+  const viewerObjectId = new mongoose.Types.ObjectId(viewerId.toString());
+
+  const filter = {
+    $or: [
+      { author: viewerObjectId },
+      { visibility: 'public' },
+      { visibility: 'followers', author: { $in: audienceIds } }
+    ]
+  };
+
+  if (hiddenAuthorIds.length > 0) {
+    filter.author = { $nin: hiddenAuthorIds };
+  }
+
+  return filter;
+};
+
+/**
+ * Get the IDs of users hidden from a viewer because of a block either way
+ * @param {Object} viewer - Current user
+ * @returns {Promise<Array>} User IDs (empty for admins)
+ */
+export const getHiddenUserIds = (viewer) => {
+  if (viewer.role === 'admin') {
+    return Promise.resolve([]);
+  }
+
+  return Block.getBlockedIds(viewer._id);
+};
+
+/**
+ * Get the post filter for a viewer
+ * @param {Object} viewer - Current user
+ * @returns {Promise<Object>} MongoDB filter (empty for admins)
+ */
+export const getVisibilityFilter = async (viewer) => {
+  if (viewer.role === 'admin') {
+    return {};
+  }
+
+  const [connections, blockedIds] = await Promise.all([
+    getConnections(viewer._id),
+    Block.getBlockedIds(viewer._id)
+  ]);
+
+  return buildVisibilityFilter(viewer._id, connections.map(connection => connection.userId), blockedIds);
+};
+
+/**
+ * Check whether a viewer may read a post
+ * Only published posts are readable by others; authors decide themselves which of their
+ * unpublished posts they may open.
+ * @param {Object} viewer - Current user
+ * @param {Object} post - Post document (author may be populated)
+ * @returns {Promise<boolean>} Can view
+ */
+export const canViewPost = async (viewer, post) => {
+  if (!post) return false;
+  if (viewer.role === 'admin') return true;
+
+  const authorId = toId(post.author);
+  if (authorId.toString() === viewer._id.toString()) return true;
+
+  if (post.status !== 'published') return false;
+  if (await Block.isBlockedBetween(viewer._id, authorId)) return false;
+
+  switch (post.visibility) {
+    case 'public':
+      return true;
+    case 'followers':
+      return !!(await Connection.areConnected(viewer._id, authorId));
+    default:
+      return false;
+  }
+};
+
+/**
+ * Check whether a viewer may read a comment
+ * Inherits from its post, which must be published, and is hidden when the viewer and its
+ * author are blocked.
+ * @param {Object} viewer - Current user
+ * @param {Object} comment - Comment document (post may be populated)
+ * @returns {Promise<boolean>} Can view
+ */
+export const canViewComment = async (viewer, comment) => {
+  if (!comment) return false;
+
+  const authorId = toId(comment.author);
+  if (viewer.role !== 'admin' && authorId.toString() !== viewer._id.toString() &&
+    await Block.isBlockedBetween(viewer._id, authorId)) {
+    return false;
+  }
+
+  const post = comment.post && comment.post.visibility && comment.post.status
+    ? comment.post
+    : await mongoose.model('Post').findById(toId(comment.post)).select('author visibility status');
+
+  if (!post) return false;
+  // Comments go with their post when it is hidden, archived or back in drafts
+  if (viewer.role !== 'admin' && post.status !== 'published') return false;
+
+  return canViewPost(viewer, post);
+};
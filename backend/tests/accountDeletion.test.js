@@ -0,0 +1,307 @@
+import request from 'supertest';
+import app from '../src/server.js';
+import User from '../src/models/User.js';
+import Post from '../src/models/Post.js';
+import Comment from '../src/models/Comment.js';
+import Connection from '../src/models/Connection.js';
+import Review from '../src/models/Review.js';
+import Conversation from '../src/models/Conversation.js';
+import Message from '../src/models/Message.js';
+import Lesson from '../src/models/Lesson.js';
+import Report from '../src/models/Report.js';
+import Notification from '../src/models/Notification.js';
+import VerificationApplication from '../src/models/VerificationApplication.js';
+import EmailMessage from '../src/models/EmailMessage.js';
+import { processAccountDeletions } from '../src/jobs/accountDeletions.js';
+import { eraseAccount } from '../src/utils/accountDeletion.js';
+import { registerUser, TEST_PASSWORD as password } from './helpers.js';
+
+// Time after the grace period of a user
+const afterGracePeriod = async (userId) => {
+  const user = await User.findById(userId);
+  return new Date(user.deletion.scheduledFor.getTime() + 1000);
+};
+
+describe('Account deletion', () => {
+  let ahmed;
+  let fatima;
+  let ahmedPost;
+  let fatimaPost;
+
+  beforeEach(async () => {
+    ahmed = await registerUser({ fullName: 'Ahmed Hassan', email: 'ahmed@example.com' });
+    fatima = await registerUser({ fullName: 'Fatima Zahra', email: 'fatima@example.com' });
+
+    ahmedPost = (await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${ahmed.token}`)
+      .send({ content: 'Notes from the Friday khutbah' })).body.data;
+    fatimaPost = (await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${fatima.token}`)
+      .send({ content: 'Tips for memorising Juz Amma' })).body.data;
+
+    // Ahmed likes and comments on Fatima's post and connects with her
+    await request(app)
+      .post(`/api/posts/${fatimaPost._id}/like`)
+      .set('Authorization', `Bearer ${ahmed.token}`);
+    await request(app)
+      .post('/api/comments')
+      .set('Authorization', `Bearer ${ahmed.token}`)
+      .send({ post: fatimaPost._id, content: 'JazakAllah khair' });
+    await Connection.create({
+      requester: ahmed.user._id,
+      recipient: fatima.user._id,
+      type: 'peer',
+      status: 'accepted'
+    });
+  });
+
+  const deleteAccount = (body) => request(app)
+    .delete('/api/users/profile')
+    .set('Authorization', `Bearer ${ahmed.token}`)
+    .send(body);
+
+  it('should schedule deletion, hide the account and sign out', async () => {
+    const response = await deleteAccount({ password }).expect(200);
+    expect(response.body.data.contentAction).toBe('anonymize');
+
+    await request(app)
+      .get('/api/users/profile')
+      .set('Authorization', `Bearer ${ahmed.token}`)
+      .expect(401);
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'ahmed@example.com', password })
+      .expect(403);
+    expect(login.body.message).toBe('Account is scheduled for deletion. Restore it to sign in again.');
+  });
+
+  it('should require the password', async () => {
+    await deleteAccount({ password: 'Wrong-Password-1' }).expect(401);
+    await deleteAccount({}).expect(400);
+  });
+
+  it('should restore the account during the grace period', async () => {
+    await deleteAccount({ password });
+
+    const response = await request(app)
+      .post('/api/auth/restore-account')
+      .send({ email: 'ahmed@example.com', password })
+      .expect(200);
+    expect(response.body.data).toHaveProperty('token');
+
+    const user = await User.findById(ahmed.user._id);
+    expect(user.isActive).toBe(true);
+    expect(user.deletion.scheduledFor).toBeUndefined();
+
+    // Nothing is erased once restored
+    const counts = await processAccountDeletions(new Date(Date.now() + 60 * 24 * 60 * 60 * 1000));
+    expect(counts.erased).toBe(0);
+  });
+
+  it('should not erase accounts before the grace period is over', async () => {
+    await deleteAccount({ password });
+
+    const counts = await processAccountDeletions();
+    expect(counts.erased).toBe(0);
+    expect(await User.findById(ahmed.user._id)).not.toBeNull();
+  });
+
+  it('should anonymize content and clear likes and connections', async () => {
+    await deleteAccount({ password, contentAction: 'anonymize' });
+
+    const counts = await processAccountDeletions(await afterGracePeriod(ahmed.user._id));
+    expect(counts.erased).toBe(1);
+
+    expect(await User.findById(ahmed.user._id)).toBeNull();
+
+    const placeholder = await User.findOne({ systemAccount: 'deleted_user' });
+    const post = await Post.findById(ahmedPost._id);
+    expect(post.author.toString()).toBe(placeholder._id.toString());
+
+    const comment = await Comment.findOne({ post: fatimaPost._id });
+    expect(comment.author.toString()).toBe(placeholder._id.toString());
+
+    const liked = await Post.findById(fatimaPost._id);
+    expect(liked.likes).toHaveLength(0);
+    expect(liked.likesCount).toBe(0);
+    expect(liked.commentsCount).toBe(1);
+
+    expect(await Connection.countDocuments({})).toBe(0);
+  });
+
+  it('should remove content when asked to', async () => {
+    await deleteAccount({ password, contentAction: 'delete' });
+
+    await processAccountDeletions(await afterGracePeriod(ahmed.user._id));
+
+    expect(await Post.findById(ahmedPost._id)).toBeNull();
+    expect(await Comment.countDocuments({ post: fatimaPost._id })).toBe(0);
+
+    const post = await Post.findById(fatimaPost._id);
+    expect(post.commentsCount).toBe(0);
+    expect(post.likesCount).toBe(0);
+  });
+
+  it('should free the email for a new account after erasure', async () => {
+    await deleteAccount({ password });
+    await processAccountDeletions(await afterGracePeriod(ahmed.user._id));
+
+    await request(app)
+      .post('/api/auth/register')
+      .send({ fullName: 'Ahmed Hassan', email: 'ahmed@example.com', password, role: 'student', islamicProfile: 'student' })
+      .expect(201);
+  });
+
+  it('should anonymize reviews of the same imaam by several erased users', async () => {
+    const imaam = await registerUser({ fullName: 'Imam Abdullah', role: 'imaam', islamicProfile: 'imam' });
+    await Review.create({ imaam: imaam.user._id, student: ahmed.user._id, rating: 5 });
+    await Review.create({ imaam: imaam.user._id, student: fatima.user._id, rating: 3 });
+
+    await deleteAccount({ password });
+    await request(app)
+      .delete('/api/users/profile')
+      .set('Authorization', `Bearer ${fatima.token}`)
+      .send({ password });
+
+    const counts = await processAccountDeletions(await afterGracePeriod(fatima.user._id));
+    expect(counts.erased).toBe(2);
+
+    // The placeholder keeps one review of the imaam and the rating follows
+    const placeholder = await User.findOne({ systemAccount: 'deleted_user' });
+    const reviews = await Review.find({ imaam: imaam.user._id });
+    expect(reviews).toHaveLength(1);
+    expect(reviews[0].student.toString()).toBe(placeholder._id.toString());
+
+    const rated = await User.findById(imaam.user._id);
+    expect(rated.rating.count).toBe(1);
+  });
+
+  it('should not change counters twice when an erasure is retried', async () => {
+    await User.updateOne({ _id: fatima.user._id }, { connectionsCount: 1 });
+    await deleteAccount({ password });
+
+    const user = await User.findById(ahmed.user._id);
+    await eraseAccount(user);
+    await eraseAccount(user);
+
+    expect((await User.findById(fatima.user._id)).connectionsCount).toBe(0);
+  });
+
+  it('should hand over messages and leave conversations', async () => {
+    const bilal = await registerUser({ fullName: 'Bilal Ahmed' });
+    const maryam = await registerUser({ fullName: 'Maryam Yusuf' });
+
+    const direct = await Conversation.create({
+      type: 'direct',
+      participants: [ahmed.user._id, fatima.user._id],
+      createdBy: ahmed.user._id,
+      directKey: Conversation.getDirectKey(ahmed.user._id, fatima.user._id)
+    });
+    const group = await Conversation.create({
+      type: 'group',
+      participants: [ahmed.user._id, fatima.user._id, bilal.user._id, maryam.user._id],
+      createdBy: ahmed.user._id
+    });
+    const small = await Conversation.create({
+      type: 'group',
+      participants: [ahmed.user._id, fatima.user._id, bilal.user._id],
+      createdBy: fatima.user._id
+    });
+    for (const conversation of [direct, group, small]) {
+      await Message.create({ conversation: conversation._id, sender: ahmed.user._id, content: 'Assalamu alaikum' });
+    }
+
+    await deleteAccount({ password });
+    await processAccountDeletions(await afterGracePeriod(ahmed.user._id));
+
+    const placeholder = await User.findOne({ systemAccount: 'deleted_user' });
+
+    const directAfter = await Conversation.findById(direct._id);
+    expect(directAfter.participants.map(String)).toEqual([placeholder._id.toString(), fatima.user._id.toString()]);
+    expect(directAfter.directKey).toBeUndefined();
+
+    const groupAfter = await Conversation.findById(group._id);
+    expect(groupAfter.participants.map(String)).not.toContain(ahmed.user._id.toString());
+    expect(groupAfter.participantState.map(state => state.user.toString())).not.toContain(ahmed.user._id.toString());
+    expect(groupAfter.createdBy.toString()).toBe(placeholder._id.toString());
+
+    // Too few members are left for a group
+    expect(await Conversation.findById(small._id)).toBeNull();
+    expect(await Message.countDocuments({ conversation: small._id })).toBe(0);
+
+    const messages = await Message.find({ sender: placeholder._id });
+    expect(messages).toHaveLength(2);
+  });
+
+  it('should cancel lessons and bookings', async () => {
+    const imaam = await registerUser({ fullName: 'Imam Abdullah', role: 'imaam', islamicProfile: 'imam' });
+    const booked = await Lesson.create({
+      imaam: imaam.user._id,
+      title: 'Tajweed Basics',
+      startTime: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+      duration: 45,
+      attendees: [{ student: ahmed.user._id }]
+    });
+
+    await User.updateOne({ _id: ahmed.user._id }, { role: 'imaam' });
+    const taught = await Lesson.create({
+      imaam: ahmed.user._id,
+      title: 'Seerah Circle',
+      startTime: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+      duration: 60,
+      attendees: [{ student: fatima.user._id }]
+    });
+
+    await deleteAccount({ password, contentAction: 'delete' });
+    await processAccountDeletions(await afterGracePeriod(ahmed.user._id));
+
+    expect((await Lesson.findById(booked._id)).attendees).toHaveLength(0);
+    expect(await Lesson.findById(taught._id)).toBeNull();
+
+    const [notification] = await Notification.find({ recipient: fatima.user._id, type: 'lesson_update' });
+    expect(notification.title).toBe('Lesson Cancelled');
+  });
+
+  it('should remove reports, verification applications and queued emails', async () => {
+    await Report.create({
+      reporter: ahmed.user._id,
+      targetType: 'post',
+      target: fatimaPost._id,
+      targetAuthor: fatima.user._id,
+      reason: 'spam'
+    });
+    await Report.create({
+      reporter: fatima.user._id,
+      targetType: 'user',
+      target: ahmed.user._id,
+      targetAuthor: ahmed.user._id,
+      reason: 'harassment'
+    });
+    const postReport = await Report.create({
+      reporter: fatima.user._id,
+      targetType: 'post',
+      target: ahmedPost._id,
+      targetAuthor: ahmed.user._id,
+      reason: 'misinformation'
+    });
+    await VerificationApplication.create({
+      applicant: ahmed.user._id,
+      documents: [{ category: 'ijazah', url: 'ijazah.pdf' }]
+    });
+    await EmailMessage.create({ to: 'ahmed@example.com', template: 'lesson_reminder', subject: 'Lesson reminder' });
+
+    await deleteAccount({ password });
+    await processAccountDeletions(await afterGracePeriod(ahmed.user._id));
+
+    const placeholder = await User.findOne({ systemAccount: 'deleted_user' });
+    const reports = await Report.find({});
+    expect(reports.map(report => report._id.toString())).toEqual([postReport._id.toString()]);
+    expect(reports[0].targetAuthor.toString()).toBe(placeholder._id.toString());
+
+    expect(await VerificationApplication.countDocuments({})).toBe(0);
+    expect(await EmailMessage.countDocuments({ to: 'ahmed@example.com' })).toBe(0);
+  });
+});
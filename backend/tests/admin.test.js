@@ -0,0 +1,112 @@
+import request from 'supertest';
+import app from '../src/server.js';
+import Post from '../src/models/Post.js';
+import User from '../src/models/User.js';
+import AuditLog from '../src/models/AuditLog.js';
+import { registerUser } from './helpers.js';
+
+describe('Admin API', () => {
+  let admin;
+  let student;
+
+  beforeEach(async () => {
+    admin = await registerUser({ fullName: 'Site Admin', role: 'admin', islamicProfile: 'other' });
+    student = await registerUser({ fullName: 'Ahmed Ali' });
+  });
+
+  it('should reject non-admin users', async () => {
+    await request(app)
+      .get('/api/admin/stats')
+      .set('Authorization', `Bearer ${student.token}`)
+      .expect(403);
+  });
+
+  it('should suspend a user, block their access and audit the action', async () => {
+    await request(app)
+      .post(`/api/admin/users/${student.user._id}/suspend`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ reason: 'Spam' })
+      .expect(200);
+
+    await request(app)
+      .get('/api/users/profile')
+      .set('Authorization', `Bearer ${student.token}`)
+      .expect(401);
+
+    const entry = await AuditLog.findOne({ action: 'user.suspend' });
+    expect(entry.actor.toString()).toBe(admin.user._id);
+    expect(entry.targetId.toString()).toBe(student.user._id);
+    expect(entry.details.reason).toBe('Spam');
+  });
+
+  it('should reactivate a suspended user', async () => {
+    await request(app)
+      .post(`/api/admin/users/${student.user._id}/suspend`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ reason: 'Spam' });
+
+    await request(app)
+      .post(`/api/admin/users/${student.user._id}/reactivate`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .expect(200);
+
+    await request(app)
+      .get('/api/users/profile')
+      .set('Authorization', `Bearer ${student.token}`)
+      .expect(200);
+  });
+
+  it('should not let an admin change their own role', async () => {
+    await request(app)
+      .put(`/api/admin/users/${admin.user._id}/role`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ role: 'student' })
+      .expect(400);
+  });
+
+  it('should remove the verification when the role changes', async () => {
+    const imaam = await registerUser({ fullName: 'Imam Abdullah', role: 'imaam', islamicProfile: 'imam' });
+    await User.updateOne({ _id: imaam.user._id }, { isVerified: true });
+
+    await request(app)
+      .put(`/api/admin/users/${imaam.user._id}/role`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ role: 'student' })
+      .expect(200);
+
+    const response = await request(app)
+      .put(`/api/admin/users/${imaam.user._id}/role`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ role: 'imaam' })
+      .expect(200);
+
+    expect(response.body.data.isVerified).toBe(false);
+    expect((await User.findById(imaam.user._id)).isVerified).toBe(false);
+
+    const entry = await AuditLog.findOne({ action: 'user.role_change', 'details.to': 'student' });
+    expect(entry.details.verificationRevoked).toBe(true);
+  });
+
+  it('should feature a post', async () => {
+    const post = await Post.create({ author: student.user._id, content: 'Reflections on Surah Al-Asr' });
+
+    const response = await request(app)
+      .put(`/api/admin/posts/${post._id}/feature`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ isFeatured: true })
+      .expect(200);
+
+    expect(response.body.data.isFeatured).toBe(true);
+    expect(await AuditLog.countDocuments({ action: 'post.feature', targetId: post._id })).toBe(1);
+  });
+
+  it('should search users by name with regex characters escaped', async () => {
+    const response = await request(app)
+      .get('/api/admin/users')
+      .query({ q: 'Ahmed (' })
+      .set('Authorization', `Bearer ${admin.token}`)
+      .expect(200);
+
+    expect(response.body.data.users).toHaveLength(0);
+  });
+});
@@ -21,7 +21,7 @@ describe('Authentication Endpoints', () => {
       const userData = {
         fullName: 'Ahmed Hassan',
         email: 'ahmed@example.com',
-        password: 'password123',
+        password: 'Tajweed-2024!',
         role: 'student',
         islamicProfile: 'student',
         bio: 'I am passionate about learning Islamic knowledge'
@@ -45,7 +45,7 @@ describe('Authentication Endpoints', () => {
       const userData = {
         fullName: 'Ahmed Hassan',
         email: 'ahmed@example.com',
-        password: 'password123',
+        password: 'Tajweed-2024!',
         role: 'student',
         islamicProfile: 'student'
       };
@@ -85,7 +85,7 @@ describe('Authentication Endpoints', () => {
       const userData = {
         fullName: 'Ahmed Hassan',
         email: 'invalid-email',
-        password: 'password123',
+        password: 'Tajweed-2024!',
         role: 'student',
         islamicProfile: 'student'
       };
@@ -114,6 +114,37 @@ describe('Authentication Endpoints', () => {
 
       expect(response.body.success).toBe(false);
     });
+
+    it('should reject passwords without the required character classes', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({
+          fullName: 'Ahmed Hassan',
+          email: 'ahmed@example.com',
+          password: 'alllowercaseletters',
+          role: 'student',
+          islamicProfile: 'student'
+        })
+        .expect(400);
+
+      expect(response.body.errors).toContain('Password must contain at least one uppercase letter');
+      expect(response.body.errors).toContain('Password must contain at least one number');
+    });
+
+    it('should reject common passwords', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({
+          fullName: 'Ahmed Hassan',
+          email: 'ahmed@example.com',
+          password: 'Password123!',
+          role: 'student',
+          islamicProfile: 'student'
+        })
+        .expect(400);
+
+      expect(response.body.errors).toContain('Password is too common');
+    });
   });
 
   describe('POST /api/auth/login', () => {
@@ -122,7 +153,7 @@ describe('Authentication Endpoints', () => {
       const userData = {
         fullName: 'Ahmed Hassan',
         email: 'ahmed@example.com',
-        password: 'password123',
+        password: 'Tajweed-2024!',
         role: 'student',
         islamicProfile: 'student'
       };
@@ -135,7 +166,7 @@ describe('Authentication Endpoints', () => {
     it('should login user with valid credentials', async () => {
       const loginData = {
         email: 'ahmed@example.com',
-        password: 'password123'
+        password: 'Tajweed-2024!'
       };
 
       const response = await request(app)
@@ -153,7 +184,7 @@ describe('Authentication Endpoints', () => {
     it('should not login with invalid email', async () => {
       const loginData = {
         email: 'wrong@example.com',
-        password: 'password123'
+        password: 'Tajweed-2024!'
       };
 
       const response = await request(app)
@@ -199,7 +230,7 @@ describe('Authentication Endpoints', () => {
       const userData = {
         fullName: 'Ahmed Hassan',
         email: 'ahmed@example.com',
-        password: 'password123',
+        password: 'Tajweed-2024!',
         role: 'student',
         islamicProfile: 'student'
       };
@@ -219,6 +250,32 @@ describe('Authentication Endpoints', () => {
 
       expect(response.body.success).toBe(true);
       expect(response.body.data).toHaveProperty('token');
+      expect(response.body.data.refreshToken).not.toBe(refreshToken);
+    });
+
+    it('should revoke the session when a rotated refresh token is reused', async () => {
+      const rotated = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(200);
+
+      // Replaying the old token signs out the whole session
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+
+      expect(response.body.message).toBe('Refresh token has been revoked. Please login again.');
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: rotated.body.data.refreshToken })
+        .expect(401);
+
+      await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${rotated.body.data.token}`)
+        .expect(401);
     });
 
     it('should not refresh token with invalid refresh token', async () => {
@@ -250,7 +307,7 @@ describe('Authentication Endpoints', () => {
       const userData = {
         fullName: 'Ahmed Hassan',
         email: 'ahmed@example.com',
-        password: 'password123',
+        password: 'Tajweed-2024!',
         role: 'student',
         islamicProfile: 'student'
       };
@@ -270,6 +327,14 @@ describe('Authentication Endpoints', () => {
 
       expect(response.body.success).toBe(true);
       expect(response.body.message).toBe('Logout successful');
+
+      // The access token stops working once its session is signed out
+      const revoked = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401);
+
+      expect(revoked.body.message).toBe('Session has been revoked. Please login again.');
     });
 
     it('should not logout without token', async () => {
@@ -281,4 +346,132 @@ describe('Authentication Endpoints', () => {
       expect(response.body.message).toBe('Access denied. No token provided.');
     });
   });
+
+  describe('Sessions', () => {
+    const credentials = { email: 'ahmed@example.com', password: 'Tajweed-2024!' };
+    let phone;
+    let laptop;
+
+    beforeEach(async () => {
+      await request(app)
+        .post('/api/auth/register')
+        .send({ ...credentials, fullName: 'Ahmed Hassan', role: 'student', islamicProfile: 'student' });
+
+      phone = (await request(app).post('/api/auth/login').send(credentials)).body.data;
+      laptop = (await request(app).post('/api/auth/login').send(credentials)).body.data;
+    });
+
+    it('should list active sessions and mark the current one', async () => {
+      const response = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${phone.token}`)
+        .expect(200);
+
+      // Registration also started a session
+      expect(response.body.data).toHaveLength(3);
+      expect(response.body.data.filter(session => session.current)).toHaveLength(1);
+    });
+
+    it('should sign out another session', async () => {
+      const sessions = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${laptop.token}`);
+      const current = sessions.body.data.find(session => session.current);
+
+      await request(app)
+        .delete(`/api/auth/sessions/${current._id}`)
+        .set('Authorization', `Bearer ${phone.token}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${laptop.token}`)
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: laptop.refreshToken })
+        .expect(401);
+    });
+
+    it('should sign out every other session', async () => {
+      const response = await request(app)
+        .delete('/api/auth/sessions')
+        .query({ keepCurrent: true })
+        .set('Authorization', `Bearer ${phone.token}`)
+        .expect(200);
+
+      expect(response.body.data.revoked).toBe(2);
+
+      await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${phone.token}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${laptop.token}`)
+        .expect(401);
+    });
+  });
+
+  describe('POST /api/auth/change-password', () => {
+    const credentials = { email: 'ahmed@example.com', password: 'Tajweed-2024!' };
+    let phone;
+    let laptop;
+
+    beforeEach(async () => {
+      phone = (await request(app)
+        .post('/api/auth/register')
+        .send({ ...credentials, fullName: 'Ahmed Hassan', role: 'student', islamicProfile: 'student' })).body.data;
+      laptop = (await request(app).post('/api/auth/login').send(credentials)).body.data;
+    });
+
+    const changePassword = (token, currentPassword, newPassword) => request(app)
+      .post('/api/auth/change-password')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ currentPassword, newPassword });
+
+    it('should change the password and sign out other sessions', async () => {
+      const response = await changePassword(phone.token, credentials.password, 'Qiraat-Fajr-1446')
+        .expect(200);
+
+      expect(response.body.data.revoked).toBe(1);
+
+      await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${phone.token}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${laptop.token}`)
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ ...credentials, password: 'Qiraat-Fajr-1446' })
+        .expect(200);
+    });
+
+    it('should require the current password', async () => {
+      await changePassword(phone.token, 'Wrong-Password-1', 'Qiraat-Fajr-1446')
+        .expect(401);
+    });
+
+    it('should reject recently used passwords', async () => {
+      await changePassword(phone.token, credentials.password, 'Qiraat-Fajr-1446')
+        .expect(200);
+
+      const response = await changePassword(phone.token, 'Qiraat-Fajr-1446', credentials.password)
+        .expect(400);
+
+      expect(response.body.message).toBe('Password was used recently, please choose a different one');
+    });
+
+    it('should apply the password policy to the new password', async () => {
+      await changePassword(phone.token, credentials.password, 'short')
+        .expect(400);
+    });
+  });
 });
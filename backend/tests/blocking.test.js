@@ -0,0 +1,184 @@
+import request from 'supertest';
+import app from '../src/server.js';
+import User from '../src/models/User.js';
+import Post from '../src/models/Post.js';
+import Connection from '../src/models/Connection.js';
+import Follow from '../src/models/Follow.js';
+import Notification from '../src/models/Notification.js';
+import { registerUser } from './helpers.js';
+
+describe('Blocking and muting', () => {
+  let ahmed;
+  let fatima;
+  let fatimaPost;
+
+  beforeEach(async () => {
+    ahmed = await registerUser({ fullName: 'Ahmed Hassan' });
+    fatima = await registerUser({ fullName: 'Fatima Zahra' });
+    fatimaPost = await Post.create({ author: fatima.user._id, content: 'Reflections on surah Yasin' });
+  });
+
+  const block = (blocker, target) => request(app)
+    .post(`/api/users/${target.user._id}/block`)
+    .set('Authorization', `Bearer ${blocker.token}`);
+
+  const mute = (muter, target) => request(app)
+    .post(`/api/users/${target.user._id}/mute`)
+    .set('Authorization', `Bearer ${muter.token}`);
+
+  const feedIds = async (viewer) => {
+    const response = await request(app)
+      .get('/api/posts/feed')
+      .set('Authorization', `Bearer ${viewer.token}`)
+      .expect(200);
+    return response.body.data.posts.map(post => post._id);
+  };
+
+  describe('Block', () => {
+    it('should hide posts both ways', async () => {
+      await block(fatima, ahmed).expect(200);
+
+      await request(app)
+        .get(`/api/posts/${fatimaPost._id}`)
+        .set('Authorization', `Bearer ${ahmed.token}`)
+        .expect(404);
+
+      const response = await request(app)
+        .get('/api/posts')
+        .set('Authorization', `Bearer ${ahmed.token}`)
+        .expect(200);
+      expect(response.body.data.posts).toHaveLength(0);
+    });
+
+    it('should stop comments, likes and follows', async () => {
+      await block(fatima, ahmed).expect(200);
+
+      await request(app)
+        .post('/api/comments')
+        .set('Authorization', `Bearer ${ahmed.token}`)
+        .send({ post: fatimaPost._id, content: 'JazakAllah khair' })
+        .expect(404);
+      await request(app)
+        .post(`/api/posts/${fatimaPost._id}/like`)
+        .set('Authorization', `Bearer ${ahmed.token}`)
+        .expect(404);
+      await request(app)
+        .post(`/api/users/${fatima.user._id}/follow`)
+        .set('Authorization', `Bearer ${ahmed.token}`)
+        .expect(404);
+    });
+
+    it('should hide comments of a blocked user', async () => {
+      const comment = await request(app)
+        .post('/api/comments')
+        .set('Authorization', `Bearer ${ahmed.token}`)
+        .send({ post: fatimaPost._id, content: 'JazakAllah khair' })
+        .expect(201);
+
+      await block(fatima, ahmed).expect(200);
+
+      const response = await request(app)
+        .get(`/api/comments/post/${fatimaPost._id}`)
+        .set('Authorization', `Bearer ${fatima.token}`)
+        .expect(200);
+      expect(response.body.data).toHaveLength(0);
+
+      await request(app)
+        .get(`/api/comments/${comment.body.data._id}`)
+        .set('Authorization', `Bearer ${fatima.token}`)
+        .expect(404);
+    });
+
+    it('should remove follows and block the connection', async () => {
+      await request(app)
+        .post(`/api/users/${fatima.user._id}/follow`)
+        .set('Authorization', `Bearer ${ahmed.token}`)
+        .expect(200);
+      await Connection.create({
+        requester: ahmed.user._id,
+        recipient: fatima.user._id,
+        type: 'mentor-mentee',
+        status: 'accepted'
+      });
+
+      await block(fatima, ahmed).expect(200);
+
+      expect(await Follow.countDocuments({})).toBe(0);
+      expect((await Connection.findOne({})).status).toBe('blocked');
+      expect((await User.findById(fatima.user._id)).followersCount).toBe(0);
+      expect((await User.findById(ahmed.user._id)).connectionsCount).toBe(0);
+    });
+
+    it('should not notify a user who blocked the sender', async () => {
+      await block(ahmed, fatima).expect(200);
+
+      await Notification.createNotification({
+        recipient: ahmed.user._id,
+        sender: fatima.user._id,
+        type: 'post_like',
+        title: 'Post Liked',
+        message: 'Fatima Zahra liked your post'
+      });
+
+      expect(await Notification.countDocuments({ recipient: ahmed.user._id })).toBe(0);
+    });
+
+    it('should hide a blocked imaam from the imaam list', async () => {
+      const imaam = await registerUser({ fullName: 'Imam Abdullah', role: 'imaam', islamicProfile: 'imam' });
+      await User.updateOne({ _id: imaam.user._id }, { isVerified: true });
+
+      await block(ahmed, imaam).expect(200);
+
+      const response = await request(app)
+        .get('/api/imaam')
+        .set('Authorization', `Bearer ${ahmed.token}`)
+        .expect(200);
+      expect(response.body.data.imaam).toHaveLength(0);
+
+      await request(app)
+        .post(`/api/imaam/${imaam.user._id}/connect`)
+        .set('Authorization', `Bearer ${ahmed.token}`)
+        .expect(404);
+    });
+
+    it('should show posts again after unblocking', async () => {
+      await block(fatima, ahmed).expect(200);
+
+      await request(app)
+        .delete(`/api/users/${ahmed.user._id}/block`)
+        .set('Authorization', `Bearer ${fatima.token}`)
+        .expect(200);
+
+      await request(app)
+        .get(`/api/posts/${fatimaPost._id}`)
+        .set('Authorization', `Bearer ${ahmed.token}`)
+        .expect(200);
+    });
+  });
+
+  describe('Mute', () => {
+    it('should hide posts from the feed only', async () => {
+      expect(await feedIds(ahmed)).toContain(fatimaPost._id.toString());
+
+      await mute(ahmed, fatima).expect(200);
+
+      expect(await feedIds(ahmed)).not.toContain(fatimaPost._id.toString());
+      await request(app)
+        .get(`/api/posts/${fatimaPost._id}`)
+        .set('Authorization', `Bearer ${ahmed.token}`)
+        .expect(200);
+    });
+
+    it('should not tell the muted user', async () => {
+      await mute(ahmed, fatima).expect(200);
+
+      expect(await Notification.countDocuments({ recipient: fatima.user._id })).toBe(0);
+
+      const muted = await request(app)
+        .get('/api/users/profile/muted')
+        .set('Authorization', `Bearer ${ahmed.token}`)
+        .expect(200);
+      expect(muted.body.data.users.map(user => user._id)).toEqual([fatima.user._id]);
+    });
+  });
+});
@@ -0,0 +1,65 @@
+import request from 'supertest';
+import app from '../src/server.js';
+import Connection from '../src/models/Connection.js';
+import { registerUser } from './helpers.js';
+
+describe('Conversations', () => {
+  let ahmed;
+  let fatima;
+  let bilal;
+
+  beforeEach(async () => {
+    ahmed = await registerUser({ fullName: 'Ahmed Hassan' });
+    fatima = await registerUser({ fullName: 'Fatima Ali' });
+    bilal = await registerUser({ fullName: 'Bilal Ahmed' });
+  });
+
+  const connect = (user1, user2) => Connection.create({
+    requester: user1.user._id,
+    recipient: user2.user._id,
+    type: 'peer',
+    status: 'accepted'
+  });
+
+  const startConversation = (user, others) => request(app)
+    .post('/api/conversations')
+    .set('Authorization', `Bearer ${user.token}`)
+    .send({ participants: others.map(other => other.user._id), title: 'Tajweed Study Circle' });
+
+  const sendMessage = (user, conversationId) => request(app)
+    .post(`/api/conversations/${conversationId}/messages`)
+    .set('Authorization', `Bearer ${user.token}`)
+    .send({ content: 'Assalamu Alaikum' });
+
+  it('should only start a group whose members are all connected', async () => {
+    await connect(ahmed, fatima);
+    await connect(ahmed, bilal);
+
+    // Fatima and Bilal do not know each other
+    await startConversation(ahmed, [fatima, bilal]).expect(403);
+
+    await connect(fatima, bilal);
+    const response = await startConversation(ahmed, [fatima, bilal]).expect(201);
+    expect(response.body.data.type).toBe('group');
+  });
+
+  it('should stop group messages once a member disconnects or blocks the sender', async () => {
+    await connect(ahmed, fatima);
+    await connect(ahmed, bilal);
+    const bilalAndFatima = await connect(fatima, bilal);
+
+    const conversation = await startConversation(ahmed, [fatima, bilal]).expect(201);
+    const conversationId = conversation.body.data._id;
+    await sendMessage(fatima, conversationId).expect(201);
+
+    await Connection.deleteOne({ _id: bilalAndFatima._id });
+    await sendMessage(fatima, conversationId).expect(403);
+    await sendMessage(ahmed, conversationId).expect(201);
+
+    await request(app)
+      .post(`/api/users/${ahmed.user._id}/block`)
+      .set('Authorization', `Bearer ${bilal.token}`)
+      .expect(200);
+    await sendMessage(ahmed, conversationId).expect(403);
+  });
+});
@@ -0,0 +1,133 @@
+import request from 'supertest';
+import app from '../src/server.js';
+import DataExport from '../src/models/DataExport.js';
+import Notification from '../src/models/Notification.js';
+import Post from '../src/models/Post.js';
+import { processDataExports } from '../src/jobs/dataExports.js';
+import { removeArchive, collectUserData } from '../src/utils/dataExport.js';
+import { registerUser } from './helpers.js';
+
+// Path and query of a signed link, whatever BACKEND_URL is
+const localPath = (url) => {
+  const { pathname, search } = new URL(url, 'http://localhost');
+  return `${pathname}${search}`;
+};
+
+// Collect a binary response body into a Buffer
+const binaryParser = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('Personal data export', () => {
+  let token;
+  let userId;
+
+  beforeEach(async () => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({
+        fullName: 'Ahmed Hassan',
+        email: 'ahmed@example.com',
+        password: 'Tajweed-2024!',
+        role: 'student',
+        islamicProfile: 'student'
+      });
+    token = response.body.data.token;
+    userId = response.body.data.user._id;
+
+    await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ content: 'Reflections on Surah Al-Kahf, "light between two Fridays"' });
+  });
+
+  afterEach(async () => {
+    const exports = await DataExport.find({ fileName: { $exists: true } }).select('+fileName');
+    await Promise.all(exports.map(dataExport => removeArchive(dataExport.fileName)));
+  });
+
+  const requestExport = () => request(app)
+    .post('/api/users/profile/export')
+    .set('Authorization', `Bearer ${token}`);
+
+  it('should build the archive in the background and notify the user', async () => {
+    const requested = await requestExport().expect(202);
+    expect(requested.body.data.status).toBe('pending');
+    expect(requested.body.data.downloadUrl).toBeUndefined();
+
+    const counts = await processDataExports();
+    expect(counts.built).toBe(1);
+
+    const status = await request(app)
+      .get('/api/users/profile/export')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    expect(status.body.data.status).toBe('ready');
+
+    const notification = await Notification.findOne({ type: 'data_export_ready' });
+    expect(notification.actionData.downloadUrl).toBe(status.body.data.downloadUrl);
+
+    const download = await request(app)
+      .get(localPath(status.body.data.downloadUrl))
+      .buffer(true)
+      .parse(binaryParser)
+      .expect(200);
+
+    expect(download.headers['content-type']).toBe('application/zip');
+    expect(download.body.subarray(0, 2).toString()).toBe('PK');
+    // File names are stored uncompressed in the archive directory
+    for (const name of ['profile.json', 'posts.csv', 'comments.json', 'likes.csv', 'connections.json', 'notifications.csv', 'images.json']) {
+      expect(download.body.includes(name)).toBe(true);
+    }
+  });
+
+  it('should only export the IDs of liked content', async () => {
+    const imaam = await registerUser({ fullName: 'Imam Abdullah', role: 'imaam', islamicProfile: 'imam' });
+    const likedAt = new Date('2024-03-01T10:00:00Z');
+    const post = await Post.create({
+      author: imaam.user._id,
+      content: 'Notes for my students only',
+      visibility: 'followers',
+      likes: [{ user: imaam.user._id }, { user: userId, likedAt }]
+    });
+
+    const { likes } = await collectUserData(userId);
+
+    expect(likes).toEqual([{ type: 'post', post: post._id, comment: undefined, likedAt }]);
+  });
+
+  it('should allow only one export in progress', async () => {
+    await requestExport().expect(202);
+    await requestExport().expect(409);
+  });
+
+  it('should reject tampered download links', async () => {
+    await requestExport();
+    await processDataExports();
+
+    const status = await request(app)
+      .get('/api/users/profile/export')
+      .set('Authorization', `Bearer ${token}`);
+    const url = new URL(status.body.data.downloadUrl, 'http://localhost');
+    url.searchParams.set('expires', String(Number(url.searchParams.get('expires')) + 3600));
+
+    await request(app)
+      .get(`${url.pathname}${url.search}`)
+      .expect(403);
+  });
+
+  it('should delete archives once they expire', async () => {
+    await requestExport();
+    await processDataExports();
+
+    const dataExport = await DataExport.findOne();
+    const counts = await processDataExports(new Date(dataExport.expiresAt.getTime() + 1000));
+    expect(counts.expired).toBe(1);
+
+    const expired = await DataExport.findById(dataExport._id).select('+fileName');
+    expect(expired.status).toBe('expired');
+    expect(expired.fileName).toBeUndefined();
+  });
+});
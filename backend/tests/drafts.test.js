@@ -0,0 +1,148 @@
+import request from 'supertest';
+import app from '../src/server.js';
+import Post from '../src/models/Post.js';
+import { publishScheduledPosts } from '../src/jobs/scheduledPosts.js';
+import { registerUser } from './helpers.js';
+
+const inHours = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000);
+
+describe('Drafts and scheduled posts', () => {
+  let imaam;
+  let student;
+
+  beforeEach(async () => {
+    imaam = await registerUser({ fullName: 'Imam Abdullah', role: 'imaam', islamicProfile: 'imam' });
+    student = await registerUser({ fullName: 'Ahmed Hassan' });
+  });
+
+  const createPost = (body) => request(app)
+    .post('/api/posts')
+    .set('Authorization', `Bearer ${imaam.token}`)
+    .send(body);
+
+  const postIds = async (user) => {
+    const response = await request(app)
+      .get('/api/posts')
+      .set('Authorization', `Bearer ${user.token}`)
+      .expect(200);
+    return response.body.data.posts.map(post => post._id);
+  };
+
+  it('should keep drafts private to their author', async () => {
+    const draft = await createPost({ status: 'draft' }).expect(201);
+    expect(draft.body.data.status).toBe('draft');
+
+    expect(await postIds(student)).toHaveLength(0);
+    await request(app)
+      .get(`/api/posts/${draft.body.data._id}`)
+      .set('Authorization', `Bearer ${student.token}`)
+      .expect(404);
+    await request(app)
+      .get(`/api/posts/${draft.body.data._id}`)
+      .set('Authorization', `Bearer ${imaam.token}`)
+      .expect(200);
+
+    const drafts = await request(app)
+      .get('/api/posts/drafts')
+      .set('Authorization', `Bearer ${imaam.token}`)
+      .expect(200);
+    expect(drafts.body.data.drafts.map(post => post._id)).toEqual([draft.body.data._id]);
+  });
+
+  it('should autosave a draft and publish it', async () => {
+    const draft = await createPost({ status: 'draft' }).expect(201);
+    const id = draft.body.data._id;
+
+    await request(app)
+      .post(`/api/posts/${id}/publish`)
+      .set('Authorization', `Bearer ${imaam.token}`)
+      .expect(400);
+
+    await request(app)
+      .patch(`/api/posts/${id}/autosave`)
+      .set('Authorization', `Bearer ${imaam.token}`)
+      .send({ content: 'Reflections on the last ten nights' })
+      .expect(200);
+    await request(app)
+      .patch(`/api/posts/${id}/autosave`)
+      .set('Authorization', `Bearer ${student.token}`)
+      .send({ content: 'Edited' })
+      .expect(403);
+
+    await request(app)
+      .post(`/api/posts/${id}/publish`)
+      .set('Authorization', `Bearer ${imaam.token}`)
+      .expect(200);
+
+    expect(await postIds(student)).toEqual([id]);
+    const post = await Post.findById(id);
+    expect(post.content).toBe('Reflections on the last ten nights');
+    // Written when the draft was started, published now
+    expect(post.createdAt.toISOString()).toBe(draft.body.data.createdAt);
+    expect(post.publishedAt.getTime()).toBeGreaterThan(post.createdAt.getTime());
+  });
+
+  it('should publish scheduled posts when they are due', async () => {
+    const scheduled = await createPost({
+      content: 'Tajweed class starts next week, insha Allah',
+      type: 'announcement',
+      publishAt: inHours(2)
+    }).expect(201);
+    expect(scheduled.body.data.status).toBe('scheduled');
+    await createPost({ content: 'Eid khutbah notes', publishAt: inHours(24) }).expect(201);
+
+    const timeline = await request(app)
+      .get('/api/posts/scheduled?type=announcement')
+      .set('Authorization', `Bearer ${imaam.token}`)
+      .expect(200);
+    expect(timeline.body.data.posts.map(post => post._id)).toEqual([scheduled.body.data._id]);
+
+    expect(await publishScheduledPosts(new Date())).toBe(0);
+    expect(await postIds(student)).toHaveLength(0);
+
+    expect(await publishScheduledPosts(inHours(3))).toBe(1);
+    expect(await postIds(student)).toEqual([scheduled.body.data._id]);
+  });
+
+  it('should reject a publish time in the past', async () => {
+    await createPost({ content: 'Jumuah reminder', publishAt: inHours(-1) }).expect(400);
+  });
+
+  it('should move a scheduled post back to drafts', async () => {
+    const scheduled = await createPost({ content: 'Ramadan timetable', publishAt: inHours(2) }).expect(201);
+
+    await request(app)
+      .post(`/api/posts/${scheduled.body.data._id}/unschedule`)
+      .set('Authorization', `Bearer ${imaam.token}`)
+      .expect(200);
+
+    expect(await publishScheduledPosts(inHours(3))).toBe(0);
+    expect((await Post.findById(scheduled.body.data._id)).status).toBe('draft');
+  });
+
+  it('should archive and unarchive a post', async () => {
+    const post = await createPost({ content: 'Halaqah summary' }).expect(201);
+    const id = post.body.data._id;
+
+    await request(app)
+      .post(`/api/posts/${id}/archive`)
+      .set('Authorization', `Bearer ${imaam.token}`)
+      .expect(200);
+    expect(await postIds(student)).toHaveLength(0);
+
+    await request(app)
+      .post(`/api/posts/${id}/unarchive`)
+      .set('Authorization', `Bearer ${imaam.token}`)
+      .expect(200);
+    expect(await postIds(student)).toEqual([id]);
+  });
+
+  it('should not unarchive a post hidden by moderation', async () => {
+    const post = await Post.create({ author: imaam.user._id, content: 'Reported post', status: 'hidden' });
+
+    await request(app)
+      .post(`/api/posts/${post._id}/unarchive`)
+      .set('Authorization', `Bearer ${imaam.token}`)
+      .expect(400);
+  });
+});
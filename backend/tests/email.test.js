@@ -0,0 +1,143 @@
+import request from 'supertest';
+import app from '../src/server.js';
+import User from '../src/models/User.js';
+import EmailMessage, { EMAIL_MAX_ATTEMPTS } from '../src/models/EmailMessage.js';
+import { setEmailTransport } from '../src/utils/email.js';
+import { processEmailOutbox } from '../src/jobs/emailOutbox.js';
+
+// Transport that keeps delivered messages instead of sending them
+const createCapturingTransport = () => {
+  const sent = [];
+  return {
+    sent,
+    sendMail: async (message) => {
+      sent.push(message);
+      return { messageId: `<${sent.length}@test>` };
+    }
+  };
+};
+
+const linkToken = (message) => message.text.match(/token=([a-f0-9]+)/)[1];
+
+describe('Email outbox', () => {
+  let transport;
+  let user;
+
+  beforeEach(async () => {
+    transport = createCapturingTransport();
+    setEmailTransport(transport);
+
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({
+        fullName: 'Ahmed Hassan',
+        email: 'ahmed@example.com',
+        password: 'Tajweed-2024!',
+        role: 'student',
+        islamicProfile: 'student'
+      });
+    user = response.body.data.user;
+  });
+
+  afterAll(() => {
+    setEmailTransport(null);
+  });
+
+  it('should send welcome and verification emails on registration', async () => {
+    const counts = await processEmailOutbox();
+
+    expect(counts.sent).toBe(2);
+    expect(transport.sent.map(message => message.subject)).toEqual([
+      'Welcome to DeenVerse!',
+      'Verify Your Email - DeenVerse'
+    ]);
+
+    // Bodies with one-time links are not kept once sent
+    const stored = await EmailMessage.findOne({ template: 'verify_email' });
+    expect(stored.status).toBe('sent');
+    expect(stored.text).toBeUndefined();
+  });
+
+  it('should verify the email with the emailed token', async () => {
+    await processEmailOutbox();
+    const verification = transport.sent.find(message => message.subject.startsWith('Verify'));
+
+    await request(app)
+      .post('/api/auth/verify-email')
+      .send({ token: linkToken(verification) })
+      .expect(200);
+
+    const updated = await User.findById(user._id);
+    expect(updated.isEmailVerified).toBe(true);
+    // Email verification is not Imaam verification
+    expect(updated.isVerified).toBe(false);
+  });
+
+  it('should email the reset link without returning it', async () => {
+    const response = await request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email: 'ahmed@example.com' })
+      .expect(200);
+
+    expect(JSON.stringify(response.body)).not.toMatch(/token|reset-password/i);
+
+    await processEmailOutbox();
+    const reset = transport.sent.find(message => message.subject.startsWith('Password Reset'));
+
+    await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token: linkToken(reset), password: 'Qiraat-Fajr-1446' })
+      .expect(200);
+  });
+
+  it('should give the same answer for unknown emails', async () => {
+    const response = await request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email: 'nobody@example.com' })
+      .expect(200);
+
+    expect(response.body.message).toBe('If an account exists for that email, a password reset link has been sent');
+    expect(await EmailMessage.countDocuments({ template: 'password_reset' })).toBe(0);
+  });
+
+  it('should retry failed deliveries with backoff', async () => {
+    setEmailTransport({
+      sendMail: async () => {
+        throw new Error('Connection refused');
+      }
+    });
+
+    const now = new Date();
+    const counts = await processEmailOutbox(now);
+    expect(counts.failed).toBe(2);
+
+    const message = await EmailMessage.findOne({ template: 'welcome' });
+    expect(message.status).toBe('pending');
+    expect(message.attempts).toBe(1);
+    expect(message.lastError).toBe('Connection refused');
+    expect(message.nextAttemptAt.getTime()).toBeGreaterThan(now.getTime());
+
+    // Not retried before the backoff has passed
+    setEmailTransport(transport);
+    expect((await processEmailOutbox(now)).sent).toBe(0);
+    expect((await processEmailOutbox(new Date(now.getTime() + 2 * 60 * 1000))).sent).toBe(2);
+  });
+
+  it('should drop the bodies of messages that are given up on', async () => {
+    setEmailTransport({
+      sendMail: async () => {
+        throw new Error('Mailbox unavailable');
+      }
+    });
+    await EmailMessage.updateMany({}, { attempts: EMAIL_MAX_ATTEMPTS - 1 });
+
+    await processEmailOutbox(new Date());
+
+    const message = await EmailMessage.findOne({ template: 'verify_email' });
+    expect(message.status).toBe('failed');
+    expect(message.failedAt).toBeInstanceOf(Date);
+    expect(message.lastError).toBe('Mailbox unavailable');
+    expect(message.text).toBeUndefined();
+    expect(message.html).toBeUndefined();
+  });
+});
@@ -0,0 +1,139 @@
+import request from 'supertest';
+import app from '../src/server.js';
+import Post, { FEED_MAX_POSTS } from '../src/models/Post.js';
+import Connection from '../src/models/Connection.js';
+import Follow from '../src/models/Follow.js';
+import FeedSnapshot from '../src/models/FeedSnapshot.js';
+import { registerUser } from './helpers.js';
+
+const HOUR = 60 * 60 * 1000;
+
+describe('Feed', () => {
+  let ahmed;
+  let imaam;
+  let stranger;
+
+  beforeEach(async () => {
+    ahmed = await registerUser({ fullName: 'Ahmed Hassan' });
+    imaam = await registerUser({ fullName: 'Imam Abdullah', role: 'imaam', islamicProfile: 'imam' });
+    stranger = await registerUser({ fullName: 'Bilal Ahmed' });
+
+    // Ahmed follows Bilal without being connected
+    await Follow.create({ follower: ahmed.user._id, following: stranger.user._id });
+  });
+
+  const getFeed = (user, query = {}) => request(app)
+    .get('/api/posts/feed')
+    .query(query)
+    .set('Authorization', `Bearer ${user.token}`);
+
+  const createPost = (author, fields = {}) => Post.create({
+    author: author.user._id,
+    content: 'Reminder to read surah Kahf',
+    ...fields
+  });
+
+  const ids = (response) => response.body.data.posts.map(post => post._id);
+
+  it('should rank by connection, engagement and recency', async () => {
+    await Connection.create({
+      requester: ahmed.user._id,
+      recipient: imaam.user._id,
+      type: 'student-teacher',
+      status: 'accepted'
+    });
+
+    const old = await createPost(stranger, { createdAt: new Date(Date.now() - 48 * HOUR) });
+    const quiet = await createPost(stranger, { createdAt: new Date(Date.now() - HOUR) });
+    const popular = await createPost(stranger, { createdAt: new Date(Date.now() - HOUR) });
+    const teacher = await createPost(imaam, { createdAt: new Date(Date.now() - HOUR) });
+    await Post.updateOne({ _id: popular._id }, { likesCount: 3 });
+
+    const response = await getFeed(ahmed).expect(200);
+
+    expect(ids(response)).toEqual([teacher, popular, quiet, old].map(post => post._id.toString()));
+    expect(response.body.data.pagination.hasNext).toBe(false);
+    expect(response.body.data.pagination.nextCursor).toBeNull();
+  });
+
+  it('should page through the first ranking while scores change', async () => {
+    const posts = [];
+    for (let hours = 1; hours <= 5; hours++) {
+      posts.push(await createPost(stranger, { createdAt: new Date(Date.now() - hours * HOUR) }));
+    }
+
+    const first = await getFeed(ahmed, { limit: 2 }).expect(200);
+    expect(ids(first)).toEqual(posts.slice(0, 2).map(post => post._id.toString()));
+
+    // The last post becomes the most popular, and a new post arrives
+    await Post.updateOne({ _id: posts[4]._id }, { likesCount: 500, commentsCount: 100 });
+    await createPost(stranger);
+
+    const seen = [...ids(first)];
+    let cursor = first.body.data.pagination.nextCursor;
+    while (cursor) {
+      const page = await getFeed(ahmed, { limit: 2, cursor }).expect(200);
+      seen.push(...ids(page));
+      cursor = page.body.data.pagination.nextCursor;
+    }
+
+    expect(seen).toEqual(posts.map(post => post._id.toString()));
+  });
+
+  it('should leave out posts that are no longer visible', async () => {
+    const posts = [];
+    for (let hours = 1; hours <= 3; hours++) {
+      posts.push(await createPost(stranger, { createdAt: new Date(Date.now() - hours * HOUR) }));
+    }
+
+    const first = await getFeed(ahmed, { limit: 2 }).expect(200);
+    await Post.updateOne({ _id: posts[2]._id }, { visibility: 'private' });
+
+    const second = await getFeed(ahmed, { limit: 2, cursor: first.body.data.pagination.nextCursor }).expect(200);
+    expect(ids(second)).toEqual([]);
+    expect(second.body.data.pagination.hasNext).toBe(false);
+  });
+
+  it('should only rank posts from the user\'s network', async () => {
+    const outsider = await registerUser({ fullName: 'Yusuf Ali' });
+    await createPost(outsider);
+    const followed = await createPost(stranger);
+
+    const response = await getFeed(ahmed).expect(200);
+    expect(ids(response)).toEqual([followed._id.toString()]);
+  });
+
+  it('should rank the next posts once the first ranking is used up', async () => {
+    const now = Date.now();
+    await Post.insertMany(Array.from({ length: FEED_MAX_POSTS + 5 }, (_, i) => ({
+      author: stranger.user._id,
+      content: `Daily reminder ${i}`,
+      createdAt: new Date(now - (i + 1) * 60 * 1000)
+    })));
+
+    const seen = [];
+    let cursor;
+    do {
+      const page = await getFeed(ahmed, { limit: 50, ...(cursor && { cursor }) }).expect(200);
+      seen.push(...ids(page));
+      cursor = page.body.data.pagination.nextCursor;
+    } while (cursor);
+
+    expect(seen).toHaveLength(FEED_MAX_POSTS + 5);
+    expect(new Set(seen).size).toBe(FEED_MAX_POSTS + 5);
+  });
+
+  it('should reject cursors that are malformed, expired or of another user', async () => {
+    await createPost(stranger);
+    await createPost(stranger);
+
+    const first = await getFeed(ahmed, { limit: 1 }).expect(200);
+    const { nextCursor } = first.body.data.pagination;
+
+    await getFeed(ahmed, { cursor: 'not-a-cursor' }).expect(400);
+    await getFeed(stranger, { cursor: nextCursor }).expect(400);
+
+    await FeedSnapshot.deleteMany({});
+    await getFeed(ahmed, { cursor: nextCursor }).expect(400);
+  });
+});
@@ -0,0 +1,122 @@
+import request from 'supertest';
+import app from '../src/server.js';
+import User from '../src/models/User.js';
+import Post from '../src/models/Post.js';
+import Connection from '../src/models/Connection.js';
+import Follow from '../src/models/Follow.js';
+import { registerUser } from './helpers.js';
+
+const getCounts = async (user) => {
+  const doc = await User.findById(user.user._id);
+  return { followers: doc.followersCount, following: doc.followingCount };
+};
+
+describe('Follows', () => {
+  let ahmed;
+  let fatima;
+
+  beforeEach(async () => {
+    ahmed = await registerUser({ fullName: 'Ahmed Hassan' });
+    fatima = await registerUser({ fullName: 'Fatima Zahra' });
+  });
+
+  const follow = (follower, target) => request(app)
+    .post(`/api/users/${target.user._id}/follow`)
+    .set('Authorization', `Bearer ${follower.token}`);
+
+  it('should follow instantly without creating a connection', async () => {
+    await follow(ahmed, fatima).expect(200);
+
+    expect(await Follow.countDocuments({ follower: ahmed.user._id, following: fatima.user._id })).toBe(1);
+    expect(await Connection.countDocuments({})).toBe(0);
+    expect(await getCounts(ahmed)).toEqual({ followers: 0, following: 1 });
+    expect(await getCounts(fatima)).toEqual({ followers: 1, following: 0 });
+  });
+
+  it('should not follow twice or follow yourself', async () => {
+    await follow(ahmed, fatima).expect(200);
+    await follow(ahmed, fatima).expect(400);
+    await follow(ahmed, ahmed).expect(400);
+
+    expect(await getCounts(fatima)).toEqual({ followers: 1, following: 0 });
+  });
+
+  it('should keep following one-way', async () => {
+    await follow(ahmed, fatima).expect(200);
+
+    const followers = await request(app)
+      .get(`/api/users/${fatima.user._id}/followers`)
+      .set('Authorization', `Bearer ${ahmed.token}`)
+      .expect(200);
+    expect(followers.body.data.followers.map(user => user._id)).toEqual([ahmed.user._id]);
+
+    const following = await request(app)
+      .get(`/api/users/${fatima.user._id}/following`)
+      .set('Authorization', `Bearer ${ahmed.token}`)
+      .expect(200);
+    expect(following.body.data.following).toHaveLength(0);
+  });
+
+  it('should unfollow and update the counters', async () => {
+    await follow(ahmed, fatima).expect(200);
+
+    await request(app)
+      .delete(`/api/users/${fatima.user._id}/unfollow`)
+      .set('Authorization', `Bearer ${ahmed.token}`)
+      .expect(200);
+
+    expect(await getCounts(ahmed)).toEqual({ followers: 0, following: 0 });
+    expect(await getCounts(fatima)).toEqual({ followers: 0, following: 0 });
+
+    await request(app)
+      .delete(`/api/users/${fatima.user._id}/unfollow`)
+      .set('Authorization', `Bearer ${ahmed.token}`)
+      .expect(404);
+  });
+
+  it('should not show followers-only posts to followers who are not connected', async () => {
+    const fatimaPost = await Post.create({ author: fatima.user._id, content: 'Notes on surah Al-Kahf', visibility: 'followers' });
+    const publicPost = await Post.create({ author: fatima.user._id, content: 'Reminder to read surah Al-Kahf' });
+
+    await follow(ahmed, fatima).expect(200);
+
+    await request(app)
+      .get(`/api/posts/${fatimaPost._id}`)
+      .set('Authorization', `Bearer ${ahmed.token}`)
+      .expect(404);
+
+    const feed = await request(app)
+      .get('/api/posts/feed')
+      .set('Authorization', `Bearer ${ahmed.token}`)
+      .expect(200);
+    expect(feed.body.data.posts.map(post => post._id)).toEqual([publicPost._id.toString()]);
+
+    // An accepted connection grants access
+    await Connection.create({
+      requester: ahmed.user._id,
+      recipient: fatima.user._id,
+      type: 'peer',
+      status: 'accepted',
+      acceptedAt: new Date()
+    });
+
+    await request(app)
+      .get(`/api/posts/${fatimaPost._id}`)
+      .set('Authorization', `Bearer ${ahmed.token}`)
+      .expect(200);
+  });
+
+  it('should count accepted connections separately', async () => {
+    await Connection.create({
+      requester: ahmed.user._id,
+      recipient: fatima.user._id,
+      type: 'mentor-mentee',
+      status: 'accepted',
+      acceptedAt: new Date()
+    });
+
+    const user = await User.findById(ahmed.user._id);
+    expect(user.connectionsCount).toBe(1);
+    expect(user.followingCount).toBe(0);
+  });
+});
@@ -0,0 +1,333 @@
+import request from 'supertest';
+import app from '../src/server.js';
+import User from '../src/models/User.js';
+import Connection from '../src/models/Connection.js';
+import Conversation from '../src/models/Conversation.js';
+import Lesson from '../src/models/Lesson.js';
+import Post from '../src/models/Post.js';
+import Follow from '../src/models/Follow.js';
+import GuardianApproval from '../src/models/GuardianApproval.js';
+import { registerUser, TEST_PASSWORD as password } from './helpers.js';
+
+const login = async (email) => {
+  const response = await request(app)
+    .post('/api/auth/login')
+    .send({ email, password });
+  return response.body.data;
+};
+
+// Date of birth for someone the given number of years old
+const yearsAgo = (years) => {
+  const date = new Date();
+  date.setUTCFullYear(date.getUTCFullYear() - years);
+  return date.toISOString().slice(0, 10);
+};
+
+describe('Guardian accounts', () => {
+  let guardian;
+  let imaam;
+  let child;
+
+  beforeEach(async () => {
+    guardian = await registerUser({
+      fullName: 'Maryam Hassan',
+      email: 'maryam@example.com',
+      role: 'guardian',
+      dateOfBirth: yearsAgo(40)
+    });
+    imaam = await registerUser({ fullName: 'Imam Abdullah', role: 'imaam', islamicProfile: 'imam' });
+    await User.updateOne({ _id: imaam.user._id }, { isVerified: true });
+
+    await request(app)
+      .post('/api/guardian/children')
+      .set('Authorization', `Bearer ${guardian.token}`)
+      .send({ fullName: 'Yusuf Hassan', email: 'yusuf@example.com', password, dateOfBirth: yearsAgo(10) })
+      .expect(201);
+    child = await login('yusuf@example.com');
+  });
+
+  const approve = (approvalId) => request(app)
+    .post(`/api/guardian/approvals/${approvalId}/approve`)
+    .set('Authorization', `Bearer ${guardian.token}`);
+
+  it('should not let minors register themselves', async () => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ fullName: 'Ali Khan', email: 'ali@example.com', password, role: 'student', dateOfBirth: yearsAgo(12) })
+      .expect(403);
+
+    expect(response.body.message).toBe('Users under 18 must be registered by a parent or guardian');
+  });
+
+  it('should list the child accounts of a guardian only', async () => {
+    const response = await request(app)
+      .get('/api/guardian/children')
+      .set('Authorization', `Bearer ${guardian.token}`)
+      .expect(200);
+
+    expect(response.body.data).toHaveLength(1);
+    expect(response.body.data[0].guardian).toBe(guardian.user._id);
+
+    await request(app)
+      .get('/api/guardian/children')
+      .set('Authorization', `Bearer ${child.token}`)
+      .expect(403);
+  });
+
+  it('should only show public profile fields of a child to other users', async () => {
+    const response = await request(app)
+      .get(`/api/users/${child.user._id}`)
+      .set('Authorization', `Bearer ${imaam.token}`)
+      .expect(200);
+
+    expect(response.body.data.fullName).toBe('Yusuf Hassan');
+    for (const field of ['email', 'dateOfBirth', 'guardian', 'isChild', 'loginSecurity', 'twoFactor', 'deletion']) {
+      expect(response.body.data).not.toHaveProperty(field);
+    }
+
+    const admin = await registerUser({ fullName: 'Site Admin', role: 'admin', islamicProfile: 'other' });
+    const full = await request(app)
+      .get(`/api/users/${child.user._id}`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .expect(200);
+    expect(full.body.data.guardian).toBe(guardian.user._id);
+  });
+
+  it('should link an existing student once they accept', async () => {
+    const student = await registerUser({ fullName: 'Zainab Ali', email: 'zainab@example.com' });
+
+    await request(app)
+      .post('/api/guardian/children/link')
+      .set('Authorization', `Bearer ${guardian.token}`)
+      .send({ email: 'zainab@example.com' })
+      .expect(200);
+
+    expect((await User.findById(student.user._id)).guardian).toBeNull();
+
+    await request(app)
+      .post('/api/users/profile/guardian/accept')
+      .set('Authorization', `Bearer ${student.token}`)
+      .expect(200);
+
+    const linked = await User.findById(student.user._id);
+    expect(linked.guardian.toString()).toBe(guardian.user._id);
+  });
+
+  it('should apply the child rules to a linked account', async () => {
+    const student = await registerUser({ fullName: 'Zainab Ali', email: 'zainab@example.com' });
+    const peer = await registerUser({ fullName: 'Ahmed Hassan' });
+
+    const post = await Post.create({ author: student.user._id, content: 'My hifz journal', visibility: 'public' });
+    await request(app)
+      .post(`/api/users/${peer.user._id}/follow`)
+      .set('Authorization', `Bearer ${student.token}`)
+      .expect(200);
+    await Connection.create({ requester: student.user._id, recipient: imaam.user._id, type: 'student-teacher', status: 'accepted' });
+    await Connection.create({ requester: student.user._id, recipient: peer.user._id, type: 'peer', status: 'accepted' });
+
+    await request(app)
+      .post('/api/guardian/children/link')
+      .set('Authorization', `Bearer ${guardian.token}`)
+      .send({ email: 'zainab@example.com' })
+      .expect(200);
+    await request(app)
+      .post('/api/users/profile/guardian/accept')
+      .set('Authorization', `Bearer ${student.token}`)
+      .expect(200);
+
+    expect((await Post.findById(post._id)).visibility).toBe('followers');
+    expect(await Follow.countDocuments({})).toBe(0);
+    expect((await User.findById(peer.user._id)).followersCount).toBe(0);
+
+    const connections = await Connection.find({ requester: student.user._id });
+    expect(connections.map(connection => connection.recipient.toString())).toEqual([imaam.user._id]);
+    expect((await User.findById(student.user._id)).connectionsCount).toBe(1);
+    expect((await User.findById(peer.user._id)).connectionsCount).toBe(0);
+  });
+
+  it('should only link student accounts', async () => {
+    const teacher = await registerUser({ fullName: 'Ustadh Bilal', email: 'bilal@example.com' });
+
+    await request(app)
+      .post('/api/guardian/children/link')
+      .set('Authorization', `Bearer ${guardian.token}`)
+      .send({ email: 'bilal@example.com' })
+      .expect(200);
+
+    // The role changed after the request was sent
+    await User.updateOne({ _id: teacher.user._id }, { role: 'imaam' });
+
+    await request(app)
+      .post('/api/users/profile/guardian/accept')
+      .set('Authorization', `Bearer ${teacher.token}`)
+      .expect(400);
+
+    const user = await User.findById(teacher.user._id);
+    expect(user.guardian).toBeNull();
+    expect(user.guardianRequest?.guardian).toBeUndefined();
+  });
+
+  it('should send a connection request only after the guardian approves', async () => {
+    const response = await request(app)
+      .post(`/api/imaam/${imaam.user._id}/connect`)
+      .set('Authorization', `Bearer ${child.token}`)
+      .send({ message: 'I would like to learn tajweed' })
+      .expect(202);
+
+    expect(await Connection.countDocuments({})).toBe(0);
+
+    await approve(response.body.data._id).expect(200);
+
+    const connection = await Connection.findOne({ requester: child.user._id });
+    expect(connection.recipient.toString()).toBe(imaam.user._id);
+    expect(connection.status).toBe('pending');
+
+    // A decision is only taken once
+    await approve(response.body.data._id).expect(404);
+  });
+
+  it('should book a lesson only after the guardian approves', async () => {
+    await Connection.create({
+      requester: child.user._id,
+      recipient: imaam.user._id,
+      type: 'student-teacher',
+      status: 'accepted'
+    });
+    const lesson = await Lesson.create({
+      imaam: imaam.user._id,
+      title: 'Tajweed for beginners',
+      startTime: new Date(Date.now() + 24 * 60 * 60 * 1000),
+      duration: 60,
+      capacity: 1
+    });
+
+    const response = await request(app)
+      .post(`/api/lessons/${lesson._id}/book`)
+      .set('Authorization', `Bearer ${child.token}`)
+      .expect(202);
+
+    expect((await Lesson.findById(lesson._id)).attendees).toHaveLength(0);
+
+    await approve(response.body.data._id).expect(200);
+
+    const booked = await Lesson.findById(lesson._id);
+    expect(booked.attendees[0].student.toString()).toBe(child.user._id);
+  });
+
+  it('should move a booking only after the guardian approves', async () => {
+    const createLesson = (days) => Lesson.create({
+      imaam: imaam.user._id,
+      title: 'Tajweed for beginners',
+      startTime: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+      duration: 60,
+      attendees: [{ student: child.user._id }]
+    });
+    const current = await createLesson(1);
+    const target = await createLesson(2);
+    await Lesson.updateOne({ _id: target._id }, { attendees: [] });
+
+    const reschedule = () => request(app)
+      .post(`/api/lessons/${current._id}/reschedule`)
+      .set('Authorization', `Bearer ${child.token}`)
+      .send({ lessonId: target._id });
+
+    // Booking needs a connection with the imaam, and so does moving it
+    await reschedule().expect(403);
+
+    await Connection.create({
+      requester: child.user._id,
+      recipient: imaam.user._id,
+      type: 'student-teacher',
+      status: 'accepted'
+    });
+
+    const response = await reschedule().expect(202);
+    expect(response.body.data.rescheduleFrom).toBe(current._id.toString());
+    await reschedule().expect(400);
+
+    // The current seat is kept until the guardian decides
+    expect((await Lesson.findById(current._id)).attendees).toHaveLength(1);
+    expect((await Lesson.findById(target._id)).attendees).toHaveLength(0);
+
+    await approve(response.body.data._id).expect(200);
+
+    expect((await Lesson.findById(current._id)).attendees).toHaveLength(0);
+    const moved = await Lesson.findById(target._id);
+    expect(moved.attendees[0].student.toString()).toBe(child.user._id);
+  });
+
+  it('should decline requests without acting on them', async () => {
+    const response = await request(app)
+      .post(`/api/imaam/${imaam.user._id}/connect`)
+      .set('Authorization', `Bearer ${child.token}`)
+      .expect(202);
+
+    await request(app)
+      .post(`/api/guardian/approvals/${response.body.data._id}/reject`)
+      .set('Authorization', `Bearer ${guardian.token}`)
+      .expect(200);
+
+    expect(await Connection.countDocuments({})).toBe(0);
+    expect((await GuardianApproval.findById(response.body.data._id)).status).toBe('rejected');
+  });
+
+  it('should limit children to messaging imaams and let the guardian read along', async () => {
+    const peer = await registerUser({ fullName: 'Bilal Ahmed' });
+    for (const other of [imaam, peer]) {
+      await Connection.create({
+        requester: child.user._id,
+        recipient: other.user._id,
+        type: 'peer',
+        status: 'accepted'
+      });
+    }
+
+    await request(app)
+      .post('/api/conversations')
+      .set('Authorization', `Bearer ${child.token}`)
+      .send({ participants: [peer.user._id] })
+      .expect(403);
+
+    const conversation = await request(app)
+      .post('/api/conversations')
+      .set('Authorization', `Bearer ${child.token}`)
+      .send({ participants: [imaam.user._id] })
+      .expect(201);
+    await request(app)
+      .post(`/api/conversations/${conversation.body.data._id}/messages`)
+      .set('Authorization', `Bearer ${child.token}`)
+      .send({ content: 'Assalamu Alaikum, can we practise surah Al-Mulk?' })
+      .expect(201);
+
+    const response = await request(app)
+      .get(`/api/guardian/children/${child.user._id}/conversations/${conversation.body.data._id}/messages`)
+      .set('Authorization', `Bearer ${guardian.token}`)
+      .expect(200);
+
+    expect(response.body.data.messages).toHaveLength(1);
+    expect(await Conversation.countDocuments({})).toBe(1);
+  });
+
+  it('should not let children post publicly', async () => {
+    await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${child.token}`)
+      .send({ content: 'I finished Juz Amma today', visibility: 'public' })
+      .expect(403);
+
+    const response = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${child.token}`)
+      .send({ content: 'I finished Juz Amma today' })
+      .expect(201);
+
+    expect(response.body.data.visibility).toBe('followers');
+  });
+
+  it('should keep minors linked to their guardian', async () => {
+    await request(app)
+      .delete(`/api/guardian/children/${child.user._id}`)
+      .set('Authorization', `Bearer ${guardian.token}`)
+      .expect(400);
+  });
+});
@@ -0,0 +1,35 @@
+import request from 'supertest';
+import app from '../src/server.js';
+
+// Password of every test account; strong enough for the password policy
+export const TEST_PASSWORD = 'Tajweed-2024!';
+
+/**
+ * Register an account through the API
+ * @param {Object} overrides - Registration fields to change, e.g. fullName or role
+ * @param {Object} options - userAgent to register with
+ * @returns {Promise<Object>} user, token and refreshToken
+ */
+export const registerUser = async (overrides = {}, { userAgent } = {}) => {
+  const userData = {
+    fullName: 'Test User',
+    email: `user${Date.now()}${Math.random().toString(36).slice(2, 7)}@example.com`,
+    password: TEST_PASSWORD,
+    role: 'student',
+    islamicProfile: 'student',
+    ...overrides
+  };
+
+  let registration = request(app).post('/api/auth/register');
+  if (userAgent) {
+    registration = registration.set('User-Agent', userAgent);
+  }
+
+  const response = await registration.send(userData);
+
+  return {
+    user: response.body.data.user,
+    token: response.body.data.token,
+    refreshToken: response.body.data.refreshToken
+  };
+};
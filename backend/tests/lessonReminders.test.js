@@ -0,0 +1,93 @@
+import User from '../src/models/User.js';
+import Lesson from '../src/models/Lesson.js';
+import Notification from '../src/models/Notification.js';
+import EmailMessage from '../src/models/EmailMessage.js';
+import { sendDueLessonReminders } from '../src/jobs/lessonReminders.js';
+import { registerUser } from './helpers.js';
+
+const MINUTE = 60 * 1000;
+
+describe('Lesson reminders', () => {
+  let imaam;
+  let student;
+  let now;
+
+  beforeEach(async () => {
+    imaam = await registerUser({ fullName: 'Imam Abdullah', role: 'imaam', islamicProfile: 'imam' });
+    student = await registerUser({ fullName: 'Ahmed Hassan' });
+    now = new Date();
+  });
+
+  const createLesson = (startsIn, fields = {}) => Lesson.create({
+    imaam: imaam.user._id,
+    title: 'Tajweed Basics',
+    startTime: new Date(now.getTime() + startsIn * MINUTE),
+    duration: 45,
+    attendees: [{ student: student.user._id }],
+    ...fields
+  });
+
+  const reminders = (user) => Notification.find({ recipient: user.user._id, type: 'lesson_reminder' });
+  const reminderEmails = () => EmailMessage.find({ template: 'lesson_reminder' });
+
+  it('should remind the imaam and booked students once', async () => {
+    const lesson = await createLesson(30);
+
+    expect(await sendDueLessonReminders(now)).toBe(1);
+
+    const [notification] = await reminders(student);
+    expect(notification.message).toBe('"Tajweed Basics" starts in 30 minutes');
+    expect(notification.relatedEntity.toString()).toBe(lesson._id.toString());
+    expect(await reminders(imaam)).toHaveLength(1);
+    expect(await reminderEmails()).toHaveLength(2);
+
+    // The lesson is claimed, so running again sends nothing
+    expect(await sendDueLessonReminders(new Date(now.getTime() + MINUTE))).toBe(0);
+    expect(await reminders(student)).toHaveLength(1);
+    expect((await Lesson.findById(lesson._id)).reminderSentAt).toEqual(now);
+  });
+
+  it('should skip lessons that are not due, cancelled or already started', async () => {
+    await createLesson(3 * 60);
+    await createLesson(30, { status: 'cancelled' });
+    await createLesson(-5);
+
+    expect(await sendDueLessonReminders(now)).toBe(0);
+    expect(await Notification.countDocuments({ type: 'lesson_reminder' })).toBe(0);
+  });
+
+  it('should wait for the first booking before reminding', async () => {
+    const lesson = await createLesson(30, { attendees: [] });
+
+    expect(await sendDueLessonReminders(now)).toBe(0);
+    expect(await reminders(imaam)).toHaveLength(0);
+    expect((await Lesson.findById(lesson._id)).reminderSentAt).toBeNull();
+
+    // Booked inside the lead time, reminded on the next run
+    await Lesson.bookSeat(lesson._id, student.user._id);
+    const later = new Date(now.getTime() + MINUTE);
+
+    expect(await sendDueLessonReminders(later)).toBe(1);
+    expect(await reminders(student)).toHaveLength(1);
+    expect(await reminders(imaam)).toHaveLength(1);
+  });
+
+  it('should respect email preferences and skip deactivated users', async () => {
+    await User.updateOne({ _id: student.user._id }, { 'preferences.notifications.email': false });
+    const other = await registerUser({ fullName: 'Bilal Ahmed' });
+    await User.updateOne({ _id: other.user._id }, { isActive: false });
+
+    await createLesson(30, {
+      capacity: 2,
+      attendees: [{ student: student.user._id }, { student: other.user._id }]
+    });
+
+    expect(await sendDueLessonReminders(now)).toBe(1);
+    expect(await reminders(student)).toHaveLength(1);
+    expect(await reminders(other)).toHaveLength(0);
+
+    // Only the imaam gets an email
+    const emails = await reminderEmails();
+    expect(emails.map(email => email.to)).toEqual([imaam.user.email]);
+  });
+});
@@ -0,0 +1,94 @@
+import request from 'supertest';
+import app from '../src/server.js';
+import User from '../src/models/User.js';
+import Notification from '../src/models/Notification.js';
+import { registerUser, TEST_PASSWORD as password } from './helpers.js';
+
+const laptop = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) Firefox/131.0';
+const phone = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) Safari/604.1';
+
+const login = (account, attempt = password, userAgent = laptop) => request(app)
+  .post('/api/auth/login')
+  .set('User-Agent', userAgent)
+  .send({ email: account.user.email, password: attempt });
+
+describe('Login security', () => {
+  let student;
+
+  beforeEach(async () => {
+    student = await registerUser({ fullName: 'Curious Student' }, { userAgent: laptop });
+  });
+
+  it('should lock the account after repeated failed attempts', async () => {
+    for (let i = 0; i < 4; i++) {
+      await login(student, 'wrong-password').expect(401);
+    }
+
+    const locked = await login(student, 'wrong-password').expect(423);
+    expect(locked.body.message).toMatch(/Account is locked/);
+
+    // Even the right password is refused while locked
+    await login(student).expect(423);
+
+    const user = await User.findById(student.user._id);
+    expect(user.loginSecurity.lockCount).toBe(1);
+    expect(user.loginSecurity.lockedUntil.getTime()).toBeGreaterThan(Date.now() + 14 * 60 * 1000);
+  });
+
+  it('should double the lockout each time in a row', async () => {
+    for (let i = 0; i < 5; i++) {
+      await login(student, 'wrong-password');
+    }
+
+    // Let the first lock run out
+    await User.updateOne({ _id: student.user._id }, { 'loginSecurity.lockedUntil': new Date(Date.now() - 1000) });
+
+    for (let i = 0; i < 5; i++) {
+      await login(student, 'wrong-password');
+    }
+
+    const user = await User.findById(student.user._id);
+    expect(user.loginSecurity.lockCount).toBe(2);
+    expect(user.loginSecurity.lockedUntil.getTime()).toBeGreaterThan(Date.now() + 29 * 60 * 1000);
+  });
+
+  it('should reset the counter after a successful sign-in', async () => {
+    for (let i = 0; i < 4; i++) {
+      await login(student, 'wrong-password');
+    }
+    await login(student).expect(200);
+    await login(student, 'wrong-password').expect(401);
+  });
+
+  it('should reject an invalid unlock token', async () => {
+    await request(app)
+      .post('/api/auth/unlock')
+      .send({ token: 'not-a-real-token' })
+      .expect(400);
+  });
+
+  it('should list sign-in attempts', async () => {
+    await login(student, 'wrong-password');
+    await login(student);
+
+    const response = await request(app)
+      .get('/api/auth/login-events')
+      .set('Authorization', `Bearer ${student.token}`)
+      .expect(200);
+
+    const { events } = response.body.data;
+    // Newest first: the sign-in, the failure, then registration
+    expect(events).toHaveLength(3);
+    expect(events[0].success).toBe(true);
+    expect(events[1]).toMatchObject({ success: false, failureReason: 'invalid_password' });
+    expect(events[0].deviceHash).toBeUndefined();
+  });
+
+  it('should notify about sign-ins from a new device only', async () => {
+    await login(student).expect(200);
+    expect(await Notification.countDocuments({ recipient: student.user._id, type: 'security_alert' })).toBe(0);
+
+    await login(student, password, phone).expect(200);
+    expect(await Notification.countDocuments({ recipient: student.user._id, type: 'security_alert' })).toBe(1);
+  });
+});
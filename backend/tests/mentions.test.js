@@ -0,0 +1,166 @@
+import request from 'supertest';
+import app from '../src/server.js';
+import User from '../src/models/User.js';
+import Post from '../src/models/Post.js';
+import Notification from '../src/models/Notification.js';
+import { registerUser } from './helpers.js';
+
+describe('Mentions and hashtags', () => {
+  let imaam;
+  let ahmed;
+
+  beforeEach(async () => {
+    imaam = await registerUser({ fullName: 'Imam Abdullah', role: 'imaam', islamicProfile: 'imam' });
+    ahmed = await registerUser({ fullName: 'Ahmed Hassan' });
+  });
+
+  const createPost = (body) => request(app)
+    .post('/api/posts')
+    .set('Authorization', `Bearer ${imaam.token}`)
+    .send(body);
+
+  const mentionCount = (user) => Notification.countDocuments({ recipient: user.user._id, type: 'mention' });
+
+  it('should give every user a unique handle', async () => {
+    const namesake = await registerUser({ fullName: 'Ahmed Hassan' });
+
+    expect(ahmed.user.handle).toBe('ahmedhassan');
+    expect(namesake.user.handle).toMatch(/^ahmedhassan\d+$/);
+
+    await request(app)
+      .put('/api/users/profile')
+      .set('Authorization', `Bearer ${namesake.token}`)
+      .send({ handle: 'AhmedHassan' })
+      .expect(400);
+
+    const response = await request(app)
+      .get('/api/users/handle/ahmedhassan')
+      .set('Authorization', `Bearer ${imaam.token}`)
+      .expect(200);
+    expect(response.body.data._id).toBe(ahmed.user._id);
+  });
+
+  it('should resolve mentions and notify the mentioned user', async () => {
+    const response = await createPost({ content: 'Welcome @ahmedhassan and @nobody to the class' }).expect(201);
+
+    expect(response.body.data.mentions).toEqual([{ user: ahmed.user._id, handle: 'ahmedhassan' }]);
+    expect(response.body.data.formattedContent).toBe(
+      `Welcome <a href="/users/${ahmed.user._id}" class="mention">@ahmedhassan</a> and @nobody to the class`
+    );
+    expect(await mentionCount(ahmed)).toBe(1);
+
+    // Editing does not notify again for the same mention
+    await request(app)
+      .put(`/api/posts/${response.body.data._id}`)
+      .set('Authorization', `Bearer ${imaam.token}`)
+      .send({ content: 'Welcome @ahmedhassan to the Tajweed class' })
+      .expect(200);
+    expect(await mentionCount(ahmed)).toBe(1);
+  });
+
+  it('should escape the formatted content', async () => {
+    const response = await createPost({ content: '<img src=x onerror=alert(1)> #Tajweed' }).expect(201);
+
+    expect(response.body.data.formattedContent).toBe(
+      '&lt;img src=x onerror=alert(1)&gt; <a href="/tags/tajweed" class="hashtag">#Tajweed</a>'
+    );
+  });
+
+  it('should not notify users who cannot see the post or blocked the author', async () => {
+    await createPost({ content: 'Private note for @ahmedhassan', visibility: 'private' }).expect(201);
+    expect(await mentionCount(ahmed)).toBe(0);
+
+    await request(app)
+      .post(`/api/users/${imaam.user._id}/block`)
+      .set('Authorization', `Bearer ${ahmed.token}`)
+      .expect(200);
+    await createPost({ content: 'JazakAllah khair @ahmedhassan' }).expect(201);
+    expect(await mentionCount(ahmed)).toBe(0);
+  });
+
+  it('should notify mentions in drafts once they are published', async () => {
+    const draft = await createPost({ content: 'Draft for @ahmedhassan', status: 'draft' }).expect(201);
+    expect(await mentionCount(ahmed)).toBe(0);
+
+    await request(app)
+      .post(`/api/posts/${draft.body.data._id}/publish`)
+      .set('Authorization', `Bearer ${imaam.token}`)
+      .send({})
+      .expect(200);
+    expect(await mentionCount(ahmed)).toBe(1);
+  });
+
+  it('should notify mentions in comments', async () => {
+    const post = await Post.create({ author: ahmed.user._id, content: 'Question about wudu' });
+
+    const response = await request(app)
+      .post('/api/comments')
+      .set('Authorization', `Bearer ${ahmed.token}`)
+      .send({ post: post._id, content: '@imamabdullah could you answer this?' })
+      .expect(201);
+
+    expect(response.body.data.mentions[0].user).toBe(imaam.user._id);
+    const notification = await Notification.findOne({ recipient: imaam.user._id, type: 'mention' });
+    expect(notification.message).toBe('Ahmed Hassan mentioned you in a comment');
+  });
+
+  it('should add hashtags to the tags and list posts by tag', async () => {
+    const created = await createPost({ content: 'Preparing for #Ramadan', tags: ['fasting'] }).expect(201);
+    expect(created.body.data.tags).toEqual(['fasting', 'ramadan']);
+
+    const edited = await request(app)
+      .put(`/api/posts/${created.body.data._id}`)
+      .set('Authorization', `Bearer ${imaam.token}`)
+      .send({ content: 'Preparing for #Itikaf' })
+      .expect(200);
+    expect(edited.body.data.tags).toEqual(['fasting', 'itikaf']);
+
+    await Post.create({ author: imaam.user._id, content: 'Private #itikaf notes', visibility: 'private' });
+
+    const response = await request(app)
+      .get('/api/tags/Itikaf')
+      .set('Authorization', `Bearer ${ahmed.token}`)
+      .expect(200);
+    expect(response.body.data.tag).toBe('itikaf');
+    expect(response.body.data.posts.map(post => post._id)).toEqual([created.body.data._id]);
+
+    const ramadan = await request(app)
+      .get('/api/tags/ramadan')
+      .set('Authorization', `Bearer ${ahmed.token}`)
+      .expect(200);
+    expect(ramadan.body.data.posts).toHaveLength(0);
+  });
+
+  it('should read hashtags in any script and keep mentions to whole handles', async () => {
+    const response = await createPost({ content: 'تذكير #رمضان_كريم و #قُرْآن with #Café, not email@ahmedhassan or @ahmedhassané' }).expect(201);
+
+    expect(response.body.data.tags).toEqual(['رمضان_كريم', 'قُرْآن', 'café']);
+    expect(response.body.data.mentions).toEqual([]);
+    expect(response.body.data.formattedContent).toContain(
+      `<a href="/tags/${encodeURIComponent('رمضان_كريم')}" class="hashtag">#رمضان_كريم</a>`
+    );
+
+    const tagged = await request(app)
+      .get(`/api/tags/${encodeURIComponent('قُرْآن')}`)
+      .set('Authorization', `Bearer ${ahmed.token}`)
+      .expect(200);
+    expect(tagged.body.data.posts.map(post => post._id)).toEqual([response.body.data._id]);
+  });
+
+  it('should only add hashtags up to the tag limit', async () => {
+    const hashtags = Array.from({ length: 15 }, (_, index) => `#juz${index + 1}`).join(' ');
+    const response = await createPost({ content: `Khatm plan ${hashtags}`, tags: ['quran', 'khatm'] }).expect(201);
+
+    expect(response.body.data.tags).toHaveLength(10);
+    expect(response.body.data.tags.slice(0, 3)).toEqual(['quran', 'khatm', 'juz1']);
+  });
+
+  it('should give existing users a handle when they are saved', async () => {
+    await User.updateOne({ _id: ahmed.user._id }, { $unset: { handle: 1 } });
+
+    const user = await User.findById(ahmed.user._id);
+    await user.save();
+
+    expect(user.handle).toBe('ahmedhassan');
+  });
+});
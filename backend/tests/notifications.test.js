@@ -0,0 +1,217 @@
+import http from 'http';
+import request from 'supertest';
+import app from '../src/server.js';
+import Notification from '../src/models/Notification.js';
+import { generateChallengeToken } from '../src/middleware/auth.js';
+import { hasClients } from '../src/utils/notificationStream.js';
+import { registerUser } from './helpers.js';
+
+// Open the event stream on a real socket and collect frames until `until` returns true
+const readStream = (server, path, until) => new Promise((resolve, reject) => {
+  const { port } = server.address();
+  let body = '';
+
+  const req = http.get({ port, path }, (res) => {
+    if (res.statusCode !== 200) {
+      res.resume();
+      req.destroy();
+      return resolve({ status: res.statusCode, body });
+    }
+
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => {
+      body += chunk;
+      if (until(body)) {
+        req.destroy();
+        resolve({ status: res.statusCode, body });
+      }
+    });
+  });
+
+  req.on('error', reject);
+});
+
+describe('Notifications', () => {
+  let ahmed;
+  let fatima;
+
+  beforeEach(async () => {
+    ahmed = await registerUser({ fullName: 'Ahmed Hassan' });
+    fatima = await registerUser({ fullName: 'Fatima Ali' });
+  });
+
+  const notify = (recipient, title = 'New Follower') => Notification.createNotification({
+    recipient: recipient.user._id,
+    sender: fatima.user._id,
+    type: 'new_follower',
+    title,
+    message: 'Fatima Ali started following you'
+  });
+
+  it('should list notifications and keep the unread count', async () => {
+    const first = await notify(ahmed);
+    await notify(ahmed, 'Another Follower');
+
+    const list = await request(app)
+      .get('/api/notifications')
+      .set('Authorization', `Bearer ${ahmed.token}`)
+      .expect(200);
+    expect(list.body.data.notifications).toHaveLength(2);
+    expect(list.body.data.unreadCount).toBe(2);
+
+    const read = await request(app)
+      .put(`/api/notifications/${first._id}/read`)
+      .set('Authorization', `Bearer ${ahmed.token}`)
+      .expect(200);
+    expect(read.body.data.unreadCount).toBe(1);
+
+    // Other users cannot touch the notification
+    await request(app)
+      .put(`/api/notifications/${first._id}/read`)
+      .set('Authorization', `Bearer ${fatima.token}`)
+      .expect(404);
+
+    await request(app)
+      .put('/api/notifications/read-all')
+      .set('Authorization', `Bearer ${ahmed.token}`)
+      .expect(200);
+
+    const count = await request(app)
+      .get('/api/notifications/unread-count')
+      .set('Authorization', `Bearer ${ahmed.token}`)
+      .expect(200);
+    expect(count.body.data.unreadCount).toBe(0);
+  });
+
+  it('should only accept stream tickets for the stream', async () => {
+    const response = await request(app)
+      .post('/api/notifications/stream/ticket')
+      .set('Authorization', `Bearer ${ahmed.token}`)
+      .expect(201);
+    const { ticket, expiresIn } = response.body.data;
+    expect(expiresIn).toBe(60);
+
+    // A ticket is not an access token
+    await request(app)
+      .get('/api/notifications')
+      .set('Authorization', `Bearer ${ticket}`)
+      .expect(401);
+
+    // Nor is a two-factor challenge
+    await request(app)
+      .get('/api/notifications')
+      .set('Authorization', `Bearer ${generateChallengeToken(ahmed.user._id, 'login')}`)
+      .expect(401);
+
+    await request(app)
+      .get('/api/notifications/stream?ticket=not-a-ticket')
+      .expect(401);
+  });
+
+  it('should stop accepting tickets once the session is signed out', async () => {
+    const response = await request(app)
+      .post('/api/notifications/stream/ticket')
+      .set('Authorization', `Bearer ${ahmed.token}`)
+      .expect(201);
+
+    await request(app)
+      .post('/api/auth/logout')
+      .set('Authorization', `Bearer ${ahmed.token}`)
+      .expect(200);
+
+    await request(app)
+      .get(`/api/notifications/stream?ticket=${response.body.data.ticket}`)
+      .expect(401);
+  });
+
+  describe('event stream', () => {
+    let server;
+
+    beforeEach((done) => {
+      server = app.listen(0, done);
+    });
+
+    afterEach((done) => {
+      server.close(done);
+    });
+
+    it('should not accept the access token in the URL', async () => {
+      const result = await readStream(server, `/api/notifications/stream?token=${ahmed.token}`, () => true);
+      expect(result.status).toBe(401);
+    });
+
+    it('should open the stream with a ticket and push new notifications', async () => {
+      await notify(ahmed);
+
+      const response = await request(app)
+        .post('/api/notifications/stream/ticket')
+        .set('Authorization', `Bearer ${ahmed.token}`)
+        .expect(201);
+
+      const stream = readStream(
+        server,
+        `/api/notifications/stream?ticket=${response.body.data.ticket}`,
+        (body) => body.includes('event: notification') && body.endsWith('\n\n')
+      );
+
+      // Wait until the stream is registered before creating the next notification
+      while (!hasClients(ahmed.user._id)) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+      }
+      await notify(ahmed, 'Another Follower');
+
+      const { status, body } = await stream;
+      expect(status).toBe(200);
+      expect(body).toContain('event: ready\ndata: {"unreadCount":1}');
+      expect(body).toContain('"title":"Another Follower"');
+      expect(body).toContain('"unreadCount":2');
+    });
+
+    // Open a stream of a user and wait until it is registered
+    const openStream = async (user) => {
+      const response = await request(app)
+        .post('/api/notifications/stream/ticket')
+        .set('Authorization', `Bearer ${user.token}`)
+        .expect(201);
+
+      const stream = readStream(
+        server,
+        `/api/notifications/stream?ticket=${response.body.data.ticket}`,
+        (body) => body.includes('event: session_ended') && body.endsWith('\n\n')
+      );
+
+      while (!hasClients(user.user._id)) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+      }
+      return stream;
+    };
+
+    it('should close the stream when its session signs out', async () => {
+      const stream = await openStream(ahmed);
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${ahmed.token}`)
+        .expect(200);
+
+      const { body } = await stream;
+      expect(body).toContain('event: session_ended\ndata: {"reason":"logout"}');
+      expect(hasClients(ahmed.user._id)).toBe(false);
+    });
+
+    it('should close the streams of a suspended user', async () => {
+      const admin = await registerUser({ fullName: 'Site Admin', role: 'admin', islamicProfile: 'other' });
+      const stream = await openStream(ahmed);
+
+      await request(app)
+        .post(`/api/admin/users/${ahmed.user._id}/suspend`)
+        .set('Authorization', `Bearer ${admin.token}`)
+        .send({ reason: 'Spam' })
+        .expect(200);
+
+      const { body } = await stream;
+      expect(body).toContain('event: session_ended\ndata: {"reason":"suspended"}');
+      expect(hasClients(ahmed.user._id)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+import request from 'supertest';
+import app from '../src/server.js';
+import Post from '../src/models/Post.js';
+import { registerUser } from './helpers.js';
+
+const imageUrl = (name) => `https://res.cloudinary.com/deenverse/image/upload/v1712345678/post-images/${name}.jpg`;
+
+describe('Post images', () => {
+  let ahmed;
+  let post;
+
+  beforeEach(async () => {
+    ahmed = await registerUser({ fullName: 'Ahmed Hassan' });
+    post = await Post.create({
+      author: ahmed.user._id,
+      content: 'Graduation of our hifz class',
+      images: [
+        { url: imageUrl('class'), alt: 'Students reciting', caption: 'Saturday class' },
+        { url: imageUrl('certificates'), alt: 'Certificates' }
+      ]
+    });
+  });
+
+  it('should reject more images than the limit before uploading', async () => {
+    let req = request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${ahmed.token}`)
+      .field('content', 'Photos from the Eid gathering');
+    for (let i = 0; i < 5; i++) {
+      req = req.attach('images', Buffer.from('image'), `eid-${i}.png`);
+    }
+
+    const response = await req.expect(400);
+    expect(response.body.message).toMatch(/more than \d+ images/);
+    expect(await Post.countDocuments({})).toBe(1);
+  });
+
+  it('should reject files that are not images', async () => {
+    await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${ahmed.token}`)
+      .field('content', 'Lesson notes')
+      .attach('images', Buffer.from('%PDF-1.4'), 'notes.pdf')
+      .expect(400);
+  });
+
+  it('should return responsive sizes for each image', async () => {
+    const response = await request(app)
+      .get(`/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${ahmed.token}`)
+      .expect(200);
+
+    const [image] = response.body.data.images;
+    expect(image.alt).toBe('Students reciting');
+    expect(image.sizes.thumbnail).toContain('c_fill');
+    expect(image.sizes.thumbnail).toContain('w_150');
+    expect(Object.keys(image.sizes)).toEqual(['thumbnail', 'small', 'medium', 'large']);
+  });
+
+  it('should reorder, describe and remove images on edit', async () => {
+    const [classImage, certificatesImage] = post.images;
+
+    const reordered = await request(app)
+      .put(`/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${ahmed.token}`)
+      .send({
+        content: post.content,
+        existingImages: [
+          { _id: certificatesImage._id.toString(), caption: 'Ijazah certificates' },
+          { _id: classImage._id.toString() }
+        ]
+      })
+      .expect(200);
+    expect(reordered.body.data.images.map(image => image.url)).toEqual([imageUrl('certificates'), imageUrl('class')]);
+    expect(reordered.body.data.images[0].caption).toBe('Ijazah certificates');
+
+    await request(app)
+      .put(`/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${ahmed.token}`)
+      .send({ content: post.content, existingImages: [{ _id: classImage._id.toString() }] })
+      .expect(200);
+    const updated = await Post.findById(post._id);
+    expect(updated.images.map(image => image.url)).toEqual([imageUrl('class')]);
+  });
+
+  it('should reject unknown images and edits by other users', async () => {
+    await request(app)
+      .put(`/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${ahmed.token}`)
+      .send({ content: post.content, existingImages: [{ _id: '60f7b3b3b3b3b3b3b3b3b3b3' }] })
+      .expect(400);
+
+    const fatima = await registerUser({ fullName: 'Fatima Zahra' });
+    await request(app)
+      .put(`/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${fatima.token}`)
+      .send({ content: 'Edited', existingImages: [] })
+      .expect(403);
+    await request(app)
+      .delete(`/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${fatima.token}`)
+      .expect(403);
+
+    expect((await Post.findById(post._id)).images).toHaveLength(2);
+  });
+});
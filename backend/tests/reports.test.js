@@ -0,0 +1,122 @@
+import request from 'supertest';
+import app from '../src/server.js';
+import Post from '../src/models/Post.js';
+import User from '../src/models/User.js';
+import Notification from '../src/models/Notification.js';
+import { REPORT_AUTO_HIDE_THRESHOLD } from '../src/models/Report.js';
+import { registerUser } from './helpers.js';
+
+const reportPost = (reporter, post, reason = 'spam') => request(app)
+  .post('/api/reports')
+  .set('Authorization', `Bearer ${reporter.token}`)
+  .send({ targetType: 'post', targetId: post._id.toString(), reason });
+
+describe('Content reports', () => {
+  let author;
+  let reporter;
+  let admin;
+  let post;
+
+  beforeEach(async () => {
+    author = await registerUser({ fullName: 'Post Author' });
+    reporter = await registerUser({ fullName: 'Reporter' });
+    admin = await registerUser({ fullName: 'Site Admin', role: 'admin', islamicProfile: 'other' });
+    post = await Post.create({ author: author.user._id, content: 'Buy followers here!' });
+  });
+
+  it('should de-duplicate reports from the same user', async () => {
+    await reportPost(reporter, post).expect(201);
+
+    const response = await reportPost(reporter, post).expect(400);
+    expect(response.body.message).toBe('You have already reported this');
+  });
+
+  it('should not allow reporting your own content', async () => {
+    await reportPost(author, post).expect(400);
+  });
+
+  it('should hide a post once the report threshold is reached', async () => {
+    for (let i = 0; i < REPORT_AUTO_HIDE_THRESHOLD; i++) {
+      const user = await registerUser({ fullName: `Reporter ${i}` });
+      await reportPost(user, post).expect(201);
+    }
+
+    const hiddenPost = await Post.findById(post._id);
+    expect(hiddenPost.status).toBe('hidden');
+  });
+
+  it('should restore auto-hidden content and notify reporters on dismissal', async () => {
+    let reportId;
+    for (let i = 0; i < REPORT_AUTO_HIDE_THRESHOLD; i++) {
+      const user = await registerUser({ fullName: `Reporter ${i}` });
+      const response = await reportPost(user, post, 'misinformation');
+      reportId = response.body.data._id;
+    }
+
+    await request(app)
+      .post(`/api/reports/${reportId}/resolve`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ action: 'dismiss' })
+      .expect(200);
+
+    expect((await Post.findById(post._id)).status).toBe('published');
+    expect(await Notification.countDocuments({ type: 'report_update' })).toBe(REPORT_AUTO_HIDE_THRESHOLD);
+  });
+
+  it('should publish hidden content again after its reports were resolved', async () => {
+    const response = await reportPost(reporter, post);
+    const reportId = response.body.data._id;
+
+    await request(app)
+      .post(`/api/reports/${reportId}/resolve`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ action: 'hide' })
+      .expect(200);
+    expect((await Post.findById(post._id)).status).toBe('hidden');
+
+    await request(app)
+      .post(`/api/reports/${reportId}/resolve`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ action: 'unhide' })
+      .expect(200);
+    expect((await Post.findById(post._id)).status).toBe('published');
+
+    // Nothing left to restore
+    await request(app)
+      .post(`/api/reports/${reportId}/resolve`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ action: 'unhide' })
+      .expect(400);
+  });
+
+  it('should suspend the author', async () => {
+    const response = await reportPost(reporter, post, 'harassment');
+
+    await request(app)
+      .post(`/api/reports/${response.body.data._id}/resolve`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ action: 'suspend', notes: 'Repeated spam' })
+      .expect(200);
+
+    const suspended = await User.findById(author.user._id);
+    expect(suspended.isActive).toBe(false);
+    expect(suspended.suspension.reason).toBe('Repeated spam');
+  });
+
+  it('should only show the queue to admins', async () => {
+    await reportPost(reporter, post);
+
+    await request(app)
+      .get('/api/reports')
+      .set('Authorization', `Bearer ${reporter.token}`)
+      .expect(403);
+
+    const response = await request(app)
+      .get('/api/reports')
+      .set('Authorization', `Bearer ${admin.token}`)
+      .expect(200);
+
+    expect(response.body.data.reports).toHaveLength(1);
+    expect(response.body.data.reports[0].reportsCount).toBe(1);
+  });
+});
@@ -0,0 +1,205 @@
+import request from 'supertest';
+import app from '../src/server.js';
+import User from '../src/models/User.js';
+import Connection from '../src/models/Connection.js';
+import Review, { REVIEW_REPORT_THRESHOLD } from '../src/models/Review.js';
+import Report from '../src/models/Report.js';
+import { registerUser } from './helpers.js';
+
+const connect = (student, imaam) => Connection.create({
+  requester: student.user._id,
+  recipient: imaam.user._id,
+  type: 'student-teacher',
+  status: 'accepted',
+  acceptedAt: new Date()
+});
+
+const submitReview = (reviewer, imaam, body) => request(app)
+  .post(`/api/imaam/${imaam.user._id}/reviews`)
+  .set('Authorization', `Bearer ${reviewer.token}`)
+  .send(body);
+
+const getRating = async (imaam) => {
+  const user = await User.findById(imaam.user._id);
+  return { average: user.rating.average, count: user.rating.count };
+};
+
+describe('Imaam reviews', () => {
+  let imaam;
+  let student;
+  let otherStudent;
+
+  beforeEach(async () => {
+    imaam = await registerUser({ fullName: 'Imam Abdullah', role: 'imaam', islamicProfile: 'imam' });
+    student = await registerUser({ fullName: 'Ahmed Ali' });
+    otherStudent = await registerUser({ fullName: 'Fatima Khan' });
+  });
+
+  describe('POST /api/imaam/:id/reviews', () => {
+    it('should reject a review without an accepted connection', async () => {
+      const response = await submitReview(student, imaam, { rating: 5 }).expect(403);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should create a review and update the rating aggregate', async () => {
+      await connect(student, imaam);
+
+      const response = await submitReview(student, imaam, { rating: 4, comment: 'Very patient' })
+        .expect(201);
+
+      expect(response.body.data.rating).toBe(4);
+      expect(response.body.data).not.toHaveProperty('reports');
+      expect(await getRating(imaam)).toEqual({ average: 4, count: 1 });
+    });
+
+    it('should allow only one review per student', async () => {
+      await connect(student, imaam);
+      await submitReview(student, imaam, { rating: 4 }).expect(201);
+
+      const response = await submitReview(student, imaam, { rating: 5 }).expect(400);
+
+      expect(response.body.message).toBe('You have already reviewed this Imaam');
+      expect(await getRating(imaam)).toEqual({ average: 4, count: 1 });
+    });
+
+    it('should reject an out of range rating', async () => {
+      await connect(student, imaam);
+
+      await submitReview(student, imaam, { rating: 6 }).expect(400);
+    });
+  });
+
+  describe('Rating aggregate', () => {
+    let reviewId;
+
+    beforeEach(async () => {
+      await connect(student, imaam);
+      await connect(otherStudent, imaam);
+
+      const response = await submitReview(student, imaam, { rating: 5 });
+      reviewId = response.body.data._id;
+      await submitReview(otherStudent, imaam, { rating: 2 });
+    });
+
+    it('should recompute the average when a review is edited', async () => {
+      await request(app)
+        .put(`/api/reviews/${reviewId}`)
+        .set('Authorization', `Bearer ${student.token}`)
+        .send({ rating: 3 })
+        .expect(200);
+
+      expect(await getRating(imaam)).toEqual({ average: 2.5, count: 2 });
+    });
+
+    it('should recompute the average when a review is deleted', async () => {
+      await request(app)
+        .delete(`/api/reviews/${reviewId}`)
+        .set('Authorization', `Bearer ${student.token}`)
+        .expect(200);
+
+      expect(await getRating(imaam)).toEqual({ average: 2, count: 1 });
+    });
+
+    it('should not let another student edit the review', async () => {
+      await request(app)
+        .put(`/api/reviews/${reviewId}`)
+        .set('Authorization', `Bearer ${otherStudent.token}`)
+        .send({ rating: 1 })
+        .expect(403);
+    });
+
+    it('should list reviews with the rating breakdown', async () => {
+      const response = await request(app)
+        .get(`/api/imaam/${imaam.user._id}/reviews`)
+        .set('Authorization', `Bearer ${student.token}`)
+        .expect(200);
+
+      expect(response.body.data.reviews).toHaveLength(2);
+      expect(response.body.data.breakdown).toEqual({ 1: 0, 2: 1, 3: 0, 4: 0, 5: 1 });
+      expect(response.body.data.myReview._id).toBe(reviewId);
+    });
+  });
+
+  describe('Replies and reports', () => {
+    let reviewId;
+
+    beforeEach(async () => {
+      await connect(student, imaam);
+      const response = await submitReview(student, imaam, { rating: 5 });
+      reviewId = response.body.data._id;
+    });
+
+    it('should let the reviewed Imaam reply', async () => {
+      const response = await request(app)
+        .put(`/api/reviews/${reviewId}/reply`)
+        .set('Authorization', `Bearer ${imaam.token}`)
+        .send({ content: 'JazakAllah khair' })
+        .expect(200);
+
+      expect(response.body.data.reply.content).toBe('JazakAllah khair');
+    });
+
+    it('should de-duplicate reports from the same user', async () => {
+      await request(app)
+        .post(`/api/reviews/${reviewId}/report`)
+        .set('Authorization', `Bearer ${otherStudent.token}`)
+        .send({ reason: 'spam' })
+        .expect(200);
+
+      await request(app)
+        .post(`/api/reviews/${reviewId}/report`)
+        .set('Authorization', `Bearer ${otherStudent.token}`)
+        .send({ reason: 'spam' })
+        .expect(400);
+    });
+
+    it('should not let the reviewed Imaam report the review', async () => {
+      const response = await request(app)
+        .post(`/api/reviews/${reviewId}/report`)
+        .set('Authorization', `Bearer ${imaam.token}`)
+        .send({ reason: 'fake' })
+        .expect(400);
+
+      expect(response.body.message).toBe('You cannot report reviews of your own profile');
+      expect(await Report.countDocuments({})).toBe(0);
+    });
+
+    it('should hide reported reviews and let an admin publish them again', async () => {
+      const admin = await registerUser({ fullName: 'Site Admin', role: 'admin', islamicProfile: 'other' });
+
+      let reportId;
+      for (let i = 0; i < REVIEW_REPORT_THRESHOLD; i++) {
+        const reporter = await registerUser({ fullName: `Reporter ${i}` });
+        await request(app)
+          .post(`/api/reviews/${reviewId}/report`)
+          .set('Authorization', `Bearer ${reporter.token}`)
+          .send({ reason: 'fake' })
+          .expect(200);
+        reportId = (await Report.findOne({ reporter: reporter.user._id }))._id;
+      }
+
+      expect((await Review.findById(reviewId)).status).toBe('hidden');
+      expect(await getRating(imaam)).toEqual({ average: 0, count: 0 });
+
+      // The hidden review waits in the moderation queue
+      const queue = await request(app)
+        .get('/api/reports')
+        .query({ targetType: 'review' })
+        .set('Authorization', `Bearer ${admin.token}`)
+        .expect(200);
+      expect(queue.body.data.reports).toHaveLength(1);
+      expect(queue.body.data.reports[0].autoHidden).toBe(true);
+
+      await request(app)
+        .post(`/api/reports/${reportId}/resolve`)
+        .set('Authorization', `Bearer ${admin.token}`)
+        .send({ action: 'unhide' })
+        .expect(200);
+
+      expect((await Review.findById(reviewId)).status).toBe('published');
+      expect(await getRating(imaam)).toEqual({ average: 5, count: 1 });
+      expect(await Report.countDocuments({ status: 'pending' })).toBe(0);
+    });
+  });
+});
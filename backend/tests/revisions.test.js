@@ -0,0 +1,132 @@
+import request from 'supertest';
+import app from '../src/server.js';
+import Post from '../src/models/Post.js';
+import Revision from '../src/models/Revision.js';
+import AuditLog from '../src/models/AuditLog.js';
+import { registerUser } from './helpers.js';
+
+describe('Edit history', () => {
+  let imaam;
+  let student;
+  let post;
+
+  beforeEach(async () => {
+    imaam = await registerUser({ fullName: 'Imam Abdullah', role: 'imaam', islamicProfile: 'imam' });
+    student = await registerUser({ fullName: 'Ahmed Hassan' });
+    post = await Post.create({ author: imaam.user._id, content: 'Recite surah Kahf on Friday' });
+  });
+
+  const editPost = (user, content) => request(app)
+    .put(`/api/posts/${post._id}`)
+    .set('Authorization', `Bearer ${user.token}`)
+    .send({ content });
+
+  it('should keep every version of an edited post', async () => {
+    const unedited = await request(app)
+      .get(`/api/posts/${post._id}/revisions`)
+      .set('Authorization', `Bearer ${student.token}`)
+      .expect(200);
+    expect(unedited.body.data.isEdited).toBe(false);
+    expect(unedited.body.data.revisions).toHaveLength(1);
+
+    const edited = await editPost(imaam, 'Recite surah Kahf every Friday').expect(200);
+    expect(edited.body.data.isEdited).toBe(true);
+    expect(edited.body.data.editedAt).toBeTruthy();
+    await editPost(imaam, 'Recite surah Kahf every Friday before Jumuah').expect(200);
+
+    const response = await request(app)
+      .get(`/api/posts/${post._id}/revisions`)
+      .set('Authorization', `Bearer ${student.token}`)
+      .expect(200);
+    const revisions = response.body.data.revisions;
+    expect(revisions.map(revision => revision.version)).toEqual([1, 2, 3]);
+    expect(revisions[0].content).toBe('Recite surah Kahf on Friday');
+    expect(revisions[2].editor.fullName).toBe('Imam Abdullah');
+  });
+
+  it('should diff two versions word by word', async () => {
+    await editPost(imaam, 'Recite surah Kahf every Friday').expect(200);
+
+    const response = await request(app)
+      .get(`/api/posts/${post._id}/revisions/diff`)
+      .set('Authorization', `Bearer ${student.token}`)
+      .expect(200);
+
+    const { from, to, changes, added, removed } = response.body.data;
+    expect(from.version).toBe(1);
+    expect(to.version).toBe(2);
+    expect(changes).toContainEqual({ type: 'removed', text: 'on' });
+    expect(changes).toContainEqual({ type: 'added', text: 'every' });
+    expect(added).toBe(1);
+    expect(removed).toBe(1);
+
+    await request(app)
+      .get(`/api/posts/${post._id}/revisions/diff?from=1&to=5`)
+      .set('Authorization', `Bearer ${student.token}`)
+      .expect(404);
+  });
+
+  it('should only let the author edit a post', async () => {
+    await editPost(student, 'Something else').expect(403);
+    expect(await Revision.countDocuments({})).toBe(0);
+  });
+
+  it('should let an admin restore an older version', async () => {
+    const admin = await registerUser({ fullName: 'Site Admin', role: 'admin', islamicProfile: 'other' });
+    await editPost(imaam, 'Recite surah Kahf every Friday').expect(200);
+
+    await request(app)
+      .post(`/api/admin/posts/${post._id}/revisions/1/restore`)
+      .set('Authorization', `Bearer ${student.token}`)
+      .expect(403);
+
+    const response = await request(app)
+      .post(`/api/admin/posts/${post._id}/revisions/1/restore`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .expect(200);
+    expect(response.body.data.content).toBe('Recite surah Kahf on Friday');
+
+    const latest = await Revision.findOne({ target: post._id }).sort({ version: -1 });
+    expect(latest.version).toBe(3);
+    expect(latest.restoredFrom).toBe(1);
+    expect(latest.editor.toString()).toBe(admin.user._id);
+
+    const entry = await AuditLog.findOne({ action: 'post.revision_restore' });
+    expect(entry.details.version).toBe(1);
+    expect(entry.details.newVersion).toBe(3);
+
+    await request(app)
+      .post(`/api/admin/posts/${post._id}/revisions/3/restore`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .expect(400);
+  });
+
+  it('should keep the history of edited comments', async () => {
+    const comment = await request(app)
+      .post('/api/comments')
+      .set('Authorization', `Bearer ${student.token}`)
+      .send({ post: post._id, content: 'JazakAllah khair' })
+      .expect(201);
+    const commentId = comment.body.data._id;
+
+    await request(app)
+      .put(`/api/comments/${commentId}`)
+      .set('Authorization', `Bearer ${imaam.token}`)
+      .send({ content: 'Edited by someone else' })
+      .expect(403);
+
+    const edited = await request(app)
+      .put(`/api/comments/${commentId}`)
+      .set('Authorization', `Bearer ${student.token}`)
+      .send({ content: 'JazakAllah khair Imam' })
+      .expect(200);
+    expect(edited.body.data.isEdited).toBe(true);
+
+    const response = await request(app)
+      .get(`/api/comments/${commentId}/revisions/diff`)
+      .set('Authorization', `Bearer ${imaam.token}`)
+      .expect(200);
+    expect(response.body.data.added).toBe(1);
+    expect(response.body.data.removed).toBe(0);
+  });
+});
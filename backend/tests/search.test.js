@@ -0,0 +1,98 @@
+import request from 'supertest';
+import app from '../src/server.js';
+import Post from '../src/models/Post.js';
+import User from '../src/models/User.js';
+import { highlight, getSearchTerms } from '../src/utils/search.js';
+import { registerUser } from './helpers.js';
+
+describe('Search', () => {
+  let student;
+  let imaam;
+
+  beforeAll(async () => {
+    // Text queries fail until the text indexes exist
+    await Promise.all([Post.init(), User.init()]);
+  });
+
+  beforeEach(async () => {
+    student = await registerUser({ fullName: 'Curious Student' });
+    imaam = await registerUser({
+      fullName: 'Shaykh Yusuf',
+      role: 'imaam',
+      islamicProfile: 'qari',
+      bio: 'Teaching tajweed and Quran recitation for ten years'
+    });
+    await User.updateOne({ _id: imaam.user._id }, { isVerified: true });
+
+    await Post.create([
+      { author: imaam.user._id, content: 'A short note', type: 'lesson', lessonInfo: { title: 'Tajweed rules of noon sakinah' } },
+      { author: imaam.user._id, content: 'Practise tajweed daily', type: 'general' },
+      { author: imaam.user._id, content: 'Fasting in Ramadan', type: 'general' }
+    ]);
+  });
+
+  it('should rank lesson title matches above content matches', async () => {
+    const response = await request(app)
+      .get('/api/posts/search')
+      .query({ q: 'tajweed' })
+      .set('Authorization', `Bearer ${student.token}`)
+      .expect(200);
+
+    const { posts, facets } = response.body.data;
+    expect(posts).toHaveLength(2);
+    expect(posts[0].type).toBe('lesson');
+    expect(posts[1].highlight).toBe('Practise <mark>tajweed</mark> daily');
+    expect(facets.type).toEqual({ lesson: 1, general: 1 });
+  });
+
+  it('should filter posts by type', async () => {
+    const response = await request(app)
+      .get('/api/posts/search')
+      .query({ q: 'tajweed', type: 'general' })
+      .set('Authorization', `Bearer ${student.token}`)
+      .expect(200);
+
+    expect(response.body.data.posts).toHaveLength(1);
+  });
+
+  it('should search posts and Imaam together', async () => {
+    const response = await request(app)
+      .get('/api/search')
+      .query({ q: 'tajweed' })
+      .set('Authorization', `Bearer ${student.token}`)
+      .expect(200);
+
+    const { posts, imaam: imaamResults } = response.body.data;
+    expect(posts.total).toBe(2);
+    expect(imaamResults.results[0].fullName).toBe('Shaykh Yusuf');
+    expect(imaamResults.results[0].email).toBeUndefined();
+    expect(imaamResults.facets.islamicProfile).toEqual({ qari: 1 });
+  });
+
+  it('should treat regex characters in the query as text', async () => {
+    await request(app)
+      .get('/api/search')
+      .query({ q: '(.*' })
+      .set('Authorization', `Bearer ${student.token}`)
+      .expect(200);
+  });
+});
+
+describe('highlight', () => {
+  it('should escape HTML around matches', () => {
+    expect(highlight('<b>Tajweed</b> class', getSearchTerms('tajweed')))
+      .toBe('&lt;b&gt;<mark>Tajweed</mark>&lt;/b&gt; class');
+  });
+
+  it('should match Arabic text regardless of harakat', () => {
+    expect(highlight('تَجْوِيدُ القُرْآنِ', getSearchTerms('تجويد')))
+      .toBe('<mark>تَجْوِيدُ</mark> القُرْآنِ');
+  });
+
+  it('should only fold what the text index folds', () => {
+    // Alef maqsura and yeh are different letters to the index
+    expect(highlight('على الهدى', getSearchTerms('علي'))).toBe('على الهدى');
+    expect(highlight('Fasting fasts', getSearchTerms('fast'))).toBe('Fasting fasts');
+    expect(highlight('Fasting fasts', getSearchTerms('FASTS'))).toBe('Fasting <mark>fasts</mark>');
+  });
+});
@@ -7,6 +7,7 @@ beforeAll(async () => {
   process.env.JWT_SECRET = 'test-jwt-secret';
   process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
   process.env.MONGODB_TEST_URI = 'mongodb://localhost:27017/deenverse_test';
+  process.env.STORAGE_DRIVER = 'local';
   
   // Connect to test database
   await connectDB();
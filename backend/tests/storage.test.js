@@ -0,0 +1,74 @@
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import request from 'supertest';
+import app from '../src/server.js';
+import User from '../src/models/User.js';
+import Post from '../src/models/Post.js';
+import { UPLOAD_DIR } from '../src/utils/storage.js';
+import { registerUser } from './helpers.js';
+
+const createImage = (width, height) => sharp({
+  create: { width, height, channels: 3, background: '#2e7d32' }
+}).jpeg().toBuffer();
+
+describe('Local storage', () => {
+  let ahmed;
+
+  beforeEach(async () => {
+    ahmed = await registerUser({ fullName: 'Ahmed Hassan' });
+  });
+
+  it('should crop profile pictures to 400x400 and serve them from /uploads', async () => {
+    const response = await request(app)
+      .post('/api/users/profile/picture')
+      .set('Authorization', `Bearer ${ahmed.token}`)
+      .attach('profilePicture', await createImage(1200, 800), 'ahmed.jpg')
+      .expect(200);
+
+    const user = await User.findById(ahmed.user._id);
+    expect(user.profilePicture).toMatch(/^profile-pictures\/.+\.jpg$/);
+    expect(response.body.data.profilePicture).toBe(user.profilePictureUrl);
+
+    const metadata = await sharp(path.join(UPLOAD_DIR, user.profilePicture)).metadata();
+    expect(metadata.width).toBe(400);
+    expect(metadata.height).toBe(400);
+
+    await request(app)
+      .get(`/uploads/${user.profilePicture}`)
+      .expect(200);
+  });
+
+  it('should reject files that are not valid images', async () => {
+    await request(app)
+      .post('/api/users/profile/picture')
+      .set('Authorization', `Bearer ${ahmed.token}`)
+      .attach('profilePicture', Buffer.from('not an image'), 'ahmed.jpg')
+      .expect(400);
+  });
+
+  it('should store post images and delete them with the post', async () => {
+    const response = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${ahmed.token}`)
+      .field('content', 'Photos from the Eid gathering')
+      .field('imageDetails', JSON.stringify([{ alt: 'Families after Eid prayer' }]))
+      .attach('images', await createImage(1600, 1200), 'eid.jpg')
+      .expect(201);
+
+    const [image] = response.body.data.images;
+    expect(image.alt).toBe('Families after Eid prayer');
+    expect(image.width).toBe(1600);
+    expect(image.url).toMatch(/\/uploads\/post-images\/.+\.jpg$/);
+
+    const { images: [stored] } = await Post.findById(response.body.data._id);
+    const filePath = path.join(UPLOAD_DIR, stored.publicId);
+    expect(fs.existsSync(filePath)).toBe(true);
+
+    await request(app)
+      .delete(`/api/posts/${response.body.data._id}`)
+      .set('Authorization', `Bearer ${ahmed.token}`)
+      .expect(200);
+    expect(fs.existsSync(filePath)).toBe(false);
+  });
+});
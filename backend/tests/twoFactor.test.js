@@ -0,0 +1,231 @@
+import request from 'supertest';
+import app from '../src/server.js';
+import User from '../src/models/User.js';
+import AuditLog from '../src/models/AuditLog.js';
+import { generateCode, getTimeStep } from '../src/utils/totp.js';
+import { hashToken } from '../src/utils/helpers.js';
+import { registerUser, TEST_PASSWORD as password } from './helpers.js';
+
+// Turn on two-factor authentication and return the secret and recovery codes
+const enableTwoFactor = async (account) => {
+  const setup = await request(app)
+    .post('/api/auth/2fa/setup')
+    .set('Authorization', `Bearer ${account.token}`)
+    .expect(200);
+
+  const { secret } = setup.body.data;
+  const enabled = await request(app)
+    .post('/api/auth/2fa/enable')
+    .set('Authorization', `Bearer ${account.token}`)
+    .send({ code: generateCode(secret) })
+    .expect(200);
+
+  return { secret, recoveryCodes: enabled.body.data.recoveryCodes };
+};
+
+const login = (account) => request(app)
+  .post('/api/auth/login')
+  .send({ email: account.user.email, password });
+
+describe('Two-factor authentication', () => {
+  let imaam;
+
+  beforeEach(async () => {
+    imaam = await registerUser({ fullName: 'Shaykh Yusuf', role: 'imaam', islamicProfile: 'imam' });
+  });
+
+  it('should return a provisioning URI for authenticator apps', async () => {
+    const response = await request(app)
+      .post('/api/auth/2fa/setup')
+      .set('Authorization', `Bearer ${imaam.token}`)
+      .expect(200);
+
+    expect(response.body.data.otpauthUri).toMatch(/^otpauth:\/\/totp\/DeenVerse%3A/);
+    expect(response.body.data.otpauthUri).toContain(`secret=${response.body.data.secret}`);
+  });
+
+  it('should not enable with a wrong code', async () => {
+    await request(app)
+      .post('/api/auth/2fa/setup')
+      .set('Authorization', `Bearer ${imaam.token}`);
+
+    await request(app)
+      .post('/api/auth/2fa/enable')
+      .set('Authorization', `Bearer ${imaam.token}`)
+      .send({ code: '000000' })
+      .expect(400);
+  });
+
+  it('should require a code after the password once enabled', async () => {
+    const { secret, recoveryCodes } = await enableTwoFactor(imaam);
+    expect(recoveryCodes).toHaveLength(10);
+
+    const first = await login(imaam).expect(200);
+    expect(first.body.data.twoFactorRequired).toBe(true);
+    expect(first.body.data.token).toBeUndefined();
+
+    // The challenge token is not an access token
+    await request(app)
+      .get('/api/auth/sessions')
+      .set('Authorization', `Bearer ${first.body.data.challengeToken}`)
+      .expect(401);
+
+    const response = await request(app)
+      .post('/api/auth/2fa/login')
+      .send({ challengeToken: first.body.data.challengeToken, code: generateCode(secret, getTimeStep() + 1) })
+      .expect(200);
+
+    expect(response.body.data).toHaveProperty('token');
+    expect(response.body.data.user.twoFactor.secret).toBeUndefined();
+  });
+
+  it('should not accept the same code twice', async () => {
+    const { secret } = await enableTwoFactor(imaam);
+    const code = generateCode(secret, getTimeStep() + 1);
+
+    const first = await login(imaam);
+    await request(app)
+      .post('/api/auth/2fa/login')
+      .send({ challengeToken: first.body.data.challengeToken, code })
+      .expect(200);
+
+    const second = await login(imaam);
+    await request(app)
+      .post('/api/auth/2fa/login')
+      .send({ challengeToken: second.body.data.challengeToken, code })
+      .expect(401);
+  });
+
+  it('should accept each recovery code once', async () => {
+    const { recoveryCodes } = await enableTwoFactor(imaam);
+
+    const first = await login(imaam);
+    await request(app)
+      .post('/api/auth/2fa/login')
+      .send({ challengeToken: first.body.data.challengeToken, code: recoveryCodes[0].toUpperCase() })
+      .expect(200);
+
+    const second = await login(imaam);
+    await request(app)
+      .post('/api/auth/2fa/login')
+      .send({ challengeToken: second.body.data.challengeToken, code: recoveryCodes[0] })
+      .expect(401);
+
+    const status = await request(app)
+      .get('/api/auth/2fa')
+      .set('Authorization', `Bearer ${imaam.token}`)
+      .expect(200);
+    expect(status.body.data.recoveryCodesRemaining).toBe(9);
+  });
+
+  describe('Password reset', () => {
+    const resetPassword = async (account) => {
+      await User.updateOne({ _id: account.user._id }, {
+        resetPasswordToken: hashToken('reset-token'),
+        resetPasswordExpire: Date.now() + 10 * 60 * 1000
+      });
+
+      return request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: 'reset-token', password: 'Qiraat-Fajr-1446' })
+        .expect(200);
+    };
+
+    it('should still ask for the second factor', async () => {
+      await enableTwoFactor(imaam);
+
+      const response = await resetPassword(imaam);
+
+      expect(response.body.data.twoFactorRequired).toBe(true);
+      expect(response.body.data.token).toBeUndefined();
+      expect(response.body.data.refreshToken).toBeUndefined();
+    });
+
+    it('should not sign in a deactivated account', async () => {
+      await User.updateOne({ _id: imaam.user._id }, { isActive: false });
+
+      const response = await resetPassword(imaam);
+
+      expect(response.body.data).toBeUndefined();
+      await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${imaam.token}`)
+        .expect(401);
+    });
+
+    it('should sign in other accounts with the new password', async () => {
+      const response = await resetPassword(imaam);
+
+      expect(response.body.data).toHaveProperty('token');
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: imaam.user.email, password: 'Qiraat-Fajr-1446' })
+        .expect(200);
+    });
+  });
+
+  describe('Required by role', () => {
+    let admin;
+
+    beforeEach(async () => {
+      admin = await registerUser({ fullName: 'Site Admin', role: 'admin', islamicProfile: 'other' });
+    });
+
+    it('should record who viewed the policy and enrollment', async () => {
+      const response = await request(app)
+        .get('/api/admin/settings/two-factor')
+        .set('Authorization', `Bearer ${admin.token}`)
+        .expect(200);
+      expect(response.body.data.requiredRoles).toEqual([]);
+
+      const entry = await AuditLog.findOne({ action: 'settings.two_factor_view' });
+      expect(entry.actor.toString()).toBe(admin.user._id.toString());
+    });
+
+    it('should not let an admin without 2FA require it for admins', async () => {
+      await request(app)
+        .put('/api/admin/settings/two-factor')
+        .set('Authorization', `Bearer ${admin.token}`)
+        .send({ roles: ['admin'] })
+        .expect(400);
+    });
+
+    it('should sign out users of the role and make them set it up at login', async () => {
+      const response = await request(app)
+        .put('/api/admin/settings/two-factor')
+        .set('Authorization', `Bearer ${admin.token}`)
+        .send({ roles: ['imaam'] })
+        .expect(200);
+      expect(response.body.data.revokedSessions).toBe(1);
+
+      await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${imaam.token}`)
+        .expect(401);
+
+      const first = await login(imaam).expect(200);
+      expect(first.body.data.twoFactorSetupRequired).toBe(true);
+      const { challengeToken } = first.body.data;
+
+      const setup = await request(app)
+        .post('/api/auth/2fa/setup')
+        .send({ challengeToken })
+        .expect(200);
+
+      const enabled = await request(app)
+        .post('/api/auth/2fa/enable')
+        .send({ challengeToken, code: generateCode(setup.body.data.secret) })
+        .expect(200);
+      expect(enabled.body.data).toHaveProperty('token');
+
+      // Cannot be turned off while the role requires it
+      const user = await User.findById(imaam.user._id);
+      expect(user.twoFactor.enabled).toBe(true);
+      await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', `Bearer ${enabled.body.data.token}`)
+        .send({ password, code: enabled.body.data.recoveryCodes[0] })
+        .expect(403);
+    });
+  });
+});
@@ -0,0 +1,130 @@
+import fs from 'fs';
+import path from 'path';
+import request from 'supertest';
+import app from '../src/server.js';
+import User from '../src/models/User.js';
+import Notification from '../src/models/Notification.js';
+import AuditLog from '../src/models/AuditLog.js';
+import VerificationApplication from '../src/models/VerificationApplication.js';
+import { UPLOAD_DIR, PRIVATE_UPLOAD_DIR } from '../src/utils/storage.js';
+import { registerUser } from './helpers.js';
+
+const PDF = Buffer.from('%PDF-1.4\n% ijazah scan\n%%EOF\n');
+
+describe('Verification', () => {
+  let imaam;
+  let admin;
+
+  beforeEach(async () => {
+    imaam = await registerUser({ fullName: 'Imam Abdullah', role: 'imaam', islamicProfile: 'imam' });
+    admin = await registerUser({ fullName: 'Site Admin', role: 'admin', islamicProfile: 'other' });
+  });
+
+  const apply = (user = imaam) => request(app)
+    .post('/api/verification')
+    .set('Authorization', `Bearer ${user.token}`)
+    .field('statement', 'Hafiz with ijazah in Hafs an Asim')
+    .attach('ijazah', PDF, { filename: 'ijazah.pdf', contentType: 'application/pdf' });
+
+  it('should keep documents private and serve them to the applicant and admins', async () => {
+    const response = await apply().expect(201);
+    const applicationId = response.body.data._id;
+
+    const [document] = response.body.data.documents;
+    expect(document.url).toMatch(new RegExp(`/api/verification/${applicationId}/documents/0$`));
+    expect(document.publicId).toBeUndefined();
+
+    // Stored outside the public upload directory
+    const { documents: [stored] } = await VerificationApplication.findById(applicationId);
+    expect(fs.existsSync(path.join(PRIVATE_UPLOAD_DIR, stored.publicId))).toBe(true);
+    expect(fs.existsSync(path.join(UPLOAD_DIR, stored.publicId))).toBe(false);
+    await request(app).get(`/uploads/${stored.publicId}`).expect(404);
+
+    const download = await request(app)
+      .get(`/api/verification/${applicationId}/documents/0`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .responseType('blob')
+      .expect(200);
+    expect(download.headers['content-disposition']).toContain('ijazah.pdf');
+    expect(download.headers['cache-control']).toBe('private, no-store');
+    expect(download.body.equals(PDF)).toBe(true);
+
+    await request(app)
+      .get(`/api/verification/${applicationId}/documents/0`)
+      .set('Authorization', `Bearer ${imaam.token}`)
+      .expect(200);
+
+    const stranger = await registerUser({ fullName: 'Ahmed Hassan' });
+    await request(app)
+      .get(`/api/verification/${applicationId}/documents/0`)
+      .set('Authorization', `Bearer ${stranger.token}`)
+      .expect(404);
+    await request(app)
+      .get(`/api/verification/${applicationId}/documents/1`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .expect(404);
+  });
+
+  it('should only accept applications from unverified imaams without a pending one', async () => {
+    const student = await registerUser({ fullName: 'Ahmed Hassan' });
+    await apply(student).expect(403);
+
+    await request(app)
+      .post('/api/verification')
+      .set('Authorization', `Bearer ${imaam.token}`)
+      .field('statement', 'No documents')
+      .expect(400);
+
+    await apply().expect(201);
+    await apply().expect(400);
+  });
+
+  it('should verify the imaam when an admin approves', async () => {
+    const response = await apply().expect(201);
+
+    await request(app)
+      .post(`/api/verification/${response.body.data._id}/approve`)
+      .set('Authorization', `Bearer ${imaam.token}`)
+      .send({})
+      .expect(403);
+
+    const approved = await request(app)
+      .post(`/api/verification/${response.body.data._id}/approve`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ notes: 'Ijazah confirmed' })
+      .expect(200);
+
+    expect(approved.body.data.status).toBe('approved');
+    expect(approved.body.data.history.map(entry => entry.action)).toEqual(['submitted', 'approved']);
+    expect((await User.findById(imaam.user._id)).isVerified).toBe(true);
+    expect(await Notification.countDocuments({ recipient: imaam.user._id, type: 'verification_update' })).toBe(1);
+    expect(await AuditLog.countDocuments({ action: 'verification.approve' })).toBe(1);
+
+    // Decisions are final
+    await request(app)
+      .post(`/api/verification/${response.body.data._id}/reject`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ notes: 'Changed my mind' })
+      .expect(404);
+    await apply().expect(400);
+  });
+
+  it('should let a rejected imaam apply again', async () => {
+    const response = await apply().expect(201);
+
+    await request(app)
+      .post(`/api/verification/${response.body.data._id}/reject`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({})
+      .expect(400);
+
+    await request(app)
+      .post(`/api/verification/${response.body.data._id}/reject`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ notes: 'Certificate scan is not legible' })
+      .expect(200);
+
+    expect((await User.findById(imaam.user._id)).isVerified).toBe(false);
+    await apply().expect(201);
+  });
+});
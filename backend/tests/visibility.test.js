@@ -0,0 +1,292 @@
+import request from 'supertest';
+import app from '../src/server.js';
+import Post from '../src/models/Post.js';
+import Comment from '../src/models/Comment.js';
+import Connection from '../src/models/Connection.js';
+import Follow from '../src/models/Follow.js';
+import { registerUser } from './helpers.js';
+
+describe('Post visibility', () => {
+  let author;
+  let connected;
+  let stranger;
+  let admin;
+  let publicPost;
+  let followersPost;
+  let privatePost;
+
+  beforeEach(async () => {
+    author = await registerUser({ fullName: 'Imam Abdullah', role: 'imaam', islamicProfile: 'imam' });
+    connected = await registerUser({ fullName: 'Connected Student' });
+    stranger = await registerUser({ fullName: 'Stranger Student' });
+    admin = await registerUser({ fullName: 'Site Admin', role: 'admin', islamicProfile: 'other' });
+
+    await Connection.create({
+      requester: connected.user._id,
+      recipient: author.user._id,
+      type: 'student-teacher',
+      status: 'accepted',
+      acceptedAt: new Date()
+    });
+
+    publicPost = await Post.create({
+      author: author.user._id,
+      content: 'Public reminder about tajweed',
+      visibility: 'public'
+    });
+
+    followersPost = await Post.create({
+      author: author.user._id,
+      content: 'Followers only tajweed homework',
+      visibility: 'followers'
+    });
+
+    privatePost = await Post.create({
+      author: author.user._id,
+      content: 'Private tajweed notes',
+      visibility: 'private'
+    });
+  });
+
+  const visibleIds = (response) => response.body.data.posts.map(post => post._id);
+
+  describe('GET /api/posts', () => {
+    it('should only list public posts to a stranger', async () => {
+      const response = await request(app)
+        .get('/api/posts')
+        .set('Authorization', `Bearer ${stranger.token}`)
+        .expect(200);
+
+      const ids = visibleIds(response);
+      expect(ids).toContain(publicPost._id.toString());
+      expect(ids).not.toContain(followersPost._id.toString());
+      expect(ids).not.toContain(privatePost._id.toString());
+      expect(response.body.data.pagination.totalPosts).toBe(1);
+    });
+
+    it('should list followers-only posts to a connection', async () => {
+      const response = await request(app)
+        .get('/api/posts')
+        .set('Authorization', `Bearer ${connected.token}`)
+        .expect(200);
+
+      const ids = visibleIds(response);
+      expect(ids).toContain(publicPost._id.toString());
+      expect(ids).toContain(followersPost._id.toString());
+      expect(ids).not.toContain(privatePost._id.toString());
+    });
+
+    it('should list every post to the author', async () => {
+      const response = await request(app)
+        .get('/api/posts')
+        .set('Authorization', `Bearer ${author.token}`)
+        .expect(200);
+
+      expect(visibleIds(response)).toHaveLength(3);
+    });
+
+    it('should list every post to an admin', async () => {
+      const response = await request(app)
+        .get('/api/posts')
+        .set('Authorization', `Bearer ${admin.token}`)
+        .expect(200);
+
+      expect(visibleIds(response)).toHaveLength(3);
+    });
+  });
+
+  describe('GET /api/posts/search', () => {
+    it('should not return hidden posts in search results', async () => {
+      const response = await request(app)
+        .get('/api/posts/search')
+        .query({ q: 'tajweed' })
+        .set('Authorization', `Bearer ${stranger.token}`)
+        .expect(200);
+
+      const ids = visibleIds(response);
+      expect(ids).toEqual([publicPost._id.toString()]);
+    });
+
+    it('should return followers-only posts to a connection', async () => {
+      const response = await request(app)
+        .get('/api/posts/search')
+        .query({ q: 'homework' })
+        .set('Authorization', `Bearer ${connected.token}`)
+        .expect(200);
+
+      expect(visibleIds(response)).toEqual([followersPost._id.toString()]);
+    });
+  });
+
+  describe('GET /api/posts/user/:userId', () => {
+    it('should not return hidden posts on the author profile', async () => {
+      const response = await request(app)
+        .get(`/api/posts/user/${author.user._id}`)
+        .set('Authorization', `Bearer ${stranger.token}`)
+        .expect(200);
+
+      expect(visibleIds(response)).toEqual([publicPost._id.toString()]);
+    });
+  });
+
+  describe('GET /api/posts/:id', () => {
+    it('should return 404 for a private post to another user', async () => {
+      const response = await request(app)
+        .get(`/api/posts/${privatePost._id}`)
+        .set('Authorization', `Bearer ${connected.token}`)
+        .expect(404);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('Post not found');
+    });
+
+    it('should return 404 for a followers-only post to a stranger', async () => {
+      await request(app)
+        .get(`/api/posts/${followersPost._id}`)
+        .set('Authorization', `Bearer ${stranger.token}`)
+        .expect(404);
+    });
+
+    it('should return 404 for a followers-only post to a follower who is not connected', async () => {
+      await Follow.create({ follower: stranger.user._id, following: author.user._id });
+
+      await request(app)
+        .get(`/api/posts/${followersPost._id}`)
+        .set('Authorization', `Bearer ${stranger.token}`)
+        .expect(404);
+    });
+
+    it('should return 404 for a followers-only post while the connection is pending', async () => {
+      await Connection.create({
+        requester: stranger.user._id,
+        recipient: author.user._id,
+        type: 'student-teacher',
+        status: 'pending'
+      });
+
+      await request(app)
+        .get(`/api/posts/${followersPost._id}`)
+        .set('Authorization', `Bearer ${stranger.token}`)
+        .expect(404);
+    });
+
+    it('should return a followers-only post to a connection', async () => {
+      const response = await request(app)
+        .get(`/api/posts/${followersPost._id}`)
+        .set('Authorization', `Bearer ${connected.token}`)
+        .expect(200);
+
+      expect(response.body.data._id).toBe(followersPost._id.toString());
+    });
+
+    it('should return a private post to an admin', async () => {
+      await request(app)
+        .get(`/api/posts/${privatePost._id}`)
+        .set('Authorization', `Bearer ${admin.token}`)
+        .expect(200);
+    });
+  });
+
+  describe('Comments on hidden posts', () => {
+    let privateComment;
+
+    beforeEach(async () => {
+      privateComment = await Comment.create({
+        post: privatePost._id,
+        author: author.user._id,
+        content: 'Note to self'
+      });
+    });
+
+    it('should not list comments of a private post', async () => {
+      await request(app)
+        .get(`/api/comments/post/${privatePost._id}`)
+        .set('Authorization', `Bearer ${stranger.token}`)
+        .expect(404);
+    });
+
+    it('should not return a comment of a private post by ID', async () => {
+      await request(app)
+        .get(`/api/comments/${privateComment._id}`)
+        .set('Authorization', `Bearer ${connected.token}`)
+        .expect(404);
+    });
+
+    it('should not return replies of a comment on a private post', async () => {
+      await request(app)
+        .get(`/api/comments/${privateComment._id}/replies`)
+        .set('Authorization', `Bearer ${stranger.token}`)
+        .expect(404);
+    });
+
+    it('should not allow commenting on a followers-only post as a stranger', async () => {
+      await request(app)
+        .post('/api/comments')
+        .set('Authorization', `Bearer ${stranger.token}`)
+        .send({ post: followersPost._id.toString(), content: 'Can I see this?' })
+        .expect(404);
+    });
+
+    it('should list comments of a private post to an admin', async () => {
+      const response = await request(app)
+        .get(`/api/comments/post/${privatePost._id}`)
+        .set('Authorization', `Bearer ${admin.token}`)
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+    });
+  });
+
+  describe('Comments on unpublished posts', () => {
+    let comment;
+
+    beforeEach(async () => {
+      comment = await Comment.create({
+        post: publicPost._id,
+        author: connected.user._id,
+        content: 'JazakAllah khair'
+      });
+      await Comment.create({
+        post: publicPost._id,
+        author: stranger.user._id,
+        content: 'Ameen',
+        parentComment: comment._id
+      });
+    });
+
+    it('should hide comments once their post is taken down', async () => {
+      await Post.updateOne({ _id: publicPost._id }, { status: 'hidden' });
+
+      // Not even the comment author can reach them
+      for (const path of ['', '/replies', '/revisions']) {
+        await request(app)
+          .get(`/api/comments/${comment._id}${path}`)
+          .set('Authorization', `Bearer ${connected.token}`)
+          .expect(404);
+      }
+
+      await request(app)
+        .post(`/api/comments/${comment._id}/like`)
+        .set('Authorization', `Bearer ${stranger.token}`)
+        .expect(404);
+    });
+
+    it('should hide comments once their post is archived', async () => {
+      await Post.updateOne({ _id: publicPost._id }, { status: 'archived' });
+
+      await request(app)
+        .get(`/api/comments/${comment._id}`)
+        .set('Authorization', `Bearer ${author.token}`)
+        .expect(404);
+    });
+
+    it('should not list replies of a deleted comment', async () => {
+      await Comment.updateOne({ _id: comment._id }, { status: 'deleted' });
+
+      await request(app)
+        .get(`/api/comments/${comment._id}/replies`)
+        .set('Authorization', `Bearer ${stranger.token}`)
+        .expect(404);
+    });
+  });
+});